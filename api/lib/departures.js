@@ -0,0 +1,490 @@
+/**
+ * Next Departures
+ *
+ * Merges the static timetables written by scripts/sync-transit-routes.cjs
+ * (public/api/transit-schedules/{operatorId}.json) with 511 GTFS-Realtime
+ * trip updates, and finds stops near a point from the station features in
+ * public/api/transit-routes.json.
+ *
+ * Trip updates follow the GTFS-Realtime rules: a stop's own update wins,
+ * otherwise the delay from the last updated stop before it carries forward,
+ * otherwise the trip-level delay. Departures without any update are shown as
+ * scheduled.
+ *
+ * 511 serves GTFS-Realtime as JSON with PascalCase fields (Entities,
+ * TripUpdate, StopTimeUpdates); snake_case and camelCase feeds read the same.
+ *
+ * Usage:
+ *   const { findNearestStops, buildDepartures } = require('./lib/departures');
+ *   buildDepartures({ stop, schedule, tripUpdates, now: new Date() });
+ */
+
+const TIME_ZONE = 'America/Los_Angeles';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Within a minute either way counts as on time
+const ON_TIME_SECONDS = 60;
+// Keep departures that left moments ago, in case the train is still boarding
+const RECENT_MS = 60 * 1000;
+const WINDOW_MINUTES = 90;
+const PER_ROUTE = 3;
+
+const STATUSES = ['on-time', 'late', 'early', 'canceled', 'scheduled', 'added'];
+
+const partsFormats = new Map();
+
+function zoneParts(epochMs, timeZone) {
+  if (!partsFormats.has(timeZone)) {
+    partsFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  const parts = {};
+  for (const { type, value } of partsFormats.get(timeZone).formatToParts(new Date(epochMs))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function zoneOffsetMs(epochMs, timeZone) {
+  const p = zoneParts(epochMs, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Service days that can have departures around `now`: yesterday (trips past
+ * midnight) and today, in the agency's time zone. GTFS times count from noon
+ * minus 12 hours, which is midnight except on daylight saving days.
+ * @param {Date} now
+ * @param {string} [timeZone]
+ * @returns {{ date: string, weekday: number, start: number }[]} weekday 0 = Monday
+ */
+function serviceDays(now, timeZone = TIME_ZONE) {
+  const today = zoneParts(now.getTime(), timeZone);
+  return [-1, 0].map((offset) => {
+    const noon = Date.UTC(today.year, today.month - 1, today.day + offset, 12);
+    const day = new Date(noon);
+    return {
+      date: day.toISOString().slice(0, 10).replace(/-/g, ''),
+      weekday: (day.getUTCDay() + 6) % 7,
+      start: noon - zoneOffsetMs(noon, timeZone) - DAY_MS / 2,
+    };
+  });
+}
+
+/**
+ * Whether a service runs on a date
+ * @param {{ days: string, start?: string, end?: string, added?: string[], removed?: string[] }} service
+ * @param {{ date: string, weekday: number }} day - YYYYMMDD, 0 = Monday
+ * @returns {boolean}
+ */
+function serviceRunsOn(service, { date, weekday }) {
+  if (!service) return false;
+  if (service.removed?.includes(date)) return false;
+  if (service.added?.includes(date)) return true;
+  if (service.start && date < service.start) return false;
+  if (service.end && date > service.end) return false;
+  return service.days?.[weekday] === '1';
+}
+
+/**
+ * Read a GTFS-RT field whatever the feed's casing (TripUpdate, tripUpdate, trip_update)
+ * @param {object} obj
+ * @param {string} name - camelCase field name
+ * @returns {*}
+ */
+function field(obj, name) {
+  if (!obj) return undefined;
+  const pascal = name[0].toUpperCase() + name.slice(1);
+  const snake = name.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+  return obj[pascal] ?? obj[name] ?? obj[snake];
+}
+
+/**
+ * Entities of a GTFS-RT feed
+ * @param {object} feed
+ * @returns {object[]}
+ */
+function feedEntities(feed) {
+  return field(feed, 'entities') || field(feed, 'entity') || [];
+}
+
+/**
+ * Strip the regional feed's "XX:" agency prefix from a trip, route or stop ID
+ * @param {string} id
+ * @param {string} agency
+ * @returns {string}
+ */
+function localId(id, agency) {
+  const value = String(id ?? '');
+  return agency && value.startsWith(`${agency}:`) ? value.slice(agency.length + 1) : value;
+}
+
+function prefixAgency(id) {
+  const match = /^([A-Za-z0-9]{2}):/.exec(String(id ?? ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Agencies an entity belongs to: explicit AgencyId fields first, then the
+ * "XX:" prefix on its trip, route or vehicle ID
+ * @param {object} entity - GTFS-RT entity
+ * @returns {Set<string>}
+ */
+function entityAgencies(entity) {
+  const agencies = new Set();
+  const add = (value) => value && agencies.add(String(value));
+
+  const tripUpdate = field(entity, 'tripUpdate');
+  const vehicle = field(entity, 'vehicle');
+  const alert = field(entity, 'alert');
+
+  for (const trip of [field(tripUpdate, 'trip'), field(vehicle, 'trip')]) {
+    if (!trip) continue;
+    add(field(trip, 'agencyId'));
+    add(prefixAgency(field(trip, 'routeId')) || prefixAgency(field(trip, 'tripId')));
+  }
+  if (vehicle) add(prefixAgency(field(field(vehicle, 'vehicle'), 'id')));
+
+  for (const informed of field(alert, 'informedEntities') || field(alert, 'informedEntity') || []) {
+    add(field(informed, 'agencyId'));
+    add(prefixAgency(field(informed, 'routeId')));
+  }
+  return agencies;
+}
+
+/**
+ * Keep only one agency's entities, leaving the feed's shape as it was
+ * @param {object} feed - GTFS-RT feed
+ * @param {string} agency - 511 operator ID, e.g. "BA"
+ * @param {{ tripIds?: Set<string> }} [options] - Trips from the agency's
+ *   timetable, for feeds whose IDs carry no agency
+ * @returns {object}
+ */
+function filterByAgency(feed, agency, { tripIds } = {}) {
+  if (!feed || !agency) return feed;
+  const key = ['Entities', 'entities', 'entity'].find((name) => Array.isArray(feed[name]));
+  if (!key) return feed;
+
+  return {
+    ...feed,
+    [key]: feed[key].filter((entity) => {
+      const agencies = entityAgencies(entity);
+      if (agencies.size > 0) return agencies.has(agency);
+      if (!tripIds) return false;
+      const trip = field(field(entity, 'tripUpdate') || field(entity, 'vehicle'), 'trip');
+      return tripIds.has(localId(field(trip, 'tripId'), agency));
+    }),
+  };
+}
+
+/**
+ * Trip updates by trip ID
+ * @param {object} feed - GTFS-RT TripUpdates feed
+ * @param {string} agency
+ * @returns {Map<string, object>}
+ */
+function indexTripUpdates(feed, agency) {
+  const updates = new Map();
+  for (const entity of feedEntities(feed)) {
+    const tripUpdate = field(entity, 'tripUpdate');
+    const tripId = field(field(tripUpdate, 'trip'), 'tripId');
+    if (tripId) updates.set(localId(tripId, agency), tripUpdate);
+  }
+  return updates;
+}
+
+function isCanceled(relationship) {
+  return relationship === 'CANCELED' || relationship === 'CANCELLED' || relationship === 3;
+}
+
+function isSkipped(relationship) {
+  return relationship === 'SKIPPED' || relationship === 1;
+}
+
+function eventOf(stopTimeUpdate) {
+  return field(stopTimeUpdate, 'departure') || field(stopTimeUpdate, 'arrival') || {};
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Predicted departure for one scheduled stop of a trip
+ * @param {object} tripUpdate - GTFS-RT TripUpdate
+ * @param {{ stationId: string, stopSequence: number, scheduledMs: number }} stop
+ * @param {{ agency: string, platforms: object }} context
+ * @returns {{ canceled: boolean, predictedMs: number|null }|null} null without usable data
+ */
+function predict(tripUpdate, { stationId, stopSequence, scheduledMs }, { agency, platforms }) {
+  if (isCanceled(field(field(tripUpdate, 'trip'), 'scheduleRelationship'))) {
+    return { canceled: true, predictedMs: null };
+  }
+
+  const updates = field(tripUpdate, 'stopTimeUpdates') || field(tripUpdate, 'stopTimeUpdate') || [];
+  let previous = null;
+  for (const update of updates) {
+    const stopId = localId(field(update, 'stopId'), agency);
+    const sequence = toNumber(field(update, 'stopSequence'));
+    const here =
+      sequence !== null
+        ? sequence === stopSequence
+        : stopId && (platforms[stopId] || stopId) === stationId;
+
+    if (here) {
+      if (isSkipped(field(update, 'scheduleRelationship'))) {
+        return { canceled: true, predictedMs: null };
+      }
+      const event = eventOf(update);
+      const time = toNumber(field(event, 'time'));
+      if (time !== null) return { canceled: false, predictedMs: time * 1000 };
+      const delay = toNumber(field(event, 'delay'));
+      if (delay !== null) return { canceled: false, predictedMs: scheduledMs + delay * 1000 };
+    } else if (sequence !== null && sequence < stopSequence) {
+      previous = update;
+    }
+  }
+
+  const carried =
+    toNumber(field(eventOf(previous), 'delay')) ?? toNumber(field(tripUpdate, 'delay'));
+  if (carried !== null) return { canceled: false, predictedMs: scheduledMs + carried * 1000 };
+  return null;
+}
+
+/**
+ * Rider-facing status for a departure
+ * @param {{ canceled?: boolean, delaySeconds: number|null }} departure
+ * @returns {string} One of STATUSES
+ */
+function delayStatus({ canceled, delaySeconds }) {
+  if (canceled) return 'canceled';
+  if (delaySeconds === null || delaySeconds === undefined) return 'scheduled';
+  if (delaySeconds >= ON_TIME_SECONDS) return 'late';
+  if (delaySeconds <= -ON_TIME_SECONDS) return 'early';
+  return 'on-time';
+}
+
+/**
+ * Trips added by the agency that aren't in the timetable but stop here
+ */
+function addedDepartures(updates, knownTrips, stationId, context) {
+  const departures = [];
+  for (const [tripId, tripUpdate] of updates) {
+    if (knownTrips.has(tripId)) continue;
+    const trip = field(tripUpdate, 'trip');
+    if (isCanceled(field(trip, 'scheduleRelationship'))) continue;
+
+    const stopTimes =
+      field(tripUpdate, 'stopTimeUpdates') || field(tripUpdate, 'stopTimeUpdate') || [];
+    const update = stopTimes.find((candidate) => {
+      const stopId = localId(field(candidate, 'stopId'), context.agency);
+      return stopId && (context.platforms[stopId] || stopId) === stationId;
+    });
+    const time = toNumber(field(eventOf(update), 'time'));
+    if (time === null || isSkipped(field(update, 'scheduleRelationship'))) continue;
+
+    departures.push({
+      tripId,
+      routeId: localId(field(trip, 'routeId'), context.agency),
+      headsign: '',
+      scheduledMs: null,
+      predictedMs: time * 1000,
+      canceled: false,
+      added: true,
+    });
+  }
+  return departures;
+}
+
+/**
+ * Upcoming departures at a stop, grouped by route
+ * @param {object} options
+ * @param {{ id: string, stopId: string, name: string, operatorId: string }} options.stop
+ *   - Station properties from transit-routes.json
+ * @param {object} options.schedule - The operator's transit-schedules file
+ * @param {object} [options.tripUpdates] - GTFS-RT TripUpdates feed
+ * @param {Date} [options.now]
+ * @param {number} [options.windowMinutes]
+ * @param {number} [options.perRoute] - Departures kept per route
+ * @returns {{ id: string, name: string, operatorId: string, realtime: boolean,
+ *   routes: { routeId: string, shortName: string, name: string, color: string,
+ *   departures: object[] }[] }}
+ */
+function buildDepartures({
+  stop,
+  schedule,
+  tripUpdates = null,
+  now = new Date(),
+  windowMinutes = WINDOW_MINUTES,
+  perRoute = PER_ROUTE,
+}) {
+  const agency = stop.operatorId;
+  const context = { agency, platforms: schedule.platforms || {} };
+  const updates = indexTripUpdates(tripUpdates, agency);
+  const nowMs = now.getTime();
+  const earliest = nowMs - RECENT_MS;
+  const latest = nowMs + windowMinutes * 60 * 1000;
+
+  const departures = [];
+  const knownTrips = new Set(schedule.trips.map(([tripId]) => tripId));
+  for (const day of serviceDays(now, schedule.metadata?.timezone)) {
+    for (const [tripIndex, seconds, stopSequence] of schedule.stops?.[stop.stopId] || []) {
+      const [tripId, routeId, serviceId, headsign] = schedule.trips[tripIndex];
+      const scheduledMs = day.start + seconds * 1000;
+      // Late trips can still be coming after their scheduled time has passed
+      if (scheduledMs > latest || scheduledMs < earliest - 60 * 60 * 1000) continue;
+      if (!serviceRunsOn(schedule.services?.[serviceId], day)) continue;
+
+      const prediction = updates.has(tripId)
+        ? predict(
+            updates.get(tripId),
+            { stationId: stop.stopId, stopSequence, scheduledMs },
+            context
+          )
+        : null;
+      departures.push({
+        tripId,
+        routeId,
+        headsign,
+        scheduledMs,
+        predictedMs: prediction?.predictedMs ?? null,
+        canceled: prediction?.canceled || false,
+        added: false,
+      });
+    }
+  }
+  departures.push(...addedDepartures(updates, knownTrips, stop.stopId, context));
+
+  const byRoute = new Map();
+  const upcoming = departures
+    .map((departure) => ({
+      ...departure,
+      expectedMs: departure.predictedMs ?? departure.scheduledMs,
+    }))
+    .filter((departure) => departure.expectedMs >= earliest && departure.expectedMs <= latest)
+    .sort((a, b) => a.expectedMs - b.expectedMs);
+
+  for (const departure of upcoming) {
+    if (!byRoute.has(departure.routeId)) byRoute.set(departure.routeId, []);
+    const list = byRoute.get(departure.routeId);
+    if (list.length >= perRoute) continue;
+
+    const delaySeconds =
+      departure.predictedMs !== null && departure.scheduledMs !== null
+        ? Math.round((departure.predictedMs - departure.scheduledMs) / 1000)
+        : null;
+    list.push({
+      tripId: departure.tripId,
+      headsign: departure.headsign,
+      scheduledTime:
+        departure.scheduledMs !== null ? new Date(departure.scheduledMs).toISOString() : null,
+      predictedTime:
+        departure.predictedMs !== null ? new Date(departure.predictedMs).toISOString() : null,
+      delaySeconds,
+      status: departure.added
+        ? 'added'
+        : delayStatus({ canceled: departure.canceled, delaySeconds }),
+    });
+  }
+
+  const routes = [...byRoute].map(([routeId, routeDepartures]) => {
+    const route = schedule.routes?.[routeId] || {};
+    return {
+      routeId,
+      shortName: route.shortName || routeId,
+      name: route.name || routeId,
+      color: route.color || null,
+      departures: routeDepartures,
+    };
+  });
+
+  return {
+    id: stop.id,
+    stopId: stop.stopId,
+    name: stop.name,
+    operator: stop.operator,
+    operatorId: agency,
+    realtime: updates.size > 0,
+    routes,
+  };
+}
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Station features from transit-routes.json (route lines are skipped)
+ * @param {object} collection - transit-routes.json
+ * @returns {object[]} Feature properties plus lat/lng
+ */
+function stopsFrom(collection) {
+  return (collection?.features || [])
+    .filter((feature) => feature.geometry?.type === 'Point' && feature.properties?.stopId)
+    .map((feature) => ({
+      ...feature.properties,
+      lat: feature.geometry.coordinates[1],
+      lng: feature.geometry.coordinates[0],
+    }));
+}
+
+/**
+ * Closest stations to a point
+ * @param {object} collection - transit-routes.json
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ limit?: number, radiusMeters?: number }} [options]
+ * @returns {object[]} Stops with distanceMeters, nearest first
+ */
+function findNearestStops(collection, lat, lng, { limit = 3, radiusMeters = 800 } = {}) {
+  return stopsFrom(collection)
+    .map((stop) => ({
+      ...stop,
+      distanceMeters: Math.round(distanceMeters(lat, lng, stop.lat, stop.lng)),
+    }))
+    .filter((stop) => stop.distanceMeters <= radiusMeters)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters)
+    .slice(0, limit);
+}
+
+/**
+ * Station by its transit-routes.json ID (e.g. "BA-MONT")
+ * @param {object} collection - transit-routes.json
+ * @param {string} id
+ * @returns {object|null}
+ */
+function findStop(collection, id) {
+  return stopsFrom(collection).find((stop) => stop.id === id) || null;
+}
+
+module.exports = {
+  STATUSES,
+  serviceDays,
+  serviceRunsOn,
+  feedEntities,
+  entityAgencies,
+  filterByAgency,
+  delayStatus,
+  buildDepartures,
+  findNearestStops,
+  findStop,
+};
@@ -1,10 +1,24 @@
 // 511.org Transit API Caching Function (Azure Static Web Apps compatible)
 // Caches live transit data to stay under rate limits (60 req/hour)
 // Updates every 60 seconds
+//
+// GET /api/transit-live                       Raw GTFS-RT feeds (?agency=BA to filter)
+// GET /api/transit-live?stop=BA-MONT          Next departures at a station
+// GET /api/transit-live?lat=37.79&lng=-122.4  Next departures at the nearest stations
+
+const { filterByAgency, buildDepartures, findNearestStops, findStop } = require('./lib/departures');
 
 const CACHE_TTL = 60000; // 60 seconds
 const API_511_KEY = process.env.API_511_KEY;
 
+// Stations and timetables are static files on the site, refreshed by
+// scripts/sync-transit-routes.cjs
+const TRANSIT_DATA_URL = process.env.TRANSIT_DATA_URL || 'https://baynavigator.org/api';
+const STATIC_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const NEAREST_LIMIT = 3;
+const DEFAULT_RADIUS = 800; // meters
+const MAX_RADIUS = 2000;
+
 // In-memory cache (persists across invocations in same container)
 const cache = {
   vehiclePositions: { data: null, timestamp: 0 },
@@ -62,32 +76,90 @@ async function fetch511Data(endpoint) {
   }
 }
 
+const staticCache = new Map();
+
+/**
+ * Fetch a static transit file from the site, cached for STATIC_TTL
+ */
+async function fetchStatic(file) {
+  const now = Date.now();
+  const cached = staticCache.get(file);
+  if (cached && now - cached.timestamp < STATIC_TTL) {
+    return cached.data;
+  }
+
+  try {
+    const response = await fetch(`${TRANSIT_DATA_URL}/${file}`);
+    if (!response.ok) {
+      throw new Error(`${file}: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    staticCache.set(file, { data, timestamp: now });
+    return data;
+  } catch (error) {
+    console.error(`[511] Failed to fetch ${file}:`, error.message);
+    if (cached) return cached.data;
+    throw error;
+  }
+}
+
 /**
- * Filter GTFS-RT data by agency code
+ * Next departures at one station, or the stations nearest a point
  */
-function filterByAgency(data, agencyCode) {
-  if (!data || !data.entity) return data;
+async function getDepartures(query) {
+  const routes = await fetchStatic('transit-routes.json');
+
+  let stops;
+  if (query.stop) {
+    const stop = findStop(routes, query.stop);
+    if (!stop) {
+      return { status: 404, body: { error: 'Unknown stop', stop: query.stop } };
+    }
+    stops = [stop];
+  } else {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return { status: 400, body: { error: 'lat and lng must be numbers' } };
+    }
+    const radius = Math.min(parseFloat(query.radius) || DEFAULT_RADIUS, MAX_RADIUS);
+    stops = findNearestStops(routes, lat, lng, { limit: NEAREST_LIMIT, radiusMeters: radius });
+  }
+
+  // Departures still come from the timetable when 511 is unavailable
+  let tripUpdates = null;
+  try {
+    tripUpdates = await fetch511Data('tripUpdates');
+  } catch (error) {
+    console.error('[511] Trip updates unavailable:', error.message);
+  }
+
+  const now = new Date();
+  const results = [];
+  for (const stop of stops) {
+    let schedule;
+    try {
+      schedule = await fetchStatic(`transit-schedules/${stop.operatorId}.json`);
+    } catch {
+      continue;
+    }
+    const tripIds = new Set(schedule.trips.map(([tripId]) => tripId));
+    const departures = buildDepartures({
+      stop,
+      schedule,
+      tripUpdates: filterByAgency(tripUpdates, stop.operatorId, { tripIds }),
+      now,
+    });
+    results.push({ ...departures, distanceMeters: stop.distanceMeters ?? null });
+  }
 
   return {
-    ...data,
-    entity: data.entity.filter((entity) => {
-      // Check vehicle position
-      if (entity.vehicle && entity.vehicle.vehicle) {
-        return entity.vehicle.vehicle.id?.startsWith(agencyCode);
-      }
-
-      // Check trip update
-      if (entity.trip_update && entity.trip_update.trip) {
-        return entity.trip_update.trip.route_id?.startsWith(agencyCode);
-      }
-
-      // Check alert
-      if (entity.alert) {
-        return entity.alert.informed_entity?.some((ie) => ie.route_id?.startsWith(agencyCode));
-      }
-
-      return false;
-    }),
+    status: 200,
+    body: {
+      stops: results,
+      generatedAt: now.toISOString(),
+      realtimeAt: tripUpdates ? new Date(cache.tripUpdates.timestamp).toISOString() : null,
+    },
   };
 }
 
@@ -111,6 +183,25 @@ module.exports = async function (context, req) {
     return;
   }
 
+  if (req.query.stop || req.query.lat || req.query.lng) {
+    try {
+      const { status, body } = await getDepartures(req.query);
+      context.res.status = status;
+      context.res.headers['Content-Type'] = 'application/json';
+      context.res.headers['Cache-Control'] = 'public, max-age=30';
+      context.res.body = body;
+    } catch (error) {
+      console.error('[511] Departures error:', error);
+      context.res.status = 500;
+      context.res.headers['Content-Type'] = 'application/json';
+      context.res.body = {
+        error: 'Failed to load departures',
+        message: error.message,
+      };
+    }
+    return;
+  }
+
   try {
     const agency = req.query.agency;
 
@@ -1,18 +1,38 @@
 /**
- * Azure Maps Geocoding Azure Function
+ * Geocoding Azure Function
  *
  * Proxies geocoding requests to Azure Maps API, keeping the API key secure on the server.
- * Supports both address geocoding and reverse geocoding.
+ * Supports both address geocoding and reverse geocoding. When Azure Maps isn't
+ * configured or fails, lookups are served from the offline OpenAddresses index
+ * (see shared/address-geocoder.js); GEOCODER_SOURCE=local makes the index the
+ * primary source, with Azure Maps used only for queries it can't match. The
+ * index isn't part of the function app: ADDRESS_INDEX_PATH must point at a
+ * copy on the app's storage, and without it only Azure Maps is used.
  *
  * Endpoints:
  *   GET /api/geocode?q={query}              - Forward geocode (address to coordinates)
  *   GET /api/geocode?lat={lat}&lon={lon}    - Reverse geocode (coordinates to address)
  */
 
+const { loadAddressGeocoder } = require('../shared/address-geocoder');
+
 // Azure Maps configuration
 const AZURE_MAPS_KEY = process.env.AZURE_MAPS_KEY;
 const AZURE_MAPS_API = 'https://atlas.microsoft.com';
 
+// 'azure' (default) or 'local'
+const GEOCODER_SOURCE = process.env.GEOCODER_SOURCE === 'local' ? 'local' : 'azure';
+const ADDRESS_INDEX_PATH = process.env.ADDRESS_INDEX_PATH;
+
+if (GEOCODER_SOURCE === 'local' && !ADDRESS_INDEX_PATH) {
+  console.error('GEOCODER_SOURCE=local requires ADDRESS_INDEX_PATH; using Azure Maps only');
+}
+
+// Start reading the index while the host warms up rather than on the first lookup
+const addressGeocoder = ADDRESS_INDEX_PATH
+  ? loadAddressGeocoder(ADDRESS_INDEX_PATH)
+  : Promise.resolve(null);
+
 // Bay Area bounding box for biasing results
 const BAY_AREA_BBOX = {
   west: -123.5,
@@ -73,6 +93,60 @@ async function reverseGeocode(lat, lon) {
   return data.addresses || [];
 }
 
+/**
+ * Look up an address or coordinates in the offline index.
+ * Resolves to null when no index is configured or it couldn't be read.
+ */
+async function geocodeLocally({ query, lat, lon }) {
+  const geocoder = await addressGeocoder;
+  if (!geocoder) return null;
+  return query ? geocoder.geocode(query) : geocoder.reverse(lat, lon);
+}
+
+/**
+ * Look up with Azure Maps (reverse when lat/lon are given)
+ */
+async function geocodeWithAzure({ query, lat, lon }) {
+  if (!query) return reverseGeocode(lat, lon);
+
+  // Add California hint if no state specified
+  let searchQuery = query;
+  if (!query.match(/\b(CA|California)\b/i) && !query.match(/\d{5}/)) {
+    searchQuery = `${query}, California`;
+  }
+
+  // Filter to Bay Area
+  return filterToBayArea(await geocodeAddress(searchQuery));
+}
+
+/**
+ * Geocode with the configured primary source, falling back to the other
+ * @returns {Promise<{ features: object[], source: string } | null>} null if neither is available
+ */
+async function lookup(request) {
+  if (GEOCODER_SOURCE === 'local') {
+    const features = await geocodeLocally(request);
+    if (features?.length || !AZURE_MAPS_KEY) {
+      return features ? { features, source: 'address-index' } : null;
+    }
+    return { features: await geocodeWithAzure(request), source: 'azure-maps' };
+  }
+
+  if (AZURE_MAPS_KEY) {
+    try {
+      return { features: await geocodeWithAzure(request), source: 'azure-maps' };
+    } catch (error) {
+      const features = await geocodeLocally(request);
+      if (!features) throw error;
+      console.warn('Azure Maps failed, using offline address index:', error.message);
+      return { features, source: 'address-index' };
+    }
+  }
+
+  const features = await geocodeLocally(request);
+  return features ? { features, source: 'address-index' } : null;
+}
+
 /**
  * Filter results to Bay Area bounds
  */
@@ -146,45 +220,21 @@ module.exports = async function (context, req) {
   };
 
   try {
-    // Check configuration
-    if (!AZURE_MAPS_KEY) {
-      console.error('Azure Maps API key not configured');
-      context.res = {
-        status: 503,
-        headers: corsHeaders,
-        body: JSON.stringify({
-          error: 'Geocoding service not configured',
-          results: [],
-        }),
-      };
-      return;
-    }
-
     const query = req.query.q || req.query.query;
     const lat = req.query.lat;
     const lon = req.query.lon || req.query.lng;
 
     // Determine operation type
-    let features = [];
+    let request;
 
     if (lat && lon) {
       // Reverse geocode
       console.log(`Reverse geocoding: ${lat}, ${lon}`);
-      features = await reverseGeocode(parseFloat(lat), parseFloat(lon));
+      request = { lat: parseFloat(lat), lon: parseFloat(lon) };
     } else if (query) {
       // Forward geocode
       console.log(`Geocoding query: "${query}"`);
-
-      // Add California hint if no state specified
-      let searchQuery = query;
-      if (!query.match(/\b(CA|California)\b/i) && !query.match(/\d{5}/)) {
-        searchQuery = `${query}, California`;
-      }
-
-      features = await geocodeAddress(searchQuery);
-
-      // Filter to Bay Area
-      features = filterToBayArea(features);
+      request = { query };
     } else {
       context.res = {
         status: 400,
@@ -197,10 +247,26 @@ module.exports = async function (context, req) {
       return;
     }
 
+    const found = await lookup(request);
+
+    // Neither Azure Maps nor the address index is available
+    if (!found) {
+      console.error('Azure Maps API key not configured and no address index available');
+      context.res = {
+        status: 503,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Geocoding service not configured',
+          results: [],
+        }),
+      };
+      return;
+    }
+
     // Transform to client-friendly format
-    const results = transformResults(features);
+    const results = transformResults(found.features);
 
-    console.log(`Geocoding returned ${results.length} results`);
+    console.log(`Geocoding returned ${results.length} results from ${found.source}`);
 
     context.res = {
       status: 200,
@@ -208,6 +274,7 @@ module.exports = async function (context, req) {
       body: JSON.stringify({
         results: results,
         count: results.length,
+        source: found.source,
       }),
     };
   } catch (error) {
@@ -1,12 +1,23 @@
 /**
  * Link Checker Azure Function
  * Runs weekly (Monday 9am UTC) to check all program URLs
- * Creates GitHub issue if broken links found
+ * Follows redirects and flags broken links, soft-404 pages, pages that now
+ * redirect to a homepage or another site, and pages whose content changed
+ * Keeps one GitHub issue open per data file with problems
  * Optional: Slack notifications via Bot Token (recommended over webhooks)
  */
 
 const https = require('https');
 const http = require('http');
+const {
+  checkUrl,
+  probeNotFoundPage,
+  assessLink,
+  groupBySourceFile,
+  issueTitle,
+  formatIssue,
+  getFingerprintStore,
+} = require('../shared/link-health');
 
 /**
  * Sanitize string for safe logging (prevent log injection/forging)
@@ -54,77 +65,6 @@ function fetchJson(url) {
   });
 }
 
-/**
- * Check if a URL is accessible
- * Returns: { url, status, ok, error, redirectUrl }
- */
-function checkUrl(url, timeout = 10000) {
-  return new Promise((resolve) => {
-    const startTime = Date.now();
-
-    try {
-      const parsedUrl = new URL(url);
-      const client = parsedUrl.protocol === 'https:' ? https : http;
-
-      const req = client.get(
-        url,
-        {
-          timeout,
-          headers: {
-            'User-Agent': 'BayNavigator-LinkChecker/1.0',
-          },
-        },
-        (res) => {
-          const duration = Date.now() - startTime;
-          const result = {
-            url,
-            status: res.statusCode,
-            ok: res.statusCode >= 200 && res.statusCode < 400,
-            duration,
-            redirectUrl: res.headers.location || null,
-          };
-
-          // Handle redirects as OK
-          if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-            result.ok = true;
-          }
-
-          resolve(result);
-        }
-      );
-
-      req.on('error', (error) => {
-        resolve({
-          url,
-          status: 0,
-          ok: false,
-          error: error.message,
-          duration: Date.now() - startTime,
-        });
-      });
-
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({
-          url,
-          status: 0,
-          ok: false,
-          error: 'Timeout',
-          duration: timeout,
-        });
-      });
-    } catch (error) {
-      resolve({
-        url,
-        status: 0,
-        ok: false,
-        error: `Invalid URL: ${error.message}`,
-        duration: 0,
-      });
-    }
-  });
-}
-
 /**
  * Send Slack notification via Bot Token (chat.postMessage API)
  */
@@ -181,85 +121,111 @@ async function sendSlackNotification(text, blocks = null) {
 }
 
 /**
- * Create GitHub issue for broken links
+ * Call the GitHub REST API
+ * @returns {Promise<{ status: number, data: * }>}
  */
-async function createGitHubIssue(brokenLinks) {
-  if (!GITHUB_TOKEN) {
-    console.log('GitHub token not configured, skipping issue creation');
-    return false;
-  }
-
-  const today = new Date().toISOString().split('T')[0];
-  const title = `🔗 Broken Links Report - ${today}`;
-  const body = `## Broken Links Found
-
-The weekly link checker found **${brokenLinks.length}** broken link(s):
-
-${brokenLinks
-  .map(
-    (link) =>
-      `### ${link.programName}
-- **ID:** \`${link.programId}\`
-- **URL:** ${link.url}
-- **Error:** ${link.error || `HTTP ${link.status}`}`
-  )
-  .join('\n\n')}
-
----
-*This issue was automatically created by the Azure Functions link checker.*
-*Run date: ${new Date().toISOString()}*`;
-
-  const payload = JSON.stringify({
-    title,
-    body,
-    labels: ['broken-link', 'automated'],
-  });
+function githubRequest(method, path, body = null) {
+  const payload = body ? JSON.stringify(body) : null;
 
   return new Promise((resolve) => {
     const req = https.request(
       {
         hostname: 'api.github.com',
-        path: `/repos/${GITHUB_REPO}/issues`,
-        method: 'POST',
+        path,
+        method,
         headers: {
           Authorization: `token ${GITHUB_TOKEN}`,
           'User-Agent': 'BayNavigator-LinkChecker',
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(payload),
           Accept: 'application/vnd.github.v3+json',
+          ...(payload && {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+          }),
         },
       },
       (res) => {
         let data = '';
         res.on('data', (chunk) => (data += chunk));
         res.on('end', () => {
-          if (res.statusCode === 201) {
-            try {
-              const issue = JSON.parse(data);
-              console.log(`GitHub issue created: ${issue.html_url}`);
-              resolve(true);
-            } catch {
-              resolve(true);
-            }
-          } else {
-            console.log(
-              `GitHub issue creation failed: ${res.statusCode} - ${sanitizeForLog(data)}`
-            );
-            resolve(false);
+          let parsed = data;
+          try {
+            parsed = JSON.parse(data);
+          } catch {
+            // Leave non-JSON responses as text
           }
+          resolve({ status: res.statusCode, data: parsed });
         });
       }
     );
 
     req.on('error', (err) => {
       console.log(`GitHub request error: ${sanitizeForLog(err.message)}`);
-      resolve(false);
+      resolve({ status: 0, data: null });
     });
-    req.write(payload);
+    if (payload) req.write(payload);
     req.end();
   });
 }
 
+/**
+ * Open, update or close the per-file link issues
+ * @param {Map<string, Array>} groups - From groupBySourceFile
+ * @returns {Promise<{ opened: number, updated: number, closed: number }>}
+ */
+async function syncGitHubIssues(groups) {
+  const summary = { opened: 0, updated: 0, closed: 0 };
+  if (!GITHUB_TOKEN) {
+    console.log('GitHub token not configured, skipping issues');
+    return summary;
+  }
+
+  const existing = await githubRequest(
+    'GET',
+    `/repos/${GITHUB_REPO}/issues?labels=broken-link&state=open&per_page=100`
+  );
+  if (existing.status !== 200 || !Array.isArray(existing.data)) {
+    console.log(`GitHub issue lookup failed: ${existing.status}`);
+    return summary;
+  }
+  const openIssues = new Map(existing.data.map((issue) => [issue.title, issue]));
+
+  for (const [sourceFile, problems] of groups) {
+    const { title, body } = formatIssue(sourceFile, problems, { repo: GITHUB_REPO });
+    const issue = openIssues.get(title);
+    const response = issue
+      ? await githubRequest('PATCH', `/repos/${GITHUB_REPO}/issues/${issue.number}`, { body })
+      : await githubRequest('POST', `/repos/${GITHUB_REPO}/issues`, {
+          title,
+          body,
+          labels: ['broken-link', 'automated'],
+        });
+
+    if (response.status === 200 || response.status === 201) {
+      summary[issue ? 'updated' : 'opened']++;
+      console.log(`GitHub issue ${issue ? 'updated' : 'created'}: ${response.data.html_url}`);
+    } else {
+      console.log(
+        `GitHub issue update failed for ${sanitizeForLog(sourceFile)}: ${response.status} - ${sanitizeForLog(JSON.stringify(response.data))}`
+      );
+    }
+  }
+
+  // Files whose links all pass now
+  const currentTitles = new Set([...groups.keys()].map(issueTitle));
+  for (const [title, issue] of openIssues) {
+    if (!title.startsWith(issueTitle('')) || currentTitles.has(title)) continue;
+    await githubRequest('POST', `/repos/${GITHUB_REPO}/issues/${issue.number}/comments`, {
+      body: `All links in this file passed the check on ${new Date().toISOString().split('T')[0]}.`,
+    });
+    const response = await githubRequest('PATCH', `/repos/${GITHUB_REPO}/issues/${issue.number}`, {
+      state: 'closed',
+    });
+    if (response.status === 200) summary.closed++;
+  }
+
+  return summary;
+}
+
 /**
  * Main function handler
  */
@@ -278,31 +244,66 @@ module.exports = async function (context, timer) {
     const programs = data.programs || [];
     context.log(`Found ${programs.length} programs to check`);
 
+    // Fingerprints from the last run, for spotting content changes
+    const store = getFingerprintStore();
+    let previousFingerprints = new Map();
+    if (store) {
+      try {
+        previousFingerprints = await store.loadAll();
+      } catch (error) {
+        context.log.warn(`Could not load page fingerprints: ${sanitizeForLog(error.message)}`);
+      }
+    } else {
+      context.log('AzureWebJobsStorage not configured, content changes will not be tracked');
+    }
+
+    // What each site serves for a page that doesn't exist, probed once per host
+    const notFoundPages = new Map();
+    const notFoundPageFor = (url) => {
+      const host = new URL(url).host;
+      if (!notFoundPages.has(host)) notFoundPages.set(host, probeNotFoundPage(url));
+      return notFoundPages.get(host);
+    };
+
     // Check all URLs (with concurrency limit)
-    const brokenLinks = [];
+    const problems = [];
+    const checkedAt = new Date().toISOString();
     const batchSize = 10;
 
     for (let i = 0; i < programs.length; i += batchSize) {
       const batch = programs.slice(i, i + batchSize);
       const results = await Promise.all(
         batch.map(async (program) => {
-          if (!program.link) return null;
-
-          const result = await checkUrl(program.link);
-          if (!result.ok) {
-            return {
-              programId: program.id,
-              programName: program.name,
-              url: program.link,
-              status: result.status,
-              error: result.error,
-            };
+          const url = program.website || program.link;
+          if (!url) return null;
+
+          const result = await checkUrl(url);
+          const problem = assessLink(result, {
+            previous: previousFingerprints.get(program.id),
+            notFoundFingerprint: result.ok ? await notFoundPageFor(result.finalUrl) : null,
+          });
+
+          // Remember healthy pages (including rewritten ones, so a change is reported once)
+          if (store && result.fingerprint && (!problem || problem.type === 'content-changed')) {
+            await store
+              .save(program.id, {
+                url,
+                fingerprint: result.fingerprint,
+                title: result.title,
+                checkedAt,
+              })
+              .catch((error) =>
+                context.log.warn(
+                  `Could not save fingerprint for ${sanitizeForLog(program.id)}: ${sanitizeForLog(error.message)}`
+                )
+              );
           }
-          return null;
+
+          return problem && { ...problem, program, url };
         })
       );
 
-      brokenLinks.push(...results.filter((r) => r !== null));
+      problems.push(...results.filter((r) => r !== null));
 
       // Progress log every 50 programs
       if ((i + batchSize) % 50 === 0 || i + batchSize >= programs.length) {
@@ -313,31 +314,59 @@ module.exports = async function (context, timer) {
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    context.log(`Link check completed in ${duration}s. Found ${brokenLinks.length} broken links.`);
-
-    // Report results
-    if (brokenLinks.length > 0) {
-      context.log('Broken links found:', JSON.stringify(brokenLinks, null, 2));
+    const counts = { broken: 0, 'soft-404': 0, redirected: 0, 'content-changed': 0 };
+    problems.forEach((problem) => counts[problem.type]++);
+    context.log(
+      `Link check completed in ${duration}s. Found ${problems.length} problems: ${JSON.stringify(counts)}`
+    );
 
-      // Create GitHub issue
-      const issueCreated = await createGitHubIssue(brokenLinks);
-      context.log(`GitHub issue created: ${issueCreated}`);
+    // Report results (issues are also closed here once a file's links pass)
+    const groups = groupBySourceFile(problems);
+    const issues = await syncGitHubIssues(groups);
+    context.log(`GitHub issues: ${JSON.stringify(issues)}`);
+
+    if (problems.length > 0) {
+      context.log(
+        'Link problems found:',
+        JSON.stringify(
+          problems.map((p) => ({
+            programId: p.program.id,
+            url: p.url,
+            type: p.type,
+            detail: p.detail,
+          })),
+          null,
+          2
+        )
+      );
 
       // Slack notification
       await sendSlackNotification(
-        `🔗 *${brokenLinks.length} broken links* found on baynavigator.org`,
+        `🔗 *${problems.length} link problems* found on baynavigator.org`,
         [
           {
             type: 'header',
-            text: { type: 'plain_text', text: '🔗 Broken Links Report', emoji: true },
+            text: { type: 'plain_text', text: '🔗 Link Check Report', emoji: true },
+          },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: [
+                `• *${counts.broken}* broken`,
+                `• *${counts['soft-404']}* soft-404 (page says it no longer exists)`,
+                `• *${counts.redirected}* redirected to a homepage or another site`,
+                `• *${counts['content-changed']}* with changed content`,
+              ].join('\n'),
+            },
           },
           {
             type: 'section',
             text: {
               type: 'mrkdwn',
-              text: brokenLinks
+              text: [...groups]
                 .slice(0, 10)
-                .map((l) => `• *${l.programName}*: ${l.error || `HTTP ${l.status}`}`)
+                .map(([file, fileProblems]) => `• \`${file}\`: ${fileProblems.length}`)
                 .join('\n'),
             },
           },
@@ -346,7 +375,7 @@ module.exports = async function (context, timer) {
             elements: [
               {
                 type: 'mrkdwn',
-                text: `Check GitHub issues for full report • ${brokenLinks.length} total broken`,
+                text: `One GitHub issue per data file • ${groups.size} files affected`,
               },
             ],
           },
@@ -383,7 +412,9 @@ module.exports = async function (context, timer) {
       body: {
         success: true,
         checked: programs.length,
-        broken: brokenLinks.length,
+        problems: problems.length,
+        ...counts,
+        issues,
         duration: `${duration}s`,
       },
     };
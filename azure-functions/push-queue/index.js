@@ -0,0 +1,18 @@
+/**
+ * Push Notification Queue
+ * Runs every 5 minutes to send queued notifications: sends held for devices
+ * in quiet hours, notifications scheduled with sendAt, and daily digests.
+ */
+
+const { drainQueue } = require('../shared/push-delivery');
+
+module.exports = async function (context) {
+  try {
+    const { sent, failed } = await drainQueue(context);
+    if (sent || failed) {
+      context.log(`Push queue: ${sent} sent, ${failed} failed`);
+    }
+  } catch (error) {
+    context.log.error('Push queue failed:', error);
+  }
+};
@@ -3,9 +3,14 @@
  *
  * Registers devices with Azure Notification Hub for push notifications.
  * Supports Web Push (VAPID), APNs (iOS), and FCM (Android).
+ *
+ * Devices are tagged by alert type, county, category and saved program
+ * (see shared/push-tags.js) so push-send can target e.g. weather alerts for
+ * one county, or updates to a single saved program.
  */
 
 const { NotificationHubsClient } = require('@azure/notification-hubs');
+const { buildInstallationTags } = require('../shared/push-tags');
 
 // CORS headers
 const corsHeaders = {
@@ -52,7 +57,7 @@ function generateInstallationId(platform, token) {
  * Register a device for push notifications
  */
 async function registerDevice(context, body) {
-  const { platform, token, tags = [], preferences = {} } = body;
+  const { platform, token, tags = [], preferences = {}, favorites = [] } = body;
 
   // Validate required fields
   if (!platform || !token) {
@@ -76,21 +81,13 @@ async function registerDevice(context, body) {
     const client = getHubClient();
     const installationId = generateInstallationId(platform, token);
 
-    // Build tags for targeting
-    const allTags = [`platform:${platform}`, ...tags];
-
-    // Add preference-based tags
-    if (preferences.weatherAlerts) {
-      allTags.push('weather:enabled');
-      if (preferences.weatherCounties && Array.isArray(preferences.weatherCounties)) {
-        preferences.weatherCounties.forEach((county) => {
-          allTags.push(`county:${county}`);
-        });
-      }
-    }
-    if (preferences.programUpdates) allTags.push('programs:enabled');
-    if (preferences.announcements) allTags.push('announcements:enabled');
-    if (preferences.missingPersons) allTags.push('missing-persons:enabled');
+    // Build tags for targeting from preferences and saved programs
+    const allTags = buildInstallationTags({
+      platform,
+      preferences,
+      favorites: Array.isArray(favorites) ? favorites : [],
+      tags: Array.isArray(tags) ? tags : [],
+    });
 
     // Create installation object based on platform
     let installation;
@@ -139,6 +136,7 @@ async function registerDevice(context, body) {
       body: {
         success: true,
         installationId,
+        tags: allTags,
         message: 'Device registered for push notifications',
       },
     };
@@ -3,78 +3,30 @@
  *
  * Sends push notifications to registered devices via Azure Notification Hub.
  * Requires function-level authentication (API key).
+ *
+ * Targeting (first one given wins; none sends to everyone):
+ *   tagExpression - "alert:weather && county:marin", "program:liheap && !county:napa"
+ *   audience      - { all: [...], any: [...], none: [...] } tag lists
+ *   tags          - Array of tags, any of which matches (OR)
+ *
+ * Delivery:
+ *   priority - critical (sent now, ignores quiet hours), normal (default; held
+ *              for devices in quiet hours) or digest (batched daily)
+ *   sendAt   - ISO time to send later; queued and sent by push-queue
+ *
+ * Normal and digest notifications add quiet-hour terms to the expression, so
+ * they can use at most 3 tags when sent with AND or NOT.
  */
 
-const { NotificationHubsClient } = require('@azure/notification-hubs');
-
-// Notification Hub client (lazy init)
-let hubClient = null;
-
-function getHubClient() {
-  if (!hubClient) {
-    const connectionString = process.env.NOTIFICATION_HUB_CONNECTION;
-    const hubName = process.env.NOTIFICATION_HUB_NAME || 'baynavigator-hub';
-
-    if (!connectionString) {
-      throw new Error('NOTIFICATION_HUB_CONNECTION_STRING not configured');
-    }
-
-    hubClient = new NotificationHubsClient(connectionString, hubName);
-  }
-  return hubClient;
-}
-
-/**
- * Build platform-specific notification payloads
- */
-function buildNotificationPayloads(notification) {
-  const { title, body, data = {}, badge, sound = 'default' } = notification;
-
-  return {
-    // Web Push (Browser)
-    browser: JSON.stringify({
-      title,
-      body,
-      icon: '/assets/images/favicons/favicon-192.webp',
-      badge: '/assets/images/favicons/badge-72.webp',
-      tag: data.tag || 'baynavigator',
-      data,
-      requireInteraction: data.requireInteraction || false,
-    }),
-
-    // APNs (iOS/macOS)
-    apns: JSON.stringify({
-      aps: {
-        alert: { title, body },
-        badge: badge || 0,
-        sound,
-        'thread-id': data.threadId || 'default',
-        'mutable-content': 1,
-      },
-      ...data,
-    }),
-
-    // FCM (Android)
-    fcm: JSON.stringify({
-      notification: { title, body },
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: data.channelId || 'default',
-          icon: 'ic_notification',
-          color: '#0d9488',
-        },
-      },
-      data: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)])),
-    }),
-  };
-}
+const { resolveTagExpression } = require('../shared/push-tags');
+const { PRIORITIES, planDelivery } = require('../shared/push-schedule');
+const { deliverNotification } = require('../shared/push-delivery');
 
 /**
  * Send notification to devices matching tags
  */
 async function sendNotification(context, body) {
-  const { notification, tags, platforms } = body;
+  const { notification, platforms, priority = 'normal' } = body;
 
   if (!notification || !notification.title || !notification.body) {
     return {
@@ -83,67 +35,59 @@ async function sendNotification(context, body) {
     };
   }
 
-  try {
-    const client = getHubClient();
-    const payloads = buildNotificationPayloads(notification);
-
-    // Build tag expression
-    // If tags provided, use them; otherwise send to all
-    let tagExpression = null;
-    if (tags && Array.isArray(tags) && tags.length > 0) {
-      // Use OR logic for multiple tags
-      tagExpression = tags.join(' || ');
-    }
-
-    const results = {
-      sent: [],
-      failed: [],
+  if (!PRIORITIES.includes(priority)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`,
+      },
     };
+  }
 
-    // Determine which platforms to send to
-    const targetPlatforms = platforms || ['web', 'ios', 'android'];
-
-    // Send to each platform
-    for (const platform of targetPlatforms) {
-      try {
-        let result;
-
-        switch (platform) {
-          case 'web':
-            result = await client.sendNotification(
-              { body: payloads.browser, platform: 'browser' },
-              { tagExpression }
-            );
-            break;
-
-          case 'ios':
-            result = await client.sendNotification(
-              { body: payloads.apns, platform: 'apns' },
-              { tagExpression }
-            );
-            break;
+  const sendAt = body.sendAt ? new Date(body.sendAt) : null;
+  if (sendAt && isNaN(sendAt)) {
+    return {
+      status: 400,
+      body: { success: false, error: 'sendAt must be an ISO date' },
+    };
+  }
 
-          case 'android':
-            result = await client.sendNotification(
-              { body: payloads.fcm, platform: 'fcm' },
-              { tagExpression }
-            );
-            break;
-        }
+  let tagExpression;
+  try {
+    tagExpression = resolveTagExpression(body);
+    // Check the quiet-hour expressions fit the hub's limits before queueing anything
+    planDelivery({ tagExpression, priority });
+  } catch (error) {
+    return {
+      status: 400,
+      body: { success: false, error: error.message },
+    };
+  }
 
-        results.sent.push({ platform, trackingId: result?.trackingId });
-        context.log(`Sent notification to ${platform}: ${result?.trackingId}`);
-      } catch (platformError) {
-        context.log.error(`Failed to send to ${platform}:`, platformError);
-        results.failed.push({ platform, error: platformError.message });
-      }
+  try {
+    const delivery = await deliverNotification(context, {
+      notification,
+      tagExpression,
+      priority,
+      platforms,
+      sendAt,
+    });
+
+    if (delivery.queuedFor) {
+      return {
+        status: 202,
+        body: { success: true, tagExpression, queuedFor: delivery.queuedFor.toISOString() },
+      };
     }
 
     return {
       status: 200,
       body: {
-        success: results.sent.length > 0,
-        results,
+        success: delivery.results.sent.length > 0,
+        tagExpression,
+        deferred: delivery.deferred,
+        results: delivery.results,
       },
     };
   } catch (error) {
@@ -0,0 +1,382 @@
+/**
+ * Offline Address Geocoder
+ *
+ * Forward and reverse geocoding against the OpenAddresses index built by
+ * scripts/build-address-index.cjs (.data/address-index.json). Used by the
+ * geocode function when Azure Maps is unavailable or GEOCODER_SOURCE=local,
+ * and by scripts/serve-geocoder.cjs for local development.
+ *
+ * Index shape: { "MILPITAS": { "455 E CALAVERAS BLVD": [lon, lat], ... }, ... }
+ * The build script writes one city per line so the file can be read a city at
+ * a time instead of parsing the whole nine-county index in one call.
+ *
+ * Results use the Azure Maps v1.0 search result shape (position, address,
+ * score) so the geocode function's transformResults() handles both sources.
+ *
+ * Usage:
+ *   const { loadAddressGeocoder } = require('../shared/address-geocoder');
+ *   const geocoder = await loadAddressGeocoder('/path/to/address-index.json');
+ *   geocoder.geocode('455 East Calaveras Boulevard, Milpitas');
+ *   geocoder.reverse(37.4323, -121.8996);
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+// Full word -> abbreviation, as OpenAddresses street names are stored
+const STREET_ABBREVIATIONS = {
+  ALLEY: 'ALY',
+  AVENUE: 'AVE',
+  AV: 'AVE',
+  BOULEVARD: 'BLVD',
+  CIRCLE: 'CIR',
+  COURT: 'CT',
+  DRIVE: 'DR',
+  EXPRESSWAY: 'EXPY',
+  HIGHWAY: 'HWY',
+  LANE: 'LN',
+  PARKWAY: 'PKWY',
+  PLACE: 'PL',
+  PLAZA: 'PLZ',
+  ROAD: 'RD',
+  SQUARE: 'SQ',
+  STREET: 'ST',
+  TERRACE: 'TER',
+  TRAIL: 'TRL',
+  WAY: 'WY',
+};
+
+const DIRECTIONS = { NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W' };
+
+// San Francisco's numbered avenues and streets are often written out
+const ORDINALS = {
+  FIRST: '1ST',
+  SECOND: '2ND',
+  THIRD: '3RD',
+  FOURTH: '4TH',
+  FIFTH: '5TH',
+  SIXTH: '6TH',
+  SEVENTH: '7TH',
+  EIGHTH: '8TH',
+  NINTH: '9TH',
+  TENTH: '10TH',
+};
+
+const SUFFIXES = new Set(Object.values(STREET_ABBREVIATIONS));
+const UNIT_PATTERN = /\s+(?:APT|APARTMENT|UNIT|STE|SUITE|RM|ROOM|#)\s*\S+$|\s*#\s*\S+$/;
+const STATE_PATTERN = /^(?:CA|CALIFORNIA)(?:\s+\d{5}(?:-\d{4})?)?$|^\d{5}(?:-\d{4})?$/;
+
+// Reverse lookups search the 3x3 block of grid cells around a point (~1 km cells)
+const GRID_SIZE = 0.01;
+const MAX_REVERSE_DISTANCE_M = 250;
+const DEFAULT_LIMIT = 8;
+
+/**
+ * Normalize a street name the way the index stores it
+ * ("North 1st Street" -> "N 1ST ST", "Calaveras Boulevard" -> "CALAVERAS BLVD")
+ * @param {string} street
+ * @returns {string}
+ */
+function normalizeStreet(street) {
+  const words = String(street || '')
+    .toUpperCase()
+    .replace(/[.,]/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return words
+    .map((word, i) => {
+      if (ORDINALS[word]) return ORDINALS[word];
+      // Only a leading direction is abbreviated, so "West St" stays "WEST ST"
+      if (i === 0 && DIRECTIONS[word] && words.length > 2) return DIRECTIONS[word];
+      // Only the last word is a suffix, so "Court Street" becomes "COURT ST"
+      if (i === words.length - 1 && STREET_ABBREVIATIONS[word]) return STREET_ABBREVIATIONS[word];
+      return word;
+    })
+    .join(' ');
+}
+
+// Street name without its suffix ("MAIN ST" -> "MAIN"), for queries that leave it off
+function streetBase(street) {
+  const words = street.split(' ');
+  return words.length > 1 && SUFFIXES.has(words[words.length - 1])
+    ? words.slice(0, -1).join(' ')
+    : street;
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function titleCase(text) {
+  return text
+    .toLowerCase()
+    .replace(/(^|\s)([a-z])/g, (_, space, letter) => space + letter.toUpperCase());
+}
+
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const x = ((lon2 - lon1) * Math.PI * Math.cos(((lat1 + lat2) * Math.PI) / 360)) / 180;
+  const y = ((lat2 - lat1) * Math.PI) / 180;
+  return Math.sqrt(x * x + y * y) * 6371000;
+}
+
+function cellKey(lat, lon) {
+  return `${Math.floor(lat / GRID_SIZE)}:${Math.floor(lon / GRID_SIZE)}`;
+}
+
+/**
+ * Split a free-text address into house number, street and city
+ * @param {string} query - e.g. "455 E Calaveras Blvd Apt 2, Milpitas, CA 95035"
+ * @param {Set<string>} cityNames - Known cities (uppercase)
+ * @returns {{ number: string | null, street: string, city: string | null }}
+ */
+function parseAddress(query, cityNames) {
+  const parts = String(query || '')
+    .toUpperCase()
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => part && !STATE_PATTERN.test(part));
+
+  let streetPart = parts[0] || '';
+  let city = parts.slice(1).find((part) => cityNames.has(part)) || null;
+
+  // "455 Calaveras Blvd Milpitas CA 95035" - peel the city off the end
+  if (!city) {
+    const words = streetPart
+      .replace(/\s+(?:CA|CALIFORNIA)(?:\s+\d{5}(?:-\d{4})?)?$|\s+\d{5}$/, '')
+      .split(/\s+/);
+    for (let take = Math.min(4, words.length - 1); take >= 1; take--) {
+      const candidate = words.slice(-take).join(' ');
+      if (cityNames.has(candidate)) {
+        city = candidate;
+        streetPart = words.slice(0, -take).join(' ');
+        break;
+      }
+    }
+  }
+
+  streetPart = streetPart.replace(UNIT_PATTERN, '');
+  const match = streetPart.match(/^(\d+[A-Z]?(?:-\d+)?)\s+(.+)$/);
+  return {
+    number: match ? match[1] : null,
+    street: normalizeStreet(match ? match[2] : streetPart),
+    city,
+  };
+}
+
+/**
+ * Create a geocoder over a parsed address index
+ * @param {Object<string, Object<string, [number, number]>>} index
+ */
+function createAddressGeocoder(index) {
+  const cities = [];
+  const numbers = [];
+  const streets = [];
+  const streetsByCity = new Map(); // city -> Map(street -> record ids)
+  let count = 0;
+  for (const addresses of Object.values(index)) count += Object.keys(addresses).length;
+  const lats = new Float64Array(count);
+  const lons = new Float64Array(count);
+
+  let id = 0;
+  for (const [city, addresses] of Object.entries(index)) {
+    if (!city) continue;
+    const cityStreets = new Map();
+    streetsByCity.set(city, cityStreets);
+    for (const [key, [lon, lat]] of Object.entries(addresses)) {
+      const space = key.indexOf(' ');
+      if (space === -1) continue;
+      const street = normalizeStreet(key.slice(space + 1));
+      if (!cityStreets.has(street)) cityStreets.set(street, []);
+      cityStreets.get(street).push(id);
+      cities[id] = city;
+      numbers[id] = key.slice(0, space);
+      streets[id] = street;
+      lats[id] = lat;
+      lons[id] = lon;
+      id++;
+    }
+  }
+
+  const grid = new Map();
+  for (let i = 0; i < id; i++) {
+    const key = cellKey(lats[i], lons[i]);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  }
+
+  const cityNames = new Set(streetsByCity.keys());
+
+  function toResult(recordId, { type = 'Point Address', score = 1, includeNumber = true } = {}) {
+    const streetName = titleCase(streets[recordId]);
+    const municipality = titleCase(cities[recordId]);
+    const streetNumber = includeNumber ? numbers[recordId] : undefined;
+    const street = [streetNumber, streetName].filter(Boolean).join(' ');
+    return {
+      type,
+      score,
+      matchConfidence: { score },
+      position: { lat: lats[recordId], lon: lons[recordId] },
+      address: {
+        streetNumber,
+        streetName,
+        municipality,
+        countrySubdivision: 'CA',
+        freeformAddress: `${street}, ${municipality}, CA`,
+      },
+    };
+  }
+
+  // Streets in a city matching a normalized query street, best first
+  function matchStreets(cityStreets, street) {
+    const base = streetBase(street);
+    const maxEdits = base.length >= 10 ? 2 : base.length >= 5 ? 1 : 0;
+    const matches = [];
+    for (const candidate of cityStreets.keys()) {
+      let score = 0;
+      if (candidate === street) {
+        score = 1;
+      } else if (streetBase(candidate) === base) {
+        score = 0.9;
+      } else if (maxEdits > 0) {
+        const distance = editDistance(streetBase(candidate), base, maxEdits);
+        if (distance <= maxEdits) score = 0.8 - 0.1 * distance;
+      }
+      if (score > 0) matches.push({ street: candidate, score });
+    }
+    return matches;
+  }
+
+  /**
+   * Forward geocode a free-text address
+   * @param {string} query
+   * @param {{ limit?: number }} [options]
+   * @returns {object[]} Azure Maps-shaped results, best first
+   */
+  function geocode(query, { limit = DEFAULT_LIMIT } = {}) {
+    const { number, street, city } = parseAddress(query, cityNames);
+    if (!street) return [];
+
+    const results = [];
+    for (const searchCity of city ? [city] : cityNames) {
+      const cityStreets = streetsByCity.get(searchCity);
+      for (const match of matchStreets(cityStreets, street)) {
+        const ids = cityStreets.get(match.street);
+        const exact = number ? ids.find((recordId) => numbers[recordId] === number) : undefined;
+        if (exact !== undefined) {
+          results.push(toResult(exact, { score: match.score }));
+          continue;
+        }
+        // No such house number: place the street at its closest known number
+        const target = parseInt(number, 10);
+        const closest = Number.isFinite(target)
+          ? ids.reduce((best, recordId) =>
+              Math.abs(parseInt(numbers[recordId], 10) - target) <
+              Math.abs(parseInt(numbers[best], 10) - target)
+                ? recordId
+                : best
+            )
+          : ids[0];
+        results.push(
+          toResult(closest, { type: 'Street', score: match.score * 0.7, includeNumber: false })
+        );
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Reverse geocode coordinates to the nearest indexed address
+   * @param {number} lat
+   * @param {number} lon
+   * @param {{ limit?: number, maxDistance?: number }} [options]
+   * @returns {object[]} Azure Maps-shaped results, nearest first
+   */
+  function reverse(lat, lon, { limit = 1, maxDistance = MAX_REVERSE_DISTANCE_M } = {}) {
+    const row = Math.floor(lat / GRID_SIZE);
+    const col = Math.floor(lon / GRID_SIZE);
+    const nearby = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        for (const recordId of grid.get(`${row + dRow}:${col + dCol}`) || []) {
+          const distance = distanceMeters(lat, lon, lats[recordId], lons[recordId]);
+          if (distance <= maxDistance) nearby.push({ recordId, distance });
+        }
+      }
+    }
+    return nearby
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map(({ recordId, distance }) => toResult(recordId, { score: 1 - distance / maxDistance }));
+  }
+
+  return { geocode, reverse, size: id };
+}
+
+const geocoders = new Map();
+
+/**
+ * Read an index file a line at a time. Each line is a `"CITY": {...}` entry
+ * (a single-line index is parsed whole, for files built before the layout
+ * changed).
+ * @param {string} indexPath
+ * @returns {Promise<Object<string, Object<string, [number, number]>>>}
+ */
+async function readAddressIndex(indexPath) {
+  const index = {};
+  const lines = readline.createInterface({
+    input: fs.createReadStream(indexPath, 'utf8'),
+    crlfDelay: Infinity,
+  });
+  for await (const rawLine of lines) {
+    const line = rawLine.trim().replace(/,$/, '');
+    if (!line || line === '{' || line === '}') continue;
+    Object.assign(index, JSON.parse(line.startsWith('{') ? line : `{${line}}`));
+  }
+  return index;
+}
+
+/**
+ * Load the address index once per path. Resolves to null when there is no
+ * index at that path (run scripts/build-address-index.cjs).
+ * @param {string} indexPath
+ * @returns {Promise<ReturnType<typeof createAddressGeocoder> | null>}
+ */
+function loadAddressGeocoder(indexPath) {
+  if (!geocoders.has(indexPath)) {
+    geocoders.set(
+      indexPath,
+      readAddressIndex(indexPath)
+        .then(createAddressGeocoder)
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.error(`Address index at ${indexPath} could not be loaded:`, error.message);
+          }
+          return null;
+        })
+    );
+  }
+  return geocoders.get(indexPath);
+}
+
+module.exports = {
+  normalizeStreet,
+  parseAddress,
+  createAddressGeocoder,
+  readAddressIndex,
+  loadAddressGeocoder,
+};
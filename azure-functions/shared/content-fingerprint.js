@@ -0,0 +1,120 @@
+/**
+ * Content Fingerprints
+ *
+ * MinHash signatures of page text, for telling whether two versions of a page
+ * (or two pages) say roughly the same thing. Similarity is an estimate of the
+ * Jaccard similarity of their 3-word shingles: 1 is identical, 0 is unrelated.
+ *
+ * Usage:
+ *   const { fingerprint, similarity } = require('../shared/content-fingerprint');
+ *   const before = fingerprint(oldText);
+ *   const after = fingerprint(newText);
+ *   if (similarity(before, after) < 0.5) ... // rewritten
+ *
+ * Fingerprints are base64 strings so they can be stored in a table column.
+ */
+
+const NUM_HASHES = 64;
+const SHINGLE_SIZE = 3;
+
+// Fixed seeds so fingerprints are comparable across runs
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9e3779b9) >>> 0);
+
+/**
+ * FNV-1a 32-bit hash
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer: spreads a seeded hash over all 32 bits, giving one
+ * independent hash function per seed
+ */
+function mix(hash, seed) {
+  let h = (hash ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Lowercase words, without punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function shingleHashes(text) {
+  const words = tokenize(text);
+  const hashes = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length > 0) hashes.add(hashString(words.join(' ')));
+    return hashes;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    hashes.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return hashes;
+}
+
+/**
+ * MinHash signature of some text
+ * @param {string} text
+ * @returns {string|null} Base64 signature, or null if the text has no words
+ */
+function fingerprint(text) {
+  const hashes = shingleHashes(text);
+  if (hashes.size === 0) return null;
+
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const hash of hashes) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix(hash, SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return Buffer.from(signature.buffer).toString('base64');
+}
+
+function decode(signature) {
+  const bytes = Buffer.from(signature, 'base64');
+  return new Uint32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4);
+}
+
+/**
+ * Estimated similarity of the texts two fingerprints came from
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  const left = decode(a);
+  const right = decode(b);
+  if (left.length !== right.length) return 0;
+  let matches = 0;
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] === right[i]) matches++;
+  }
+  return matches / left.length;
+}
+
+module.exports = {
+  tokenize,
+  fingerprint,
+  similarity,
+};
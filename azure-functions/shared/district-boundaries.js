@@ -0,0 +1,214 @@
+/**
+ * District Boundary Lookup
+ *
+ * Point-in-polygon against the district snapshots written by
+ * scripts/sync-district-boundaries.cjs (public/api/districts/*.json), so the
+ * congress-lookup function can find congressional, state legislative,
+ * supervisorial and city council districts without calling a live ArcGIS
+ * layer for each one. The snapshots are published with the site, not the
+ * function app, so the function fetches them from the site (as
+ * api/transit-live.js does its timetables). The browser reads the same files
+ * through src/lib/location-resolver.js.
+ *
+ * Snapshot feature properties, by layer:
+ *   congressional:     { district }
+ *   state-legislative: { assembly, senate }
+ *   supervisorial:     { countyFips, county, district }
+ *   council:           { placeGeoid, city, district }
+ *
+ * Usage:
+ *   const { loadDistrictBoundaries, findDistricts } = require('../shared/district-boundaries');
+ *   findDistricts(37.8044, -122.2712, await loadDistrictBoundaries());
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DISTRICT_LAYERS = ['congressional', 'state-legislative', 'supervisorial', 'council'];
+
+// Published snapshots; DISTRICT_BOUNDARIES_DIR reads a local sync instead
+const DISTRICTS_URL =
+  process.env.DISTRICT_BOUNDARIES_URL || 'https://baynavigator.org/api/districts';
+const DATA_DIR = process.env.DISTRICT_BOUNDARIES_DIR || null;
+// Snapshots change monthly; refetch a few times a day
+const SNAPSHOT_TTL = 6 * 60 * 60 * 1000; // 6 hours
+
+// CA Assembly/Senate overlay: each polygon carries both districts
+const STATE_LEGISLATIVE_LAYER =
+  'https://services5.arcgis.com/0CGHmi5SBMvfD65u/arcgis/rest/services/AD_SD_2021_DistrictOverlay/FeatureServer/2';
+
+/**
+ * District number from a layer attribute: applies the layer's id mapping
+ * (Alameda's DISTRICT_ID 644-648), then reads the number from values like
+ * "District 3" or "03"
+ * @param {*} value
+ * @param {Object<string, number>} [mapping]
+ * @returns {number | null}
+ */
+function toDistrictNumber(value, mapping) {
+  if (value == null || value === '') return null;
+  if (mapping && mapping[value] != null) return mapping[value];
+  const number = parseInt(String(value).match(/\d+/)?.[0], 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Ray casting against one ring of [lng, lat] positions (as in src/lib/location-resolver.js)
+function isInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point falls inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ type: string, coordinates: Array }} geometry
+ * @returns {boolean}
+ */
+function isPointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+  const polygons =
+    geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon'
+        ? geometry.coordinates
+        : [];
+  return polygons.some(
+    ([outer, ...holes]) =>
+      isInRing(lng, lat, outer) && !holes.some((hole) => isInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Properties of the first feature containing a point
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ features: Array } | null} collection
+ * @param {(properties: object) => boolean} [filter] - e.g. only one county's districts
+ * @returns {object | null}
+ */
+function findFeatureAt(lat, lng, collection, filter) {
+  const feature = (collection?.features || []).find(
+    (f) => (!filter || filter(f.properties)) && isPointInGeometry(lat, lng, f.geometry)
+  );
+  return feature ? feature.properties : null;
+}
+
+/**
+ * Every district containing a point. Layers missing from the snapshot, and
+ * points outside them, come back null.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object<string, { features: Array } | null>} boundaries - From loadDistrictBoundaries()
+ * @returns {{ congressional: number|null, assembly: number|null, senate: number|null,
+ *   supervisorial: { countyFips: string, county: string, district: number } | null,
+ *   council: { placeGeoid: string, city: string, district: number } | null }}
+ */
+function findDistricts(lat, lng, boundaries) {
+  const congressional = findFeatureAt(lat, lng, boundaries['congressional']);
+  const state = findFeatureAt(lat, lng, boundaries['state-legislative']);
+  const supervisorial = findFeatureAt(lat, lng, boundaries['supervisorial']);
+  const council = findFeatureAt(lat, lng, boundaries['council']);
+  return {
+    congressional: congressional?.district ?? null,
+    assembly: state?.assembly ?? null,
+    senate: state?.senate ?? null,
+    supervisorial: supervisorial
+      ? {
+          countyFips: supervisorial.countyFips,
+          county: supervisorial.county,
+          district: supervisorial.district,
+        }
+      : null,
+    council: council
+      ? { placeGeoid: council.placeGeoid, city: council.city, district: council.district }
+      : null,
+  };
+}
+
+const cache = new Map();
+
+/**
+ * Read snapshots from a directory, e.g. a local sync during development
+ * @param {string} dataDir
+ * @returns {Object<string, { features: Array, metadata?: object } | null>}
+ */
+function readDistrictBoundaries(dataDir) {
+  const boundaries = {};
+  for (const layer of DISTRICT_LAYERS) {
+    try {
+      boundaries[layer] = JSON.parse(fs.readFileSync(path.join(dataDir, `${layer}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`District boundaries for ${layer} could not be loaded:`, error.message);
+      }
+      boundaries[layer] = null;
+    }
+  }
+  return boundaries;
+}
+
+async function fetchLayer(layer, baseUrl, fetchFn) {
+  const response = await fetchFn(`${baseUrl}/${layer}.json`);
+  // Not synced yet
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`${layer}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Load the district snapshots, cached for SNAPSHOT_TTL. A layer that hasn't
+ * been synced yet is null, so callers fall back to the live layers; a layer
+ * that fails to load keeps its last good copy.
+ * @param {{ dataDir?: string|null, baseUrl?: string, fetchFn?: typeof fetch, now?: number }} [options]
+ * @returns {Promise<Object<string, { features: Array, metadata?: object } | null>>}
+ */
+async function loadDistrictBoundaries({
+  dataDir = DATA_DIR,
+  baseUrl = DISTRICTS_URL,
+  fetchFn = fetch,
+  now = Date.now(),
+} = {}) {
+  const key = dataDir || baseUrl;
+  const cached = cache.get(key);
+  if (cached && (dataDir || now - cached.timestamp < SNAPSHOT_TTL)) {
+    return cached.boundaries;
+  }
+  if (dataDir) {
+    const boundaries = readDistrictBoundaries(dataDir);
+    cache.set(key, { boundaries, timestamp: now });
+    return boundaries;
+  }
+
+  const layers = await Promise.all(
+    DISTRICT_LAYERS.map((layer) =>
+      fetchLayer(layer, baseUrl, fetchFn).catch((error) => {
+        console.error(`District boundaries for ${layer} could not be fetched:`, error.message);
+        return cached?.boundaries[layer] ?? null;
+      })
+    )
+  );
+  const boundaries = Object.fromEntries(DISTRICT_LAYERS.map((layer, i) => [layer, layers[i]]));
+  cache.set(key, { boundaries, timestamp: now });
+  return boundaries;
+}
+
+module.exports = {
+  DISTRICT_LAYERS,
+  STATE_LEGISLATIVE_LAYER,
+  toDistrictNumber,
+  isPointInGeometry,
+  findFeatureAt,
+  findDistricts,
+  readDistrictBoundaries,
+  loadDistrictBoundaries,
+};
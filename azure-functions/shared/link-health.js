@@ -0,0 +1,481 @@
+/**
+ * Link Health Checks
+ *
+ * Checks program URLs for the link-checker function: follows redirect chains,
+ * flags redirects to a site's homepage or another domain, spots "soft 404s"
+ * (error pages served with HTTP 200), and fingerprints page text so content
+ * changes can be reported between runs.
+ *
+ * Usage:
+ *   const { checkUrl, assessLink } = require('../shared/link-health');
+ *   const result = await checkUrl('https://example.org/program');
+ *   const problem = assessLink(result, { previous, notFoundFingerprint });
+ *   // null, or { type: 'broken'|'soft-404'|'redirected'|'content-changed', detail }
+ *
+ * Fingerprints from the last run are kept in the 'linkfingerprints' table of
+ * the function app's storage account, one row per program.
+ */
+
+const https = require('https');
+const http = require('http');
+const { fingerprint, similarity } = require('./content-fingerprint');
+
+const USER_AGENT = 'BayNavigator-LinkChecker/2.0';
+const MAX_REDIRECTS = 10;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// A page this similar to a site's own not-found page is treated as one
+const SOFT_404_SIMILARITY = 0.8;
+// A page less similar than this to last run's version has been rewritten
+const CONTENT_CHANGE_SIMILARITY = 0.5;
+
+const FINGERPRINT_TABLE = 'linkfingerprints';
+const FINGERPRINT_PARTITION = 'programs';
+
+// Error-page titles, and phrases that only mean "not found" on short pages
+// "error" alone isn't enough: plenty of real program pages are about errors
+// ("Report a Billing Error"), and error pages say 404 or not found anyway
+const SOFT_404_TITLE =
+  /\b(404|page not found|not found|page (?:does not|doesn't) exist|page unavailable)\b/i;
+const SOFT_404_PHRASES = [
+  /page (?:you (?:are|were|'re) looking for|you requested) (?:could not|cannot|can't|was not|wasn't) (?:be )?found/i,
+  /\bpage (?:not found|(?:does not|doesn't|no longer) exists?)\b/i,
+  /\b(?:this|the) (?:page|program|content) (?:is no longer available|has been (?:removed|moved|deleted))\b/i,
+  /\bsorry,? (?:we|we're|we are) (?:couldn't|could not|can't|cannot) find\b/i,
+];
+const SHORT_PAGE_CHARS = 3000;
+
+// Public suffixes with two labels, for telling domains apart. State .gov
+// domains that give each agency a subdomain (dmv.ca.gov, cdss.ca.gov) count
+// too; va.gov is Veterans Affairs, not a state, so states aren't listed wholesale.
+const TWO_LABEL_SUFFIXES = new Set([
+  'ca.us',
+  'co.us',
+  'k12.ca.us',
+  'state.ca.us',
+  'ca.gov',
+  'ny.gov',
+  'nc.gov',
+  'wa.gov',
+  'co.uk',
+  'org.uk',
+  'gov.uk',
+]);
+
+/**
+ * One GET request without following redirects
+ * @returns {Promise<{ status: number, headers: object, body: string }>}
+ */
+function request(url, { timeout = 10000, readBody = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const req = client.get(
+      url,
+      {
+        timeout,
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'text/html,application/xhtml+xml,*/*;q=0.8',
+        },
+      },
+      (res) => {
+        const isHtml = /html/i.test(res.headers['content-type'] || '');
+        if (!readBody || !isHtml || (res.statusCode >= 300 && res.statusCode < 400)) {
+          res.resume();
+          resolve({ status: res.statusCode, headers: res.headers, body: '' });
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        res.on('data', (chunk) => {
+          size += chunk.length;
+          if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+          else res.destroy();
+        });
+        const done = () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8'),
+          });
+        res.on('end', done);
+        res.on('close', done);
+      }
+    );
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error('Timeout'));
+    });
+  });
+}
+
+/**
+ * Registrable domain, e.g. www.sfgov.org -> sfgov.org, ci.oakland.ca.us -> oakland.ca.us
+ * @param {string} hostname
+ * @returns {string}
+ */
+function siteDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  for (const size of [3, 2]) {
+    if (labels.length > size && TWO_LABEL_SUFFIXES.has(labels.slice(-size).join('.'))) {
+      return labels.slice(-(size + 1)).join('.');
+    }
+  }
+  return labels.slice(-2).join('.');
+}
+
+function isRootPath(pathname) {
+  return /^\/(?:(?:index|default|home)(?:\.\w+)?)?$/i.test(pathname);
+}
+
+/**
+ * Why a redirect looks like the program page went away, if it does
+ * @param {string} fromUrl - URL in the program data
+ * @param {string} toUrl - Where the redirect chain ended
+ * @returns {'cross-domain'|'root'|null}
+ */
+function classifyRedirect(fromUrl, toUrl) {
+  const from = new URL(fromUrl);
+  const to = new URL(toUrl);
+  if (siteDomain(from.hostname) !== siteDomain(to.hostname)) return 'cross-domain';
+  if (isRootPath(to.pathname) && !isRootPath(from.pathname)) return 'root';
+  return null;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Title and visible text of an HTML page (scripts, styles and navigation removed)
+ * @param {string} html
+ * @returns {{ title: string, text: string }}
+ */
+function extractPageText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const text = html
+    .replace(/<(head|title|script|style|noscript|svg|nav|header|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ');
+  return {
+    title: titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '',
+    text: decodeEntities(text).replace(/\s+/g, ' ').trim(),
+  };
+}
+
+/**
+ * Why a page served with HTTP 200 looks like an error page, if it does
+ * @param {{ title: string, text: string, fingerprint?: string }} page
+ * @param {string|null} [notFoundFingerprint] - The site's response to a URL that doesn't exist
+ * @returns {string|null}
+ */
+function findSoft404(page, notFoundFingerprint = null) {
+  if (SOFT_404_TITLE.test(page.title)) {
+    return `Page title is "${page.title}"`;
+  }
+  if (page.text.length < SHORT_PAGE_CHARS) {
+    const phrase = SOFT_404_PHRASES.map((pattern) => page.text.match(pattern)).find(Boolean);
+    if (phrase) return `Page says "${phrase[0]}"`;
+  }
+  if (notFoundFingerprint && page.fingerprint) {
+    const score = similarity(page.fingerprint, notFoundFingerprint);
+    if (score >= SOFT_404_SIMILARITY) {
+      return `Page matches the site's not-found page (${Math.round(score * 100)}% similar)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a URL, following redirects
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Per request, in ms
+ * @param {Function} [options.request] - For tests; defaults to an http(s) GET
+ * @returns {Promise<object>} { url, ok, status, finalUrl, chain, redirectIssue,
+ *   title, text, fingerprint, error, duration }
+ */
+async function checkUrl(url, { timeout = 10000, request: get = request } = {}) {
+  const startTime = Date.now();
+  const chain = [];
+  const result = (fields) => ({
+    url,
+    chain,
+    finalUrl: chain.length ? chain[chain.length - 1].url : url,
+    redirectIssue: null,
+    title: '',
+    text: '',
+    fingerprint: null,
+    error: null,
+    duration: Date.now() - startTime,
+    ...fields,
+  });
+
+  let current;
+  try {
+    current = new URL(url).href;
+  } catch (error) {
+    return result({ status: 0, ok: false, error: `Invalid URL: ${error.message}` });
+  }
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let response;
+    try {
+      response = await get(current, { timeout });
+    } catch (error) {
+      return result({ status: 0, ok: false, error: error.message });
+    }
+    chain.push({ url: current, status: response.status });
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      try {
+        current = new URL(location, current).href;
+      } catch {
+        return result({ status: response.status, ok: false, error: 'Invalid redirect' });
+      }
+      if (chain.some((step) => step.url === current)) {
+        return result({ status: response.status, ok: false, error: 'Redirect loop' });
+      }
+      continue;
+    }
+
+    const page = response.body ? extractPageText(response.body) : { title: '', text: '' };
+    return result({
+      status: response.status,
+      ok: response.status >= 200 && response.status < 300,
+      error: response.status >= 400 ? `HTTP ${response.status}` : null,
+      redirectIssue: chain.length > 1 ? classifyRedirect(url, current) : null,
+      ...page,
+      fingerprint: fingerprint(page.text),
+    });
+  }
+
+  return result({ status: 0, ok: false, error: `More than ${MAX_REDIRECTS} redirects` });
+}
+
+/**
+ * Fingerprint of what a site serves for a page that doesn't exist, if it
+ * serves one with HTTP 200 (a site that soft-404s everything)
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<string|null>}
+ */
+async function probeNotFoundPage(url, { timeout = 10000, request: get = request } = {}) {
+  const probe = new URL(`/baynavigator-link-check-${Date.now().toString(36)}`, url).href;
+  try {
+    const response = await get(probe, { timeout });
+    if (response.status !== 200 || !response.body) return null;
+    return fingerprint(extractPageText(response.body).text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What's wrong with a checked link, if anything
+ * @param {object} result - From checkUrl
+ * @param {object} [options]
+ * @param {{ url: string, fingerprint: string }|null} [options.previous] - Stored from the last run
+ * @param {string|null} [options.notFoundFingerprint] - From probeNotFoundPage
+ * @returns {{ type: string, detail: string }|null}
+ */
+function assessLink(result, { previous = null, notFoundFingerprint = null } = {}) {
+  if (!result.ok) {
+    return { type: 'broken', detail: result.error || `HTTP ${result.status}` };
+  }
+
+  const soft404 = findSoft404(result, notFoundFingerprint);
+  if (soft404) return { type: 'soft-404', detail: soft404 };
+
+  if (result.redirectIssue === 'cross-domain') {
+    return { type: 'redirected', detail: `Redirects to another site: ${result.finalUrl}` };
+  }
+  if (result.redirectIssue === 'root') {
+    return { type: 'redirected', detail: `Redirects to the homepage: ${result.finalUrl}` };
+  }
+
+  if (previous && previous.url === result.url && previous.fingerprint && result.fingerprint) {
+    const score = similarity(previous.fingerprint, result.fingerprint);
+    if (score < CONTENT_CHANGE_SIMILARITY) {
+      return {
+        type: 'content-changed',
+        detail: `Page content changed since ${previous.checkedAt || 'the last check'} (${Math.round(score * 100)}% similar)`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Per-program fingerprints from the last run, in an Azure Storage table
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ */
+function createFingerprintStore(tableClient) {
+  let tableReady = null;
+
+  async function ensureTable() {
+    if (!tableReady) {
+      tableReady = tableClient.createTable().catch((error) => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  return {
+    /**
+     * @returns {Promise<Map<string, { url: string, fingerprint: string, title: string, checkedAt: string }>>}
+     */
+    async loadAll() {
+      await ensureTable();
+      const fingerprints = new Map();
+      const filter = `PartitionKey eq '${FINGERPRINT_PARTITION}'`;
+      for await (const entity of tableClient.listEntities({ queryOptions: { filter } })) {
+        fingerprints.set(decodeURIComponent(entity.rowKey), {
+          url: entity.url,
+          fingerprint: entity.fingerprint,
+          title: entity.title || '',
+          checkedAt: entity.checkedAt,
+        });
+      }
+      return fingerprints;
+    },
+
+    async save(programId, { url, fingerprint: value, title, checkedAt }) {
+      await ensureTable();
+      await tableClient.upsertEntity(
+        {
+          partitionKey: FINGERPRINT_PARTITION,
+          // Row keys can't contain / \ # or ?
+          rowKey: encodeURIComponent(programId),
+          url,
+          fingerprint: value,
+          title: (title || '').slice(0, 500),
+          checkedAt,
+        },
+        'Replace'
+      );
+    },
+  };
+}
+
+const PROBLEM_SECTIONS = [
+  ['broken', 'Broken links'],
+  ['soft-404', 'Pages that say they no longer exist'],
+  ['redirected', 'Moved pages'],
+  ['content-changed', 'Pages whose content changed'],
+];
+
+/**
+ * Data file a program comes from (its category's YAML file)
+ * @param {{ category?: string }} program
+ * @returns {string}
+ */
+function sourceFileFor(program) {
+  return program.category ? `src/data/${program.category}.yml` : 'src/data (unknown file)';
+}
+
+/**
+ * Problems grouped by the data file to fix them in
+ * @param {Array<{ program: object }>} problems
+ * @returns {Map<string, Array>} Sorted by file
+ */
+function groupBySourceFile(problems) {
+  const groups = new Map();
+  for (const problem of problems) {
+    const file = sourceFileFor(problem.program);
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(problem);
+  }
+  return new Map([...groups].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function issueTitle(sourceFile) {
+  return `🔗 Link problems in ${sourceFile}`;
+}
+
+/**
+ * GitHub issue for one data file's link problems
+ * @param {string} sourceFile
+ * @param {Array<{ program: object, url: string, type: string, detail: string }>} problems
+ * @param {object} [options]
+ * @param {string} [options.repo] - owner/name, for linking to the file
+ * @param {Date} [options.now]
+ * @returns {{ title: string, body: string }}
+ */
+function formatIssue(sourceFile, problems, { repo, now = new Date() } = {}) {
+  const fileLink = repo
+    ? `[${sourceFile}](https://github.com/${repo}/blob/main/${sourceFile})`
+    : `\`${sourceFile}\``;
+  const sections = PROBLEM_SECTIONS.map(([type, heading]) => {
+    const matching = problems.filter((problem) => problem.type === type);
+    if (matching.length === 0) return null;
+    const items = matching.map(
+      (problem) =>
+        `- [ ] **${problem.program.name}** (\`${problem.program.id}\`)\n  ${problem.url}\n  ${problem.detail}`
+    );
+    return `### ${heading} (${matching.length})\n\n${items.join('\n')}`;
+  }).filter(Boolean);
+
+  return {
+    title: issueTitle(sourceFile),
+    body: `The weekly link checker found **${problems.length}** problem(s) with program links in ${fileLink}.
+
+${sections.join('\n\n')}
+
+---
+*This issue is updated by the Azure Functions link checker on each run and closed once every link in the file passes.*
+*Last run: ${now.toISOString()}*`,
+  };
+}
+
+let fingerprintStore;
+
+/**
+ * Shared store using the function app's storage account, or null if none is
+ * configured (content changes are then not tracked)
+ */
+function getFingerprintStore() {
+  if (fingerprintStore === undefined) {
+    const connectionString = process.env.AzureWebJobsStorage;
+    if (connectionString) {
+      const { TableClient } = require('@azure/data-tables');
+      fingerprintStore = createFingerprintStore(
+        TableClient.fromConnectionString(connectionString, FINGERPRINT_TABLE)
+      );
+    } else {
+      fingerprintStore = null;
+    }
+  }
+  return fingerprintStore;
+}
+
+module.exports = {
+  siteDomain,
+  classifyRedirect,
+  extractPageText,
+  findSoft404,
+  checkUrl,
+  probeNotFoundPage,
+  assessLink,
+  sourceFileFor,
+  groupBySourceFile,
+  issueTitle,
+  formatIssue,
+  createFingerprintStore,
+  getFingerprintStore,
+};
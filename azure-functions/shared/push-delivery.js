@@ -0,0 +1,271 @@
+/**
+ * Push Notification Delivery
+ *
+ * Sends notifications through Azure Notification Hub, applying priority and
+ * quiet hours (see push-schedule.js). Shared by push-send, which delivers
+ * new notifications, and push-queue, which drains deferred and scheduled sends.
+ *
+ * Usage:
+ *   const { deliverNotification } = require('../shared/push-delivery');
+ *   await deliverNotification(context, { notification, tagExpression, priority: 'normal' });
+ */
+
+const {
+  planDelivery,
+  nextDigestTime,
+  buildDigestNotification,
+  getPushQueue,
+} = require('./push-schedule');
+
+const DEFAULT_PLATFORMS = ['web', 'ios', 'android'];
+
+// Notification Hub client (lazy init)
+let hubClient = null;
+
+function getHubClient() {
+  if (!hubClient) {
+    const connectionString = process.env.NOTIFICATION_HUB_CONNECTION;
+    const hubName = process.env.NOTIFICATION_HUB_NAME || 'baynavigator-hub';
+
+    if (!connectionString) {
+      throw new Error('NOTIFICATION_HUB_CONNECTION_STRING not configured');
+    }
+
+    const { NotificationHubsClient } = require('@azure/notification-hubs');
+    hubClient = new NotificationHubsClient(connectionString, hubName);
+  }
+  return hubClient;
+}
+
+/**
+ * Build platform-specific notification payloads
+ */
+function buildNotificationPayloads(notification, priority = 'normal') {
+  const { title, body, data = {}, badge, sound = 'default' } = notification;
+  const critical = priority === 'critical';
+
+  return {
+    // Web Push (Browser)
+    browser: JSON.stringify({
+      title,
+      body,
+      icon: '/assets/images/favicons/favicon-192.webp',
+      badge: '/assets/images/favicons/badge-72.webp',
+      tag: data.tag || 'baynavigator',
+      data: { ...data, priority },
+      requireInteraction: data.requireInteraction || critical,
+      silent: priority === 'digest',
+    }),
+
+    // APNs (iOS/macOS)
+    apns: JSON.stringify({
+      aps: {
+        alert: { title, body },
+        badge: badge || 0,
+        sound,
+        'thread-id': data.threadId || 'default',
+        'mutable-content': 1,
+        'interruption-level': critical ? 'time-sensitive' : 'active',
+      },
+      ...data,
+    }),
+
+    // FCM (Android)
+    fcm: JSON.stringify({
+      notification: { title, body },
+      android: {
+        priority: critical ? 'high' : 'normal',
+        notification: {
+          channelId: data.channelId || 'default',
+          icon: 'ic_notification',
+          color: '#0d9488',
+        },
+      },
+      data: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)])),
+    }),
+  };
+}
+
+/**
+ * Send to devices matching a tag expression on each platform
+ * @returns {Promise<{ sent: object[], failed: object[] }>}
+ */
+async function sendToPlatforms(
+  context,
+  { notification, tagExpression, priority, platforms = DEFAULT_PLATFORMS }
+) {
+  const client = getHubClient();
+  const payloads = buildNotificationPayloads(notification, priority);
+  const results = { sent: [], failed: [] };
+  const messages = {
+    web: { body: payloads.browser, platform: 'browser' },
+    ios: { body: payloads.apns, platform: 'apns' },
+    android: { body: payloads.fcm, platform: 'fcm' },
+  };
+
+  for (const platform of platforms) {
+    if (!messages[platform]) continue;
+    try {
+      const result = await client.sendNotification(messages[platform], { tagExpression });
+      results.sent.push({ platform, trackingId: result?.trackingId });
+      context.log(`Sent notification to ${platform}: ${result?.trackingId}`);
+    } catch (platformError) {
+      context.log.error(`Failed to send to ${platform}:`, platformError);
+      results.failed.push({ platform, error: platformError.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Deliver a notification by priority: send what's due now and queue the rest
+ * @param {object} context - Function context (for logging)
+ * @param {object} request
+ * @param {object} request.notification - { title, body, data }
+ * @param {string|null} request.tagExpression - Validated target, or null for everyone
+ * @param {string} [request.priority] - critical, normal (default) or digest
+ * @param {string[]} [request.platforms]
+ * @param {Date} [request.sendAt] - Send later instead of now
+ * @param {object} [options]
+ * @param {object} [options.queue] - Defaults to the shared table queue
+ * @param {Function} [options.send] - Defaults to sendToPlatforms
+ * @param {Date} [options.now]
+ * @returns {Promise<{ results?: object, deferred?: number, queuedFor?: Date }>}
+ */
+async function deliverNotification(context, request, options = {}) {
+  const { notification, tagExpression, priority = 'normal', platforms, sendAt } = request;
+  const now = options.now || new Date();
+  const send = options.send || sendToPlatforms;
+  const queue = () => options.queue || getPushQueue();
+
+  if (sendAt && sendAt > now) {
+    await queue().enqueue({
+      sendAt,
+      type: 'scheduled',
+      priority,
+      tagExpression,
+      notification,
+      platforms,
+    });
+    return { queuedFor: sendAt };
+  }
+
+  if (priority === 'digest') {
+    const digestAt = nextDigestTime(now);
+    await queue().enqueue({
+      sendAt: digestAt,
+      type: 'digest',
+      priority,
+      tagExpression,
+      notification,
+      platforms,
+    });
+    return { queuedFor: digestAt };
+  }
+
+  const [immediate, ...later] = planDelivery({ tagExpression, priority, now });
+  const results = await send(context, {
+    notification,
+    tagExpression: immediate.tagExpression,
+    priority,
+    platforms,
+  });
+
+  // A failed send is retried from the start (drainQueue keeps the item), so
+  // queueing the quiet-hours sends now would queue them again on every retry
+  if (everyPlatformFailed(results)) {
+    return { results, deferred: 0 };
+  }
+
+  for (const deferred of later) {
+    await queue().enqueue({ ...deferred, type: 'deferred', priority, notification, platforms });
+  }
+  return { results, deferred: later.length };
+}
+
+/**
+ * sendToPlatforms reports per-platform failures instead of throwing
+ * @param {{ sent: object[], failed: object[] }} results
+ * @returns {boolean}
+ */
+function everyPlatformFailed(results) {
+  return Boolean(results && results.sent?.length === 0 && results.failed?.length > 0);
+}
+
+/**
+ * Send everything in the queue that's due. Digests for the same audience are
+ * combined into one notification. Items that fail, including sends every
+ * platform rejected, stay queued for the next run.
+ * @param {object} context
+ * @param {object} [options] - queue, send and now, as for deliverNotification
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+async function drainQueue(context, options = {}) {
+  const queue = options.queue || getPushQueue();
+  const send = options.send || sendToPlatforms;
+  const now = options.now || new Date();
+  const due = await queue.listDue(now);
+  const summary = { sent: 0, failed: 0 };
+
+  const digests = new Map();
+  for (const item of due) {
+    if (item.type !== 'digest') continue;
+    const key = `${item.tagExpression || ''}|${(item.platforms || []).join(',')}`;
+    if (!digests.has(key)) digests.set(key, []);
+    digests.get(key).push(item);
+  }
+
+  const attempt = async (items, run) => {
+    try {
+      const outcome = await run();
+      // deliverNotification wraps the send results; a send that was queued again has none
+      const results = outcome && 'results' in outcome ? outcome.results : outcome;
+      if (everyPlatformFailed(results)) {
+        throw new Error(
+          `every platform failed (${results.failed.map((f) => f.platform).join(', ')})`
+        );
+      }
+      for (const item of items) await queue.remove(item.id);
+      summary.sent += items.length;
+    } catch (error) {
+      context.log.error('Queued notification failed:', error.message);
+      summary.failed += items.length;
+    }
+  };
+
+  for (const item of due) {
+    if (item.type === 'deferred') {
+      await attempt([item], () => send(context, item));
+    } else if (item.type === 'scheduled') {
+      await attempt([item], () =>
+        deliverNotification(context, { ...item, sendAt: null }, { queue, send, now })
+      );
+    }
+  }
+
+  for (const items of digests.values()) {
+    const [first] = items;
+    await attempt(items, () =>
+      deliverNotification(
+        context,
+        {
+          notification: buildDigestNotification(items.map((item) => item.notification)),
+          tagExpression: first.tagExpression,
+          priority: 'normal',
+          platforms: first.platforms,
+        },
+        { queue, send, now }
+      )
+    );
+  }
+
+  return summary;
+}
+
+module.exports = {
+  buildNotificationPayloads,
+  sendToPlatforms,
+  deliverNotification,
+  drainQueue,
+};
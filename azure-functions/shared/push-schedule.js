@@ -0,0 +1,216 @@
+/**
+ * Push Notification Scheduling
+ *
+ * Plans when notifications go out based on their priority and devices'
+ * quiet hours, and keeps the queue of sends waiting for later.
+ *
+ * Priorities:
+ *   critical - Sent to every matching device now (earthquakes, AMBER alerts)
+ *   normal   - Sent now to devices outside their quiet hours; devices in quiet
+ *              hours get it when their quiet window ends
+ *   digest   - Batched with other digest items and sent at PUSH_DIGEST_HOUR
+ *
+ * Quiet hours are stored as quiet:<hour> tags at registration (see
+ * push-tags.js). A normal notification sent at hour h goes now to
+ * "!quiet:h", and at each later hour h+k to "quiet:h && quiet:h+k-1 && !quiet:h+k":
+ * devices whose quiet window, containing h, ends at h+k. Each device gets it once.
+ *
+ * The queue is an Azure Storage table drained by the push-queue timer function.
+ */
+
+const crypto = require('crypto');
+const { MAX_QUIET_HOURS, parseTagExpression } = require('./push-tags');
+
+const PRIORITIES = ['critical', 'normal', 'digest'];
+const TIME_ZONE = 'America/Los_Angeles';
+const DIGEST_HOUR = Number(process.env.PUSH_DIGEST_HOUR || 9);
+const HOUR_MS = 60 * 60 * 1000;
+
+const QUEUE_TABLE = 'pushqueue';
+const QUEUE_PARTITION = 'pending';
+
+const hourFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hour: 'numeric',
+  hourCycle: 'h23',
+});
+
+/**
+ * Hour of the day (0-23) in Bay Area time
+ * @param {Date} date
+ * @returns {number}
+ */
+function pacificHour(date) {
+  return Number(hourFormat.formatToParts(date).find((part) => part.type === 'hour').value);
+}
+
+function startOfHour(date) {
+  return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+function withTerms(tagExpression, terms) {
+  const parts = tagExpression ? [`(${tagExpression})`, ...terms] : terms;
+  return parseTagExpression(parts.join(' && ')).expression;
+}
+
+/**
+ * Split a notification into the sends that deliver it
+ * @param {object} options
+ * @param {string|null} options.tagExpression - Validated target, or null for everyone
+ * @param {string} options.priority - critical or normal
+ * @param {Date} [options.now]
+ * @returns {{ sendAt: Date, tagExpression: string|null }[]} First entry is sent now
+ * @throws {Error} If the target plus quiet-hour terms is over the hub's tag limit
+ */
+function planDelivery({ tagExpression, priority, now = new Date() }) {
+  if (priority === 'critical') {
+    return [{ sendAt: now, tagExpression }];
+  }
+
+  const hour = pacificHour(now);
+  const sends = [{ sendAt: now, tagExpression: withTerms(tagExpression, [`!quiet:${hour}`]) }];
+
+  for (let k = 1; k <= MAX_QUIET_HOURS; k++) {
+    const terms = [`quiet:${hour}`];
+    if (k > 1) terms.push(`quiet:${(hour + k - 1) % 24}`);
+    terms.push(`!quiet:${(hour + k) % 24}`);
+    sends.push({
+      sendAt: new Date(startOfHour(now).getTime() + k * HOUR_MS),
+      tagExpression: withTerms(tagExpression, terms),
+    });
+  }
+
+  return sends;
+}
+
+/**
+ * Next time digests go out (the start of DIGEST_HOUR, Bay Area time)
+ * @param {Date} [now]
+ * @param {number} [digestHour]
+ * @returns {Date}
+ */
+function nextDigestTime(now = new Date(), digestHour = DIGEST_HOUR) {
+  let candidate = startOfHour(now);
+  for (let i = 0; i < 26; i++) {
+    candidate = new Date(candidate.getTime() + HOUR_MS);
+    if (pacificHour(candidate) === digestHour) return candidate;
+  }
+  return candidate;
+}
+
+/**
+ * Combine digest items for the same audience into one notification
+ * @param {object[]} notifications
+ * @returns {object}
+ */
+function buildDigestNotification(notifications) {
+  if (notifications.length === 1) return notifications[0];
+
+  const titles = notifications.map((notification) => notification.title);
+  let body = titles.slice(0, 3).join('; ');
+  if (titles.length > 3) body += `; and ${titles.length - 3} more`;
+
+  return {
+    title: `${notifications.length} updates from Bay Navigator`,
+    body,
+    data: { type: 'digest', tag: 'baynavigator-digest' },
+  };
+}
+
+/**
+ * Queue of sends waiting for a later time, stored in an Azure Storage table.
+ * Row keys start with the send time so due sends are a range query.
+ * @param {import('@azure/data-tables').TableClient} tableClient
+ */
+function createPushQueue(tableClient) {
+  let tableReady = null;
+
+  async function ensureTable() {
+    if (!tableReady) {
+      tableReady = tableClient.createTable().catch((error) => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  return {
+    /**
+     * @param {object} item
+     * @param {Date} item.sendAt
+     * @param {string} item.type - deferred (send as is), scheduled (plan at sendAt) or digest
+     * @param {string} item.priority
+     * @param {string|null} item.tagExpression
+     * @param {object} item.notification
+     * @param {string[]} [item.platforms]
+     */
+    async enqueue({ sendAt, type, priority, tagExpression, notification, platforms }) {
+      await ensureTable();
+      const entity = {
+        partitionKey: QUEUE_PARTITION,
+        rowKey: `${sendAt.toISOString()}_${crypto.randomUUID()}`,
+        type,
+        priority,
+        tagExpression: tagExpression || '',
+        notification: JSON.stringify(notification),
+        platforms: platforms ? JSON.stringify(platforms) : '',
+      };
+      await tableClient.createEntity(entity);
+      return entity.rowKey;
+    },
+
+    /**
+     * Sends due at or before `now`, oldest first
+     * @param {Date} [now]
+     */
+    async listDue(now = new Date()) {
+      await ensureTable();
+      const filter = `PartitionKey eq '${QUEUE_PARTITION}' and RowKey lt '${now.toISOString()}~'`;
+      const items = [];
+      for await (const entity of tableClient.listEntities({ queryOptions: { filter } })) {
+        items.push({
+          id: entity.rowKey,
+          sendAt: new Date(entity.rowKey.split('_')[0]),
+          type: entity.type,
+          priority: entity.priority,
+          tagExpression: entity.tagExpression || null,
+          notification: JSON.parse(entity.notification),
+          platforms: entity.platforms ? JSON.parse(entity.platforms) : undefined,
+        });
+      }
+      return items.sort((a, b) => a.sendAt - b.sendAt);
+    },
+
+    async remove(id) {
+      await tableClient.deleteEntity(QUEUE_PARTITION, id);
+    },
+  };
+}
+
+let pushQueue = null;
+
+/**
+ * Shared queue using the function app's storage account
+ */
+function getPushQueue() {
+  if (!pushQueue) {
+    const connectionString = process.env.PUSH_QUEUE_CONNECTION || process.env.AzureWebJobsStorage;
+    if (!connectionString) {
+      throw new Error('PUSH_QUEUE_CONNECTION or AzureWebJobsStorage not configured');
+    }
+    const { TableClient } = require('@azure/data-tables');
+    pushQueue = createPushQueue(TableClient.fromConnectionString(connectionString, QUEUE_TABLE));
+  }
+  return pushQueue;
+}
+
+module.exports = {
+  PRIORITIES,
+  pacificHour,
+  planDelivery,
+  nextDigestTime,
+  buildDigestNotification,
+  createPushQueue,
+  getPushQueue,
+};
@@ -0,0 +1,323 @@
+/**
+ * Push Notification Tag Taxonomy
+ *
+ * Defines the tags devices are registered under in Azure Notification Hub
+ * and the tag expressions push-send accepts for targeting them.
+ *
+ * Tags:
+ *   platform:<web|ios|android>
+ *   county:<slug>        county:marin, county:san-francisco
+ *   category:<id>        category:utilities (ids from /api/categories.json)
+ *   program:<id>         program:liheap (saved programs)
+ *   alert:<type>         alert:weather, alert:missing-persons, ...
+ *   quiet:<hour>         quiet:22 ... quiet:6, one per quiet hour (Pacific time)
+ *
+ * Expressions combine tags with && (AND), || (OR), ! (NOT) and parentheses,
+ * e.g. "alert:weather && county:marin" or "program:liheap && !county:napa".
+ * AND/OR/NOT are accepted as words too. Notification Hubs allows 20 tags in
+ * an OR-only expression and 6 in any other.
+ *
+ * Devices registered before the taxonomy carry *:enabled tags instead of
+ * alert:* tags until they next register, so those are accepted in expressions.
+ *
+ * Usage:
+ *   const { buildInstallationTags, parseTagExpression } = require('../shared/push-tags');
+ *   const tags = buildInstallationTags({ platform: 'web', preferences, favorites });
+ *   const expression = parseTagExpression('alert:weather AND county:marin').expression;
+ */
+
+const ALERT_TYPES = [
+  'weather',
+  'earthquake',
+  'missing-persons',
+  'program-updates',
+  'announcements',
+];
+const TAG_PREFIXES = ['platform', 'county', 'category', 'program', 'alert', 'quiet'];
+const LEGACY_TAGS = [
+  'weather:enabled',
+  'programs:enabled',
+  'announcements:enabled',
+  'missing-persons:enabled',
+];
+
+// Notification Hubs limits
+const MAX_INSTALLATION_TAGS = 60;
+const MAX_TAG_LENGTH = 120;
+const MAX_OR_EXPRESSION_TAGS = 20;
+const MAX_EXPRESSION_TAGS = 6;
+
+// Longer quiet windows would crowd out program tags and mean more deferred sends
+const MAX_QUIET_HOURS = 12;
+
+const TAG_PATTERN = /^[A-Za-z0-9_@#.:-]+$/;
+
+/**
+ * Lowercase slug safe for a tag value ("San Francisco" -> "san-francisco")
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function countyTag(county) {
+  const slug = slugify(String(county || '').replace(/\s+County$/i, ''));
+  return slug ? `county:${slug}` : null;
+}
+
+function categoryTag(categoryId) {
+  const slug = slugify(categoryId);
+  return slug ? `category:${slug}` : null;
+}
+
+function programTag(programId) {
+  const slug = slugify(programId);
+  return slug ? `program:${slug}` : null;
+}
+
+function alertTag(type) {
+  return ALERT_TYPES.includes(type) ? `alert:${type}` : null;
+}
+
+/**
+ * One tag per hour of a device's quiet window, so push-send can skip devices
+ * that are quiet right now with a single "!quiet:<hour>" term
+ * @param {{ start: number, end: number }} quietHours - Pacific-time hours 0-23;
+ *   the window runs from start up to (not including) end, wrapping past midnight
+ * @returns {string[]} e.g. { start: 22, end: 7 } -> quiet:22 ... quiet:6
+ */
+function quietHourTags(quietHours) {
+  const { start, end } = quietHours || {};
+  if (![start, end].every((hour) => Number.isInteger(hour) && hour >= 0 && hour < 24)) {
+    return [];
+  }
+  const length = Math.min((end - start + 24) % 24, MAX_QUIET_HOURS);
+  return Array.from({ length }, (_, i) => `quiet:${(start + i) % 24}`);
+}
+
+/**
+ * Whether a tag is well formed and uses a known prefix
+ * @param {string} tag
+ * @returns {boolean}
+ */
+function isValidTag(tag) {
+  if (typeof tag !== 'string' || tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)) {
+    return false;
+  }
+  const [prefix, value] = tag.split(/:(.*)/);
+  return TAG_PREFIXES.includes(prefix) && !!value;
+}
+
+/**
+ * Tags for a device installation, from its notification preferences and
+ * saved programs. Program tags are dropped (oldest favorites last) to stay
+ * within the hub's per-installation tag limit.
+ * @param {object} options
+ * @param {string} options.platform - web | ios | android
+ * @param {object} [options.preferences] - From the client's push preferences
+ * @param {string[]} [options.favorites] - Saved program ids, most recent first
+ * @param {string[]} [options.tags] - Extra tags from the client (invalid ones are ignored)
+ * @returns {string[]}
+ */
+function buildInstallationTags({ platform, preferences = {}, favorites = [], tags = [] }) {
+  const result = new Set([`platform:${platform}`]);
+  const add = (tag) => tag && result.add(tag);
+
+  if (preferences.weatherAlerts) add(alertTag('weather'));
+  if (preferences.earthquakeAlerts) add(alertTag('earthquake'));
+  if (preferences.missingPersons) add(alertTag('missing-persons'));
+  if (preferences.programUpdates) add(alertTag('program-updates'));
+  if (preferences.announcements) add(alertTag('announcements'));
+
+  const counties = [...(preferences.counties || []), ...(preferences.weatherCounties || [])];
+  counties.forEach((county) => add(countyTag(county)));
+  (preferences.categories || []).forEach((category) => add(categoryTag(category)));
+  tags.filter(isValidTag).forEach(add);
+  quietHourTags(preferences.quietHours).forEach(add);
+
+  if (preferences.savedProgramUpdates !== false) {
+    for (const programId of favorites) {
+      if (result.size >= MAX_INSTALLATION_TAGS) break;
+      add(programTag(programId));
+    }
+  }
+
+  return [...result].slice(0, MAX_INSTALLATION_TAGS);
+}
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(&&|\|\||!|\(|\)|[A-Za-z0-9_@#.:-]+)/gy;
+  let match;
+  let position = 0;
+  while (position < source.length && (match = pattern.exec(source))) {
+    const word = match[1];
+    if (word === 'AND') tokens.push('&&');
+    else if (word === 'OR') tokens.push('||');
+    else if (word === 'NOT') tokens.push('!');
+    else tokens.push(word);
+    position = pattern.lastIndex;
+  }
+  if (source.slice(position).trim()) {
+    throw new Error(`Invalid tag expression near "${source.slice(position).trim()}"`);
+  }
+  return tokens;
+}
+
+/**
+ * Parse and validate a tag expression
+ * @param {string} source - e.g. "alert:weather && (county:marin || county:sonoma)"
+ * @returns {{ expression: string, tags: string[], ast: object }} Normalized
+ *   expression, as sent to Notification Hubs
+ * @throws {Error} If the expression is malformed, uses unknown tags or is over the hub's limits
+ */
+function parseTagExpression(source) {
+  const tokens = tokenize(String(source || ''));
+  let index = 0;
+  const tags = [];
+  let onlyOr = true;
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (tokens[index] === '||') {
+      index++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { op: 'or', operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseNot()];
+    while (tokens[index] === '&&') {
+      index++;
+      onlyOr = false;
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { op: 'and', operands };
+  }
+
+  function parseNot() {
+    if (tokens[index] === '!') {
+      index++;
+      onlyOr = false;
+      return { op: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[index++] !== ')') throw new Error('Invalid tag expression: missing ")"');
+      return node;
+    }
+    if (!token || ['&&', '||', '!', ')'].includes(token)) {
+      throw new Error('Invalid tag expression: expected a tag');
+    }
+    if (!isValidTag(token) && !LEGACY_TAGS.includes(token)) {
+      throw new Error(`Unknown tag "${token}". Tags start with ${TAG_PREFIXES.join(':, ')}:`);
+    }
+    tags.push(token);
+    return { tag: token };
+  }
+
+  if (tokens.length === 0) throw new Error('Tag expression is empty');
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Invalid tag expression near "${tokens[index]}"`);
+  }
+
+  const limit = onlyOr ? MAX_OR_EXPRESSION_TAGS : MAX_EXPRESSION_TAGS;
+  if (tags.length > limit) {
+    throw new Error(
+      `Tag expression uses ${tags.length} tags; the limit is ${limit}${onlyOr ? '' : ' when using AND or NOT'}`
+    );
+  }
+
+  return { expression: formatExpression(ast), tags: [...new Set(tags)], ast };
+}
+
+function formatExpression(node, parentOp = null) {
+  if (node.tag) return node.tag;
+  if (node.op === 'not') return `!${formatExpression(node.operand, 'not')}`;
+  const joined = node.operands
+    .map((operand) => formatExpression(operand, node.op))
+    .join(node.op === 'and' ? ' && ' : ' || ');
+  // OR binds loosest, so it needs parentheses inside AND/NOT
+  return parentOp && parentOp !== node.op && node.op === 'or' ? `(${joined})` : joined;
+}
+
+/**
+ * Build an expression from tag lists: every tag in `all`, at least one in
+ * `any`, none in `none`
+ * @param {{ all?: string[], any?: string[], none?: string[] }} audience
+ * @returns {string}
+ */
+function buildTagExpression({ all = [], any = [], none = [] } = {}) {
+  const parts = [...all];
+  if (any.length === 1) parts.push(any[0]);
+  if (any.length > 1) parts.push(`(${any.join(' || ')})`);
+  none.forEach((tag) => parts.push(`!${tag}`));
+  return parts.join(' && ');
+}
+
+/**
+ * Resolve a push-send request's targeting to a validated expression. The
+ * first of tagExpression, audience ({ all, any, none }) or tags (any of,
+ * the original request format) that is given wins.
+ * @param {{ tagExpression?: string, audience?: object, tags?: string[] }} target
+ * @returns {string|null} Expression, or null to send to all devices
+ * @throws {Error} If the expression is invalid
+ */
+function resolveTagExpression({ tagExpression, audience, tags } = {}) {
+  let source = null;
+  if (typeof tagExpression === 'string' && tagExpression.trim()) {
+    source = tagExpression;
+  } else if (audience && typeof audience === 'object') {
+    source = buildTagExpression(audience);
+  } else if (Array.isArray(tags) && tags.length > 0) {
+    source = tags.join(' || ');
+  }
+  return source ? parseTagExpression(source).expression : null;
+}
+
+/**
+ * Whether a device with these tags would receive a notification sent to
+ * the expression (mirrors Notification Hubs' evaluation; used for dry runs)
+ * @param {string | object} expression - Expression string or parsed ast
+ * @param {string[]} tags
+ * @returns {boolean}
+ */
+function matchesTagExpression(expression, tags) {
+  const ast = typeof expression === 'string' ? parseTagExpression(expression).ast : expression;
+  const tagSet = new Set(tags);
+  const evaluate = (node) => {
+    if (node.tag) return tagSet.has(node.tag);
+    if (node.op === 'not') return !evaluate(node.operand);
+    return node.op === 'and' ? node.operands.every(evaluate) : node.operands.some(evaluate);
+  };
+  return evaluate(ast);
+}
+
+module.exports = {
+  ALERT_TYPES,
+  MAX_INSTALLATION_TAGS,
+  MAX_QUIET_HOURS,
+  slugify,
+  countyTag,
+  categoryTag,
+  programTag,
+  alertTag,
+  quietHourTags,
+  isValidTag,
+  buildInstallationTags,
+  parseTagExpression,
+  buildTagExpression,
+  resolveTagExpression,
+  matchesTagExpression,
+};
@@ -0,0 +1,123 @@
+/**
+ * Local Representative Data
+ *
+ * Loads the city councils and county supervisors into the shapes the
+ * congress-lookup function queries: city councils keyed by Census place GEOID,
+ * county boards keyed by county FIPS, with camelCase fields. The source of
+ * truth is src/data/city-councils.yml and src/data/county-supervisors.yml;
+ * the function reads the copy scripts/bundle-representatives.cjs writes to
+ * data/representatives.json, since src/data isn't deployed with it.
+ *
+ * Usage:
+ *   const { loadRepresentatives, getAttribute } = require('../shared/representatives');
+ *   const { cityCouncils, countySupervisors } = loadRepresentatives();
+ *   const city = cityCouncils['0653000'];
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_FILE = path.join(__dirname, 'data', 'representatives.json');
+
+function toMember(member) {
+  return {
+    name: member.name,
+    website: member.website || null,
+    phone: member.phone || null,
+    photoUrl: member.photo_url || null,
+    termStart: member.term_start || null,
+    termEnd: member.term_end || null,
+  };
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * Convert parsed city-councils.yml
+ * @param {object} data
+ * @returns {Object<string, object>} Keyed by place GEOID
+ */
+function toCityCouncils(data) {
+  return mapValues(data.cities, (city) => ({
+    name: city.name,
+    county: city.county,
+    type: city.type,
+    website: city.website,
+    arcgis: city.arcgis
+      ? {
+          url: city.arcgis.url,
+          districtField: city.arcgis.district_field,
+          districtMapping: city.arcgis.district_mapping || null,
+          nameField: city.arcgis.name_field || null,
+          phoneField: city.arcgis.phone_field || null,
+          websiteField: city.arcgis.website_field || null,
+        }
+      : null,
+    members: mapValues(city.members, toMember),
+    lastVerified: city.last_verified || data.last_verified,
+  }));
+}
+
+/**
+ * Convert parsed county-supervisors.yml
+ * @param {object} data
+ * @returns {Object<string, object>} Keyed by county FIPS
+ */
+function toCountySupervisors(data) {
+  return Object.fromEntries(
+    Object.values(data.counties || {}).map((county) => [
+      county.fips,
+      {
+        name: county.name,
+        arcgis: county.arcgis_url,
+        districtField: county.district_field,
+        districtMapping: county.district_mapping || null,
+        nameField: county.name_field || null,
+        supervisors: mapValues(county.supervisors, toMember),
+        lastVerified: county.last_verified || data.last_verified,
+      },
+    ])
+  );
+}
+
+const cache = new Map();
+
+/**
+ * Load the bundled data once per file. Throws if it is missing or
+ * unparseable, so callers' error handling reports it.
+ * @param {string} [dataFile]
+ * @returns {{ cityCouncils: Object<string, object>, countySupervisors: Object<string, object> }}
+ */
+function loadRepresentatives(dataFile = DATA_FILE) {
+  if (!cache.has(dataFile)) {
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    cache.set(dataFile, {
+      cityCouncils: toCityCouncils(data.cityCouncils),
+      countySupervisors: toCountySupervisors(data.countySupervisors),
+    });
+  }
+  return cache.get(dataFile);
+}
+
+/**
+ * Read an ArcGIS attribute by field name, ignoring case (layers republished
+ * by counties don't always keep the field's case)
+ * @param {object} attrs
+ * @param {string} field
+ * @returns {*}
+ */
+function getAttribute(attrs, field) {
+  if (!attrs || !field) return undefined;
+  if (field in attrs) return attrs[field];
+  const key = Object.keys(attrs).find((name) => name.toLowerCase() === field.toLowerCase());
+  return key === undefined ? undefined : attrs[key];
+}
+
+module.exports = {
+  toCityCouncils,
+  toCountySupervisors,
+  loadRepresentatives,
+  getAttribute,
+};
@@ -0,0 +1,172 @@
+/**
+ * Carl Citations - Grounding Ask Carl answers in retrieved records
+ *
+ * Every record added to Carl's context (programs, code sections, open data
+ * rows) is registered as a numbered source and tagged "[n]" in the prompt.
+ * After a reply streams in, the tags it uses are resolved back to sources
+ * for the footnote chips, and program names that never appeared in the
+ * retrieved context are flagged so users know to verify them.
+ */
+
+(function () {
+  'use strict';
+
+  // Matches "[3]" but not markdown links like "[3](https://...)"
+  const MARKER_PATTERN = /\[(\d{1,2})\](?!\()/g;
+
+  // Shorter catalog names collide with acronyms in ordinary prose
+  const MIN_PROGRAM_NAME_LENGTH = 3;
+
+  function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function namePattern(name, flags = 'i') {
+    // Word boundaries only where the name itself starts/ends with a word character
+    const start = /^\w/.test(name) ? '\\b' : '';
+    const end = /\w$/.test(name) ? '\\b' : '';
+    return new RegExp(`${start}${escapeRegex(name)}${end}`, flags);
+  }
+
+  /**
+   * Create the numbered source list for one reply.
+   * Sources: { type: 'program' | 'code' | 'open-data', id, label, url, detail?, program? }
+   * @returns {{ add: Function, get: Function, all: Function, size: Function }}
+   */
+  function createSourceList() {
+    const sources = [];
+    const numbersByKey = new Map();
+
+    return {
+      /**
+       * Register a source, returning its citation number (reused for duplicates)
+       * @param {object} source
+       * @returns {number}
+       */
+      add(source) {
+        const key = `${source.type}:${source.id || source.label}`;
+        if (numbersByKey.has(key)) return numbersByKey.get(key);
+        sources.push({ ...source, number: sources.length + 1 });
+        numbersByKey.set(key, sources.length);
+        return sources.length;
+      },
+      get(number) {
+        return sources[number - 1] || null;
+      },
+      all() {
+        return sources.slice();
+      },
+      size() {
+        return sources.length;
+      },
+    };
+  }
+
+  /**
+   * Prompt tag for a source number
+   * @param {number} number
+   * @returns {string}
+   */
+  function sourceTag(number) {
+    return `[${number}]`;
+  }
+
+  /**
+   * Remove citation markers. With a source list, markers that refer to a
+   * registered source are kept; without one, every marker is removed (for
+   * conversation history, where numbers would point at the wrong sources).
+   * @param {string} text
+   * @param {object} [sourceList] - From createSourceList()
+   * @returns {string}
+   */
+  function stripMarkers(text, sourceList) {
+    // Take the space before a removed marker with it ("food [9]." -> "food.")
+    return text.replace(/[ \t]*\[(\d{1,2})\](?!\()/g, (marker, number) =>
+      sourceList && sourceList.get(Number(number)) ? marker : ''
+    );
+  }
+
+  /**
+   * Resolve the sources a reply cites. Explicit "[n]" markers come first, in
+   * the order they appear; program sources mentioned by name without a
+   * marker are added after them.
+   * @param {string} text - The reply
+   * @param {object} sourceList - From createSourceList()
+   * @returns {object[]} Cited sources
+   */
+  function resolveCitations(text, sourceList) {
+    const cited = [];
+    const seen = new Set();
+    const cite = (source) => {
+      if (source && !seen.has(source.number)) {
+        seen.add(source.number);
+        cited.push(source);
+      }
+    };
+
+    for (const match of text.matchAll(MARKER_PATTERN)) {
+      cite(sourceList.get(Number(match[1])));
+    }
+
+    sourceList
+      .all()
+      .filter((source) => source.type === 'program' && source.label)
+      .forEach((source) => {
+        if (namePattern(source.label).test(text)) cite(source);
+      });
+
+    return cited;
+  }
+
+  /**
+   * Find catalog programs a reply names that weren't part of the retrieved
+   * context. Names are proper nouns, so matching is case-sensitive ("Outlet"
+   * the program, not "an outlet"); longer names are matched first so
+   * "Medi-Cal Dental" isn't also counted as "Medi-Cal".
+   * @param {string} text - The reply
+   * @param {Array<{ id: string, name: string }>} catalog - All known programs
+   * @param {string} contextText - Everything sent to the model as context
+   * @param {object} [sourceList] - Registered sources; cited program ids are grounded
+   * @returns {Array<{ id: string, name: string }>} Ungrounded programs
+   */
+  function findUngroundedPrograms(text, catalog, contextText, sourceList) {
+    const groundedIds = new Set(
+      (sourceList ? sourceList.all() : [])
+        .filter((source) => source.type === 'program')
+        .map((source) => source.id)
+    );
+    const contextLower = (contextText || '').toLowerCase();
+    const programs = (catalog || [])
+      .filter((program) => program.name && program.name.length >= MIN_PROGRAM_NAME_LENGTH)
+      .sort((a, b) => b.name.length - a.name.length);
+
+    let remaining = text;
+    const ungrounded = [];
+    const seenNames = new Set();
+
+    for (const program of programs) {
+      if (!namePattern(program.name, '').test(remaining)) continue;
+      // Blank out the match so shorter names inside it aren't matched again
+      remaining = remaining.replace(namePattern(program.name, 'g'), (match) =>
+        ' '.repeat(match.length)
+      );
+
+      const nameLower = program.name.toLowerCase();
+      if (groundedIds.has(program.id) || contextLower.includes(nameLower)) continue;
+      if (seenNames.has(nameLower)) continue;
+      seenNames.add(nameLower);
+      ungrounded.push({ id: program.id, name: program.name });
+    }
+
+    return ungrounded;
+  }
+
+  // Expose globally
+  window.CarlCitations = {
+    createSourceList,
+    sourceTag,
+    stripMarkers,
+    resolveCitations,
+    findUngroundedPrograms,
+  };
+})();
@@ -0,0 +1,218 @@
+/**
+ * Notification Inbox for Bay Navigator
+ *
+ * Keeps received push notifications in IndexedDB so they can be found again
+ * after they're dismissed. Loaded by the service worker (importScripts), which
+ * saves each push, and by the /notifications page, which lists them.
+ * Stored only on this device.
+ */
+
+(function (root) {
+  'use strict';
+
+  const DB_NAME = 'baynavigator_notifications';
+  const DB_VERSION = 1;
+  const STORE = 'notifications';
+
+  // Retention limits
+  const MAX_ENTRIES = 200;
+  const MAX_AGE_DAYS = 30;
+
+  // Filter labels for notification types sent by push-send
+  const TYPE_LABELS = {
+    'missing-persons': 'Missing persons',
+    earthquake: 'Earthquakes',
+    weather: 'Weather',
+    program: 'Programs',
+    status: 'Application status',
+    announcement: 'Announcements',
+    digest: 'Digests',
+  };
+
+  let dbPromise = null;
+
+  /**
+   * Page a notification opens: the alert or program it's about
+   */
+  function getTargetUrl(data = {}) {
+    switch (data.type) {
+      case 'weather':
+        return data.url || '/map';
+      case 'earthquake':
+        // Only missing-person cases have their own /alerts/<id> page
+        return data.url || '/alerts';
+      case 'missing-persons':
+        if (data.url) return data.url;
+        return data.alertId ? `/alerts/${encodeURIComponent(data.alertId)}` : '/alerts';
+      case 'program':
+        return data.programId
+          ? `/directory?program=${encodeURIComponent(data.programId)}`
+          : '/directory';
+      case 'status':
+        return data.programId
+          ? `/favorites?highlight=${encodeURIComponent(data.programId)}`
+          : '/favorites';
+      default:
+        return data.url || '/';
+    }
+  }
+
+  function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => {
+        console.warn('Notification Inbox: IndexedDB not available');
+        resolve(null);
+      };
+
+      request.onsuccess = (event) => resolve(event.target.result);
+
+      request.onupgradeneeded = (event) => {
+        const database = event.target.result;
+        if (!database.objectStoreNames.contains(STORE)) {
+          const store = database.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('receivedAt', 'receivedAt', { unique: false });
+        }
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run fn against the store in one transaction; resolves with fn's result
+   * once the transaction completes (or fallback if storage is unavailable)
+   */
+  async function withStore(mode, fn, fallback) {
+    const database = await openDB();
+    if (!database) return fallback;
+
+    return new Promise((resolve) => {
+      try {
+        const tx = database.transaction(STORE, mode);
+        let result = fallback;
+        const request = fn(tx.objectStore(STORE));
+        if (request) {
+          request.onsuccess = () => {
+            result = request.result;
+          };
+        }
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => resolve(fallback);
+      } catch (e) {
+        resolve(fallback);
+      }
+    });
+  }
+
+  async function getAll() {
+    const entries = await withStore('readonly', (store) => store.getAll(), []);
+    return entries.sort((a, b) => b.receivedAt - a.receivedAt);
+  }
+
+  /**
+   * Save a received push payload ({ title, body, data })
+   * @returns {Promise<object|null>} The stored entry
+   */
+  async function add(payload) {
+    const data = payload.data || {};
+    const receivedAt = Date.now();
+    const entry = {
+      id: `${receivedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      title: payload.title || 'Bay Navigator',
+      body: payload.body || '',
+      type: TYPE_LABELS[data.type] ? data.type : 'other',
+      url: getTargetUrl(data),
+      data,
+      receivedAt,
+      read: false,
+    };
+
+    const saved = await withStore('readwrite', (store) => store.put(entry), null);
+    if (saved === null) return null;
+    await prune();
+    return entry;
+  }
+
+  /**
+   * Drop entries past the age limit, then the oldest past the count limit
+   */
+  async function prune(now = Date.now()) {
+    const cutoff = now - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const entries = await getAll();
+    const expired = entries.filter(
+      (entry, index) => entry.receivedAt < cutoff || index >= MAX_ENTRIES
+    );
+    if (expired.length === 0) return 0;
+
+    await withStore('readwrite', (store) => {
+      expired.forEach((entry) => store.delete(entry.id));
+    });
+    return expired.length;
+  }
+
+  /**
+   * Stored notifications, newest first
+   * @param {{ type?: string, unreadOnly?: boolean }} [filters]
+   */
+  async function list(filters = {}) {
+    const entries = await getAll();
+    return entries.filter(
+      (entry) =>
+        (!filters.type || filters.type === 'all' || entry.type === filters.type) &&
+        (!filters.unreadOnly || !entry.read)
+    );
+  }
+
+  async function markRead(id, read = true) {
+    const entry = await withStore('readonly', (store) => store.get(id), null);
+    if (!entry) return false;
+    await withStore('readwrite', (store) => store.put({ ...entry, read }));
+    return true;
+  }
+
+  async function markAllRead() {
+    const entries = await getAll();
+    await withStore('readwrite', (store) => {
+      entries
+        .filter((entry) => !entry.read)
+        .forEach((entry) => store.put({ ...entry, read: true }));
+    });
+  }
+
+  async function remove(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+  }
+
+  async function clear() {
+    await withStore('readwrite', (store) => store.clear());
+  }
+
+  async function getUnreadCount() {
+    const entries = await getAll();
+    return entries.filter((entry) => !entry.read).length;
+  }
+
+  root.NotificationInbox = {
+    TYPE_LABELS,
+    MAX_ENTRIES,
+    MAX_AGE_DAYS,
+    getTargetUrl,
+    add,
+    list,
+    markRead,
+    markAllRead,
+    remove,
+    clear,
+    prune,
+    getUnreadCount,
+  };
+})(self);
@@ -1,7 +1,10 @@
 /**
  * Push Notification Manager for Bay Navigator
  *
- * Handles Web Push API subscription and preference management
+ * Handles Web Push API subscription and preference management. Registration
+ * sends saved programs and the user's county along with preferences, and is
+ * refreshed when either changes, so devices stay tagged for "my saved program
+ * reopened" and county-specific alerts.
  */
 
 (function () {
@@ -14,6 +17,11 @@
       'BLeNKtUjnTV8lk4cyLSS__synWrEVm86GRiS4frzFfdYAUF12IRqqXBj4i4DMlkFVGvdrUB-_Onid0rj5h8eMsE',
     registerEndpoint: 'https://baynavigator-push.azurewebsites.net/api/push-register',
     storageKey: 'baynavigator_push_preferences',
+    favoritesKey: 'baynavigator_favorites',
+    locationKey: 'baynavigator_location',
+    // Bump when the server's tag taxonomy changes so devices re-register once
+    tagsVersion: 2,
+    syncDelay: 2000,
   };
 
   // Push notification manager
@@ -99,8 +107,9 @@
           });
         }
 
-        // Register with backend
-        const registerResult = await this._registerWithBackend(subscription, preferences);
+        // Register with backend, keeping preferences not passed in
+        const merged = { ...this.getPreferences(), ...preferences };
+        const registerResult = await this._registerWithBackend(subscription, merged);
 
         if (registerResult.success) {
           // Save preferences locally
@@ -108,6 +117,8 @@
             ...preferences,
             subscribed: true,
             installationId: registerResult.installationId,
+            tagsVersion: CONFIG.tagsVersion,
+            tagsKey: this._getTagsKey(merged),
           });
         }
 
@@ -156,7 +167,26 @@
       }
 
       // Re-register with updated preferences
-      return await this._registerWithBackend(subscription, preferences);
+      const merged = { ...this.getPreferences(), ...preferences };
+      const result = await this._registerWithBackend(subscription, merged);
+      if (result.success) {
+        this._savePreferences({
+          ...preferences,
+          tagsVersion: CONFIG.tagsVersion,
+          tagsKey: this._getTagsKey(merged),
+        });
+      }
+      return result;
+    },
+
+    /**
+     * Re-register with current preferences, saved programs and location.
+     * Debounced, since favorites are often toggled several at a time.
+     */
+    scheduleSync() {
+      if (!this.getPreferences().subscribed) return;
+      clearTimeout(this._syncTimer);
+      this._syncTimer = setTimeout(() => this.updatePreferences({}), CONFIG.syncDelay);
     },
 
     /**
@@ -171,7 +201,12 @@
               subscribed: false,
               weatherAlerts: true,
               weatherCounties: [],
+              counties: [],
+              categories: [],
               programUpdates: true,
+              savedProgramUpdates: true,
+              // Pacific-time hours; urgent safety alerts still come through
+              quietHours: { start: 22, end: 7 },
               announcements: true,
             };
       } catch {
@@ -198,6 +233,45 @@
       }
     },
 
+    /**
+     * Saved program ids, most recently saved first
+     */
+    _getFavoriteIds() {
+      try {
+        const favorites = JSON.parse(localStorage.getItem(CONFIG.favoritesKey) || '[]');
+        return favorites
+          .slice()
+          .sort((a, b) => new Date(b.savedAt || 0) - new Date(a.savedAt || 0))
+          .map((favorite) => favorite.id)
+          .filter(Boolean);
+      } catch {
+        return [];
+      }
+    },
+
+    /**
+     * Counties to follow: chosen ones, or the county from the saved location
+     */
+    _getCounties(preferences) {
+      if (preferences.counties && preferences.counties.length > 0) return preferences.counties;
+      try {
+        const location = JSON.parse(localStorage.getItem(CONFIG.locationKey) || 'null');
+        return location && location.county ? [location.county] : [];
+      } catch {
+        return [];
+      }
+    },
+
+    /**
+     * Fingerprint of the saved programs and counties last sent to the server,
+     * so a page load notices favorites or location changed on another page
+     */
+    _getTagsKey(preferences) {
+      const favorites = this._getFavoriteIds().slice().sort();
+      const counties = this._getCounties(preferences).slice().sort();
+      return JSON.stringify([favorites, counties]);
+    },
+
     async _registerWithBackend(subscription, preferences) {
       try {
         const response = await fetch(CONFIG.registerEndpoint, {
@@ -206,7 +280,8 @@
           body: JSON.stringify({
             platform: 'web',
             token: JSON.stringify(subscription),
-            preferences,
+            preferences: { ...preferences, counties: this._getCounties(preferences) },
+            favorites: this._getFavoriteIds(),
           }),
         });
 
@@ -397,13 +472,87 @@
         })
       );
 
+      // Saved programs checkbox
+      const savedLabel = this.createElement('label', { className: 'flex items-center gap-3' });
+      const savedInput = this.createElement('input', {
+        type: 'checkbox',
+        id: 'pref-saved-programs',
+        className: 'rounded',
+      });
+      if (preferences.savedProgramUpdates !== false) savedInput.checked = true;
+      savedLabel.appendChild(savedInput);
+      savedLabel.appendChild(
+        this.createElement('span', {
+          className: 'text-sm text-neutral-700 dark:text-neutral-300',
+          textContent: 'Changes to my saved programs, like reopening for applications',
+        })
+      );
+
       prefsSection.appendChild(announcementsLabel);
       prefsSection.appendChild(programsLabel);
+      prefsSection.appendChild(savedLabel);
+      prefsSection.appendChild(this.renderQuietHours(preferences.quietHours));
       wrapper.appendChild(prefsSection);
 
       this.container.appendChild(wrapper);
     },
 
+    /**
+     * Quiet hours row: a checkbox plus start and end hour selects
+     */
+    renderQuietHours(quietHours) {
+      const row = this.createElement('div', { className: 'space-y-2' });
+      const label = this.createElement('label', { className: 'flex items-center gap-3' });
+      const input = this.createElement('input', {
+        type: 'checkbox',
+        id: 'pref-quiet-hours',
+        className: 'rounded',
+      });
+      if (quietHours) input.checked = true;
+      label.appendChild(input);
+      label.appendChild(
+        this.createElement('span', {
+          className: 'text-sm text-neutral-700 dark:text-neutral-300',
+          textContent: 'Quiet hours (urgent safety alerts still come through)',
+        })
+      );
+      row.appendChild(label);
+
+      const hourSelect = (id, selected, labelText) => {
+        const select = this.createElement('select', {
+          id,
+          className:
+            'rounded border-neutral-300 dark:border-neutral-600 dark:bg-neutral-800 text-sm',
+          'aria-label': labelText,
+        });
+        for (let hour = 0; hour < 24; hour++) {
+          const option = this.createElement('option', {
+            value: String(hour),
+            textContent: new Date(2000, 0, 1, hour).toLocaleTimeString([], {
+              hour: 'numeric',
+            }),
+          });
+          if (hour === selected) option.selected = true;
+          select.appendChild(option);
+        }
+        return select;
+      };
+
+      const times = this.createElement(
+        'div',
+        {
+          className: 'flex items-center gap-2 pl-7 text-sm text-neutral-600 dark:text-neutral-400',
+        },
+        [
+          hourSelect('pref-quiet-start', quietHours ? quietHours.start : 22, 'Quiet hours start'),
+          'to',
+          hourSelect('pref-quiet-end', quietHours ? quietHours.end : 7, 'Quiet hours end'),
+        ]
+      );
+      row.appendChild(times);
+      return row;
+    },
+
     bindEvents() {
       const enableToggle = this.container.querySelector('#push-enabled');
       const preferencesSection = this.container.querySelector('#notification-preferences');
@@ -438,17 +587,26 @@
       }
 
       // Preference checkboxes
-      this.container.querySelectorAll('#notification-preferences input').forEach((input) => {
-        input.addEventListener('change', async () => {
-          await PushManager.updatePreferences(this.getPreferencesFromUI());
+      this.container
+        .querySelectorAll('#notification-preferences input, #notification-preferences select')
+        .forEach((input) => {
+          input.addEventListener('change', async () => {
+            await PushManager.updatePreferences(this.getPreferencesFromUI());
+          });
         });
-      });
     },
 
     getPreferencesFromUI() {
       return {
         announcements: this.container.querySelector('#pref-announcements')?.checked ?? true,
         programUpdates: this.container.querySelector('#pref-programs')?.checked ?? true,
+        savedProgramUpdates: this.container.querySelector('#pref-saved-programs')?.checked ?? true,
+        quietHours: this.container.querySelector('#pref-quiet-hours')?.checked
+          ? {
+              start: Number(this.container.querySelector('#pref-quiet-start').value),
+              end: Number(this.container.querySelector('#pref-quiet-end').value),
+            }
+          : null,
       };
     },
   };
@@ -457,8 +615,24 @@
   window.PushNotifications = PushManager;
   window.NotificationSettingsUI = NotificationSettingsUI;
 
-  // Auto-init if settings container exists
+  // Keep program and county tags in sync with favorites and location. This
+  // script is loaded on every page by BaseLayout so changes anywhere count.
+  window.addEventListener('favorites-changed', () => PushManager.scheduleSync());
+  window.addEventListener('locationChanged', () => PushManager.scheduleSync());
+
+  // Catch up on tag changes the server hasn't seen (taxonomy bump, or favorites
+  // changed while offline or before this script loaded), then auto-init if
+  // the settings container exists
   document.addEventListener('DOMContentLoaded', () => {
+    const preferences = PushManager.getPreferences();
+    if (
+      preferences.subscribed &&
+      (preferences.tagsVersion !== CONFIG.tagsVersion ||
+        preferences.tagsKey !== PushManager._getTagsKey(preferences))
+    ) {
+      PushManager.scheduleSync();
+    }
+
     const container = document.getElementById('notification-settings');
     if (container) {
       NotificationSettingsUI.init('notification-settings');
@@ -4,8 +4,11 @@
  * Version is updated at build time
  */
 
+// Stores received push notifications for the /notifications inbox
+importScripts('/assets/js/notification-inbox.js');
+
 // Cache version - updated automatically at build time
-const CACHE_VERSION = '2026-01-09';
+const CACHE_VERSION = '2026-10-19';
 const STATIC_CACHE = `baynavigator-static-${CACHE_VERSION}`;
 const API_CACHE = `baynavigator-api-${CACHE_VERSION}`;
 const IMAGE_CACHE = `baynavigator-images-${CACHE_VERSION}`;
@@ -24,10 +27,14 @@ const STATIC_ASSETS = [
   '/eligibility/',
   '/map',
   '/map/',
+  '/compare',
+  '/compare/',
   '/favorites',
   '/favorites/',
   '/glossary',
   '/glossary/',
+  '/notifications',
+  '/notifications/',
   '/assets/images/logo/logo.webp',
   '/assets/images/favicons/favicon-192.webp',
   '/assets/images/favicons/favicon-512.webp',
@@ -45,6 +52,10 @@ const API_ENDPOINTS = [
   '/api/emergency.json', // Crisis resources for offline access
 ];
 
+// Inverted index for offline search - kept in sync with metadata.json
+const METADATA_URL = '/api/metadata.json';
+const OFFLINE_SEARCH_INDEX_URL = '/api/search-inverted-index.json';
+
 // Map-related resources to cache
 const MAP_RESOURCES = [
   'https://unpkg.com/maplibre-gl@5.1.0/dist/maplibre-gl.js',
@@ -61,7 +72,10 @@ self.addEventListener('install', (event) => {
   event.waitUntil(
     Promise.all([
       caches.open(STATIC_CACHE).then((cache) => cache.addAll(STATIC_ASSETS)),
-      caches.open(API_CACHE).then((cache) => cache.addAll(API_ENDPOINTS)),
+      caches
+        .open(API_CACHE)
+        .then((cache) => cache.addAll(API_ENDPOINTS))
+        .then(() => syncOfflineSearchIndex()),
       // Pre-cache map libraries (catch errors for cross-origin resources)
       caches
         .open(MAP_CACHE)
@@ -121,6 +135,16 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Handle API metadata - network first, then refresh the offline search index if it changed
+  if (url.pathname === METADATA_URL) {
+    const responsePromise = networkFirst(request, API_CACHE);
+    event.respondWith(responsePromise.then((response) => response.clone()));
+    event.waitUntil(
+      responsePromise.then((response) => (response.ok ? syncOfflineSearchIndex(response) : null))
+    );
+    return;
+  }
+
   // Handle API requests - network first
   if (url.pathname.startsWith('/api/')) {
     event.respondWith(networkFirst(request, API_CACHE));
@@ -168,6 +192,34 @@ async function networkFirst(request, cacheName) {
   }
 }
 
+// Keep the cached offline search index at the version published in metadata.json.
+// Only downloads the index when the version changes; failures keep the old copy.
+async function syncOfflineSearchIndex(metadataResponse) {
+  try {
+    const response =
+      metadataResponse || (await fetch(new Request(METADATA_URL, { cache: 'no-store' })));
+    if (!response.ok) return;
+    const metadata = await response.json();
+    const version = metadata.offlineSearchIndexVersion;
+    if (!version) return;
+
+    const cache = await caches.open(API_CACHE);
+    const cached = await cache.match(OFFLINE_SEARCH_INDEX_URL);
+    if (cached) {
+      const cachedIndex = await cached.json().catch(() => null);
+      if (cachedIndex && cachedIndex.version === version) return;
+    }
+
+    const indexResponse = await fetch(new Request(OFFLINE_SEARCH_INDEX_URL, { cache: 'no-store' }));
+    if (!indexResponse.ok) return;
+    const index = await indexResponse.clone().json();
+    if (index.version !== version) return;
+    await cache.put(OFFLINE_SEARCH_INDEX_URL, indexResponse);
+  } catch (error) {
+    console.warn('Offline search index sync failed:', error);
+  }
+}
+
 // Strategy: Network first with offline fallback
 async function networkFirstWithOfflineFallback(request) {
   try {
@@ -263,41 +315,36 @@ self.addEventListener('push', (event) => {
   options.data.timestamp = Date.now();
   options.data.notificationId = data.tag || `notif-${Date.now()}`;
 
-  event.waitUntil(self.registration.showNotification(data.title || 'Bay Navigator', options));
+  event.waitUntil(
+    (async () => {
+      // Keep a copy in the inbox so it can be found after it's dismissed
+      const entry = await self.NotificationInbox.add({
+        title: data.title,
+        body: options.body,
+        data: options.data,
+      });
+      if (entry) {
+        options.data.inboxId = entry.id;
+        await notifyInboxChanged();
+      }
+      await self.registration.showNotification(data.title || 'Bay Navigator', options);
+    })()
+  );
 });
 
+// Let open pages refresh the inbox and unread badge
+async function notifyInboxChanged() {
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach((client) => client.postMessage({ type: 'notification-inbox-changed' }));
+}
+
 // Handle notification click
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
 
   const data = event.notification.data || {};
-  let targetUrl = '/';
-
-  // Determine target URL based on notification type
-  switch (data.type) {
-    case 'weather':
-      // Weather alerts could link to map or specific area
-      targetUrl = data.url || '/map';
-      break;
-    case 'program':
-      // New program or update - link to directory
-      targetUrl = data.programId ? `/directory?highlight=${data.programId}` : '/directory';
-      break;
-    case 'status':
-      // Application status - link to favorites
-      targetUrl = data.programId ? `/favorites?highlight=${data.programId}` : '/favorites';
-      break;
-    case 'announcement':
-      // General announcement - custom URL or home
-      targetUrl = data.url || '/';
-      break;
-    case 'missing-persons':
-      // Missing person alert - link to case page or alerts index
-      targetUrl = data.url || '/alerts';
-      break;
-    default:
-      targetUrl = data.url || '/';
-  }
+  // The alert or program the notification is about
+  let targetUrl = self.NotificationInbox.getTargetUrl(data);
 
   // Handle action button clicks
   if (event.action) {
@@ -309,11 +356,15 @@ self.addEventListener('notificationclick', (event) => {
         // Just close, don't navigate
         return;
       case 'settings':
-        targetUrl = '/settings#notifications';
+        targetUrl = '/notifications#notification-settings';
         break;
     }
   }
 
+  if (data.inboxId) {
+    event.waitUntil(self.NotificationInbox.markRead(data.inboxId).then(notifyInboxChanged));
+  }
+
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
       // Try to focus an existing window
@@ -371,4 +422,7 @@ self.addEventListener('message', (event) => {
   if (event.data === 'getVersion' && event.ports[0]) {
     event.ports[0].postMessage({ version: CACHE_VERSION });
   }
+  if (event.data === 'syncSearchIndex') {
+    event.waitUntil(syncOfflineSearchIndex());
+  }
 });
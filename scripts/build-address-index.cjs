@@ -3,7 +3,9 @@
  * Build Address Index from OpenAddresses Data
  *
  * Downloads Bay Area county address data from OpenAddresses.io
- * and creates a local lookup index for geocoding program addresses.
+ * and creates a local lookup index for geocoding program addresses. The
+ * geocode function serves lookups from the same index
+ * (azure-functions/shared/address-geocoder.js).
  *
  * Usage: node scripts/build-address-index.cjs
  *
@@ -17,6 +19,7 @@ const { createReadStream, createWriteStream } = require('fs');
 const { pipeline } = require('stream/promises');
 const { createGunzip } = require('zlib');
 const readline = require('readline');
+const { normalizeStreet } = require('../azure-functions/shared/address-geocoder.js');
 
 const DATA_DIR = path.join(__dirname, '../.data');
 const OUTPUT_FILE = path.join(DATA_DIR, 'address-index.json');
@@ -99,22 +102,8 @@ async function processCSV(csvPath, addressIndex) {
     const postcode = row.postcode || '';
 
     if (!isNaN(lon) && !isNaN(lat) && number && street) {
-      // Create normalized address key
-      const normalizedStreet = street
-        .toUpperCase()
-        .replace(/\./g, '')
-        .replace(/\bSTREET\b/g, 'ST')
-        .replace(/\bAVENUE\b/g, 'AVE')
-        .replace(/\bBOULEVARD\b/g, 'BLVD')
-        .replace(/\bDRIVE\b/g, 'DR')
-        .replace(/\bROAD\b/g, 'RD')
-        .replace(/\bLANE\b/g, 'LN')
-        .replace(/\bCOURT\b/g, 'CT')
-        .replace(/\bPLACE\b/g, 'PL')
-        .replace(/\bCIRCLE\b/g, 'CIR')
-        .replace(/\bWAY\b/g, 'WY')
-        .replace(/\s+/g, ' ')
-        .trim();
+      // Create normalized address key (same normalization the geocoder applies to queries)
+      const normalizedStreet = normalizeStreet(street);
 
       const key = `${number} ${normalizedStreet}`;
 
@@ -176,9 +165,12 @@ async function main() {
     }
   }
 
-  // Write the index
+  // Write the index, one city per line so the geocoder can read it a city at a time
   console.log(`\n📝 Writing address index...`);
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(addressIndex));
+  const cityLines = Object.entries(addressIndex).map(
+    ([city, addresses]) => `${JSON.stringify(city)}:${JSON.stringify(addresses)}`
+  );
+  fs.writeFileSync(OUTPUT_FILE, `{\n${cityLines.join(',\n')}\n}\n`);
 
   const stats = fs.statSync(OUTPUT_FILE);
   console.log(`\n✅ Address index built successfully!`);
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Bundle Representatives for congress-lookup
+ *
+ * The congress-lookup function is deployed from azure-functions/ and can't
+ * read src/data, so this writes src/data/city-councils.yml and
+ * src/data/county-supervisors.yml as one JSON file inside the function app
+ * (azure-functions/shared/data/representatives.json). Run it after editing
+ * either YAML file and commit the result; validate-data.cjs fails while the
+ * copy is out of date.
+ *
+ * Run: node scripts/bundle-representatives.cjs [--check]
+ *
+ *   --check   Write nothing; exit 1 if the bundled copy doesn't match the YAML
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  FUNCTION_DATA_FILE,
+  loadRepresentatives,
+  toFunctionData,
+  functionDataIsCurrent,
+} = require('./lib/representatives.cjs');
+
+function main() {
+  const data = loadRepresentatives();
+  const relative = path.relative(process.cwd(), FUNCTION_DATA_FILE);
+
+  if (process.argv.includes('--check')) {
+    if (functionDataIsCurrent(data)) {
+      console.log(`✓ ${relative} is up to date`);
+      process.exit(0);
+    }
+    console.error(`✗ ${relative} is out of date. Run: node scripts/bundle-representatives.cjs`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(FUNCTION_DATA_FILE), { recursive: true });
+  fs.writeFileSync(FUNCTION_DATA_FILE, toFunctionData(data));
+  console.log(`✓ Wrote ${relative}`);
+}
+
+main();
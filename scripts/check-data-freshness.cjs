@@ -1,12 +1,14 @@
 #!/usr/bin/env node
 /**
  * Data Freshness Check Script
- * Warns if program data files haven't been updated recently
+ * Warns if program data files haven't been updated recently, and reports
+ * programs whose application deadline has passed
  * Run: node scripts/check-data-freshness.cjs
  */
 
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
 
 // Configuration
 const WARN_DAYS = 90; // Warn if data is older than 90 days
@@ -19,8 +21,38 @@ const NON_PROGRAM_FILES = [
   'bay-area-jurisdictions.yml',
   'city-profiles.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
 ];
 
+/**
+ * Find programs with a one-off application window that has already closed.
+ * Annual windows roll forward on the site, so they never expire.
+ */
+function findPassedDeadlines(dataDir, files) {
+  const today = new Date().toISOString().slice(0, 10);
+  const passed = [];
+
+  for (const file of files) {
+    let programs;
+    try {
+      programs = yaml.load(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(programs)) continue;
+
+    for (const program of programs) {
+      const deadline = program && program.deadline;
+      if (!deadline || !deadline.closes || deadline.recurring === 'annual') continue;
+      if (String(deadline.closes) < today) {
+        passed.push({ file, id: program.id || program.name, closes: deadline.closes });
+      }
+    }
+  }
+
+  return passed.sort((a, b) => String(a.closes).localeCompare(String(b.closes)));
+}
+
 function checkFreshness() {
   const dataDir = path.join(__dirname, '..', 'src', 'data');
   const files = fs
@@ -72,6 +104,15 @@ function checkFreshness() {
     console.log('');
   }
 
+  const passedDeadlines = findPassedDeadlines(dataDir, files);
+  if (passedDeadlines.length > 0) {
+    console.log(`⏰ ${passedDeadlines.length} program(s) have a deadline that has passed:`);
+    passedDeadlines.forEach(({ file, id, closes }) => {
+      console.log(`   - ${id} (${file}) closed ${closes}`);
+    });
+    console.log('');
+  }
+
   // In CI, fail on very stale files
   if (process.env.CI && veryStaleFiles.length > 0) {
     console.log('❌ Data freshness check failed. Please review and update stale data files.\n');
@@ -1,82 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Duplicate Program Check
+ *
+ * Finds programs listed more than once: exact duplicate IDs (an error), and
+ * near-duplicates scored on name, phone, website, address and location, with
+ * a suggested record to keep and a field-by-field diff for merging.
+ * Suppressed programs are skipped.
+ *
+ * Run: node scripts/check-duplicates.cjs [--threshold 0.55] [--limit 25] [--json] [--federal]
+ *
+ *   --threshold N  Minimum score (0-1) for a near-duplicate pair
+ *   --limit N      Near-duplicate pairs to print (default 25; 0 for all)
+ *   --json         Print results as JSON
+ *   --federal      Also list federal benefits by category
+ *
+ * Exits with 1 if any program ID is used twice.
+ */
+
 const fs = require('fs');
+const path = require('path');
 const yaml = require('js-yaml');
-const dataPath = '/Users/steven/Documents/Github/baynavigator/src/data';
+const { DEFAULT_THRESHOLD, findNearDuplicates } = require('./lib/program-duplicates.cjs');
+
+const DATA_DIR = path.join(__dirname, '../src/data');
 
+// Files that don't contain programs (as in generate-api.cjs)
 const NON_PROGRAM_FILES = [
+  'airports.yml',
+  'bay-area-jurisdictions.yml',
+  'chat-messages.yml',
   'cities.yml',
+  'city-profiles.yml',
+  'county-supervisors.yml',
+  'city-councils.yml',
+  'custom-themes.yml',
   'groups.yml',
-  'zipcodes.yml',
-  'suppressed.yml',
+  'helplines.yml',
+  'quick-answers.yml',
   'search-config.yml',
-  'county-supervisors.yml',
-  'transit-agencies.yml',
   'site-config.yml',
-  'bay-area-jurisdictions.yml',
-  'city-profiles.yml',
+  'suppressed.yml',
+  'transit-agencies.yml',
+  'zipcodes.yml',
 ];
-const files = fs
-  .readdirSync(dataPath)
-  .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
-
-const allPrograms = [];
-const idCounts = {};
-const nameCounts = {};
-
-files.forEach((file) => {
-  try {
-    const content = fs.readFileSync(dataPath + '/' + file, 'utf8');
-    const data = yaml.load(content);
-
-    if (Array.isArray(data)) {
-      data.forEach((p) => {
-        allPrograms.push({ ...p, sourceFile: file });
-
-        // Track ID duplicates
-        idCounts[p.id] = (idCounts[p.id] || 0) + 1;
-
-        // Track name duplicates (case-insensitive)
-        const nameLower = p.name?.toLowerCase();
-        nameCounts[nameLower] = nameCounts[nameLower] || [];
-        nameCounts[nameLower].push({ name: p.name, file, id: p.id });
-      });
+
+const args = process.argv.slice(2);
+function option(name, fallback) {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? Number(args[index + 1]) : fallback;
+}
+const threshold = option('--threshold', DEFAULT_THRESHOLD);
+const limit = option('--limit', 25);
+const asJson = args.includes('--json');
+const showFederal = args.includes('--federal');
+
+function loadPrograms() {
+  const suppressedFile = path.join(DATA_DIR, 'suppressed.yml');
+  const suppressed = new Set(
+    (yaml.load(fs.readFileSync(suppressedFile, 'utf8')) || []).map((entry) => entry.id)
+  );
+
+  const programs = [];
+  const files = fs
+    .readdirSync(DATA_DIR)
+    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+
+  for (const file of files) {
+    try {
+      const data = yaml.load(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+      if (!Array.isArray(data)) continue;
+      for (const program of data) {
+        if (program && program.id && !suppressed.has(program.id)) {
+          programs.push({ ...program, sourceFile: file });
+        }
+      }
+    } catch (e) {
+      console.error('Error reading', file, e.message);
     }
-  } catch (e) {
-    console.error('Error reading', file, e.message);
   }
-});
-
-// Find duplicates
-console.log('=== DUPLICATE IDs ===');
-let dupIds = 0;
-Object.entries(idCounts)
-  .filter(([k, v]) => v > 1)
-  .forEach(([id, count]) => {
-    console.log('ID:', id, '- appears', count, 'times');
-    dupIds++;
-  });
-if (dupIds === 0) console.log('None found');
-
-console.log('\n=== DUPLICATE NAMES (potential duplicates) ===');
-let dupNames = 0;
-Object.entries(nameCounts)
-  .filter(([k, v]) => v.length > 1)
-  .forEach(([name, items]) => {
-    console.log('Name:', items[0].name);
-    items.forEach((i) => console.log('  - ' + i.file + ' (id: ' + i.id + ')'));
-    dupNames++;
-  });
-if (dupNames === 0) console.log('None found');
-
-console.log('\n=== FEDERAL BENEFITS BY CATEGORY ===');
-const fedBenefits = yaml.load(fs.readFileSync(dataPath + '/federal-benefits.yml', 'utf8'));
-const byCat = {};
-fedBenefits.forEach((b) => {
-  byCat[b.category] = byCat[b.category] || [];
-  byCat[b.category].push(b.name);
-});
-Object.entries(byCat)
-  .sort((a, b) => a[0].localeCompare(b[0]))
-  .forEach(([cat, items]) => {
-    console.log('\n' + cat.toUpperCase() + ' (' + items.length + '):');
-    items.forEach((i) => console.log('  - ' + i));
+  return programs;
+}
+
+function findDuplicateIds(programs) {
+  const byId = new Map();
+  for (const program of programs) {
+    if (!byId.has(program.id)) byId.set(program.id, []);
+    byId.get(program.id).push(program.sourceFile);
+  }
+  return [...byId].filter(([, files]) => files.length > 1).map(([id, files]) => ({ id, files }));
+}
+
+function formatValue(value) {
+  if (value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const oneLine = text.replace(/\s+/g, ' ').trim();
+  return oneLine.length > 48 ? `${oneLine.slice(0, 45)}...` : oneLine;
+}
+
+function printCandidate(candidate, rank) {
+  const { keep, merge } = candidate;
+  console.log(
+    `\n${rank}. ${candidate.score.toFixed(2)}  ${keep.id} (${keep.sourceFile}) ↔ ${merge.id} (${merge.sourceFile})`
+  );
+  console.log(`   ${candidate.reasons.join(', ')}`);
+  console.log(`   Keep: ${keep.id} — ${candidate.why}`);
+
+  const rows = candidate.diff.map(({ field, keep: kept, merge: merged }) => [
+    field,
+    formatValue(kept),
+    formatValue(merged),
+  ]);
+  if (rows.length === 0) return;
+  const header = ['field', keep.id, merge.id];
+  const widths = header.map((_, col) =>
+    Math.min(48, Math.max(...[header, ...rows].map((row) => row[col].length)))
+  );
+  const line = (row) => `   ${row.map((cell, col) => cell.padEnd(widths[col])).join('  ')}`;
+  console.log(line(header));
+  rows.forEach((row) => console.log(line(row)));
+}
+
+function printFederalBenefits() {
+  const fedBenefits = yaml.load(
+    fs.readFileSync(path.join(DATA_DIR, 'federal-benefits.yml'), 'utf8')
+  );
+  const byCat = {};
+  fedBenefits.forEach((b) => {
+    byCat[b.category] = byCat[b.category] || [];
+    byCat[b.category].push(b.name);
   });
+  console.log('\n=== FEDERAL BENEFITS BY CATEGORY ===');
+  Object.entries(byCat)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .forEach(([cat, items]) => {
+      console.log('\n' + cat.toUpperCase() + ' (' + items.length + '):');
+      items.forEach((i) => console.log('  - ' + i));
+    });
+}
+
+const programs = loadPrograms();
+const duplicateIds = findDuplicateIds(programs);
+// Pairs sharing an ID are already errors
+const nearDuplicates = findNearDuplicates(
+  programs.filter((program) => !duplicateIds.some((dup) => dup.id === program.id)),
+  { threshold }
+);
+
+if (asJson) {
+  console.log(
+    JSON.stringify(
+      {
+        programs: programs.length,
+        threshold,
+        duplicateIds,
+        nearDuplicates: nearDuplicates.map(({ score, reasons, keep, merge, why, diff }) => ({
+          score,
+          reasons,
+          keep: { id: keep.id, file: keep.sourceFile },
+          merge: { id: merge.id, file: merge.sourceFile },
+          why,
+          diff,
+        })),
+      },
+      null,
+      2
+    )
+  );
+} else {
+  console.log(`Checked ${programs.length} programs\n`);
+
+  console.log('=== DUPLICATE IDs ===');
+  if (duplicateIds.length === 0) console.log('None found');
+  duplicateIds.forEach(({ id, files }) => console.log(`ID: ${id} - in ${files.join(', ')}`));
+
+  console.log(`\n=== NEAR-DUPLICATES (score ≥ ${threshold}) ===`);
+  if (nearDuplicates.length === 0) console.log('None found');
+  const shown = limit > 0 ? nearDuplicates.slice(0, limit) : nearDuplicates;
+  shown.forEach((candidate, i) => printCandidate(candidate, i + 1));
+  if (shown.length < nearDuplicates.length) {
+    console.log(
+      `\n... and ${nearDuplicates.length - shown.length} more (use --limit 0 to see all)`
+    );
+  }
+
+  if (showFederal) printFederalBenefits();
+}
+
+process.exit(duplicateIds.length > 0 ? 1 : 0);
@@ -31,6 +31,7 @@ const NON_PROGRAM_FILES = [
   'search-config.yml',
   'site-config.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'transit-agencies.yml',
 ];
 
@@ -11,6 +11,7 @@ const NON_PROGRAM_FILES = [
   'suppressed.yml',
   'search-config.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'site-config.yml',
   'bay-area-jurisdictions.yml',
   'city-profiles.yml',
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Diff Representatives
+ *
+ * Compares src/data/city-councils.yml with council data pulled from Cicero
+ * (process-cicero-data.cjs) or the city website scrapers
+ * (scrape-all-councils.cjs), listing members each side has that the other
+ * doesn't. Nothing is written: review the diff, check the city's website and
+ * update the YAML (including last_verified and any term dates) by hand.
+ *
+ * Run: node scripts/diff-representatives.cjs [--cicero | --scraped | --source <file>] [--json]
+ *
+ *   --cicero         data-exports/city-councils/city-councils-processed.json (default)
+ *   --scraped        data-exports/city-councils/all-councils-combined.json
+ *   --source FILE    Any file with the same { cities: { Name: { members|officials } } } shape
+ *   --json           Print the diff as JSON
+ *
+ * Exits 1 when any city differs, so it can gate a refresh job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadRepresentatives,
+  diffCouncils,
+  formatCouncilDiff,
+} = require('./lib/representatives.cjs');
+
+const EXPORT_DIR = path.join(__dirname, '..', 'data-exports', 'city-councils');
+const CICERO_FILE = path.join(EXPORT_DIR, 'city-councils-processed.json');
+const SCRAPED_FILE = path.join(EXPORT_DIR, 'all-councils-combined.json');
+
+const args = process.argv.slice(2);
+function option(name, fallback = null) {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+const sourceFile = option('--source', args.includes('--scraped') ? SCRAPED_FILE : CICERO_FILE);
+const asJson = args.includes('--json');
+
+function main() {
+  if (!fs.existsSync(sourceFile)) {
+    console.error(`Source not found: ${path.relative(process.cwd(), sourceFile)}`);
+    console.error(
+      'Run scripts/process-cicero-data.cjs or scripts/scrape-all-councils.cjs first, or pass --source.'
+    );
+    process.exit(1);
+  }
+
+  const { cityCouncils } = loadRepresentatives();
+  const external = JSON.parse(fs.readFileSync(sourceFile, 'utf8'));
+  const diff = diffCouncils(cityCouncils, external);
+
+  if (asJson) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    console.log(`🏛️  City councils vs ${path.relative(process.cwd(), sourceFile)}\n`);
+    console.log(formatCouncilDiff(diff).join('\n'));
+  }
+
+  process.exit(diff.changed.length > 0 ? 1 : 0);
+}
+
+main();
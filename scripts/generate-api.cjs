@@ -7,8 +7,16 @@
  */
 
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const yaml = require('js-yaml');
+const programChanges = require('./lib/program-changes.cjs');
+
+// The offline index is tokenized by the same ES module that queries it
+const OFFLINE_SEARCH_MODULE = pathToFileURL(
+  path.join(__dirname, '../src/lib/offline-search.js')
+).href;
 
 // Configuration
 // Data files are now in src/data (Astro project structure)
@@ -17,6 +25,8 @@ const DATA_DIR = path.join(__dirname, '../src/data');
 const CITIES_FILE = path.join(__dirname, '../src/data/cities.yml');
 const API_DIR = path.join(__dirname, '../public/api');
 const PROGRAMS_DIR = path.join(API_DIR, 'programs');
+// The live site, whose programs.json is the baseline for the change feed
+const SITE_URL = 'https://baynavigator.org';
 
 // Ensure API directories exist
 if (!fs.existsSync(API_DIR)) {
@@ -171,8 +181,26 @@ if (fs.existsSync(SUPPRESSED_FILE)) {
 // These are excluded from the public API but still displayed on the website
 const RESTRICTED_SOURCES = ['ThroughLine'];
 
+// Timezone assumed for program hours when none is given
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+/**
+ * Normalize structured hours for the API (camelCase keys, default timezone)
+ */
+function transformHours(hours) {
+  if (!hours || !hours.weekly) return null;
+  return {
+    timezone: hours.timezone || DEFAULT_TIMEZONE,
+    weekly: hours.weekly,
+    exceptions: hours.exceptions || [],
+    closedOnHolidays: hours.closed_on_holidays || false,
+  };
+}
+
 // Load all programs from YAML files
 const allPrograms = [];
+// Programs whose cost comes from fee_info (see diffPrograms in program-changes.cjs)
+const costFromFeeInfo = new Set();
 // Filter out non-program files (metadata files that don't contain program arrays)
 const NON_PROGRAM_FILES = [
   'airports.yml',
@@ -181,6 +209,7 @@ const NON_PROGRAM_FILES = [
   'cities.yml',
   'city-profiles.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'custom-themes.yml',
   'groups.yml',
   'helplines.yml',
@@ -260,7 +289,8 @@ categoryFiles.forEach((file) => {
       impact: program.impact || 'medium',
       city: city,
       website: program.link || program.website || '',
-      cost: program.cost || null,
+      // Park entries (sync-nps-parks.cjs) give their entrance fee as fee_info
+      cost: program.cost || program.fee_info || null,
       phone: program.phone || null,
       email: program.email || null,
       address: program.address || null,
@@ -270,7 +300,12 @@ categoryFiles.forEach((file) => {
       keywords: program.keywords || [],
       lifeEvents: program.life_events || [],
       agency: program.agency || null,
+      hours: transformHours(program.hours),
+      languages: program.languages || [],
+      deadline: program.deadline || null,
       lastUpdated: new Date().toISOString().split('T')[0],
+      verifiedBy: program.verified_by || null,
+      verifiedDate: program.verified_date || null,
       // External data source tracking
       dataSource: program.data_source || 'bayNavigator',
       externalId: program.external_id || null,
@@ -278,6 +313,7 @@ categoryFiles.forEach((file) => {
     };
 
     allPrograms.push(transformed);
+    if (!program.cost && program.fee_info) costFromFeeInfo.add(id);
 
     // Write individual program file
     const programFile = path.join(PROGRAMS_DIR, `${id}.json`);
@@ -287,6 +323,14 @@ categoryFiles.forEach((file) => {
 
 console.log(`\n✅ Generated ${allPrograms.length} individual program files`);
 
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
 // Generate programs.json (all programs)
 const programsResponse = {
   total: allPrograms.length,
@@ -295,7 +339,15 @@ const programsResponse = {
   programs: allPrograms,
 };
 
-fs.writeFileSync(path.join(API_DIR, 'programs.json'), JSON.stringify(programsResponse, null, 2));
+// Keep the last local build as a fallback baseline for the change feed
+const PROGRAMS_FILE = path.join(API_DIR, 'programs.json');
+const CHANGES_FILE = path.join(API_DIR, 'changes.json');
+const localPrevious = {
+  programs: readJsonFile(PROGRAMS_FILE),
+  changes: readJsonFile(CHANGES_FILE),
+};
+
+fs.writeFileSync(PROGRAMS_FILE, JSON.stringify(programsResponse, null, 2));
 console.log('✅ Generated programs.json');
 
 // Generate categories.json
@@ -351,6 +403,79 @@ const areas = Object.keys(AREA_TYPES).map((name) => ({
 fs.writeFileSync(path.join(API_DIR, 'areas.json'), JSON.stringify({ areas }, null, 2));
 console.log('✅ Generated areas.json');
 
+// ─── Program shards ─────────────────────────────────────────────────────────
+// Pre-filtered, paged copies of programs.json (all programs, and per category,
+// group and area) so clients can fetch only the slice they need. ApiClient in
+// shared/api-client.js picks the smallest shard using shards/index.json.
+
+const SHARDS_DIR = path.join(API_DIR, 'shards');
+const SHARD_PAGE_SIZE = 50;
+
+// Must match shardKey() in shared/api-client.js
+function shardKey(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9_]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function writeShard(dir, programs) {
+  fs.mkdirSync(dir, { recursive: true });
+  const pages = Math.max(1, Math.ceil(programs.length / SHARD_PAGE_SIZE));
+  for (let page = 1; page <= pages; page++) {
+    const offset = (page - 1) * SHARD_PAGE_SIZE;
+    const slice = programs.slice(offset, offset + SHARD_PAGE_SIZE);
+    fs.writeFileSync(
+      path.join(dir, `page-${page}.json`),
+      JSON.stringify({ total: programs.length, count: slice.length, offset, programs: slice })
+    );
+  }
+  return { total: programs.length, pages };
+}
+
+function generateShards(programs) {
+  fs.rmSync(SHARDS_DIR, { recursive: true, force: true });
+
+  const dimensions = {
+    category: (p) => [p.category],
+    group: (p) => p.groups,
+    area: (p) => p.areas,
+  };
+
+  const manifest = {
+    pageSize: SHARD_PAGE_SIZE,
+    all: writeShard(path.join(SHARDS_DIR, 'all'), programs),
+  };
+  let shardCount = 1;
+
+  Object.entries(dimensions).forEach(([dimension, getValues]) => {
+    const byKey = new Map();
+    programs.forEach((program) => {
+      new Set((getValues(program) || []).map(shardKey).filter(Boolean)).forEach((key) => {
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(program);
+      });
+    });
+
+    manifest[dimension] = {};
+    Array.from(byKey.keys())
+      .sort()
+      .forEach((key) => {
+        manifest[dimension][key] = writeShard(
+          path.join(SHARDS_DIR, dimension, key),
+          byKey.get(key)
+        );
+        shardCount++;
+      });
+  });
+
+  fs.writeFileSync(path.join(SHARDS_DIR, 'index.json'), JSON.stringify(manifest, null, 2));
+  console.log(`✅ Generated ${shardCount} program shards (shards/index.json)`);
+}
+
+generateShards(allPrograms);
+
 function generateSearchIndex(programs) {
   let Fuse = null;
   try {
@@ -392,23 +517,172 @@ function generateSearchIndex(programs) {
 
 generateSearchIndex(allPrograms);
 
+// ─── Offline search index ───────────────────────────────────────────────────
+// A compact inverted index the service worker caches for offline search
+// (queried by src/lib/offline-search.js). Its version is a content hash,
+// published in metadata.json so the service worker only re-downloads it
+// when programs actually change.
+
+// Field order defines the posting mask bits; weights rank name matches highest
+const OFFLINE_INDEX_FIELDS = [
+  { name: 'name', weight: 4 },
+  { name: 'keywords', weight: 3 },
+  { name: 'category', weight: 2 },
+  { name: 'area', weight: 1 },
+  { name: 'description', weight: 1 },
+];
+
+async function generateOfflineSearchIndex(programs) {
+  const { tokenize, OFFLINE_SEARCH_INDEX_FORMAT } = await import(OFFLINE_SEARCH_MODULE);
+  const docs = programs.map((program) => program.id);
+  const postings = new Map();
+
+  programs.forEach((program, docIndex) => {
+    const fieldText = {
+      name: program.name,
+      keywords: Array.isArray(program.keywords) ? program.keywords.join(' ') : program.keywords,
+      category: program.category,
+      area: program.areas.join(' '),
+      description: program.description,
+    };
+
+    const masks = new Map();
+    OFFLINE_INDEX_FIELDS.forEach((field, bit) => {
+      tokenize(fieldText[field.name]).forEach((token) => {
+        masks.set(token, (masks.get(token) || 0) | (1 << bit));
+      });
+    });
+
+    masks.forEach((mask, token) => {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push(docIndex, mask);
+    });
+  });
+
+  const terms = {};
+  Array.from(postings.keys())
+    .sort()
+    .forEach((token) => {
+      terms[token] = postings.get(token);
+    });
+
+  const content = {
+    fields: OFFLINE_INDEX_FIELDS.map((field) => field.name),
+    weights: OFFLINE_INDEX_FIELDS.map((field) => field.weight),
+    docs,
+    terms,
+  };
+  const version = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(content))
+    .digest('hex')
+    .slice(0, 12);
+
+  const payload = { format: OFFLINE_SEARCH_INDEX_FORMAT, version, ...content };
+  fs.writeFileSync(path.join(API_DIR, 'search-inverted-index.json'), JSON.stringify(payload));
+  console.log(
+    `✅ Generated search-inverted-index.json (${Object.keys(terms).length} terms, version ${version})`
+  );
+
+  return version;
+}
+
 // Generate API metadata
-const metadata = {
-  version: '1.0.0',
-  generatedAt: new Date().toISOString(),
-  totalPrograms: allPrograms.length,
-  endpoints: {
-    programs: '/api/programs.json',
-    categories: '/api/categories.json',
-    groups: '/api/groups.json',
-    areas: '/api/areas.json',
-    searchIndex: '/api/search-index.json',
-    singleProgram: '/api/programs/{id}.json',
-  },
-};
+function generateMetadata(offlineSearchIndexVersion) {
+  const metadata = {
+    version: '1.0.0',
+    generatedAt: new Date().toISOString(),
+    totalPrograms: allPrograms.length,
+    offlineSearchIndexVersion,
+    endpoints: {
+      programs: '/api/programs.json',
+      categories: '/api/categories.json',
+      groups: '/api/groups.json',
+      areas: '/api/areas.json',
+      searchIndex: '/api/search-index.json',
+      offlineSearchIndex: '/api/search-inverted-index.json',
+      shards: '/api/shards/index.json',
+      changes: '/api/changes.json',
+      changesFeed: '/api/changes.atom',
+      singleProgram: '/api/programs/{id}.json',
+    },
+  };
+
+  fs.writeFileSync(path.join(API_DIR, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  console.log('✅ Generated metadata.json');
+}
 
-fs.writeFileSync(path.join(API_DIR, 'metadata.json'), JSON.stringify(metadata, null, 2));
-console.log('✅ Generated metadata.json');
+// ─── Program change feed ─────────────────────────────────────────────────────
+// Diff this build against the published programs.json (or the last local build
+// when the site can't be reached) and add the result to the change history.
+
+// Resolves to { data, notFound }: data is null when the file couldn't be
+// fetched, and notFound tells a file that was never published (404) apart
+// from a site that couldn't be reached
+async function fetchPublished(file) {
+  try {
+    const resp = await fetch(`${SITE_URL}/api/${file}`, { signal: AbortSignal.timeout(15000) });
+    if (resp.status === 404) return { data: null, notFound: true };
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return { data: await resp.json(), notFound: false };
+  } catch (e) {
+    console.warn(`⚠️  Could not fetch published ${file}: ${e.message}`);
+    return { data: null, notFound: false };
+  }
+}
+
+async function generateChangeFeed() {
+  console.log('\n📝 Generating program change feed...');
+  const now = new Date();
+  const publishedPrograms = await fetchPublished('programs.json');
+  let previous = publishedPrograms.data;
+  let history = null;
+  // Only a 404 means there is no history yet; starting over on any other
+  // failure would replace the published feed with this build's changes
+  if (previous) {
+    const published = await fetchPublished('changes.json');
+    history = published.data || (published.notFound ? null : localPrevious.changes);
+    if (!history && !published.notFound) {
+      console.warn('   No change history to add to; not regenerating the change feed');
+      return;
+    }
+  } else {
+    previous = localPrevious.programs;
+    history = localPrevious.changes;
+    if (!history && !publishedPrograms.notFound) {
+      console.warn(
+        '   Site unreachable and no local change history; not regenerating the change feed'
+      );
+      return;
+    }
+  }
+
+  const changes = previous
+    ? programChanges.diffPrograms(previous.programs || [], allPrograms, {
+        suppressedIds,
+        costFromFeeInfo,
+        now,
+      })
+    : [];
+  if (!previous) {
+    console.warn('   No previous programs.json to compare with; the change feed starts now');
+  }
+  const merged = programChanges.mergeHistory(history ? history.changes || [] : [], changes, {
+    now,
+  });
+
+  fs.writeFileSync(
+    CHANGES_FILE,
+    JSON.stringify(programChanges.buildChangesResponse(merged, now), null, 2)
+  );
+  fs.writeFileSync(
+    path.join(API_DIR, 'changes.atom'),
+    programChanges.buildAtomFeed(merged, { siteUrl: SITE_URL, now })
+  );
+  console.log(
+    `✅ Generated changes.json and changes.atom (${changes.length} new, ${merged.length} total)`
+  );
+}
 
 // ─── Fetch sports data from Azure Blob Storage ──────────────────────────────
 // Sports data is synced by GitHub Actions and stored in Azure Blob.
@@ -436,12 +710,20 @@ async function fetchSportsData() {
   }
 }
 
-fetchSportsData().then(() => {
-  console.log('\n🎉 API generation complete!');
-  console.log(`📊 Summary:`);
-  console.log(`   - Total programs: ${allPrograms.length}`);
-  console.log(`   - Categories: ${categories.length}`);
-  console.log(`   - Groups: ${groups.length}`);
-  console.log(`   - Service areas: ${areas.length}`);
-  console.log(`\n📁 Files written to: ${API_DIR}`);
-});
+generateOfflineSearchIndex(allPrograms)
+  .then(generateMetadata)
+  .then(() =>
+    generateChangeFeed().catch((e) =>
+      console.warn(`⚠️  Could not generate change feed: ${e.message}`)
+    )
+  )
+  .then(fetchSportsData)
+  .then(() => {
+    console.log('\n🎉 API generation complete!');
+    console.log(`📊 Summary:`);
+    console.log(`   - Total programs: ${allPrograms.length}`);
+    console.log(`   - Categories: ${categories.length}`);
+    console.log(`   - Groups: ${groups.length}`);
+    console.log(`   - Service areas: ${areas.length}`);
+    console.log(`\n📁 Files written to: ${API_DIR}`);
+  });
@@ -21,6 +21,7 @@ const NON_PROGRAM_FILES = [
   'cities.yml',
   'city-profiles.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'groups.yml',
   'helplines.yml',
   'search-config.yml',
@@ -3,7 +3,9 @@
  * Generate a location data JSON file for Carl to use
  *
  * Creates /public/api/location-data.json with ZIP code to city mapping
- * and city to county mapping for location-based responses
+ * and city to county mapping for location-based responses. Also used by
+ * src/lib/location-resolver.js, which needs the list of CDPs and each
+ * county's supervisorial district layer.
  */
 
 const fs = require('fs');
@@ -12,6 +14,7 @@ const yaml = require('js-yaml');
 
 const ZIPCODES_PATH = path.join(__dirname, '..', 'src', 'data', 'zipcodes.yml');
 const CITIES_PATH = path.join(__dirname, '..', 'src', 'data', 'cities.yml');
+const SUPERVISORS_PATH = path.join(__dirname, '..', 'src', 'data', 'county-supervisors.yml');
 const OUTPUT_PATH = path.join(__dirname, '..', 'public', 'api', 'location-data.json');
 
 // ZIP code coordinates (approximate center points)
@@ -500,10 +503,24 @@ function main() {
   const citiesContent = fs.readFileSync(CITIES_PATH, 'utf-8');
   const cities = yaml.load(citiesContent);
 
-  // Build city to county map
+  // Build city to county map, and list census-designated places (unincorporated)
   const cityToCounty = {};
+  const cdps = [];
   for (const city of cities) {
     cityToCounty[city.name.toLowerCase()] = city.county;
+    if (city.type === 'CDP') cdps.push(city.name.toLowerCase());
+  }
+
+  // ArcGIS layers for supervisorial district lookups, keyed by county name
+  const supervisors = yaml.load(fs.readFileSync(SUPERVISORS_PATH, 'utf-8'));
+  const supervisorDistricts = {};
+  for (const county of Object.values(supervisors.counties)) {
+    if (!county.arcgis_url || !county.district_field) continue;
+    supervisorDistricts[county.name] = {
+      url: county.arcgis_url,
+      field: county.district_field,
+      ...(county.district_mapping && { mapping: county.district_mapping }),
+    };
   }
 
   // Create output
@@ -513,6 +530,8 @@ function main() {
     cityToCounty,
     neighborhoodAliases,
     zipCoordinates,
+    cdps,
+    supervisorDistricts,
   };
 
   // Write output
@@ -524,6 +543,8 @@ function main() {
   console.log(`  ZIP coordinates: ${Object.keys(zipCoordinates).length}`);
   console.log(`  Cities: ${Object.keys(cityToCounty).length}`);
   console.log(`  Neighborhoods: ${Object.keys(neighborhoodAliases).length}`);
+  console.log(`  CDPs: ${cdps.length}`);
+  console.log(`  Supervisor district layers: ${Object.keys(supervisorDistricts).length}`);
   console.log(`Output: ${OUTPUT_PATH}`);
 }
 
@@ -26,6 +26,7 @@ const NON_PROGRAM_FILES = [
   'search-config.yml',
   'transit-agencies.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'site-config.yml',
   'bay-area-jurisdictions.yml',
   'city-profiles.yml',
@@ -0,0 +1,134 @@
+/**
+ * District boundary snapshot helpers
+ *
+ * Converts ArcGIS query results (Esri JSON rings) into GeoJSON and trims them
+ * down for the static district files: coordinates rounded to about a meter
+ * and points closer together than the tolerance dropped, so a district layer
+ * stays small enough for the browser to load.
+ *
+ * Used by: sync-district-boundaries.cjs
+ */
+
+'use strict';
+
+// 5 decimal places is about 1 m at Bay Area latitudes
+const PRECISION = 1e5;
+// Drop points within about 5 m of the last one kept
+const TOLERANCE = 0.00005;
+
+// Shoelace sum; positive for clockwise rings (Esri outer rings), negative for holes
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+  }
+  return sum / 2;
+}
+
+function isInRing([lng, lat], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * GeoJSON geometry from an Esri polygon. Clockwise rings start a polygon;
+ * counter-clockwise rings are holes in the polygon that contains them.
+ * @param {{ rings?: Array<Array<[number, number]>> } | null} esriGeometry
+ * @returns {{ type: 'Polygon' | 'MultiPolygon', coordinates: Array } | null}
+ */
+function esriToGeometry(esriGeometry) {
+  const rings = (esriGeometry?.rings || []).filter((ring) => ring.length >= 4);
+  const polygons = [];
+  const holes = [];
+  for (const ring of rings) {
+    if (ringArea(ring) > 0) polygons.push([ring]);
+    else holes.push(ring);
+  }
+  // A layer that winds every ring the other way has no clockwise rings
+  if (polygons.length === 0)
+    return rings.length > 0 ? esriToGeometry({ rings: rings.map((r) => [...r].reverse()) }) : null;
+
+  for (const hole of holes) {
+    const owner =
+      polygons.find(([outer]) => isInRing(hole[0], outer)) || polygons[polygons.length - 1];
+    owner.push(hole);
+  }
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+function round(value) {
+  return Math.round(value * PRECISION) / PRECISION;
+}
+
+function simplifyRing(ring, tolerance) {
+  const rounded = ring.map(([lng, lat]) => [round(lng), round(lat)]);
+  const kept = [rounded[0]];
+  for (let i = 1; i < rounded.length - 1; i++) {
+    const [lng, lat] = rounded[i];
+    const [lastLng, lastLat] = kept[kept.length - 1];
+    if (Math.abs(lng - lastLng) >= tolerance || Math.abs(lat - lastLat) >= tolerance) {
+      kept.push(rounded[i]);
+    }
+  }
+  kept.push(rounded[rounded.length - 1]);
+  // Too few points left to be a ring: keep every rounded point
+  return kept.length >= 4 ? kept : rounded;
+}
+
+/**
+ * Round and thin a Polygon or MultiPolygon
+ * @param {{ type: string, coordinates: Array }} geometry
+ * @param {number} [tolerance] - In degrees
+ * @returns {{ type: string, coordinates: Array }}
+ */
+function simplifyGeometry(geometry, tolerance = TOLERANCE) {
+  const simplifyPolygon = (rings) => rings.map((ring) => simplifyRing(ring, tolerance));
+  return {
+    type: geometry.type,
+    coordinates:
+      geometry.type === 'MultiPolygon'
+        ? geometry.coordinates.map(simplifyPolygon)
+        : simplifyPolygon(geometry.coordinates),
+  };
+}
+
+/**
+ * Bounding box of a FeatureCollection, for limiting statewide layers to the
+ * Bay Area
+ * @param {{ features: Array }} collection
+ * @returns {{ xmin: number, ymin: number, xmax: number, ymax: number }}
+ */
+function boundingBox(collection) {
+  const box = { xmin: Infinity, ymin: Infinity, xmax: -Infinity, ymax: -Infinity };
+  const visit = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      box.xmin = Math.min(box.xmin, coordinates[0]);
+      box.xmax = Math.max(box.xmax, coordinates[0]);
+      box.ymin = Math.min(box.ymin, coordinates[1]);
+      box.ymax = Math.max(box.ymax, coordinates[1]);
+      return;
+    }
+    coordinates.forEach(visit);
+  };
+  for (const feature of collection.features || []) {
+    if (feature.geometry?.coordinates) visit(feature.geometry.coordinates);
+  }
+  return box;
+}
+
+module.exports = {
+  PRECISION,
+  TOLERANCE,
+  esriToGeometry,
+  simplifyGeometry,
+  boundingBox,
+};
@@ -0,0 +1,237 @@
+/**
+ * Link failure tracking and suppression proposals
+ *
+ * Keeps a per-program history of consecutive failed link checks, and turns it
+ * into proposed changes to src/data/suppressed.yml: suppress programs whose
+ * link has failed repeatedly for weeks, and restore programs this process
+ * suppressed once their link works again. Manual suppressions are never
+ * restored automatically.
+ *
+ * Used by: track-link-failures.cjs
+ */
+
+'use strict';
+
+const yaml = require('js-yaml');
+
+// Defaults: 3 failed checks, the first at least 2 weeks ago
+const MIN_FAILURES = 3;
+const MIN_WEEKS = 2;
+// Passing checks in a row before an automatic suppression is lifted
+const RESTORE_PASSES = 2;
+
+// suppressed.yml `source` for entries added by this process
+const AUTO_SOURCE_PREFIX = 'Link checker';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Outcome of one check: 'pass', 'fail', or 'inconclusive' for results that
+ * say more about the checker than the page (timeouts, bot blocking)
+ * @param {{ ok: boolean, status?: number, error?: string|null }} result
+ * @returns {'pass'|'fail'|'inconclusive'}
+ */
+function classifyCheck(result) {
+  if (result.ok) return 'pass';
+  if ([401, 403, 429].includes(result.status)) return 'inconclusive';
+  if (/timeout/i.test(result.error || '')) return 'inconclusive';
+  return 'fail';
+}
+
+/**
+ * Results from scripts/verify-programs.cjs (verification-results.json)
+ * @param {object} report
+ * @returns {Array<{ id: string, url: string, outcome: string, detail: string }>}
+ */
+function fromVerificationResults(report) {
+  const checks = [];
+  for (const program of [...(report.verified || []), ...(report.redirected || [])]) {
+    checks.push({ id: program.id, url: program.url, outcome: 'pass', detail: '' });
+  }
+  for (const program of report.failed || []) {
+    checks.push({
+      id: program.id,
+      url: program.url,
+      outcome: classifyCheck({ ok: false, status: program.status, error: program.error }),
+      detail: program.error || `HTTP ${program.status} ${program.statusDescription || ''}`.trim(),
+    });
+  }
+  for (const program of report.timeout || []) {
+    checks.push({ id: program.id, url: program.url, outcome: 'inconclusive', detail: 'Timeout' });
+  }
+  return checks;
+}
+
+/**
+ * Fold one run's checks into the history
+ * @param {object} history - { programs: { [id]: entry } }
+ * @param {Array<{ id: string, url: string, outcome: string, detail: string }>} checks
+ * @param {Date} [now]
+ * @returns {object} The updated history (a new object)
+ */
+function recordChecks(history, checks, now = new Date()) {
+  const programs = { ...(history.programs || {}) };
+  const checkedAt = now.toISOString();
+
+  for (const check of checks) {
+    if (check.outcome === 'inconclusive') continue;
+    const previous = programs[check.id];
+    // A new URL in the data starts a new history
+    const entry =
+      previous && previous.url === check.url
+        ? { ...previous }
+        : { url: check.url, failures: [], passes: 0 };
+
+    if (check.outcome === 'fail') {
+      entry.failures = [...entry.failures, checkedAt];
+      entry.passes = 0;
+      entry.lastError = check.detail;
+    } else {
+      entry.failures = [];
+      entry.passes = (entry.passes || 0) + 1;
+      delete entry.lastError;
+    }
+    entry.lastChecked = checkedAt;
+    programs[check.id] = entry;
+  }
+
+  return { updated: checkedAt, programs };
+}
+
+/**
+ * Drop history for programs no longer in the data
+ * @param {object} history
+ * @param {Set<string>} programIds
+ */
+function pruneHistory(history, programIds) {
+  const programs = Object.fromEntries(
+    Object.entries(history.programs || {}).filter(([id]) => programIds.has(id))
+  );
+  return { ...history, programs };
+}
+
+function isAutomatic(entry) {
+  return String(entry.source || '').startsWith(AUTO_SOURCE_PREFIX);
+}
+
+/**
+ * Changes to suppressed.yml the history supports
+ * @param {object} history
+ * @param {Array<{ id: string, source?: string }>} suppressed - Current suppressed.yml entries
+ * @param {object} [options]
+ * @param {number} [options.minFailures]
+ * @param {number} [options.minWeeks]
+ * @param {Date} [options.now]
+ * @returns {{ suppress: object[], restore: object[] }}
+ */
+function proposeChanges(
+  history,
+  suppressed,
+  { minFailures = MIN_FAILURES, minWeeks = MIN_WEEKS, now = new Date() } = {}
+) {
+  const suppressedById = new Map(suppressed.map((entry) => [entry.id, entry]));
+  const suppress = [];
+  const restore = [];
+  const today = now.toISOString().split('T')[0];
+
+  for (const [id, entry] of Object.entries(history.programs || {})) {
+    const current = suppressedById.get(id);
+
+    if (!current && entry.failures.length >= minFailures) {
+      // Compare calendar days, so a weekly run that starts a few minutes
+      // earlier than the first failing one still counts the full weeks
+      const since = entry.failures[0].split('T')[0];
+      if (Date.parse(today) - Date.parse(since) >= minWeeks * WEEK_MS) {
+        suppress.push({
+          id,
+          reason: `Link has failed since ${since}: ${entry.lastError}`,
+          date_suppressed: today,
+          source: `${AUTO_SOURCE_PREFIX} - ${entry.failures.length} failed checks of ${entry.url}`,
+        });
+      }
+    }
+
+    if (current && isAutomatic(current) && entry.passes >= RESTORE_PASSES) {
+      restore.push({ id, url: entry.url, reason: current.reason });
+    }
+  }
+
+  const byId = (a, b) => a.id.localeCompare(b.id);
+  return { suppress: suppress.sort(byId), restore: restore.sort(byId) };
+}
+
+/**
+ * Apply proposed changes to suppressed.yml's text, keeping its comments and
+ * the order of existing entries
+ * @param {string} text
+ * @param {{ suppress: object[], restore: object[] }} changes
+ * @returns {string}
+ */
+function applyChanges(text, { suppress, restore }) {
+  const restoreIds = new Set(restore.map((entry) => entry.id));
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^- id:\s*['"]?([^'"\s]+)['"]?\s*$/);
+    if (!match || !restoreIds.has(match[1])) {
+      kept.push(lines[i]);
+      continue;
+    }
+    // Skip the entry's indented lines and the blank line after it
+    while (i + 1 < lines.length && /^\s+\S/.test(lines[i + 1])) i++;
+    if (i + 1 < lines.length && lines[i + 1].trim() === '') i++;
+  }
+
+  let result = kept.join('\n').replace(/\n+$/, '\n');
+  if (suppress.length > 0) {
+    const entries = suppress.map((entry) => yaml.dump([entry], { lineWidth: -1 }).trimEnd());
+    result += `\n${entries.join('\n\n')}\n`;
+  }
+  return result;
+}
+
+/**
+ * Markdown summary of proposed changes, for the review PR
+ * @param {{ suppress: object[], restore: object[] }} changes
+ * @param {Map<string, { name: string, file: string }>} programs
+ * @returns {string}
+ */
+function formatProposal({ suppress, restore }, programs) {
+  const describe = (id) => {
+    const program = programs.get(id);
+    return program ? `**${program.name}** (\`${id}\`, ${program.file})` : `\`${id}\``;
+  };
+  const sections = [];
+  if (suppress.length > 0) {
+    sections.push(
+      `### Suppress (${suppress.length})\n\n` +
+        suppress.map((entry) => `- ${describe(entry.id)}\n  ${entry.reason}`).join('\n')
+    );
+  }
+  if (restore.length > 0) {
+    sections.push(
+      `### Restore (${restore.length})\n\n` +
+        restore
+          .map(
+            (entry) => `- ${describe(entry.id)}\n  ${entry.url} works again (was: ${entry.reason})`
+          )
+          .join('\n')
+    );
+  }
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  MIN_FAILURES,
+  MIN_WEEKS,
+  RESTORE_PASSES,
+  AUTO_SOURCE_PREFIX,
+  classifyCheck,
+  fromVerificationResults,
+  recordChecks,
+  pruneHistory,
+  proposeChanges,
+  applyChanges,
+  formatProposal,
+};
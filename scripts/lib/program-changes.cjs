@@ -0,0 +1,303 @@
+/**
+ * Program change history
+ *
+ * Diffs a build's programs against the previously published programs.json and
+ * keeps a rolling history of added, removed, suppressed and modified programs
+ * (with field-level diffs) for the changes.json API and the changes.atom feed.
+ *
+ * Change shape:
+ *   { date: '2026-10-19', type: 'modified', id, name, category,
+ *     fields: [{ field: 'phone', label: 'Phone', before: '...', after: '...' }] }
+ *
+ * Used by: generate-api.cjs, src/generate-api.ts
+ */
+
+'use strict';
+
+// Fields worth telling caseworkers about, with display labels. Search-only and
+// bookkeeping fields (keywords, impact, lastUpdated, ...) aren't tracked.
+const TRACKED_FIELDS = {
+  name: 'Name',
+  category: 'Category',
+  description: 'Summary',
+  fullDescription: 'Description',
+  whatTheyOffer: 'What they offer',
+  howToGetIt: 'How to get it',
+  groups: 'Eligibility',
+  areas: 'Service area',
+  counties: 'Counties',
+  city: 'City',
+  cost: 'Cost',
+  requirements: 'Requirements',
+  howToApply: 'How to apply',
+  phone: 'Phone',
+  email: 'Email',
+  website: 'Website',
+  address: 'Address',
+  hours: 'Hours',
+  languages: 'Languages',
+  deadline: 'Deadline',
+  agency: 'Agency',
+};
+
+const CHANGE_TYPES = ['added', 'modified', 'suppressed', 'removed'];
+
+// History kept in changes.json
+const MAX_AGE_DAYS = 180;
+const MAX_CHANGES = 1000;
+// Entries in changes.atom
+const FEED_ENTRIES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isEmpty(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function sameValue(a, b) {
+  if (isEmpty(a) && isEmpty(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function orNull(value) {
+  return isEmpty(value) ? null : value;
+}
+
+/**
+ * Tracked fields whose values differ between two versions of a program
+ * @param {object} before
+ * @param {object} after
+ * @param {boolean} [costFromFeeInfo] - The generator filled cost in from fee_info
+ * @returns {Array<{ field: string, label: string, before: *, after: * }>}
+ */
+function diffProgram(before, after, costFromFeeInfo = false) {
+  // A cost first filled in from fee_info is the generator catching up, not a program edit
+  const derived = (field) => field === 'cost' && costFromFeeInfo && isEmpty(before.cost);
+  return Object.entries(TRACKED_FIELDS)
+    .filter(([field]) => !derived(field) && !sameValue(before[field], after[field]))
+    .map(([field, label]) => ({
+      field,
+      label,
+      before: orNull(before[field]),
+      after: orNull(after[field]),
+    }));
+}
+
+/**
+ * Changes between the previous and current program lists
+ * @param {object[]} previous - Programs from the previously published programs.json
+ * @param {object[]} current - Programs in this build
+ * @param {object} [options]
+ * @param {Set<string>} [options.suppressedIds] - Removed programs listed in suppressed.yml
+ * @param {Set<string>} [options.costFromFeeInfo] - Programs whose cost is their fee_info
+ * @param {Date} [options.now]
+ * @returns {object[]} Changes, sorted by type then name
+ */
+function diffPrograms(
+  previous,
+  current,
+  { suppressedIds = new Set(), costFromFeeInfo = new Set(), now = new Date() } = {}
+) {
+  const date = now.toISOString().slice(0, 10);
+  const before = new Map(previous.map((program) => [program.id, program]));
+  const after = new Map(current.map((program) => [program.id, program]));
+  const entry = (type, program) => ({
+    date,
+    type,
+    id: program.id,
+    name: program.name,
+    category: program.category,
+  });
+
+  const changes = [];
+  for (const program of current) {
+    const old = before.get(program.id);
+    if (!old) {
+      changes.push(entry('added', program));
+      continue;
+    }
+    const fields = diffProgram(old, program, costFromFeeInfo.has(program.id));
+    if (fields.length > 0) changes.push({ ...entry('modified', program), fields });
+  }
+  for (const program of previous) {
+    if (after.has(program.id)) continue;
+    changes.push(entry(suppressedIds.has(program.id) ? 'suppressed' : 'removed', program));
+  }
+
+  return changes.sort(
+    (a, b) =>
+      CHANGE_TYPES.indexOf(a.type) - CHANGE_TYPES.indexOf(b.type) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Fold a second same-day modification into the first: keep the original
+ * "before" values and drop fields that ended up back where they started
+ */
+function combineModifications(earlier, later) {
+  const fields = new Map(earlier.fields.map((field) => [field.field, { ...field }]));
+  for (const field of later.fields) {
+    const existing = fields.get(field.field);
+    fields.set(field.field, existing ? { ...existing, after: field.after } : field);
+  }
+  const combined = [...fields.values()].filter((field) => !sameValue(field.before, field.after));
+  return combined.length > 0 ? { ...later, fields: combined } : null;
+}
+
+/**
+ * Add a build's changes to the history, newest first. Builds that run more
+ * than once a day (re-deploys, local runs) don't duplicate entries.
+ * @param {object[]} history - Changes from the previous changes.json
+ * @param {object[]} changes - Changes from diffPrograms
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.maxAgeDays]
+ * @param {number} [options.maxChanges]
+ * @returns {object[]}
+ */
+function mergeHistory(
+  history,
+  changes,
+  { now = new Date(), maxAgeDays = MAX_AGE_DAYS, maxChanges = MAX_CHANGES } = {}
+) {
+  const merged = [...history];
+  const fresh = [];
+  for (const change of changes) {
+    const index = merged.findIndex((old) => old.id === change.id && old.date === change.date);
+    const old = index >= 0 ? merged[index] : null;
+    if (old && old.type === 'modified' && change.type === 'modified') {
+      const combined = combineModifications(old, change);
+      if (combined) merged[index] = combined;
+      else merged.splice(index, 1);
+    } else if (old && old.type === 'added' && change.type === 'modified') {
+      // Still new today
+      merged[index] = { ...old, name: change.name, category: change.category };
+    } else {
+      fresh.push(change);
+    }
+  }
+
+  const cutoff = new Date(now.getTime() - maxAgeDays * DAY_MS).toISOString().slice(0, 10);
+  return [...fresh, ...merged]
+    .filter((change) => change.date >= cutoff)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, maxChanges);
+}
+
+/**
+ * Build the changes.json payload
+ * @param {object[]} changes - Merged history
+ * @param {Date} [now]
+ */
+function buildChangesResponse(changes, now = new Date()) {
+  const counts = Object.fromEntries(CHANGE_TYPES.map((type) => [type, 0]));
+  changes.forEach((change) => counts[change.type]++);
+  return {
+    generatedAt: now.toISOString(),
+    since: changes.length > 0 ? changes[changes.length - 1].date : null,
+    total: changes.length,
+    counts,
+    changes,
+  };
+}
+
+function formatValue(value) {
+  if (isEmpty(value)) return '(none)';
+  if (Array.isArray(value)) return value.join(', ');
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+}
+
+/**
+ * One line per changed field, e.g. "Phone: 510-555-0100 → 510-555-0199".
+ * Structured fields (hours, deadline) just say they changed.
+ */
+function describeFields(fields) {
+  return fields.map(({ label, before, after }) =>
+    (before && typeof before === 'object' && !Array.isArray(before)) ||
+    (after && typeof after === 'object' && !Array.isArray(after))
+      ? `${label} changed`
+      : `${label}: ${formatValue(before)} → ${formatValue(after)}`
+  );
+}
+
+const TITLE_PREFIXES = {
+  added: 'New',
+  modified: 'Updated',
+  suppressed: 'Hidden',
+  removed: 'Removed',
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Atom feed of the most recent changes
+ * @param {object[]} changes - Merged history, newest first
+ * @param {object} options
+ * @param {string} options.siteUrl - e.g. https://baynavigator.org
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+function buildAtomFeed(changes, { siteUrl, now = new Date() }) {
+  const host = new URL(siteUrl).hostname;
+  const entries = changes.slice(0, FEED_ENTRIES).map((change) => {
+    const summary =
+      change.type === 'modified'
+        ? describeFields(change.fields).join('\n')
+        : {
+            added: 'Added to Bay Navigator.',
+            suppressed: 'No longer listed while it is reviewed.',
+            removed: 'No longer listed.',
+          }[change.type];
+    const link =
+      change.type === 'removed' || change.type === 'suppressed'
+        ? `${siteUrl}/directory`
+        : `${siteUrl}/directory#program-${change.id}`;
+    return [
+      '  <entry>',
+      `    <id>tag:${host},${change.date}:program/${escapeXml(change.id)}/${change.type}</id>`,
+      `    <title>${TITLE_PREFIXES[change.type]}: ${escapeXml(change.name)}</title>`,
+      `    <link href="${escapeXml(link)}"/>`,
+      `    <updated>${change.date}T00:00:00Z</updated>`,
+      `    <category term="${escapeXml(change.category)}"/>`,
+      `    <summary type="text">${escapeXml(summary)}</summary>`,
+      '  </entry>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${siteUrl}/api/changes.atom</id>`,
+    '  <title>Bay Navigator program changes</title>',
+    '  <subtitle>Programs added, removed or updated in Bay Navigator</subtitle>',
+    `  <link rel="self" href="${siteUrl}/api/changes.atom"/>`,
+    `  <link href="${siteUrl}/directory"/>`,
+    `  <updated>${now.toISOString()}</updated>`,
+    '  <author><name>Bay Navigator</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffProgram,
+  diffPrograms,
+  mergeHistory,
+  buildChangesResponse,
+  describeFields,
+  buildAtomFeed,
+};
@@ -0,0 +1,417 @@
+/**
+ * Near-duplicate program detection
+ *
+ * Scores pairs of programs on normalized name, phone number, website, address
+ * and coordinates, so the same organization listed twice (often under slightly
+ * different names, in different category files) can be found and merged.
+ * Only pairs that share a name word, phone, website host, address or map cell
+ * are compared, and only pairs with similar names can match.
+ *
+ * Used by: check-duplicates.cjs
+ */
+
+'use strict';
+
+// Score for each kind of match; a pair's score is their sum, capped at 1
+const WEIGHTS = {
+  name: 0.45, // scaled by name similarity
+  phone: 0.25,
+  website: 0.25,
+  websiteHost: 0.05,
+  address: 0.2,
+  nearby: 0.15, // within NEARBY_METERS
+  close: 0.05, // within CLOSE_METERS
+};
+const NEARBY_METERS = 50;
+const CLOSE_METERS = 250;
+// Pairs with names less similar than this aren't candidates
+const MIN_NAME_SIMILARITY = 0.5;
+const DEFAULT_THRESHOLD = 0.55;
+
+// Words that don't tell organizations apart
+const NAME_STOPWORDS = new Set(['the', 'of', 'a', 'an', 'inc', 'llc', 'for', 'at', 'in']);
+
+// Words that name who a variant of a benefit is for ("Survivors Benefits for
+// Child", "Senior Golden Bear Pass"): names differing only by these are
+// separate listings
+const ELIGIBILITY_QUALIFIERS = new Set([
+  'child',
+  'children',
+  'disabilities',
+  'disability',
+  'parent',
+  'parents',
+  'senior',
+  'seniors',
+  'spouse',
+  'spouses',
+  'student',
+  'students',
+  'teacher',
+  'teachers',
+  'veteran',
+  'veterans',
+  'with',
+  'youth',
+]);
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+};
+
+// Fields that identify a record rather than describe the program
+const IGNORED_DIFF_FIELDS = new Set(['id', 'sourceFile']);
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((word) => word && !NAME_STOPWORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Last 10 digits of a phone number, or null for short codes like 211
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * Host (without www.) and path (without trailing slash or query) of a URL
+ * @returns {{ host: string, page: string }|null}
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/(index\.\w+)?$/, '').toLowerCase();
+    return { host, page: `${host}${pathname}` };
+  } catch {
+    return null;
+  }
+}
+
+function normalizeAddress(address) {
+  const normalized = String(address || '')
+    .toLowerCase()
+    .replace(/\b(suite|ste|unit|room|rm|floor|fl)\b\.?\s*#?\s*\w+/g, ' ')
+    .replace(/#\s*\w+/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ');
+  // An address needs a street number to identify a place
+  return /^\d/.test(normalized) ? normalized : null;
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  const compact = text.replace(/ /g, '');
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+function diceSimilarity(a, b) {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let shared = 0;
+  let total = 0;
+  for (const [gram, count] of left) {
+    shared += Math.min(count, right.get(gram) || 0);
+    total += count;
+  }
+  for (const count of right.values()) total += count;
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+function wordOverlap(a, b) {
+  const leftWords = new Set(a.split(' '));
+  const rightWords = new Set(b.split(' '));
+  const common = [...leftWords].filter((word) => rightWords.has(word)).length;
+  return common / Math.max(leftWords.size, rightWords.size);
+}
+
+function initials(name) {
+  return name
+    .split(' ')
+    .filter((word) => word !== 'and')
+    .map((word) => word[0])
+    .join('');
+}
+
+/**
+ * Similarity of two normalized names (0-1): the higher of character-bigram
+ * Dice similarity and shared-word overlap, so both "Food Bank of Contra Costa"
+ * vs "Contra Costa Food Bank" and small spelling differences score high.
+ * An acronym of the other name ("accfb") counts as a close match.
+ *
+ * Names that differ only in a distinguishing part ("Joybound - Free Pet Food"
+ * vs "Joybound - Spay/Neuter Clinic", "Marin Islands National Wildlife Refuge"
+ * vs "San Pablo Bay National Wildlife Refuge") are different services or
+ * places of one organization and score 0.
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  // Words the names share at the start and end; what's left tells them apart
+  const leftWords = a.split(' ');
+  const rightWords = b.split(' ');
+  let prefix = 0;
+  while (
+    prefix < Math.min(leftWords.length, rightWords.length) &&
+    leftWords[prefix] === rightWords[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < Math.min(leftWords.length, rightWords.length) - prefix &&
+    leftWords[leftWords.length - 1 - suffix] === rightWords[rightWords.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const leftRest = leftWords.slice(prefix, leftWords.length - suffix).join(' ');
+  const rightRest = rightWords.slice(prefix, rightWords.length - suffix).join(' ');
+  const onlyQualifiers = (rest) =>
+    rest !== '' && rest.split(' ').every((word) => ELIGIBILITY_QUALIFIERS.has(word));
+  if (onlyQualifiers(leftRest) || onlyQualifiers(rightRest)) return 0;
+  if (
+    prefix + suffix > 0 &&
+    leftRest &&
+    rightRest &&
+    Math.max(diceSimilarity(leftRest, rightRest), wordOverlap(leftRest, rightRest)) <
+      MIN_NAME_SIMILARITY
+  ) {
+    return 0;
+  }
+
+  const isAcronym = (short, long) =>
+    !short.includes(' ') && short.length >= 3 && short === initials(long);
+  if (isAcronym(a, b) || isAcronym(b, a)) return 0.9;
+
+  return Math.max(diceSimilarity(a, b), wordOverlap(a, b));
+}
+
+/**
+ * Distance in meters between two points
+ */
+function distanceMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Normalized fields used for matching
+ * @param {object} program - Program from YAML, with sourceFile
+ */
+function features(program) {
+  const lat = Number(program.latitude);
+  const lng = Number(program.longitude);
+  return {
+    program,
+    name: normalizeName(program.name),
+    phone: normalizePhone(program.phone),
+    url: normalizeUrl(program.link || program.website),
+    address: normalizeAddress(program.address),
+    point:
+      Number.isFinite(lat) && Number.isFinite(lng) && (lat !== 0 || lng !== 0)
+        ? { lat, lng }
+        : null,
+  };
+}
+
+/**
+ * Score how likely two programs are the same listing
+ * @returns {{ score: number, reasons: string[] }}
+ */
+function scorePair(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  // Shared contact details alone usually mean one organization's separate services
+  const similarity = nameSimilarity(a.name, b.name);
+  if (similarity < MIN_NAME_SIMILARITY) return { score: 0, reasons };
+  score += WEIGHTS.name * similarity;
+  reasons.push(similarity === 1 ? 'same name' : `similar name (${Math.round(similarity * 100)}%)`);
+
+  if (a.phone && a.phone === b.phone) {
+    score += WEIGHTS.phone;
+    reasons.push('same phone');
+  }
+  if (a.url && b.url) {
+    if (a.url.page === b.url.page) {
+      score += WEIGHTS.website;
+      reasons.push('same website');
+    } else if (a.url.host === b.url.host) {
+      score += WEIGHTS.websiteHost;
+      reasons.push('same website host');
+    }
+  }
+  if (a.address && a.address === b.address) {
+    score += WEIGHTS.address;
+    reasons.push('same address');
+  }
+  if (a.point && b.point) {
+    const meters = distanceMeters(a.point, b.point);
+    if (meters <= NEARBY_METERS) {
+      score += WEIGHTS.nearby;
+      reasons.push(`${Math.round(meters)} m apart`);
+    } else if (meters <= CLOSE_METERS) {
+      score += WEIGHTS.close;
+      reasons.push(`${Math.round(meters)} m apart`);
+    }
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+}
+
+/**
+ * Keys a program is indexed under; only programs sharing a key are compared
+ */
+function blockingKeys(f) {
+  const keys = f.name
+    .split(' ')
+    .filter((word) => word.length > 2)
+    .map((word) => `name:${word}`);
+  if (f.phone) keys.push(`phone:${f.phone}`);
+  if (f.url) keys.push(`host:${f.url.host}`);
+  if (f.address) keys.push(`address:${f.address}`);
+  if (f.point) {
+    // ~1 km cells
+    keys.push(`cell:${Math.round(f.point.lat * 100)}:${Math.round(f.point.lng * 100)}`);
+  }
+  return keys;
+}
+
+function filledFields(program) {
+  return Object.entries(program).filter(
+    ([key, value]) =>
+      !IGNORED_DIFF_FIELDS.has(key) &&
+      value !== null &&
+      value !== undefined &&
+      value !== '' &&
+      !(Array.isArray(value) && value.length === 0)
+  ).length;
+}
+
+/**
+ * The record to keep when merging: the more complete one, then the more
+ * recently verified
+ * @returns {{ keep: object, merge: object, why: string }}
+ */
+function chooseCanonical(a, b) {
+  const filledA = filledFields(a);
+  const filledB = filledFields(b);
+  if (filledA !== filledB) {
+    return filledA > filledB
+      ? { keep: a, merge: b, why: `more complete (${filledA} vs ${filledB} fields)` }
+      : { keep: b, merge: a, why: `more complete (${filledB} vs ${filledA} fields)` };
+  }
+  const verifiedA = String(a.verified_date || '');
+  const verifiedB = String(b.verified_date || '');
+  if (verifiedA !== verifiedB) {
+    return verifiedA > verifiedB
+      ? { keep: a, merge: b, why: `verified more recently (${verifiedA})` }
+      : { keep: b, merge: a, why: `verified more recently (${verifiedB})` };
+  }
+  return a.id <= b.id
+    ? { keep: a, merge: b, why: 'equally complete' }
+    : { keep: b, merge: a, why: 'equally complete' };
+}
+
+/**
+ * Fields whose values differ between two records
+ * @returns {Array<{ field: string, keep: *, merge: * }>} merge-only fields are worth copying over
+ */
+function diffFields(keep, merge) {
+  const fields = [...new Set([...Object.keys(keep), ...Object.keys(merge)])].filter(
+    (field) => !IGNORED_DIFF_FIELDS.has(field)
+  );
+  return fields
+    .filter((field) => JSON.stringify(keep[field]) !== JSON.stringify(merge[field]))
+    .map((field) => ({ field, keep: keep[field], merge: merge[field] }));
+}
+
+/**
+ * Likely duplicate pairs, highest score first
+ * @param {object[]} programs - Programs from YAML, each with sourceFile
+ * @param {object} [options]
+ * @param {number} [options.threshold]
+ * @returns {Array<{ score: number, reasons: string[], keep: object, merge: object, why: string, diff: object[] }>}
+ */
+function findNearDuplicates(programs, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const all = programs.map(features);
+  const index = new Map();
+  all.forEach((f, i) => {
+    for (const key of blockingKeys(f)) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(i);
+    }
+  });
+
+  const compared = new Set();
+  const candidates = [];
+  for (const members of index.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const pairKey = `${members[x]}:${members[y]}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const a = all[members[x]];
+        const b = all[members[y]];
+        if (a.program.id === b.program.id) continue;
+        const { score, reasons } = scorePair(a, b);
+        if (score < threshold) continue;
+
+        const { keep, merge, why } = chooseCanonical(a.program, b.program);
+        candidates.push({ score, reasons, keep, merge, why, diff: diffFields(keep, merge) });
+      }
+    }
+  }
+
+  return candidates.sort((p, q) => q.score - p.score || p.keep.id.localeCompare(q.keep.id));
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeName,
+  normalizePhone,
+  normalizeUrl,
+  normalizeAddress,
+  nameSimilarity,
+  scorePair,
+  features,
+  chooseCanonical,
+  diffFields,
+  findNearDuplicates,
+};
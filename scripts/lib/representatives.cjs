@@ -0,0 +1,275 @@
+/**
+ * Local representative data: term checks and council diffs
+ *
+ * src/data/city-councils.yml and src/data/county-supervisors.yml hold the
+ * council members and supervisors served by congress-lookup. This module flags
+ * members whose term has ended (an error: the data is wrong) or is about to,
+ * and compares the councils against Cicero or scraper output so a refresh
+ * shows what changed instead of overwriting hand-checked data. The deployed
+ * congress-lookup function can't see src/data, so it reads a JSON copy of
+ * both files bundled into azure-functions/shared/data.
+ *
+ * Used by: validate-data.cjs, diff-representatives.cjs, process-cicero-data.cjs,
+ * scrape-all-councils.cjs, bundle-representatives.cjs
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'src', 'data');
+const CITY_COUNCILS_FILE = 'city-councils.yml';
+const COUNTY_SUPERVISORS_FILE = 'county-supervisors.yml';
+const FUNCTION_DATA_FILE = path.join(
+  __dirname,
+  '..',
+  '..',
+  'azure-functions',
+  'shared',
+  'data',
+  'representatives.json'
+);
+
+// Warn when a term ends within this many days
+const EXPIRING_DAYS = 60;
+// Warn when a city or county hasn't been checked for this many days
+const STALE_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load both representative files
+ * @param {string} [dataDir]
+ * @returns {{ cityCouncils: object, countySupervisors: object }}
+ */
+function loadRepresentatives(dataDir = DATA_DIR) {
+  const read = (file) => yaml.load(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+  return {
+    cityCouncils: read(CITY_COUNCILS_FILE),
+    countySupervisors: read(COUNTY_SUPERVISORS_FILE),
+  };
+}
+
+/**
+ * The JSON copy of both files that ships with the congress-lookup function
+ * @param {{ cityCouncils: object, countySupervisors: object }} data
+ * @returns {string}
+ */
+function toFunctionData(data) {
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Whether the function's bundled copy matches the YAML
+ * @param {{ cityCouncils: object, countySupervisors: object }} data
+ * @param {string} [file]
+ * @returns {boolean}
+ */
+function functionDataIsCurrent(data, file = FUNCTION_DATA_FILE) {
+  return fs.existsSync(file) && fs.readFileSync(file, 'utf-8') === toFunctionData(data);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Every seated member, with the last_verified date that applies to them (the
+ * city's or county's own, else the file's)
+ * @param {{ cityCouncils: object, countySupervisors: object }} data
+ * @returns {Array<{ file: string, body: string, seat: string, member: object, lastVerified: string }>}
+ */
+function listMembers({ cityCouncils, countySupervisors }) {
+  const members = [];
+  for (const [file, root, bodies, seatsKey] of [
+    [CITY_COUNCILS_FILE, cityCouncils, cityCouncils?.cities, 'members'],
+    [COUNTY_SUPERVISORS_FILE, countySupervisors, countySupervisors?.counties, 'supervisors'],
+  ]) {
+    for (const body of Object.values(bodies || {})) {
+      const lastVerified = body.last_verified || root.last_verified;
+      for (const [seat, member] of Object.entries(body[seatsKey] || {})) {
+        members.push({ file, body: body.name, seat, member, lastVerified });
+      }
+    }
+  }
+  return members;
+}
+
+function seatLabel(seat) {
+  if (seat === 'mayor') return 'Mayor';
+  if (seat === 'at-large') return 'At-large';
+  return `District ${seat}`;
+}
+
+/**
+ * Check terms and verification dates
+ *
+ * Errors: a term that has ended, or ends before it starts. Warnings: terms
+ * ending soon, stale last_verified dates, and a per-file count of members
+ * with no term_end recorded.
+ * @param {{ cityCouncils: object, countySupervisors: object }} data
+ * @param {Date} [now]
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function findTermIssues(data, now = new Date()) {
+  const today = toDateString(now);
+  const errors = [];
+  const warnings = [];
+  const missingTerms = {};
+  const staleBodies = {};
+
+  for (const { file, body, seat, member, lastVerified } of listMembers(data)) {
+    const label = `${file} ${body} ${seatLabel(seat)} (${member.name})`;
+    const { term_start: termStart, term_end: termEnd } = member;
+
+    if (termStart && termEnd && termStart > termEnd) {
+      errors.push(`${label}: term_start ${termStart} is after term_end ${termEnd}`);
+    }
+    if (!termEnd) {
+      missingTerms[file] = (missingTerms[file] || 0) + 1;
+    } else if (termEnd < today) {
+      errors.push(`${label}: term ended ${termEnd}; update or remove this member`);
+    } else if (daysBetween(today, termEnd) <= EXPIRING_DAYS) {
+      warnings.push(`${label}: term ends ${termEnd}`);
+    }
+
+    if (lastVerified && daysBetween(lastVerified, today) > STALE_DAYS) {
+      staleBodies[file] = staleBodies[file] || new Set();
+      staleBodies[file].add(body);
+    }
+  }
+
+  for (const [file, bodies] of Object.entries(staleBodies)) {
+    warnings.push(
+      `${file}: ${bodies.size} entries not verified in the last ${STALE_DAYS} days (${[...bodies].join(', ')})`
+    );
+  }
+  for (const [file, count] of Object.entries(missingTerms)) {
+    warnings.push(`${file}: ${count} member(s) have no term_end`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Comparable form of a person or city name
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^(city|town) of\s+/, '')
+    .replace(/\b(hon|dr|mr|mrs|ms)\.?\s+/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Member names per city from Cicero (city-councils-processed.json, `members`)
+ * or scraper (all-councils-combined.json, `officials`) output
+ * @param {object} external
+ * @returns {Map<string, { name: string, members: string[] }>} Keyed by normalized city name
+ */
+function externalCouncils(external) {
+  const cities = new Map();
+  for (const [cityName, city] of Object.entries(external?.cities || {})) {
+    const people = city.members || city.officials || [];
+    cities.set(normalizeName(city.name || cityName), {
+      name: city.name || cityName,
+      members: people.map((person) => person.name).filter(Boolean),
+    });
+  }
+  return cities;
+}
+
+/**
+ * Compare city-councils.yml with Cicero or scraper output by member name
+ * @param {object} cityCouncils - Parsed city-councils.yml
+ * @param {object} external - Parsed Cicero or scraper output
+ * @returns {{ changed: Array<{ geoid: string, city: string, added: string[], removed: string[] }>, unchanged: number, notInSource: string[], notInData: string[] }}
+ *   added: in the source but not our data; removed: in our data but not the source
+ */
+function diffCouncils(cityCouncils, external) {
+  const source = externalCouncils(external);
+  const changed = [];
+  const notInSource = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  for (const [geoid, city] of Object.entries(cityCouncils?.cities || {})) {
+    const key = normalizeName(city.name);
+    const theirs = source.get(key);
+    // A city the source found no one for says nothing about our members
+    if (!theirs || theirs.members.length === 0) {
+      notInSource.push(city.name);
+      continue;
+    }
+    seen.add(key);
+
+    const ours = Object.values(city.members || {}).map((member) => member.name);
+    const ourKeys = new Set(ours.map(normalizeName));
+    const theirKeys = new Set(theirs.members.map(normalizeName));
+    const added = [...new Set(theirs.members.filter((name) => !ourKeys.has(normalizeName(name))))];
+    const removed = ours.filter((name) => !theirKeys.has(normalizeName(name)));
+
+    if (added.length > 0 || removed.length > 0) {
+      changed.push({ geoid, city: city.name, added, removed });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const notInData = [...source.entries()]
+    .filter(([key, city]) => !seen.has(key) && city.members.length > 0)
+    .map(([, city]) => city.name);
+
+  return { changed, unchanged, notInSource, notInData };
+}
+
+/**
+ * Console lines summarizing a council diff
+ * @param {ReturnType<typeof diffCouncils>} diff
+ * @returns {string[]}
+ */
+function formatCouncilDiff(diff) {
+  const lines = [
+    `${diff.changed.length} cities differ, ${diff.unchanged} match, ` +
+      `${diff.notInSource.length} not in source, ${diff.notInData.length} not in ${CITY_COUNCILS_FILE}`,
+  ];
+  if (diff.changed.length > 0) {
+    lines.push(`(+ only in source, - only in ${CITY_COUNCILS_FILE})`);
+  }
+  for (const { city, geoid, added, removed } of diff.changed) {
+    lines.push(`\n${city} (${geoid})`);
+    for (const name of added) lines.push(`  + ${name}`);
+    for (const name of removed) lines.push(`  - ${name}`);
+  }
+  if (diff.notInData.length > 0) {
+    lines.push(`\nIn source but not ${CITY_COUNCILS_FILE}: ${diff.notInData.join(', ')}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  CITY_COUNCILS_FILE,
+  COUNTY_SUPERVISORS_FILE,
+  FUNCTION_DATA_FILE,
+  EXPIRING_DAYS,
+  STALE_DAYS,
+  loadRepresentatives,
+  toFunctionData,
+  functionDataIsCurrent,
+  findTermIssues,
+  normalizeName,
+  diffCouncils,
+  formatCouncilDiff,
+};
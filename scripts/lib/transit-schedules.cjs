@@ -0,0 +1,212 @@
+/**
+ * Transit stop and schedule extraction
+ *
+ * Turns an operator's parsed GTFS tables into the stop features added to
+ * public/api/transit-routes.json and the compact per-operator timetables in
+ * public/api/transit-schedules/, which api/transit-live.js merges with 511
+ * trip updates for next-departure predictions.
+ *
+ * Platforms are folded into their parent station, so a stop is what riders
+ * would call one (e.g. "Montgomery St", not each BART platform). Departures
+ * are indexed by station; `platforms` maps the platform stop_ids that trip
+ * updates use back to their station.
+ *
+ * Used by: sync-transit-routes.cjs
+ */
+
+'use strict';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Seconds after the start of the service day; GTFS times go past 24:00:00
+ * for trips that run after midnight
+ * @param {string} value - "HH:MM:SS"
+ * @returns {number|null}
+ */
+function parseGtfsTime(value) {
+  const match = /^(\d{1,2}):(\d{2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+function stationIds(stops) {
+  const byId = new Map(stops.map((stop) => [stop.stop_id, stop]));
+  const stationOf = new Map();
+  for (const stop of stops) {
+    const parent = stop.parent_station && byId.get(stop.parent_station);
+    stationOf.set(stop.stop_id, parent ? parent.stop_id : stop.stop_id);
+  }
+  return { byId, stationOf };
+}
+
+/**
+ * Stop times grouped by trip, in stop order
+ * @param {object[]} stopTimes - stop_times.txt rows
+ * @returns {Map<string, object[]>}
+ */
+function groupStopTimes(stopTimes) {
+  const byTrip = new Map();
+  for (const row of stopTimes) {
+    if (!byTrip.has(row.trip_id)) byTrip.set(row.trip_id, []);
+    byTrip.get(row.trip_id).push(row);
+  }
+  for (const rows of byTrip.values()) {
+    rows.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+  }
+  return byTrip;
+}
+
+/**
+ * Point features for each station that has service
+ * @param {{ id: string, name: string, type: string }} operator
+ * @param {{ stops: object[], trips: object[], stopTimes: object[] }} gtfs
+ * @returns {object[]} GeoJSON features
+ */
+function buildStopFeatures(operator, { stops, trips, stopTimes }) {
+  const { byId, stationOf } = stationIds(stops);
+  const routeOf = new Map(trips.map((trip) => [trip.trip_id, trip.route_id]));
+  const routesAt = new Map();
+
+  for (const row of stopTimes) {
+    const station = stationOf.get(row.stop_id);
+    const routeId = routeOf.get(row.trip_id);
+    if (!station || !routeId) continue;
+    if (!routesAt.has(station)) routesAt.set(station, new Set());
+    routesAt.get(station).add(routeId);
+  }
+
+  const features = [];
+  for (const [stationId, routes] of routesAt) {
+    const station = byId.get(stationId);
+    const lat = parseFloat(station.stop_lat);
+    const lng = parseFloat(station.stop_lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) continue;
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        id: `${operator.id}-${stationId}`,
+        stopId: stationId,
+        name: station.stop_name || stationId,
+        operator: operator.name,
+        operatorId: operator.id,
+        type: operator.type,
+        routes: [...routes].sort(),
+      },
+      geometry: {
+        type: 'Point',
+        coordinates: [Math.round(lng * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5],
+      },
+    });
+  }
+  return features.sort((a, b) => a.properties.name.localeCompare(b.properties.name));
+}
+
+function buildServices(calendar, calendarDates) {
+  const services = {};
+  const service = (id) => {
+    if (!services[id]) services[id] = { days: '0000000', start: null, end: null };
+    return services[id];
+  };
+
+  for (const row of calendar) {
+    Object.assign(service(row.service_id), {
+      days: WEEKDAYS.map((day) => (row[day] === '1' ? '1' : '0')).join(''),
+      start: row.start_date || null,
+      end: row.end_date || null,
+    });
+  }
+  // exception_type 1 adds service on a date, 2 removes it
+  for (const row of calendarDates) {
+    const key =
+      row.exception_type === '1' ? 'added' : row.exception_type === '2' ? 'removed' : null;
+    if (!key) continue;
+    const entry = service(row.service_id);
+    (entry[key] = entry[key] || []).push(row.date);
+  }
+  return services;
+}
+
+/**
+ * Compact timetable of every departure at every station
+ *
+ * Shape:
+ *   routes:    { [routeId]: { shortName, name, color } }
+ *   services:  { [serviceId]: { days: "1111100" (Mon-Sun), start, end, added?, removed? } }
+ *   trips:     [[tripId, routeId, serviceId, headsign], ...]
+ *   stops:     { [stationId]: [[tripIndex, seconds, stopSequence], ...] } by time
+ *   platforms: { [platformStopId]: stationId }
+ *
+ * A trip's last stop is left out: nobody boards there.
+ *
+ * @param {{ id: string, name: string, color: string }} operator
+ * @param {{ routes: object[], trips: object[], stops: object[], stopTimes: object[],
+ *   calendar?: object[], calendarDates?: object[] }} gtfs
+ * @param {{ generated?: Date, timezone?: string }} [options]
+ * @returns {object}
+ */
+function buildSchedule(operator, gtfs, { generated = new Date(), timezone } = {}) {
+  const { routes, trips, stops, stopTimes, calendar = [], calendarDates = [] } = gtfs;
+  const { stationOf } = stationIds(stops);
+  const byTrip = groupStopTimes(stopTimes);
+
+  const routeTable = {};
+  for (const route of routes) {
+    routeTable[route.route_id] = {
+      shortName: route.route_short_name || route.route_id,
+      name: route.route_long_name || route.route_short_name || route.route_id,
+      color: route.route_color ? `#${route.route_color}` : operator.color,
+    };
+  }
+
+  const tripTable = [];
+  const stopTable = {};
+  for (const trip of trips) {
+    const rows = byTrip.get(trip.trip_id);
+    if (!rows || rows.length < 2) continue;
+
+    const index = tripTable.length;
+    tripTable.push([trip.trip_id, trip.route_id, trip.service_id, trip.trip_headsign || '']);
+    for (const row of rows.slice(0, -1)) {
+      const station = stationOf.get(row.stop_id);
+      const seconds = parseGtfsTime(row.departure_time || row.arrival_time);
+      if (!station || seconds === null) continue;
+      (stopTable[station] = stopTable[station] || []).push([
+        index,
+        seconds,
+        Number(row.stop_sequence),
+      ]);
+    }
+  }
+  for (const departures of Object.values(stopTable)) {
+    departures.sort((a, b) => a[1] - b[1]);
+  }
+
+  const platforms = {};
+  for (const [stopId, station] of stationOf) {
+    if (stopId !== station) platforms[stopId] = station;
+  }
+
+  return {
+    metadata: {
+      generated: generated.toISOString(),
+      source: '511.org GTFS feeds',
+      operatorId: operator.id,
+      operator: operator.name,
+      timezone: timezone || 'America/Los_Angeles',
+      trips: tripTable.length,
+    },
+    routes: routeTable,
+    services: buildServices(calendar, calendarDates),
+    trips: tripTable,
+    stops: stopTable,
+    platforms,
+  };
+}
+
+module.exports = {
+  parseGtfsTime,
+  buildStopFeatures,
+  buildSchedule,
+};
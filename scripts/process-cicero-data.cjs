@@ -6,6 +6,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const {
+  loadRepresentatives,
+  diffCouncils,
+  formatCouncilDiff,
+} = require('./lib/representatives.cjs');
 
 const inputPath = path.join(__dirname, '..', 'data-exports', 'city-councils', 'cicero-data.json');
 const outputPath = path.join(
@@ -122,3 +127,11 @@ for (const [name, city] of Object.entries(processed.cities)) {
     count++;
   }
 }
+
+// Compare with the data congress-lookup serves
+console.log('\n' + '='.repeat(60));
+console.log('Changes vs src/data/city-councils.yml');
+console.log('='.repeat(60));
+console.log(
+  formatCouncilDiff(diffCouncils(loadRepresentatives().cityCouncils, processed)).join('\n')
+);
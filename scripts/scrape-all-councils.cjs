@@ -21,6 +21,11 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const {
+  loadRepresentatives,
+  diffCouncils,
+  formatCouncilDiff,
+} = require('./lib/representatives.cjs');
 
 const ROOT_DIR = path.join(__dirname, '..');
 const OUTPUT_DIR = path.join(ROOT_DIR, 'data-exports', 'city-councils');
@@ -215,6 +220,14 @@ async function main() {
     }
   }
   console.log(`\nPhotos in representatives directory: ${photoCount}`);
+
+  // Compare with the data congress-lookup serves
+  console.log('\n' + '='.repeat(60));
+  console.log('Changes vs src/data/city-councils.yml');
+  console.log('='.repeat(60));
+  console.log(
+    formatCouncilDiff(diffCouncils(loadRepresentatives().cityCouncils, combined)).join('\n')
+  );
 }
 
 main().catch(console.error);
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Local Geocoding Service
+ *
+ * Serves /api/geocode from the offline OpenAddresses index by running the
+ * geocode Azure Function with GEOCODER_SOURCE=local, so responses match the
+ * deployed function exactly. Build the index first:
+ *
+ *   node scripts/build-address-index.cjs
+ *
+ * Usage: node scripts/serve-geocoder.cjs [--port 7072]
+ *
+ * Then: curl "http://localhost:7072/api/geocode?q=455+E+Calaveras+Blvd,+Milpitas"
+ *       curl "http://localhost:7072/api/geocode?lat=37.4323&lon=-121.8996"
+ *
+ * ADDRESS_INDEX_PATH overrides the index location (default .data/address-index.json).
+ * If AZURE_MAPS_KEY is set, queries the index can't match go to Azure Maps.
+ */
+
+const http = require('http');
+const path = require('path');
+
+process.env.GEOCODER_SOURCE = 'local';
+process.env.ADDRESS_INDEX_PATH =
+  process.env.ADDRESS_INDEX_PATH || path.join(__dirname, '../.data/address-index.json');
+const geocode = require('../azure-functions/geocode/index.js');
+const { loadAddressGeocoder } = require('../azure-functions/shared/address-geocoder.js');
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg !== -1 ? Number(process.argv[portArg + 1]) : 7072;
+const ADDRESS_INDEX_PATH = process.env.ADDRESS_INDEX_PATH;
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname !== '/api/geocode') {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  const context = { res: null };
+  await geocode(context, { method: req.method, query: Object.fromEntries(url.searchParams) });
+  res.writeHead(context.res.status, context.res.headers);
+  res.end(context.res.body);
+});
+
+async function main() {
+  // Wait for the index so the first request isn't slow
+  console.log(`Loading address index from ${ADDRESS_INDEX_PATH}...`);
+  const geocoder = await loadAddressGeocoder(ADDRESS_INDEX_PATH);
+  if (!geocoder) {
+    console.error('Address index not found. Run: node scripts/build-address-index.cjs');
+    process.exit(1);
+  }
+  console.log(`Loaded ${geocoder.size.toLocaleString()} addresses`);
+
+  server.listen(PORT, () => {
+    console.log(`Geocoder listening on http://localhost:${PORT}/api/geocode`);
+  });
+}
+
+main();
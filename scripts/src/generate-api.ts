@@ -16,10 +16,14 @@
 import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
 import * as yaml from 'js-yaml';
 import type {
   YamlProgram,
   ApiProgram,
+  ApiProgramHours,
+  YamlProgramHours,
   ProgramsResponse,
   Category,
   CategoryMetadata,
@@ -27,6 +31,13 @@ import type {
   GroupMetadata,
   Area,
   ApiMetadata,
+  ShardDimension,
+  ShardInfo,
+  ShardManifest,
+  OfflineSearchIndex,
+  OfflineSearchLib,
+  ChangesResponse,
+  ProgramChangesLib,
   CityMapping,
   SuppressedProgram,
 } from './types';
@@ -40,7 +51,24 @@ const DATA_DIR = path.join(__dirname, '../../src/data');
 const CITIES_FILE = path.join(DATA_DIR, 'cities.yml');
 const API_DIR = path.join(__dirname, '../../public/api');
 const PROGRAMS_DIR = path.join(API_DIR, 'programs');
+const SHARDS_DIR = path.join(API_DIR, 'shards');
+const SHARD_PAGE_SIZE = 50;
 const CACHE_FILE = path.join(API_DIR, '.build-cache.json');
+// The live site, whose programs.json is the baseline for the change feed
+const SITE_URL = 'https://baynavigator.org';
+
+// Change history logic is shared with generate-api.cjs
+const programChanges: ProgramChangesLib = createRequire(path.join(__dirname, 'generate-api.ts'))(
+  '../lib/program-changes.cjs'
+);
+
+// The offline index is tokenized by the same ES module that queries it
+const OFFLINE_SEARCH_MODULE = pathToFileURL(
+  path.join(__dirname, '../../src/lib/offline-search.js')
+).href;
+
+// Timezone assumed for program hours when none is given
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
 
 // Files that are not program data files
 const NON_PROGRAM_FILES = [
@@ -50,6 +78,7 @@ const NON_PROGRAM_FILES = [
   'suppressed.yml',
   'search-config.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'site-config.yml',
 ];
 
@@ -277,6 +306,16 @@ function generateIdFromName(name: string): string {
     .replace(/^-|-$/g, '');
 }
 
+function transformHours(hours: YamlProgramHours | undefined): ApiProgramHours | null {
+  if (!hours || !hours.weekly) return null;
+  return {
+    timezone: hours.timezone || DEFAULT_TIMEZONE,
+    weekly: hours.weekly,
+    exceptions: hours.exceptions || [],
+    closedOnHolidays: hours.closed_on_holidays || false,
+  };
+}
+
 function transformProgram(
   program: YamlProgram,
   categoryId: string,
@@ -311,7 +350,8 @@ function transformProgram(
     areas,
     city,
     website: program.link || program.website || '',
-    cost: program.cost || null,
+    // Park entries (sync-nps-parks.cjs) give their entrance fee as fee_info
+    cost: program.cost || program.fee_info || null,
     phone: program.phone || null,
     email: program.email || null,
     address: program.address || null,
@@ -321,10 +361,13 @@ function transformProgram(
     lifeEvents: program.life_events || [],
     agency: program.agency || null,
     lastUpdated: new Date().toISOString().split('T')[0],
-    verifiedBy: program.verified_by,
-    verifiedDate: program.verified_date,
+    verifiedBy: program.verified_by || null,
+    verifiedDate: program.verified_date || null,
     latitude: program.latitude,
     longitude: program.longitude,
+    hours: transformHours(program.hours),
+    languages: program.languages || [],
+    deadline: program.deadline || null,
   };
 }
 
@@ -374,16 +417,234 @@ function generateAreasJson(programs: ApiProgram[]): Area[] {
   }));
 }
 
-function generateMetadata(totalPrograms: number): ApiMetadata {
+// Must match shardKey() in shared/api-client.js
+function shardKey(value: string): string {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9_]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function writeShard(dir: string, programs: ApiProgram[]): ShardInfo {
+  fs.mkdirSync(dir, { recursive: true });
+  const pages = Math.max(1, Math.ceil(programs.length / SHARD_PAGE_SIZE));
+  for (let page = 1; page <= pages; page++) {
+    const offset = (page - 1) * SHARD_PAGE_SIZE;
+    const slice = programs.slice(offset, offset + SHARD_PAGE_SIZE);
+    const response: ProgramsResponse = {
+      total: programs.length,
+      count: slice.length,
+      offset,
+      programs: slice,
+    };
+    fs.writeFileSync(path.join(dir, `page-${page}.json`), JSON.stringify(response));
+  }
+  return { total: programs.length, pages };
+}
+
+/**
+ * Write pre-filtered, paged copies of programs.json (all programs, and per
+ * category, group and area) so clients can fetch only the slice they need.
+ * ApiClient in shared/api-client.js picks the smallest shard from the manifest.
+ */
+function generateShards(programs: ApiProgram[]): ShardManifest {
+  fs.rmSync(SHARDS_DIR, { recursive: true, force: true });
+
+  const dimensions: Record<ShardDimension, (p: ApiProgram) => string[]> = {
+    category: (p) => [p.category],
+    group: (p) => p.groups,
+    area: (p) => p.areas,
+  };
+
+  const manifest: ShardManifest = {
+    pageSize: SHARD_PAGE_SIZE,
+    all: writeShard(path.join(SHARDS_DIR, 'all'), programs),
+    category: {},
+    group: {},
+    area: {},
+  };
+
+  for (const [dimension, getValues] of Object.entries(dimensions) as [
+    ShardDimension,
+    (p: ApiProgram) => string[],
+  ][]) {
+    const byKey = new Map<string, ApiProgram[]>();
+    for (const program of programs) {
+      const keys = new Set((getValues(program) || []).map(shardKey).filter(Boolean));
+      for (const key of keys) {
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key)!.push(program);
+      }
+    }
+
+    for (const key of Array.from(byKey.keys()).sort()) {
+      manifest[dimension][key] = writeShard(path.join(SHARDS_DIR, dimension, key), byKey.get(key)!);
+    }
+  }
+
+  fs.writeFileSync(path.join(SHARDS_DIR, 'index.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// A compact inverted index the service worker caches for offline search
+// (queried by src/lib/offline-search.js). Its version is a content hash,
+// published in metadata.json so the service worker only re-downloads it
+// when programs actually change.
+
+// Field order defines the posting mask bits; weights rank name matches highest
+const OFFLINE_INDEX_FIELDS = [
+  { name: 'name', weight: 4 },
+  { name: 'keywords', weight: 3 },
+  { name: 'category', weight: 2 },
+  { name: 'area', weight: 1 },
+  { name: 'description', weight: 1 },
+] as const;
+
+/**
+ * Write search-inverted-index.json, the offline search index, and return it
+ */
+async function generateOfflineSearchIndex(programs: ApiProgram[]): Promise<OfflineSearchIndex> {
+  const { tokenize, OFFLINE_SEARCH_INDEX_FORMAT }: OfflineSearchLib = await import(
+    OFFLINE_SEARCH_MODULE
+  );
+  const postings = new Map<string, number[]>();
+
+  programs.forEach((program, docIndex) => {
+    const fieldText: Record<(typeof OFFLINE_INDEX_FIELDS)[number]['name'], string> = {
+      name: program.name,
+      // Some YAML entries give keywords as one string
+      keywords: Array.isArray(program.keywords) ? program.keywords.join(' ') : program.keywords,
+      category: program.category,
+      area: program.areas.join(' '),
+      description: program.description,
+    };
+
+    const masks = new Map<string, number>();
+    OFFLINE_INDEX_FIELDS.forEach((field, bit) => {
+      for (const token of tokenize(fieldText[field.name])) {
+        masks.set(token, (masks.get(token) || 0) | (1 << bit));
+      }
+    });
+
+    masks.forEach((mask, token) => {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token)!.push(docIndex, mask);
+    });
+  });
+
+  const terms: Record<string, number[]> = {};
+  for (const token of Array.from(postings.keys()).sort()) {
+    terms[token] = postings.get(token)!;
+  }
+
+  const content = {
+    fields: OFFLINE_INDEX_FIELDS.map((field) => field.name),
+    weights: OFFLINE_INDEX_FIELDS.map((field) => field.weight),
+    docs: programs.map((program) => program.id),
+    terms,
+  };
+  const version = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(content))
+    .digest('hex')
+    .slice(0, 12);
+
+  const index: OfflineSearchIndex = { format: OFFLINE_SEARCH_INDEX_FORMAT, version, ...content };
+  fs.writeFileSync(path.join(API_DIR, 'search-inverted-index.json'), JSON.stringify(index));
+  return index;
+}
+
+function readJsonFile<T>(file: string): T | null {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8')) as T;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a file from the published API. data is null when it couldn't be
+ * fetched; notFound tells a file that was never published (404) apart from a
+ * site that couldn't be reached.
+ */
+async function fetchPublished<T>(file: string): Promise<{ data: T | null; notFound: boolean }> {
+  try {
+    const resp = await fetch(`${SITE_URL}/api/${file}`, { signal: AbortSignal.timeout(15000) });
+    if (resp.status === 404) return { data: null, notFound: true };
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return { data: (await resp.json()) as T, notFound: false };
+  } catch (e) {
+    console.warn(`⚠️  Could not fetch published ${file}: ${(e as Error).message}`);
+    return { data: null, notFound: false };
+  }
+}
+
+/**
+ * Diff this build against the published programs.json (or the last local
+ * build when the site can't be reached) and add the result to the history.
+ * Returns null when the feed was left alone because no history could be read.
+ */
+async function generateChangeFeed(
+  programs: ApiProgram[],
+  localPrevious: { programs: ProgramsResponse | null; changes: ChangesResponse | null },
+  suppressedIds: Set<string>,
+  costFromFeeInfo: Set<string>
+): Promise<number | null> {
+  const now = new Date();
+  const publishedPrograms = await fetchPublished<ProgramsResponse>('programs.json');
+  let previous = publishedPrograms.data;
+  let history: ChangesResponse | null = null;
+  // Only a 404 means there is no history yet; starting over on any other
+  // failure would replace the published feed with this build's changes
+  if (previous) {
+    const published = await fetchPublished<ChangesResponse>('changes.json');
+    history = published.data || (published.notFound ? null : localPrevious.changes);
+    if (!history && !published.notFound) return null;
+  } else {
+    previous = localPrevious.programs;
+    history = localPrevious.changes;
+    if (!history && !publishedPrograms.notFound) return null;
+  }
+  if (!previous) {
+    console.warn('   No previous programs.json to compare with; the change feed starts now');
+  }
+
+  const changes = previous
+    ? programChanges.diffPrograms(previous.programs, programs, {
+        suppressedIds,
+        costFromFeeInfo,
+        now,
+      })
+    : [];
+  const merged = programChanges.mergeHistory(history?.changes || [], changes, { now });
+
+  fs.writeFileSync(
+    path.join(API_DIR, 'changes.json'),
+    JSON.stringify(programChanges.buildChangesResponse(merged, now), null, 2)
+  );
+  fs.writeFileSync(
+    path.join(API_DIR, 'changes.atom'),
+    programChanges.buildAtomFeed(merged, { siteUrl: SITE_URL, now })
+  );
+  return changes.length;
+}
+
+function generateMetadata(totalPrograms: number, offlineSearchIndexVersion: string): ApiMetadata {
   return {
     version: '1.0.0',
     generatedAt: new Date().toISOString(),
     totalPrograms,
+    offlineSearchIndexVersion,
     endpoints: {
       programs: '/api/programs.json',
       categories: '/api/categories.json',
       groups: '/api/groups.json',
       areas: '/api/areas.json',
+      offlineSearchIndex: '/api/search-inverted-index.json',
+      shards: '/api/shards/index.json',
+      changes: '/api/changes.json',
+      changesFeed: '/api/changes.atom',
       singleProgram: '/api/programs/{id}.json',
     },
   };
@@ -429,6 +690,8 @@ async function main(): Promise<void> {
   // Process all programs
   const allPrograms: ApiProgram[] = [];
   const existingProgramIds = new Set<string>();
+  // Programs whose cost comes from fee_info (see diffPrograms in program-changes.cjs)
+  const costFromFeeInfo = new Set<string>();
 
   // Get existing program files for cleanup
   const oldProgramFiles = new Set(
@@ -473,6 +736,7 @@ async function main(): Promise<void> {
 
       allPrograms.push(transformed);
       existingProgramIds.add(transformed.id);
+      if (!program.cost && program.fee_info) costFromFeeInfo.add(transformed.id);
 
       // Write individual program file (only if changed or new)
       const programFile = `${transformed.id}.json`;
@@ -504,6 +768,12 @@ async function main(): Promise<void> {
     programs: allPrograms,
   };
 
+  // Keep the last local build as a fallback baseline for the change feed
+  const localPrevious = {
+    programs: readJsonFile<ProgramsResponse>(path.join(API_DIR, 'programs.json')),
+    changes: readJsonFile<ChangesResponse>(path.join(API_DIR, 'changes.json')),
+  };
+
   fs.writeFileSync(path.join(API_DIR, 'programs.json'), JSON.stringify(programsResponse, null, 2));
   console.log('✅ Generated programs.json');
 
@@ -519,10 +789,35 @@ async function main(): Promise<void> {
   fs.writeFileSync(path.join(API_DIR, 'areas.json'), JSON.stringify({ areas }, null, 2));
   console.log('✅ Generated areas.json');
 
-  const metadata = generateMetadata(allPrograms.length);
+  const shards = generateShards(allPrograms);
+  const shardCount =
+    1 +
+    Object.keys(shards.category).length +
+    Object.keys(shards.group).length +
+    Object.keys(shards.area).length;
+  console.log(`✅ Generated ${shardCount} program shards (shards/index.json)`);
+
+  const offlineIndex = await generateOfflineSearchIndex(allPrograms);
+  console.log(
+    `✅ Generated search-inverted-index.json (${Object.keys(offlineIndex.terms).length} terms, version ${offlineIndex.version})`
+  );
+
+  const metadata = generateMetadata(allPrograms.length, offlineIndex.version);
   fs.writeFileSync(path.join(API_DIR, 'metadata.json'), JSON.stringify(metadata, null, 2));
   console.log('✅ Generated metadata.json');
 
+  const changeCount = await generateChangeFeed(
+    allPrograms,
+    localPrevious,
+    suppressedIds,
+    costFromFeeInfo
+  );
+  if (changeCount === null) {
+    console.warn('⚠️  No change history to add to; not regenerating the change feed');
+  } else {
+    console.log(`✅ Generated changes.json and changes.atom (${changeCount} new changes)`);
+  }
+
   // Save build cache
   saveBuildCache(newCache);
 
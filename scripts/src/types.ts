@@ -29,6 +29,7 @@ export interface YamlProgram {
   area?: string | string[];
   city?: string;
   cost?: string;
+  fee_info?: string;
   requirements?: string;
   how_to_apply?: string;
   keywords?: string[];
@@ -38,6 +39,50 @@ export interface YamlProgram {
   verified_date?: string;
   latitude?: number;
   longitude?: number;
+  hours?: YamlProgramHours;
+  languages?: string[]; // Locale codes from shared/i18n (e.g. 'es', 'zh-Hant')
+  deadline?: ProgramDeadline;
+}
+
+/**
+ * Application or enrollment window. Dates are YYYY-MM-DD; annual windows
+ * repeat on the same month and day every year.
+ */
+export interface ProgramDeadline {
+  opens?: string;
+  closes?: string;
+  recurring?: 'none' | 'annual';
+  note?: string;
+}
+
+export type DayKey = 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun';
+
+/**
+ * Structured opening hours as stored in YAML.
+ * Time ranges are "HH:MM-HH:MM" in the program's local timezone.
+ */
+export interface YamlProgramHours {
+  timezone?: string;
+  weekly: Partial<Record<DayKey, string[]>>;
+  exceptions?: HoursException[];
+  closed_on_holidays?: boolean;
+}
+
+export interface HoursException {
+  date: string;
+  closed?: boolean;
+  hours?: string[];
+  note?: string;
+}
+
+/**
+ * Structured opening hours in API output
+ */
+export interface ApiProgramHours {
+  timezone: string;
+  weekly: Partial<Record<DayKey, string[]>>;
+  exceptions: HoursException[];
+  closedOnHolidays: boolean;
 }
 
 /**
@@ -65,10 +110,13 @@ export interface ApiProgram {
   lifeEvents: string[];
   agency: string | null;
   lastUpdated: string;
-  verifiedBy?: string;
-  verifiedDate?: string;
+  verifiedBy: string | null;
+  verifiedDate: string | null;
   latitude?: number;
   longitude?: number;
+  hours: ApiProgramHours | null;
+  languages: string[];
+  deadline: ProgramDeadline | null;
 }
 
 // ============================================================================
@@ -82,6 +130,89 @@ export interface ProgramsResponse {
   programs: ApiProgram[];
 }
 
+export type ShardDimension = 'category' | 'group' | 'area';
+
+export interface ShardInfo {
+  total: number;
+  pages: number;
+}
+
+/** shards/index.json - pages live at shards/{dimension}/{key}/page-{n}.json */
+export interface ShardManifest {
+  pageSize: number;
+  all: ShardInfo;
+  category: Record<string, ShardInfo>;
+  group: Record<string, ShardInfo>;
+  area: Record<string, ShardInfo>;
+}
+
+/** search-inverted-index.json - the offline search index (src/lib/offline-search.js) */
+export interface OfflineSearchIndex {
+  format: number;
+  /** Content hash, published as metadata.json offlineSearchIndexVersion */
+  version: string;
+  fields: string[];
+  weights: number[];
+  /** Program ids; postings refer to programs by their index here */
+  docs: string[];
+  /** token -> flat [docIndex, fieldMask, docIndex, fieldMask, ...] */
+  terms: Record<string, number[]>;
+}
+
+/** The parts of src/lib/offline-search.js the generator uses */
+export interface OfflineSearchLib {
+  OFFLINE_SEARCH_INDEX_FORMAT: number;
+  tokenize(text: string | null | undefined): string[];
+}
+
+/** The parts of src/lib/program-hours.js the validator uses */
+export interface ProgramHoursLib {
+  parseTimeRange(range: string): { start: number; end: number } | null;
+}
+
+export type ProgramChangeType = 'added' | 'modified' | 'suppressed' | 'removed';
+
+export interface ProgramFieldChange {
+  field: string;
+  label: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface ProgramChange {
+  date: string;
+  type: ProgramChangeType;
+  id: string;
+  name: string;
+  category: string;
+  fields?: ProgramFieldChange[];
+}
+
+/** changes.json - newest first */
+export interface ChangesResponse {
+  generatedAt: string;
+  since: string | null;
+  total: number;
+  counts: Record<ProgramChangeType, number>;
+  changes: ProgramChange[];
+}
+
+/** scripts/lib/program-changes.cjs */
+export interface ProgramChangesLib {
+  diffPrograms(
+    previous: ApiProgram[],
+    current: ApiProgram[],
+    options?: { suppressedIds?: Set<string>; costFromFeeInfo?: Set<string>; now?: Date }
+  ): ProgramChange[];
+  mergeHistory(
+    history: ProgramChange[],
+    changes: ProgramChange[],
+    options?: { now?: Date; maxAgeDays?: number; maxChanges?: number }
+  ): ProgramChange[];
+  buildChangesResponse(changes: ProgramChange[], now?: Date): ChangesResponse;
+  buildAtomFeed(changes: ProgramChange[], options: { siteUrl: string; now?: Date }): string;
+}
+
 export interface CategoryMetadata {
   id: string;
   name: string;
@@ -126,11 +257,16 @@ export interface ApiMetadata {
   version: string;
   generatedAt: string;
   totalPrograms: number;
+  offlineSearchIndexVersion: string;
   endpoints: {
     programs: string;
     categories: string;
     groups: string;
     areas: string;
+    offlineSearchIndex: string;
+    shards: string;
+    changes: string;
+    changesFeed: string;
     singleProgram: string;
   };
 }
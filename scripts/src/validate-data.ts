@@ -18,15 +18,19 @@
 
 import * as fs from 'fs';
 import * as path from 'path';
+import { pathToFileURL } from 'url';
 import * as yaml from 'js-yaml';
 import type {
   YamlProgram,
+  YamlProgramHours,
+  ProgramDeadline,
   ValidationError,
   ValidationWarning,
   FileValidationResult,
   DuplicateEntry,
   ValidValues,
   SuppressedProgram,
+  ProgramHoursLib,
 } from './types';
 
 // ============================================================================
@@ -36,6 +40,11 @@ import type {
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 const DATA_DIR = path.join(__dirname, '../../src/data');
 
+// Hours ranges are checked with the same ES module that reads them on the site
+const PROGRAM_HOURS_MODULE = pathToFileURL(
+  path.join(__dirname, '../../src/lib/program-hours.js')
+).href;
+
 // Colors for terminal output
 const colors = {
   red: '\x1b[31m',
@@ -70,6 +79,12 @@ const REQUIRED_FIELDS: (keyof YamlProgram)[] = ['id', 'name', 'groups', 'link'];
 // Optional but recommended fields
 const RECOMMENDED_FIELDS: (keyof YamlProgram)[] = ['description', 'area'];
 
+// Languages a program can list (the locales shipped in shared/i18n)
+const VALID_LANGUAGES = ['en', 'es', 'zh-Hans', 'zh-Hant', 'vi', 'fil', 'ko', 'ru', 'fr', 'ar'];
+
+// Day keys allowed in structured hours
+const VALID_DAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
 // ============================================================================
 // Data Loading
 // ============================================================================
@@ -146,6 +161,105 @@ function isValidLongitude(lng: number | undefined | null): boolean {
   return typeof lng === 'number' && lng >= -124 && lng <= -121;
 }
 
+function isValidDate(date: string): boolean {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Loaded by main()
+let parseTimeRange: ProgramHoursLib['parseTimeRange'];
+
+function validateTimeRanges(ranges: string[] | undefined, label: string): string[] {
+  const errors: string[] = [];
+  if (!Array.isArray(ranges)) return errors;
+  const parsed: { start: number; end: number }[] = [];
+  for (const range of ranges) {
+    const result = parseTimeRange(range);
+    if (!result) {
+      errors.push(
+        `Invalid hours range for ${label}: "${range}" (expected HH:MM-HH:MM, start before end)`
+      );
+    } else {
+      parsed.push(result);
+    }
+  }
+  parsed.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < parsed.length; i++) {
+    if (parsed[i].start < parsed[i - 1].end) {
+      errors.push(`Overlapping hours ranges for ${label}`);
+      break;
+    }
+  }
+  return errors;
+}
+
+function validateHours(hours: YamlProgramHours): string[] {
+  const errors: string[] = [];
+
+  if (hours.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone });
+    } catch {
+      errors.push(`Invalid hours timezone: "${hours.timezone}"`);
+    }
+  }
+
+  if (!hours.weekly || typeof hours.weekly !== 'object') {
+    errors.push('"hours.weekly" is required');
+  } else {
+    for (const [day, ranges] of Object.entries(hours.weekly)) {
+      if (!VALID_DAY_KEYS.includes(day)) {
+        errors.push(`Invalid hours day: "${day}" (valid: ${VALID_DAY_KEYS.join(', ')})`);
+      }
+      errors.push(...validateTimeRanges(ranges, day));
+    }
+  }
+
+  for (const exception of hours.exceptions || []) {
+    if (!isValidDate(exception.date)) {
+      errors.push(`Invalid hours exception date: "${exception.date}"`);
+    }
+    if (exception.closed && exception.hours && exception.hours.length > 0) {
+      errors.push(`Hours exception ${exception.date} is marked closed but lists hours`);
+    }
+    errors.push(...validateTimeRanges(exception.hours, exception.date));
+  }
+
+  return errors;
+}
+
+function validateDeadline(deadline: ProgramDeadline): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+
+  for (const field of ['opens', 'closes'] as const) {
+    const value = deadline[field];
+    if (value && !isValidDate(value)) {
+      errors.push(`Invalid deadline ${field} date: "${value}"`);
+    }
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  if (deadline.opens && deadline.closes && deadline.opens > deadline.closes) {
+    errors.push(`Deadline opens (${deadline.opens}) is after closes (${deadline.closes})`);
+  }
+
+  if (deadline.recurring === 'annual') {
+    if (!deadline.closes) {
+      errors.push('Annual deadline needs a "closes" date');
+    }
+  } else if (deadline.closes) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (deadline.closes < today) {
+      warnings.push(
+        `Application window closed on ${deadline.closes} (update the dates or set recurring: annual)`
+      );
+    }
+  }
+
+  return { errors, warnings };
+}
+
 function validateProgram(
   program: YamlProgram,
   validValues: ValidValues
@@ -230,6 +344,31 @@ function validateProgram(
     }
   }
 
+  // Validate languages
+  if (program.languages) {
+    if (!Array.isArray(program.languages)) {
+      errors.push('"languages" should be an array');
+    } else {
+      for (const language of program.languages) {
+        if (!VALID_LANGUAGES.includes(language)) {
+          errors.push(`Invalid language: "${language}" (valid: ${VALID_LANGUAGES.join(', ')})`);
+        }
+      }
+    }
+  }
+
+  // Validate structured hours
+  if (program.hours) {
+    errors.push(...validateHours(program.hours));
+  }
+
+  // Validate application window
+  if (program.deadline) {
+    const deadlineResult = validateDeadline(program.deadline);
+    errors.push(...deadlineResult.errors);
+    warnings.push(...deadlineResult.warnings);
+  }
+
   // Validate phone format
   if (program.phone) {
     const digits = program.phone.replace(/[\s\-\(\)\.]/g, '');
@@ -337,7 +476,9 @@ function validateFile(
 // Main Entry Point
 // ============================================================================
 
-function main(): void {
+async function main(): Promise<void> {
+  ({ parseTimeRange } = (await import(PROGRAM_HOURS_MODULE)) as ProgramHoursLib);
+
   const args = process.argv.slice(2);
   const showWarnings = !args.includes('--errors-only');
   const verbose = args.includes('--verbose') || args.includes('-v');
@@ -466,4 +607,7 @@ function main(): void {
   }
 }
 
-main();
+main().catch((err) => {
+  console.error(`${colors.red}✗${colors.reset} Validation crashed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * Sync District Boundary Snapshots
+ *
+ * Snapshots the district polygons behind representative lookups into static
+ * GeoJSON, so the congress-lookup function and the browser can find districts
+ * with a local point-in-polygon test instead of a live ArcGIS or Census call
+ * per address.
+ *
+ * Sources:
+ * - Congressional: Census TIGERweb Legislative service (current Congress)
+ * - State Assembly/Senate: CA AD_SD_2021 district overlay
+ * - Supervisorial: each county's layer in src/data/county-supervisors.yml
+ * - City council: each city's `arcgis` layer in src/data/city-councils.yml
+ *
+ * Output: public/api/districts/{congressional,state-legislative,supervisorial,council}.json
+ *
+ * A source that fails keeps its features from the previous snapshot, so one
+ * county's layer being down doesn't drop its districts.
+ *
+ * Usage:
+ *   node scripts/sync-district-boundaries.cjs
+ *   node scripts/sync-district-boundaries.cjs --layer supervisorial
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRepresentatives, getAttribute } = require('../azure-functions/shared/representatives');
+const {
+  DISTRICT_LAYERS,
+  STATE_LEGISLATIVE_LAYER,
+  toDistrictNumber,
+} = require('../azure-functions/shared/district-boundaries');
+const { esriToGeometry, simplifyGeometry, boundingBox } = require('./lib/district-boundaries.cjs');
+
+const OUTPUT_DIR = path.join(__dirname, '../public/api/districts');
+const COUNTY_BOUNDARIES = path.join(__dirname, '../public/api/county-boundaries.json');
+const TIGERWEB_LEGISLATIVE =
+  'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/Legislative/MapServer';
+
+// Bay Area bounding box, used when county-boundaries.json is missing
+const BAY_AREA_BBOX = { xmin: -123.7, ymin: 36.9, xmax: -121.2, ymax: 38.9 };
+const PAGE_SIZE = 1000;
+const REQUEST_TIMEOUT_MS = 60000;
+// Server-side generalization in degrees, before simplifyGeometry() runs
+const MAX_ALLOWABLE_OFFSET = 0.00005;
+
+const args = process.argv.slice(2);
+
+function option(name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  // ArcGIS reports query errors with HTTP 200
+  if (data.error) {
+    throw new Error(data.error.message || `ArcGIS error ${data.error.code}`);
+  }
+  return data;
+}
+
+/**
+ * All features of an ArcGIS layer, a page at a time
+ * @param {string} layerUrl - FeatureServer/MapServer layer URL (without /query)
+ * @param {{ where?: string, outFields?: string, bbox?: object }} [query]
+ * @returns {Promise<Array<{ attributes: object, geometry: object }>>}
+ */
+async function queryFeatures(layerUrl, { where = '1=1', outFields = '*', bbox } = {}) {
+  const params = new URLSearchParams({
+    where,
+    outFields,
+    returnGeometry: 'true',
+    outSR: '4326',
+    maxAllowableOffset: String(MAX_ALLOWABLE_OFFSET),
+    f: 'json',
+  });
+  if (bbox) {
+    params.set('geometry', JSON.stringify({ ...bbox, spatialReference: { wkid: 4326 } }));
+    params.set('geometryType', 'esriGeometryEnvelope');
+    params.set('inSR', '4326');
+    params.set('spatialRel', 'esriSpatialRelIntersects');
+  }
+
+  const features = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    params.set('resultOffset', String(offset));
+    params.set('resultRecordCount', String(PAGE_SIZE));
+    let data;
+    try {
+      data = await fetchJson(`${layerUrl}/query?${params}`);
+    } catch (error) {
+      // Older county servers reject paging; district layers fit in one response
+      if (offset > 0 || !/pagination/i.test(error.message)) throw error;
+      params.delete('resultOffset');
+      params.delete('resultRecordCount');
+      return (await fetchJson(`${layerUrl}/query?${params}`)).features || [];
+    }
+    features.push(...(data.features || []));
+    if (!data.exceededTransferLimit) return features;
+  }
+}
+
+/**
+ * Current Congress's district layer (e.g. "119th Congressional Districts")
+ * @returns {Promise<string>}
+ */
+async function findCongressionalLayer() {
+  const service = await fetchJson(`${TIGERWEB_LEGISLATIVE}?f=json`);
+  const layers = (service.layers || [])
+    .map((layer) => ({
+      id: layer.id,
+      congress: parseInt(layer.name.match(/^(\d+)\w\w Congressional Districts$/)?.[1], 10),
+    }))
+    .filter((layer) => Number.isFinite(layer.congress))
+    .sort((a, b) => b.congress - a.congress);
+  if (layers.length === 0) {
+    throw new Error('No Congressional Districts layer in TIGERweb Legislative service');
+  }
+  return `${TIGERWEB_LEGISLATIVE}/${layers[0].id}`;
+}
+
+function toFeature(esriFeature, properties) {
+  const geometry = esriToGeometry(esriFeature.geometry);
+  if (!geometry) return null;
+  return { type: 'Feature', properties, geometry: simplifyGeometry(geometry) };
+}
+
+function toFeatures(esriFeatures, toProperties) {
+  return esriFeatures
+    .map((feature) => {
+      const properties = toProperties(feature.attributes || {});
+      return properties ? toFeature(feature, properties) : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * The sources behind each layer. `matches` picks a source's features out of
+ * the previous snapshot when it fails.
+ */
+function buildSources(bbox) {
+  const { countySupervisors, cityCouncils } = loadRepresentatives();
+
+  return {
+    congressional: [
+      {
+        label: 'TIGERweb Congressional Districts',
+        matches: () => true,
+        fetch: async () => {
+          const layerUrl = await findCongressionalLayer();
+          const features = await queryFeatures(layerUrl, {
+            where: "STATE='06'",
+            outFields: 'BASENAME',
+            bbox,
+          });
+          return toFeatures(features, (attrs) => {
+            const district = toDistrictNumber(attrs.BASENAME);
+            return district ? { district } : null;
+          });
+        },
+      },
+    ],
+    'state-legislative': [
+      {
+        label: 'AD_SD_2021 District Overlay',
+        matches: () => true,
+        fetch: async () => {
+          const features = await queryFeatures(STATE_LEGISLATIVE_LAYER, {
+            outFields: 'AD_2021,SD_2021',
+            bbox,
+          });
+          return toFeatures(features, (attrs) => {
+            const assembly = toDistrictNumber(attrs.AD_2021);
+            const senate = toDistrictNumber(attrs.SD_2021);
+            return assembly || senate ? { assembly, senate } : null;
+          });
+        },
+      },
+    ],
+    supervisorial: Object.entries(countySupervisors).map(([countyFips, county]) => ({
+      label: `${county.name} supervisorial districts`,
+      matches: (properties) => properties.countyFips === countyFips,
+      fetch: async () => {
+        const features = await queryFeatures(county.arcgis);
+        return toFeatures(features, (attrs) => {
+          const district = toDistrictNumber(
+            getAttribute(attrs, county.districtField),
+            county.districtMapping
+          );
+          return district ? { countyFips, county: county.name, district } : null;
+        });
+      },
+    })),
+    council: Object.entries(cityCouncils)
+      .filter(([, city]) => city.arcgis)
+      .map(([placeGeoid, city]) => ({
+        label: `${city.name} council districts`,
+        matches: (properties) => properties.placeGeoid === placeGeoid,
+        fetch: async () => {
+          const features = await queryFeatures(city.arcgis.url);
+          return toFeatures(features, (attrs) => {
+            const district = toDistrictNumber(
+              getAttribute(attrs, city.arcgis.districtField),
+              city.arcgis.districtMapping
+            );
+            return district ? { placeGeoid, city: city.name, district } : null;
+          });
+        },
+      })),
+  };
+}
+
+function readPrevious(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).features || [];
+  } catch {
+    return [];
+  }
+}
+
+async function syncLayer(layer, sources) {
+  const file = path.join(OUTPUT_DIR, `${layer}.json`);
+  const previous = readPrevious(file);
+  const features = [];
+  const results = [];
+
+  console.log(`\n🗺️  ${layer}`);
+  for (const source of sources) {
+    try {
+      const fetched = await source.fetch();
+      if (fetched.length === 0) {
+        throw new Error('no districts returned');
+      }
+      features.push(...fetched);
+      results.push({ source: source.label, count: fetched.length, status: 'ok' });
+      console.log(`  ✅ ${source.label}: ${fetched.length}`);
+    } catch (error) {
+      const kept = previous.filter((feature) => source.matches(feature.properties));
+      features.push(...kept);
+      results.push({ source: source.label, count: kept.length, status: 'kept previous' });
+      console.log(
+        `  ⚠️  ${source.label}: ${error.message} (kept ${kept.length} from previous snapshot)`
+      );
+    }
+  }
+
+  if (features.length === 0) {
+    console.log(
+      `  ❌ No districts for ${layer}; ${path.relative(process.cwd(), file)} not written`
+    );
+    return results;
+  }
+
+  const collection = {
+    type: 'FeatureCollection',
+    metadata: {
+      generated: new Date().toISOString(),
+      layer,
+      count: features.length,
+      region: 'San Francisco Bay Area',
+      sources: results,
+    },
+    features,
+  };
+  // Unindented: polygons are most of the size
+  fs.writeFileSync(file, JSON.stringify(collection));
+  const sizeKb = (fs.statSync(file).size / 1024).toFixed(1);
+  console.log(
+    `  Wrote ${features.length} districts to ${path.relative(process.cwd(), file)} (${sizeKb} KB)`
+  );
+  return results;
+}
+
+async function main() {
+  const only = option('layer', null);
+  if (only && !DISTRICT_LAYERS.includes(only)) {
+    console.error(`Unknown layer "${only}". Expected one of: ${DISTRICT_LAYERS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let bbox = BAY_AREA_BBOX;
+  if (fs.existsSync(COUNTY_BOUNDARIES)) {
+    bbox = boundingBox(JSON.parse(fs.readFileSync(COUNTY_BOUNDARIES, 'utf8')));
+  }
+
+  console.log('🗳️  Syncing district boundary snapshots...');
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const sources = buildSources(bbox);
+  const results = [];
+  for (const layer of DISTRICT_LAYERS) {
+    if (only && layer !== only) continue;
+    results.push(...(await syncLayer(layer, sources[layer])));
+  }
+
+  const failed = results.filter((result) => result.status !== 'ok');
+  console.log('\n--- Summary ---');
+  console.log(`Sources synced: ${results.length - failed.length}/${results.length}`);
+  if (failed.length > 0) {
+    console.log(`Kept previous snapshot for: ${failed.map((result) => result.source).join(', ')}`);
+  }
+  // Only fail the run when nothing could be fetched at all
+  if (failed.length === results.length) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('Sync failed:', error);
+  process.exit(1);
+});
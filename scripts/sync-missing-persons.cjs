@@ -441,7 +441,10 @@ async function sendPushNotification(newCase) {
             channelId: 'missing-persons',
           },
         },
-        tags: ['missing-persons:enabled'],
+        // missing-persons:enabled covers devices registered before alert:* tags
+        tagExpression: 'alert:missing-persons || missing-persons:enabled',
+        // Abductions (AMBER-style alerts) reach people during quiet hours too
+        priority: /Abduction/.test(newCase.caseType || '') ? 'critical' : 'normal',
       }),
     });
 
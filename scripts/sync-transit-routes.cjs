@@ -3,11 +3,15 @@
  * Sync Bay Area Transit Route Lines from 511.org GTFS feeds
  *
  * Downloads GTFS feeds for rail operators and extracts route geometry (shapes)
- * to create GeoJSON LineString features for display on the map.
+ * to create GeoJSON LineString features for display on the map, plus a Point
+ * feature per station and each operator's timetable for next-departure
+ * predictions (see api/transit-live.js).
  *
  * Usage: API_511_KEY=your_key node scripts/sync-transit-routes.cjs
  *
- * Outputs: public/api/transit-routes.json
+ * Outputs:
+ *   public/api/transit-routes.json
+ *   public/api/transit-schedules/{operatorId}.json
  */
 
 const fs = require('fs');
@@ -15,6 +19,7 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const zlib = require('zlib');
+const { buildStopFeatures, buildSchedule } = require('./lib/transit-schedules.cjs');
 
 /**
  * Sanitize string for safe logging (prevent log injection/forging)
@@ -51,8 +56,9 @@ const RAIL_OPERATORS = [
   { id: 'SB', name: 'SF Bay Ferry', color: '#1e3a5f', type: 'ferry' },
 ];
 
-// Output path
+// Output paths
 const OUTPUT_FILE = path.join(__dirname, '../public/api/transit-routes.json');
+const SCHEDULES_DIR = path.join(__dirname, '../public/api/transit-schedules');
 
 // Temp directory for GTFS downloads
 const TEMP_DIR = path.join(__dirname, '../.cache/gtfs');
@@ -155,6 +161,39 @@ async function extractFileFromZip(zipPath, filename) {
   return content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
 }
 
+/**
+ * Extract and parse a GTFS table, or [] if the feed doesn't include it
+ */
+async function readTable(zipPath, filename) {
+  const content = await extractFileFromZip(zipPath, filename);
+  return content ? parseCSV(content) : [];
+}
+
+/**
+ * Extract station stops and the timetable for next-departure predictions
+ */
+async function processOperatorSchedule(operator, zipPath) {
+  const gtfs = {
+    routes: await readTable(zipPath, 'routes.txt'),
+    trips: await readTable(zipPath, 'trips.txt'),
+    stops: await readTable(zipPath, 'stops.txt'),
+    stopTimes: await readTable(zipPath, 'stop_times.txt'),
+    calendar: await readTable(zipPath, 'calendar.txt'),
+    calendarDates: await readTable(zipPath, 'calendar_dates.txt'),
+  };
+  const [agency] = await readTable(zipPath, 'agency.txt');
+
+  if (gtfs.stops.length === 0 || gtfs.stopTimes.length === 0) {
+    console.log(`    No stops or stop_times found for ${operator.name}`);
+    return { stops: [], schedule: null };
+  }
+
+  const stops = buildStopFeatures(operator, gtfs);
+  const schedule = buildSchedule(operator, gtfs, { timezone: agency?.agency_timezone });
+  console.log(`    Found ${stops.length} stations, ${schedule.trips.length} scheduled trips`);
+  return { stops, schedule };
+}
+
 /**
  * Process GTFS data for an operator and extract route lines
  */
@@ -163,8 +202,6 @@ async function processOperatorGTFS(operator, zipPath) {
 
   // Extract required files
   const shapesContent = await extractFileFromZip(zipPath, 'shapes.txt');
-  const routesContent = await extractFileFromZip(zipPath, 'routes.txt');
-  const tripsContent = await extractFileFromZip(zipPath, 'trips.txt');
 
   if (!shapesContent) {
     console.log(`    No shapes.txt found for ${operator.name}`);
@@ -173,8 +210,8 @@ async function processOperatorGTFS(operator, zipPath) {
 
   // Parse CSV files
   const shapes = parseCSV(shapesContent);
-  const routes = routesContent ? parseCSV(routesContent) : [];
-  const trips = tripsContent ? parseCSV(tripsContent) : [];
+  const routes = await readTable(zipPath, 'routes.txt');
+  const trips = await readTable(zipPath, 'trips.txt');
 
   console.log(
     `    Found ${shapes.length} shape points, ${routes.length} routes, ${trips.length} trips`
@@ -305,6 +342,7 @@ async function syncTransitRoutes() {
   console.log('Syncing Bay Area transit route lines from 511.org GTFS feeds...\n');
 
   ensureTempDir();
+  fs.mkdirSync(SCHEDULES_DIR, { recursive: true });
 
   // Check for adm-zip dependency
   try {
@@ -316,6 +354,7 @@ async function syncTransitRoutes() {
   }
 
   const allFeatures = [];
+  const allStops = [];
   const operatorStats = [];
 
   for (const operator of RAIL_OPERATORS) {
@@ -340,13 +379,21 @@ async function syncTransitRoutes() {
         }
       });
 
+      // Stations and timetable for next departures
+      const { stops, schedule } = await processOperatorSchedule(operator, zipPath);
+      if (schedule) {
+        fs.writeFileSync(path.join(SCHEDULES_DIR, `${operator.id}.json`), JSON.stringify(schedule));
+      }
+
       allFeatures.push(...features);
+      allStops.push(...stops);
       operatorStats.push({
         id: operator.id,
         name: operator.name,
         type: operator.type,
         color: operator.color,
         routeCount: features.length,
+        stopCount: stops.length,
       });
 
       // Clean up temp file
@@ -367,20 +414,23 @@ async function syncTransitRoutes() {
       source: '511.org GTFS feeds',
       operators: operatorStats,
       totalRoutes: allFeatures.length,
+      totalStops: allStops.length,
     },
-    features: allFeatures,
+    features: [...allFeatures, ...allStops],
   };
 
   // Write output file
   fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2));
-  console.log(`\nWrote ${allFeatures.length} transit routes to ${OUTPUT_FILE}`);
+  console.log(
+    `\nWrote ${allFeatures.length} transit routes and ${allStops.length} stops to ${OUTPUT_FILE}`
+  );
 
   // Summary
   console.log('\n--- Summary ---');
   console.log(`Total operators: ${operatorStats.length}`);
   console.log(`Total route lines: ${allFeatures.length}`);
   operatorStats.forEach((op) => {
-    console.log(`  ${op.name}: ${op.routeCount} routes (${op.type})`);
+    console.log(`  ${op.name}: ${op.routeCount} routes, ${op.stopCount} stops (${op.type})`);
   });
 
   // File size info
@@ -5,7 +5,7 @@
  * Creates/updates a 'programs' collection in Typesense with:
  * - All program documents with keywords, descriptions, categories
  * - Geo-coordinates for location-based search (when available)
- * - Facets for filtering by category, area, groups
+ * - Facets for filtering by category, area, groups, languages
  *
  * Run: node scripts/sync-typesense.cjs
  * Or: TYPESENSE_HOST=... TYPESENSE_API_KEY=... node scripts/sync-typesense.cjs
@@ -31,6 +31,7 @@ const NON_PROGRAM_FILES = [
   'search-config.yml',
   'transit-agencies.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'site-config.yml',
   'bay-area-jurisdictions.yml',
   'city-profiles.yml',
@@ -140,6 +141,7 @@ function buildTypesenseDocument(program) {
     area: area,
     city: program.city || '',
     groups: program.groups || [],
+    languages: program.languages || [],
     phone: program.phone || '',
     link: program.link || '',
   };
@@ -187,6 +189,7 @@ async function createCollection() {
       { name: 'area', type: 'string', facet: true },
       { name: 'city', type: 'string', facet: true },
       { name: 'groups', type: 'string[]', facet: true },
+      { name: 'languages', type: 'string[]', facet: true, optional: true },
       { name: 'phone', type: 'string', optional: true },
       { name: 'link', type: 'string', optional: true },
       { name: 'location', type: 'geopoint', optional: true },
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Track Link Failures
+ *
+ * Records each program's link check results in src/data/link-failures.json and
+ * proposes changes to src/data/suppressed.yml: suppress programs whose link has
+ * failed at least --min-failures times in a row over --min-weeks weeks, and
+ * restore programs this script suppressed once their link works again.
+ *
+ * Links are checked with the same rules as the link-checker function (redirects
+ * followed, soft-404 pages and redirects to a homepage count as failures).
+ * Suppressed programs are checked too, so they can come back.
+ *
+ * Run: node scripts/track-link-failures.cjs [--check] [--verification <file>]
+ *        [--write] [--proposal <file>] [--min-failures 3] [--min-weeks 2]
+ *
+ *   --check              Check every program link now
+ *   --verification FILE  Also record results from verify-programs.cjs
+ *   --write              Save the history and apply proposals to suppressed.yml
+ *   --proposal FILE      Write a Markdown summary of the proposals (for the PR body)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  checkUrl,
+  probeNotFoundPage,
+  assessLink,
+} = require('../azure-functions/shared/link-health.js');
+const {
+  MIN_FAILURES,
+  MIN_WEEKS,
+  classifyCheck,
+  fromVerificationResults,
+  recordChecks,
+  pruneHistory,
+  proposeChanges,
+  applyChanges,
+  formatProposal,
+} = require('./lib/link-failures.cjs');
+
+const DATA_DIR = path.join(__dirname, '../src/data');
+const SUPPRESSED_FILE = path.join(DATA_DIR, 'suppressed.yml');
+const HISTORY_FILE = path.join(DATA_DIR, 'link-failures.json');
+
+// Files that don't contain programs (as in generate-api.cjs)
+const NON_PROGRAM_FILES = [
+  'airports.yml',
+  'bay-area-jurisdictions.yml',
+  'chat-messages.yml',
+  'cities.yml',
+  'city-profiles.yml',
+  'county-supervisors.yml',
+  'city-councils.yml',
+  'custom-themes.yml',
+  'groups.yml',
+  'helplines.yml',
+  'quick-answers.yml',
+  'search-config.yml',
+  'site-config.yml',
+  'suppressed.yml',
+  'transit-agencies.yml',
+  'zipcodes.yml',
+];
+
+const BATCH_SIZE = 10;
+
+const args = process.argv.slice(2);
+function option(name, fallback = null) {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+const shouldCheck = args.includes('--check');
+const shouldWrite = args.includes('--write');
+const verificationFile = option('--verification');
+const proposalFile = option('--proposal');
+const minFailures = Number(option('--min-failures', MIN_FAILURES));
+const minWeeks = Number(option('--min-weeks', MIN_WEEKS));
+
+/**
+ * Every program with a link, including suppressed ones
+ * @returns {Map<string, { id: string, name: string, file: string, url: string }>}
+ */
+function loadPrograms() {
+  const programs = new Map();
+  const files = fs
+    .readdirSync(DATA_DIR)
+    .filter((f) => f.endsWith('.yml') && !NON_PROGRAM_FILES.includes(f));
+
+  for (const file of files) {
+    const data = yaml.load(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+    if (!Array.isArray(data)) continue;
+    for (const program of data) {
+      const url = program.link || program.website;
+      if (program.id && url) {
+        programs.set(program.id, { id: program.id, name: program.name, file, url });
+      }
+    }
+  }
+  return programs;
+}
+
+/**
+ * Check every program link with the link-checker's rules
+ */
+async function checkPrograms(programs) {
+  const notFoundPages = new Map();
+  const notFoundPageFor = (url) => {
+    const host = new URL(url).host;
+    if (!notFoundPages.has(host)) notFoundPages.set(host, probeNotFoundPage(url));
+    return notFoundPages.get(host);
+  };
+
+  const list = [...programs.values()];
+  const checks = [];
+  for (let i = 0; i < list.length; i += BATCH_SIZE) {
+    const batch = list.slice(i, i + BATCH_SIZE);
+    const results = await Promise.all(
+      batch.map(async (program) => {
+        const result = await checkUrl(program.url);
+        const problem = assessLink(result, {
+          notFoundFingerprint: result.ok ? await notFoundPageFor(result.finalUrl) : null,
+        });
+
+        // Moved to another site and changed content aren't reasons to hide a program
+        const gone =
+          problem?.type === 'soft-404' ||
+          (problem?.type === 'redirected' && result.redirectIssue === 'root');
+        const outcome = problem?.type === 'broken' ? classifyCheck(result) : gone ? 'fail' : 'pass';
+
+        return { id: program.id, url: program.url, outcome, detail: problem?.detail || '' };
+      })
+    );
+    checks.push(...results);
+    process.stdout.write(
+      `\rChecking links: ${Math.min(i + BATCH_SIZE, list.length)}/${list.length}`
+    );
+  }
+  console.log('');
+  return checks;
+}
+
+async function main() {
+  console.log('🔗 Link Failure Tracker\n');
+
+  const programs = loadPrograms();
+  const suppressed = yaml.load(fs.readFileSync(SUPPRESSED_FILE, 'utf8')) || [];
+  let history = fs.existsSync(HISTORY_FILE)
+    ? JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'))
+    : { programs: {} };
+  console.log(`Found ${programs.size} programs with links, ${suppressed.length} suppressed\n`);
+
+  const now = new Date();
+  if (verificationFile) {
+    const report = JSON.parse(fs.readFileSync(verificationFile, 'utf8'));
+    const checks = fromVerificationResults(report).filter((check) => programs.has(check.id));
+    history = recordChecks(history, checks, new Date(report.timestamp || now));
+    console.log(`Recorded ${checks.length} results from ${verificationFile}`);
+  }
+  if (shouldCheck) {
+    const checks = await checkPrograms(programs);
+    history = recordChecks(history, checks, now);
+    const failed = checks.filter((check) => check.outcome === 'fail').length;
+    const inconclusive = checks.filter((check) => check.outcome === 'inconclusive').length;
+    console.log(`Checked ${checks.length} links: ${failed} failed, ${inconclusive} inconclusive`);
+  }
+  history = pruneHistory(history, new Set(programs.keys()));
+
+  const changes = proposeChanges(history, suppressed, { minFailures, minWeeks, now });
+  const failing = Object.values(history.programs).filter((entry) => entry.failures.length > 0);
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Summary\n');
+  console.log(`  Failing links: ${failing.length}`);
+  console.log(`  🚫 Proposed suppressions: ${changes.suppress.length}`);
+  console.log(`  ♻️  Proposed restorations: ${changes.restore.length}`);
+
+  const proposal = formatProposal(changes, programs);
+  if (proposal) console.log(`\n${proposal}`);
+
+  if (proposalFile) {
+    fs.writeFileSync(
+      proposalFile,
+      proposal ||
+        `No changes proposed. ${failing.length} link(s) are failing but not yet past ${minFailures} failures over ${minWeeks} weeks.\n`
+    );
+  }
+
+  if (shouldWrite) {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2) + '\n');
+    console.log(`\n📄 History saved to: ${path.relative(process.cwd(), HISTORY_FILE)}`);
+    if (changes.suppress.length + changes.restore.length > 0) {
+      const text = fs.readFileSync(SUPPRESSED_FILE, 'utf8');
+      fs.writeFileSync(SUPPRESSED_FILE, applyChanges(text, changes));
+      console.log(`📄 Updated: ${path.relative(process.cwd(), SUPPRESSED_FILE)}`);
+    }
+  } else if (proposal) {
+    console.log('\nRun with --write to apply these changes.');
+  }
+}
+
+main().catch((error) => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -18,9 +18,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const yaml = require('js-yaml');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const {
+  loadRepresentatives,
+  findTermIssues,
+  functionDataIsCurrent,
+} = require('./lib/representatives.cjs');
 
 // Colors for terminal output
 const colors = {
@@ -132,6 +138,107 @@ function isValidUrl(string) {
   }
 }
 
+// Validate a YYYY-MM-DD string is a real calendar date
+function isValidDate(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Hours ranges are checked with the same ES module that reads them on the site
+const PROGRAM_HOURS_MODULE = pathToFileURL(
+  path.join(__dirname, '../src/lib/program-hours.js')
+).href;
+// Loaded by main()
+let parseTimeRange;
+
+// Validate a list of time ranges (well-formed and non-overlapping)
+function validateTimeRanges(ranges, label) {
+  const errors = [];
+  if (!Array.isArray(ranges)) return errors;
+  const parsed = [];
+  for (const range of ranges) {
+    const result = parseTimeRange(range);
+    if (!result) {
+      errors.push(
+        `Invalid hours range for ${label}: "${range}" (expected HH:MM-HH:MM, start before end)`
+      );
+    } else {
+      parsed.push(result);
+    }
+  }
+  parsed.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < parsed.length; i++) {
+    if (parsed[i].start < parsed[i - 1].end) {
+      errors.push(`Overlapping hours ranges for ${label}`);
+      break;
+    }
+  }
+  return errors;
+}
+
+// Validate structured hours (timezone, weekly ranges, exception dates)
+function validateHours(hours) {
+  const errors = [];
+  if (!hours || typeof hours !== 'object') return errors;
+
+  if (hours.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone });
+    } catch {
+      errors.push(`Invalid hours timezone: "${hours.timezone}"`);
+    }
+  }
+
+  for (const [day, ranges] of Object.entries(hours.weekly || {})) {
+    errors.push(...validateTimeRanges(ranges, day));
+  }
+
+  for (const exception of hours.exceptions || []) {
+    if (!isValidDate(exception.date)) {
+      errors.push(`Invalid hours exception date: "${exception.date}"`);
+    }
+    if (exception.closed && exception.hours && exception.hours.length > 0) {
+      errors.push(`Hours exception ${exception.date} is marked closed but lists hours`);
+    }
+    errors.push(...validateTimeRanges(exception.hours, exception.date));
+  }
+
+  return errors;
+}
+
+// Validate an application window (real dates, in order, not expired)
+function validateDeadline(deadline) {
+  const errors = [];
+  const warnings = [];
+  if (!deadline || typeof deadline !== 'object') return { errors, warnings };
+
+  for (const field of ['opens', 'closes']) {
+    if (deadline[field] && !isValidDate(deadline[field])) {
+      errors.push(`Invalid deadline ${field} date: "${deadline[field]}"`);
+    }
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  if (deadline.opens && deadline.closes && deadline.opens > deadline.closes) {
+    errors.push(`Deadline opens (${deadline.opens}) is after closes (${deadline.closes})`);
+  }
+
+  if (deadline.recurring === 'annual') {
+    if (!deadline.closes) {
+      errors.push('Annual deadline needs a "closes" date');
+    }
+  } else if (deadline.closes) {
+    const today = new Date().toISOString().slice(0, 10);
+    if (deadline.closes < today) {
+      warnings.push(
+        `Application window closed on ${deadline.closes} (update the dates or set recurring: annual)`
+      );
+    }
+  }
+
+  return { errors, warnings };
+}
+
 // Validate a single program entry
 function validateProgram(program, fileName, lineNumber, validValues, schemaValidate) {
   const errors = [];
@@ -230,6 +337,18 @@ function validateProgram(program, fileName, lineNumber, validValues, schemaValid
     }
   }
 
+  // Validate structured hours
+  if (program.hours) {
+    errors.push(...validateHours(program.hours));
+  }
+
+  // Validate application window
+  if (program.deadline) {
+    const deadlineResult = validateDeadline(program.deadline);
+    errors.push(...deadlineResult.errors);
+    warnings.push(...deadlineResult.warnings);
+  }
+
   // Validate phone format (basic check)
   if (program.phone) {
     // Remove common formatting
@@ -331,7 +450,9 @@ function validateFile(filePath, validValues, allIds, suppressedIds, schemaValida
 }
 
 // Main validation function
-function main() {
+async function main() {
+  ({ parseTimeRange } = await import(PROGRAM_HOURS_MODULE));
+
   const args = process.argv.slice(2);
   const showWarnings = !args.includes('--errors-only');
   const verbose = args.includes('--verbose') || args.includes('-v');
@@ -344,6 +465,8 @@ function main() {
   let groupsSchemaValidate;
   let citiesSchemaValidate;
   let searchConfigSchemaValidate;
+  let cityCouncilsSchemaValidate;
+  let countySupervisorsSchemaValidate;
   try {
     validValues = loadValidValues();
     console.log(
@@ -363,10 +486,24 @@ function main() {
     const searchConfigSchema = JSON.parse(
       fs.readFileSync(path.join(__dirname, '..', 'schemas', 'search-config.schema.json'), 'utf-8')
     );
+    const cityCouncilsSchema = JSON.parse(
+      fs.readFileSync(
+        path.join(__dirname, '..', 'schemas', 'city-councils-yaml.schema.json'),
+        'utf-8'
+      )
+    );
+    const countySupervisorsSchema = JSON.parse(
+      fs.readFileSync(
+        path.join(__dirname, '..', 'schemas', 'county-supervisors-yaml.schema.json'),
+        'utf-8'
+      )
+    );
     schemaValidate = ajv.compile(programSchema);
     groupsSchemaValidate = ajv.compile(groupsSchema);
     citiesSchemaValidate = ajv.compile(citiesSchema);
     searchConfigSchemaValidate = ajv.compile(searchConfigSchema);
+    cityCouncilsSchemaValidate = ajv.compile(cityCouncilsSchema);
+    countySupervisorsSchemaValidate = ajv.compile(countySupervisorsSchema);
   } catch (e) {
     console.error(`${colors.red}✗${colors.reset} Failed to load validation data: ${e.message}`);
     process.exit(1);
@@ -399,6 +536,20 @@ function main() {
       'search-config.yml'
     )
   );
+  schemaErrors.push(
+    ...validateYamlSchema(
+      path.join(dataDir, 'city-councils.yml'),
+      cityCouncilsSchemaValidate,
+      'city-councils.yml'
+    )
+  );
+  schemaErrors.push(
+    ...validateYamlSchema(
+      path.join(dataDir, 'county-supervisors.yml'),
+      countySupervisorsSchemaValidate,
+      'county-supervisors.yml'
+    )
+  );
 
   if (schemaErrors.length > 0) {
     console.log(`${colors.red}✗ YAML schema validation failed${colors.reset}`);
@@ -406,9 +557,34 @@ function main() {
     process.exit(1);
   }
 
+  // Representatives whose term has ended mean the lookup is serving the wrong person
+  const representatives = loadRepresentatives(dataDir);
+  const terms = findTermIssues(representatives);
+  // congress-lookup serves the bundled copy, so a stale one serves old members
+  if (!functionDataIsCurrent(representatives)) {
+    terms.errors.push(
+      'azure-functions/shared/data/representatives.json is out of date; run node scripts/bundle-representatives.cjs'
+    );
+  }
+  const termIcon =
+    terms.errors.length > 0
+      ? `${colors.red}✗`
+      : terms.warnings.length > 0
+        ? `${colors.yellow}⚠`
+        : `${colors.green}✓`;
+  console.log(`${termIcon}${colors.reset} Representative terms`);
+  for (const error of terms.errors) {
+    console.log(`  ${colors.red}ERROR${colors.reset} ${error}`);
+  }
+  if (showWarnings) {
+    for (const warning of terms.warnings) {
+      console.log(`  ${colors.yellow}WARN${colors.reset}  ${warning}`);
+    }
+  }
+
   let totalPrograms = 0;
-  let totalErrors = 0;
-  let totalWarnings = 0;
+  let totalErrors = terms.errors.length;
+  let totalWarnings = terms.warnings.length;
   let totalDuplicates = 0;
   let totalSkipped = 0;
 
@@ -505,4 +681,7 @@ function main() {
   }
 }
 
-main();
+main().catch((e) => {
+  console.error(`${colors.red}✗${colors.reset} Validation crashed: ${e.message}`);
+  process.exit(1);
+});
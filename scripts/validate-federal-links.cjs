@@ -91,6 +91,7 @@ function loadProgramLinks() {
     'suppressed.yml',
     'search-config.yml',
     'county-supervisors.yml',
+    'city-councils.yml',
     'site-config.yml',
     'bay-area-jurisdictions.yml',
     'city-profiles.yml',
@@ -23,6 +23,7 @@ const NON_PROGRAM_FILES = [
   'bay-area-jurisdictions.yml',
   'city-profiles.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'cities.yml',
   'groups.yml',
   'zipcodes.yml',
@@ -181,16 +181,28 @@ runGate('Run accessibility checks', () => {
   return { passed: true };
 });
 
-// Gate 7: Check for duplicate program IDs
-runGate('Check for duplicate IDs', () => {
-  const result = spawnSync('node', ['scripts/check-duplicates.cjs'], {
+// Gate 7: Check for duplicate program IDs (near-duplicates are reported, not failed)
+runGate('Check for duplicate programs', () => {
+  const result = spawnSync('node', ['scripts/check-duplicates.cjs', '--json'], {
     cwd: path.join(__dirname, '..'),
     encoding: 'utf-8',
   });
-  if (result.status !== 0) {
-    return { passed: false, message: 'Duplicate program IDs found' };
+  let report;
+  try {
+    report = JSON.parse(result.stdout);
+  } catch {
+    return { passed: false, message: 'Duplicate check failed to run' };
   }
-  return { passed: true };
+  if (report.duplicateIds.length > 0) {
+    return {
+      passed: false,
+      message: `Duplicate program IDs found: ${report.duplicateIds.map((d) => d.id).join(', ')}`,
+    };
+  }
+  return {
+    passed: true,
+    message: `${report.nearDuplicates.length} possible near-duplicates (node scripts/check-duplicates.cjs)`,
+  };
 });
 
 // Gate 8: Verify GeoJSON generation (if applicable)
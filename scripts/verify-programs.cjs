@@ -96,6 +96,7 @@ const NON_PROGRAM_FILES = [
   'suppressed.yml',
   'search-config.yml',
   'county-supervisors.yml',
+  'city-councils.yml',
   'transit-agencies.yml',
   'site-config.yml',
   'bay-area-jurisdictions.yml',
@@ -1,5 +1,19 @@
-// Minimal API client with ETag support and optional caching
+// Minimal API client with ETag support, caching, request coalescing,
+// stale-while-revalidate and retry with backoff
+const { createAsyncCache } = require('./cache');
+
 const DEFAULT_BASE_URL = 'https://baynavigator.org/api';
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+// Size limit for the default in-memory response cache
+const DEFAULT_CACHE_MAX_BYTES = 1024 * 1024 * 10;
+// A failed POST or PATCH may still have reached the server, so only these are
+// retried unless a request opts in with its own `retries`
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 function buildQuery(params = {}) {
   const search = new URLSearchParams();
@@ -11,37 +25,193 @@ function buildQuery(params = {}) {
   return qs ? `?${qs}` : '';
 }
 
+// Program shards: pre-filtered, paged copies of programs.json written by
+// scripts/generate-api.cjs. shards/index.json lists every shard's size.
+const SHARD_INDEX_PATH = '/shards/index.json';
+const SHARD_FILTERS = ['category', 'group', 'area'];
+
+// Must match shardKey() in scripts/generate-api.cjs
+function shardKey(value) {
+  return String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9_]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function toNonNegativeInt(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : undefined;
+}
+
+function parseProgramParams(params = {}) {
+  const filters = {};
+  SHARD_FILTERS.forEach((dimension) => {
+    const value = params[dimension];
+    if (value === undefined || value === null || value === '' || value === 'all') return;
+    filters[dimension] = shardKey(value);
+  });
+  return {
+    filters,
+    limit: toNonNegativeInt(params.limit),
+    offset: toNonNegativeInt(params.offset) || 0,
+  };
+}
+
+function programValues(program, dimension) {
+  if (dimension === 'category') return [program.category];
+  if (dimension === 'group') return program.groups || [];
+  return program.areas || [];
+}
+
+function matchesFilters(program, filters) {
+  return Object.entries(filters).every(([dimension, key]) =>
+    programValues(program, dimension).some((value) => shardKey(value) === key)
+  );
+}
+
+// Body and ETag share one cache entry, so eviction can't keep an ETag whose
+// body is gone (that would turn the next 304 into an error)
+function responseKey(url) {
+  return `response:${url}`;
+}
+
+function pageResponse(programs, total, offset, limit) {
+  const page = limit === undefined ? programs : programs.slice(0, limit);
+  return { total, count: page.length, offset, programs: page };
+}
+
 class ApiClient {
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
     this.fetchFn = options.fetchFn || (typeof fetch !== 'undefined' ? fetch : null);
     if (!this.fetchFn) throw new Error('fetch is not available; provide fetchFn');
-    this.cache = options.cache || null; // expected interface: get(key), set(key, value)
+    // expected interface: get(key), set(key, value), sync (createCache) or async
+    // (createAsyncCache); defaults to a size-bounded in-memory cache, null disables caching
+    this.cache =
+      options.cache === undefined
+        ? createAsyncCache({ namespace: 'api-client', maxBytes: DEFAULT_CACHE_MAX_BYTES })
+        : options.cache;
+    this.staleWhileRevalidate = Boolean(options.staleWhileRevalidate);
+    this.retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+    this.retryDelayMs =
+      options.retryDelayMs === undefined ? DEFAULT_RETRY_DELAY_MS : options.retryDelayMs;
+    this.inflight = new Map(); // url -> pending GET promise
+    this.listeners = new Map(); // event name -> Set of listeners
+    this.shardIndexPromise = null;
+  }
+
+  // Events: 'update' ({ path, url, data, etag }) when a background refresh brings
+  // fresh data, 'error' ({ path, url, error }) when a background refresh fails
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) listeners.delete(listener);
+  }
+
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+    listeners.forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (err) {
+        // a failing listener shouldn't break the others
+      }
+    });
   }
 
   async request(path, options = {}) {
     const url = `${this.baseUrl}${path}${buildQuery(options.params)}`;
-    const headers = Object.assign({ Accept: 'application/json' }, options.headers || {});
+    const method = options.method || 'GET';
+    const cacheable = method === 'GET' && !options.body;
+
+    if (!cacheable) return this.fetchWithRetry(url, options);
+
+    const staleWhileRevalidate =
+      options.staleWhileRevalidate === undefined
+        ? this.staleWhileRevalidate
+        : options.staleWhileRevalidate;
 
-    const cacheKey = `body:${url}`;
-    const etagKey = `etag:${url}`;
+    if (staleWhileRevalidate && this.cache) {
+      const cached = await this.cache.get(responseKey(url));
+      if (cached !== undefined) {
+        this.revalidate(path, url, options);
+        return { data: cached.data, etag: cached.etag, fromCache: true, stale: true };
+      }
+    }
+
+    return this.coalesce(url, options, () => this.fetchWithRetry(url, options));
+  }
+
+  // Share one in-flight GET between identical requests. Requests with their own
+  // abort signal get a dedicated fetch so aborting one doesn't cancel the others.
+  coalesce(url, options, run) {
+    if (options.signal) return run();
+    if (this.inflight.has(url)) return this.inflight.get(url);
+
+    const promise = run().finally(() => this.inflight.delete(url));
+    this.inflight.set(url, promise);
+    return promise;
+  }
+
+  revalidate(path, url, options) {
+    // Background refreshes outlive the caller, so don't tie them to its abort signal
+    const rest = { ...options, signal: undefined };
+    this.coalesce(url, rest, () => this.fetchWithRetry(url, rest))
+      .then((result) => {
+        if (!result.fromCache)
+          this.emit('update', { path, url, data: result.data, etag: result.etag });
+      })
+      .catch((error) => this.emit('error', { path, url, error }));
+  }
+
+  // Retry network errors and 5xx responses on idempotent requests with
+  // exponential backoff
+  async fetchWithRetry(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const retries =
+      options.retries !== undefined
+        ? options.retries
+        : IDEMPOTENT_METHODS.has(method)
+          ? this.retries
+          : 0;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchOnce(url, options);
+      } catch (err) {
+        const retryable =
+          err.name !== 'AbortError' && (err.status === undefined || err.status >= 500);
+        if (!retryable || attempt >= retries) throw err;
+        await sleep(this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  async fetchOnce(url, options) {
+    const headers = Object.assign({ Accept: 'application/json' }, options.headers || {});
+    const method = options.method || 'GET';
+    const cacheable = method === 'GET' && !options.body;
 
-    const cachedEtag = this.cache ? this.cache.get(etagKey) : undefined;
-    if (cachedEtag) headers['If-None-Match'] = cachedEtag;
+    const cache = cacheable ? this.cache : null;
+    const cached = cache ? await cache.get(responseKey(url)) : undefined;
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
 
     const res = await this.fetchFn(url, {
-      method: options.method || 'GET',
+      method,
       headers,
       signal: options.signal,
       body: options.body ? JSON.stringify(options.body) : undefined,
     });
 
-    if (res.status === 304) {
-      const cachedBody = this.cache ? this.cache.get(cacheKey) : undefined;
-      if (cachedBody !== undefined) {
-        return { data: cachedBody, etag: cachedEtag, fromCache: true };
-      }
-      // fall through to fetch body if cache missing
+    if (res.status === 304 && cached) {
+      return { data: cached.data, etag: cached.etag, fromCache: true };
     }
 
     if (!res.ok) {
@@ -61,18 +231,97 @@ class ApiClient {
     const data = await res.json();
     const etag = res.headers.get('etag');
 
-    if (this.cache && etag) {
-      this.cache.set(etagKey, etag);
-      this.cache.set(cacheKey, data);
-    }
+    if (cache) await cache.set(responseKey(url), { data, etag });
 
     return { data, etag, fromCache: false };
   }
 
   // Convenience endpoint wrappers
-  getPrograms(params = {}) {
-    // Static JSON API - params are ignored, all programs returned
-    return this.request('/programs.json', { params });
+  // Static JSON API - category/group/area/limit/offset are served from the
+  // smallest pre-built shard instead of downloading all of programs.json
+  async getPrograms(params = {}) {
+    const { filters, limit, offset } = parseProgramParams(params);
+    const filtered = Object.keys(filters).length > 0;
+    if (!filtered && limit === undefined && offset === 0) {
+      return this.request('/programs.json');
+    }
+
+    let index;
+    try {
+      index = await this.getShardIndex();
+    } catch {
+      // Deployments without shards: filter the full list locally
+      const res = await this.request('/programs.json');
+      const matched = res.data.programs.filter((p) => matchesFilters(p, filters));
+      return {
+        data: pageResponse(matched.slice(offset), matched.length, offset, limit),
+        etag: null,
+        fromCache: res.fromCache,
+      };
+    }
+
+    const candidates = Object.entries(filters).map(([dimension, key]) => ({
+      dimension,
+      key,
+      info: (index[dimension] || {})[key],
+    }));
+
+    // A filter value with no shard has no programs
+    if (candidates.some((c) => !c.info)) {
+      return { data: pageResponse([], 0, offset, limit), etag: null, fromCache: false };
+    }
+
+    candidates.sort((a, b) => a.info.total - b.info.total);
+    const shard = candidates[0] || { dimension: 'all', key: null, info: index.all };
+    const basePath = shard.key
+      ? `/shards/${shard.dimension}/${encodeURIComponent(shard.key)}`
+      : '/shards/all';
+    const fetchPages = (first, last) =>
+      Promise.all(
+        Array.from({ length: Math.max(0, last - first + 1) }, (_, i) =>
+          this.request(`${basePath}/page-${first + i}.json`)
+        )
+      );
+
+    // Single filter (or none): the shard is exact, so only fetch the pages covering the window
+    if (candidates.length <= 1) {
+      const { total } = shard.info;
+      const end = limit === undefined ? total : Math.min(total, offset + limit);
+      const firstPage = Math.floor(offset / index.pageSize) + 1;
+      const lastPage = end > offset ? Math.ceil(end / index.pageSize) : firstPage - 1;
+      const responses = await fetchPages(firstPage, lastPage);
+      const programs = [].concat(...responses.map((res) => res.data.programs));
+      const start = offset - (firstPage - 1) * index.pageSize;
+      return {
+        data: pageResponse(programs.slice(start), total, offset, limit),
+        etag: null,
+        fromCache: responses.length > 0 && responses.every((res) => res.fromCache),
+      };
+    }
+
+    // Several filters: load the smallest shard and apply the rest locally
+    const responses = await fetchPages(1, shard.info.pages);
+    const rest = Object.fromEntries(candidates.slice(1).map((c) => [c.dimension, c.key]));
+    const matched = []
+      .concat(...responses.map((res) => res.data.programs))
+      .filter((p) => matchesFilters(p, rest));
+    return {
+      data: pageResponse(matched.slice(offset), matched.length, offset, limit),
+      etag: null,
+      fromCache: responses.every((res) => res.fromCache),
+    };
+  }
+
+  getShardIndex() {
+    if (!this.shardIndexPromise) {
+      this.shardIndexPromise = this.request(SHARD_INDEX_PATH)
+        .then((res) => res.data)
+        .catch((err) => {
+          this.shardIndexPromise = null;
+          throw err;
+        });
+    }
+    return this.shardIndexPromise;
   }
 
   getProgramById(id) {
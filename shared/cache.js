@@ -133,4 +133,233 @@ function createCache(options = {}) {
   return { get, set, remove, clear, stats };
 }
 
-module.exports = { createCache };
+// Async cache for large payloads (e.g. programs.json) on async storage such as
+// IndexedDB (./idb-storage) or files in Node (./file-storage). Entries are
+// accounted by serialized byte size and evicted least-recently-used first
+// once the total passes maxBytes.
+// storage API expected: getItem(key) -> Promise<string|null>, setItem(key, value), removeItem(key)
+
+function byteLength(str) {
+  if (typeof TextEncoder !== 'undefined') return new TextEncoder().encode(str).length;
+  return Buffer.byteLength(str, 'utf8');
+}
+
+function isQuotaError(err) {
+  if (!err) return false;
+  return (
+    err.name === 'QuotaExceededError' ||
+    err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    err.code === 22 ||
+    err.code === 'ENOSPC' ||
+    err.code === 'EDQUOT'
+  );
+}
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    async getItem(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    async setItem(key, value) {
+      items.set(key, value);
+    },
+    async removeItem(key) {
+      items.delete(key);
+    },
+  };
+}
+
+function createAsyncCache(options = {}) {
+  const {
+    maxBytes = 1024 * 1024 * 25,
+    ttlMs = 1000 * 60 * 60 * 24 * 7,
+    storage = createMemoryStorage(),
+    namespace = 'shared-cache',
+    onQuotaExceeded = null,
+  } = options;
+
+  const indexKey = `${namespace}:index`;
+  const entryKey = (key) => `${namespace}:entry:${key}`;
+
+  let index = null; // key -> { size }, in least- to most-recently-used order
+  let loading = null;
+  let queue = Promise.resolve();
+
+  function now() {
+    return Date.now();
+  }
+
+  // Run operations one at a time so the size index never races
+  function run(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function reportQuota(info) {
+    if (!onQuotaExceeded) return;
+    try {
+      onQuotaExceeded(info);
+    } catch (err) {
+      // ignore callback errors
+    }
+  }
+
+  async function loadIndex() {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const raw = await storage.getItem(indexKey);
+          index = new Map(raw ? JSON.parse(raw) : []);
+        } catch (err) {
+          index = new Map();
+        }
+      })();
+    }
+    await loading;
+  }
+
+  async function saveIndex() {
+    try {
+      await storage.setItem(indexKey, JSON.stringify(Array.from(index.entries())));
+    } catch (err) {
+      // index is rebuilt from scratch if it can't be read back
+    }
+  }
+
+  function totalBytes() {
+    let total = 0;
+    index.forEach((entry) => {
+      total += entry.size;
+    });
+    return total;
+  }
+
+  function leastRecentlyUsed(exceptKey) {
+    for (const key of index.keys()) {
+      if (key !== exceptKey) return key;
+    }
+    return null;
+  }
+
+  // Move a key to the most-recently-used end (saved with the next write)
+  function touch(key, entry) {
+    index.delete(key);
+    index.set(key, entry);
+  }
+
+  async function removeEntry(key) {
+    index.delete(key);
+    try {
+      await storage.removeItem(entryKey(key));
+    } catch (err) {
+      // ignore
+    }
+  }
+
+  function get(key) {
+    return run(async () => {
+      await loadIndex();
+      const entry = index.get(key);
+      if (!entry) return undefined;
+
+      let parsed = null;
+      try {
+        const raw = await storage.getItem(entryKey(key));
+        parsed = raw ? JSON.parse(raw) : null;
+      } catch (err) {
+        // treat unreadable entries as missing
+      }
+
+      const lifetime = parsed ? parsed.ttl || ttlMs : 0;
+      if (!parsed || now() - parsed.ts > lifetime) {
+        await removeEntry(key);
+        await saveIndex();
+        return undefined;
+      }
+
+      touch(key, entry);
+      return parsed.value;
+    });
+  }
+
+  // Resolves to true if stored, false if the entry was too large or storage refused it
+  function set(key, value, entryTtlMs) {
+    return run(async () => {
+      await loadIndex();
+      const raw = JSON.stringify({ value, ts: now(), ttl: entryTtlMs });
+      const size = byteLength(raw);
+
+      if (size > maxBytes) {
+        reportQuota({ key, size, maxBytes, reason: 'max-bytes' });
+        return false;
+      }
+
+      // Make room within maxBytes (the entry being replaced doesn't count)
+      const replaced = index.has(key) ? index.get(key).size : 0;
+      let victim;
+      while (totalBytes() - replaced + size > maxBytes && (victim = leastRecentlyUsed(key))) {
+        await removeEntry(victim);
+      }
+
+      // Storage can still run out of room (browser quota, full disk): evict and retry
+      for (;;) {
+        try {
+          await storage.setItem(entryKey(key), raw);
+          break;
+        } catch (err) {
+          victim = isQuotaError(err) ? leastRecentlyUsed(key) : null;
+          if (!victim) {
+            if (isQuotaError(err)) {
+              reportQuota({ key, size, maxBytes, reason: 'storage-quota', error: err });
+            }
+            await saveIndex();
+            return false;
+          }
+          await removeEntry(victim);
+        }
+      }
+
+      touch(key, { size });
+      await saveIndex();
+      return true;
+    });
+  }
+
+  function remove(key) {
+    return run(async () => {
+      await loadIndex();
+      await removeEntry(key);
+      await saveIndex();
+    });
+  }
+
+  function clear() {
+    return run(async () => {
+      await loadIndex();
+      await Promise.all(Array.from(index.keys()).map((key) => removeEntry(key)));
+      try {
+        await storage.removeItem(indexKey);
+      } catch (err) {
+        // ignore
+      }
+    });
+  }
+
+  function stats() {
+    return run(async () => {
+      await loadIndex();
+      return {
+        storedEntries: index.size,
+        totalBytes: totalBytes(),
+        maxBytes,
+        ttlMs,
+      };
+    });
+  }
+
+  return { get, set, remove, clear, stats };
+}
+
+module.exports = { createCache, createAsyncCache };
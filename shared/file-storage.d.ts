@@ -0,0 +1,10 @@
+// Type definitions for shared/file-storage.js (Node only)
+
+import type { AsyncStorage } from './index';
+
+export interface FileStorageOptions {
+  /** Directory holding one file per cache key (created on first write) */
+  dir: string;
+}
+
+export function createFileStorage(options: FileStorageOptions): AsyncStorage;
@@ -0,0 +1,45 @@
+// File-backed storage adapter for createAsyncCache (Node only)
+// One file per key under `dir`; writes go through a temp file and rename so a
+// crash never leaves a half-written entry. Not exported from index.js to keep
+// `fs` out of browser and React Native bundles.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileStorage(options = {}) {
+  const { dir } = options;
+  if (!dir) throw new Error('dir is required');
+
+  function fileFor(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(dir, `${hash}.json`);
+  }
+
+  return {
+    async getItem(key) {
+      try {
+        return await fs.readFile(fileFor(key), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async setItem(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.writeFile(tmp, value, 'utf8');
+        await fs.rename(tmp, file);
+      } catch (err) {
+        await fs.rm(tmp, { force: true });
+        throw err;
+      }
+    },
+    async removeItem(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createFileStorage };
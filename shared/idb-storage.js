@@ -0,0 +1,66 @@
+// IndexedDB storage adapter for createAsyncCache (browsers)
+// Exposes the async getItem/setItem/removeItem surface; values are strings.
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createIndexedDbStorage(options = {}) {
+  const {
+    dbName = 'baynavigator-cache',
+    storeName = 'entries',
+    indexedDB: idb = typeof indexedDB !== 'undefined' ? indexedDB : null,
+  } = options;
+  if (!idb) throw new Error('IndexedDB is not available; provide indexedDB');
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      const request = idb.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      dbPromise = promisify(request).catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Resolve once the transaction commits; quota errors surface as a transaction abort
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      let result;
+      promisify(fn(tx.objectStore(storeName))).then((value) => {
+        result = value;
+      }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onabort = () => reject(tx.error);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  return {
+    async getItem(key) {
+      const value = await withStore('readonly', (store) => store.get(key));
+      return value === undefined ? null : value;
+    },
+    setItem(key, value) {
+      return withStore('readwrite', (store) => store.put(value, key)).then(() => undefined);
+    },
+    removeItem(key) {
+      return withStore('readwrite', (store) => store.delete(key)).then(() => undefined);
+    },
+  };
+}
+
+module.exports = { createIndexedDbStorage };
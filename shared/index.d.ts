@@ -28,6 +28,59 @@ export interface CacheOptions {
 
 export function createCache(options?: CacheOptions): CacheInterface;
 
+/** Async key/value storage (IndexedDB, files, or any promise-based store) */
+export interface AsyncStorage {
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface QuotaExceededInfo {
+  key: string;
+  /** Serialized entry size in bytes */
+  size: number;
+  maxBytes: number;
+  /** 'max-bytes': entry larger than maxBytes; 'storage-quota': storage refused the write after evicting everything else */
+  reason: 'max-bytes' | 'storage-quota';
+  error?: Error;
+}
+
+export interface AsyncCacheStats {
+  storedEntries: number;
+  totalBytes: number;
+  maxBytes: number;
+  ttlMs: number;
+}
+
+export interface AsyncCacheInterface {
+  get(key: string): Promise<any>;
+  /** Resolves to false when the entry could not be stored */
+  set(key: string, value: any, entryTtlMs?: number): Promise<boolean>;
+  remove(key: string): Promise<void>;
+  clear(): Promise<void>;
+  stats(): Promise<AsyncCacheStats>;
+}
+
+export interface AsyncCacheOptions {
+  /** Total serialized size before least-recently-used entries are evicted (default 25 MB) */
+  maxBytes?: number;
+  ttlMs?: number;
+  /** Defaults to in-memory storage */
+  storage?: AsyncStorage;
+  namespace?: string;
+  onQuotaExceeded?: (info: QuotaExceededInfo) => void;
+}
+
+export function createAsyncCache(options?: AsyncCacheOptions): AsyncCacheInterface;
+
+export interface IndexedDbStorageOptions {
+  dbName?: string;
+  storeName?: string;
+  indexedDB?: IDBFactory;
+}
+
+export function createIndexedDbStorage(options?: IndexedDbStorageOptions): AsyncStorage;
+
 export interface Program {
   id: string;
   name: string;
@@ -43,10 +96,34 @@ export interface Program {
 }
 
 export interface ProgramsResponse {
+  total: number;
   count: number;
+  offset: number;
   programs: Program[];
 }
 
+/** Filters served from pre-built shards; `area` accepts a name or id (e.g. "San Mateo County"). */
+export interface ProgramsQuery {
+  category?: string;
+  group?: string;
+  area?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface ShardInfo {
+  total: number;
+  pages: number;
+}
+
+export interface ShardIndex {
+  pageSize: number;
+  all: ShardInfo;
+  category: Record<string, ShardInfo>;
+  group: Record<string, ShardInfo>;
+  area: Record<string, ShardInfo>;
+}
+
 export interface CategoriesResponse {
   count: number;
   categories: { category: string; count: number }[];
@@ -67,28 +144,68 @@ export interface StatsResponse {
 export interface ApiClientOptions {
   baseUrl?: string;
   fetchFn?: typeof fetch;
-  cache?: CacheInterface | null;
+  /** Defaults to an in-memory createAsyncCache() capped at 10 MB; null turns caching off */
+  cache?: CacheInterface | AsyncCacheInterface | null;
+  /** Return cached GET responses immediately and refresh them in the background */
+  staleWhileRevalidate?: boolean;
+  /** Retries for network errors and 5xx responses on GET, HEAD, OPTIONS, PUT and DELETE (default 2) */
+  retries?: number;
+  /** Initial backoff delay, doubled on each retry (default 500) */
+  retryDelayMs?: number;
 }
 
 export interface ApiResponse<T> {
   data: T;
   etag?: string | null;
   fromCache: boolean;
+  /** True when served from cache while a background refresh runs */
+  stale?: boolean;
+}
+
+export interface ApiRequestOptions {
+  method?: string;
+  params?: Record<string, any>;
+  headers?: Record<string, string>;
+  body?: any;
+  signal?: AbortSignal;
+  /** Overrides the client-wide staleWhileRevalidate setting */
+  staleWhileRevalidate?: boolean;
+  /** Overrides the client-wide retries; POST and PATCH are only retried when set */
+  retries?: number;
+}
+
+export interface ApiUpdateEvent<T = any> {
+  path: string;
+  url: string;
+  data: T;
+  etag?: string | null;
+}
+
+export interface ApiErrorEvent {
+  path: string;
+  url: string;
+  error: Error & { status?: number };
+}
+
+export interface ApiClientEvents {
+  update: ApiUpdateEvent;
+  error: ApiErrorEvent;
 }
 
 export class ApiClient {
   constructor(options?: ApiClientOptions);
-  request<T = any>(
-    path: string,
-    options?: {
-      method?: string;
-      params?: Record<string, any>;
-      headers?: Record<string, string>;
-      body?: any;
-      signal?: AbortSignal;
-    }
-  ): Promise<ApiResponse<T>>;
-  getPrograms(params?: Record<string, any>): Promise<ApiResponse<ProgramsResponse>>;
+  request<T = any>(path: string, options?: ApiRequestOptions): Promise<ApiResponse<T>>;
+  /** Subscribe to background refresh events; returns an unsubscribe function */
+  on<K extends keyof ApiClientEvents>(
+    event: K,
+    listener: (payload: ApiClientEvents[K]) => void
+  ): () => void;
+  off<K extends keyof ApiClientEvents>(
+    event: K,
+    listener: (payload: ApiClientEvents[K]) => void
+  ): void;
+  getPrograms(params?: ProgramsQuery): Promise<ApiResponse<ProgramsResponse>>;
+  getShardIndex(): Promise<ShardIndex>;
   getProgramById(id: string): Promise<ApiResponse<Program>>;
   getCategories(): Promise<ApiResponse<CategoriesResponse>>;
   getAreas(): Promise<ApiResponse<AreasResponse>>;
@@ -101,7 +218,7 @@ export interface TranslateOptions {
   sourceLang?: string;
   endpoint?: string;
   fetchFn?: typeof fetch;
-  cache?: CacheInterface | null;
+  cache?: CacheInterface | AsyncCacheInterface | null;
   cacheTtlMs?: number;
 }
 
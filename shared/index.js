@@ -1,9 +1,12 @@
-const { createCache } = require('./cache');
+const { createCache, createAsyncCache } = require('./cache');
+const { createIndexedDbStorage } = require('./idb-storage');
 const { ApiClient, DEFAULT_BASE_URL } = require('./api-client');
 const { translateTexts, DEFAULT_TRANSLATE_ENDPOINT } = require('./translation');
 
 module.exports = {
   createCache,
+  createAsyncCache,
+  createIndexedDbStorage,
   ApiClient,
   DEFAULT_BASE_URL,
   translateTexts,
@@ -33,7 +33,7 @@ async function translateTexts(options) {
   const cacheKey = `translation:${targetLang}:${hashTexts(texts)}`;
 
   if (cache) {
-    const cached = cache.get(cacheKey);
+    const cached = await cache.get(cacheKey);
     if (cached) return { translations: cached, fromCache: true };
   }
 
@@ -67,7 +67,7 @@ async function translateTexts(options) {
   const translations = data.translations || [];
 
   if (cache) {
-    cache.set(cacheKey, translations, cacheTtlMs);
+    await cache.set(cacheKey, translations, cacheTtlMs);
   }
 
   return { translations, fromCache: false };
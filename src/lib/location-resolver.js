@@ -0,0 +1,411 @@
+/**
+ * Location Resolver
+ *
+ * Turns a ZIP code, city or neighborhood name, street address or lat/lng
+ * into a Bay Area location: city, county, census-designated place (CDP) and,
+ * on request, supervisorial district and the other districts that decide who
+ * represents it. Shared by the SearchBar location refinement, the settings
+ * page and Ask Carl.
+ *
+ * County for coordinates comes from point-in-polygon against
+ * /api/county-boundaries.json, so points near a county line (Milpitas vs.
+ * Fremont, Vallejo vs. Crockett) resolve to the county they're actually in
+ * rather than the one with the nearest center. ZIPs, cities and aliases come
+ * from /api/location-data.json. Districts come from the snapshots in
+ * /api/districts/ (scripts/sync-district-boundaries.cjs); only counties
+ * missing from the supervisorial snapshot query their live ArcGIS layer.
+ *
+ * Result shape:
+ *   {
+ *     source: 'zip' | 'city' | 'neighborhood' | 'coordinates',
+ *     input: '95035',
+ *     zip: '95035' | null,
+ *     city: 'milpitas' | null,     // lowercase, as in cityToCounty
+ *     county: 'Santa Clara County',
+ *     cdp: null,                  // e.g. 'castro valley' for unincorporated places
+ *     neighborhood: null,
+ *     lat: 37.4323, lng: -121.8996, // null if unknown
+ *     supervisorialDistrict: 3 | null,
+ *     districts: null             // with { districts: true }:
+ *       // { congressional, assembly, senate, supervisorial, council: { city, district } | null }
+ *   }
+ */
+
+export const LOCATION_DATA_URL = '/api/location-data.json';
+export const COUNTY_BOUNDARIES_URL = '/api/county-boundaries.json';
+export const DISTRICT_BOUNDARIES_URL = '/api/districts';
+
+// GPS points farther than this from every ZIP center in their county get no city
+const MAX_CITY_DISTANCE_KM = 10;
+
+// County GIS servers can be slow; a location is still useful without its district
+const DISTRICT_LOOKUP_TIMEOUT_MS = 5000;
+
+const ZIP_PATTERN = /\b(9[45]\d{3})\b/g;
+const COORDINATES_PATTERN = /^\s*(-?\d{1,3}\.\d+)\s*,\s*(-?\d{1,3}\.\d+)\s*$/;
+
+/**
+ * County name as used across the site ('Alameda County', but 'San Francisco'
+ * for the consolidated city and county)
+ * @param {string} boundaryName - Feature name from county-boundaries.json
+ * @returns {string}
+ */
+export function toCountyName(boundaryName) {
+  return boundaryName === 'San Francisco' ? boundaryName : `${boundaryName} County`;
+}
+
+// Ray casting against one ring of [lng, lat] positions
+function isInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point falls inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ type: string, coordinates: Array }} geometry
+ * @returns {boolean}
+ */
+export function isPointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+  const polygons =
+    geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon'
+        ? geometry.coordinates
+        : [];
+  return polygons.some(
+    ([outer, ...holes]) =>
+      isInRing(lng, lat, outer) && !holes.some((hole) => isInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * County containing a point, or null outside the nine Bay Area counties
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ features: Array }} countyBoundaries - county-boundaries.json
+ * @returns {string | null}
+ */
+export function findCountyAt(lat, lng, countyBoundaries) {
+  const feature = (countyBoundaries?.features || []).find((f) =>
+    isPointInGeometry(lat, lng, f.geometry)
+  );
+  return feature ? toCountyName(feature.properties.name) : null;
+}
+
+/**
+ * Properties of the district containing a point
+ * @param {number} lat
+ * @param {number} lng
+ * @param {{ features: Array } | null} collection - A /api/districts/ layer
+ * @param {(properties: object) => boolean} [filter]
+ * @returns {object | null}
+ */
+export function findDistrictAt(lat, lng, collection, filter) {
+  const feature = (collection?.features || []).find(
+    (f) => (!filter || filter(f.properties)) && isPointInGeometry(lat, lng, f.geometry)
+  );
+  return feature ? feature.properties : null;
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLng = ((lng2 - lng1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) * Math.cos((lat2 * Math.PI) / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a resolver over loaded location data
+ * @param {object} data
+ * @param {object} data.locationData - location-data.json
+ * @param {object} data.countyBoundaries - county-boundaries.json
+ * @param {typeof fetch} [data.fetchFn] - For supervisorial district queries
+ * @param {(layer: string) => Promise<object | null>} [data.loadDistrictLayer] -
+ *   District snapshot by layer name ('supervisorial', 'council', ...)
+ */
+export function createLocationResolver({
+  locationData,
+  countyBoundaries,
+  fetchFn,
+  loadDistrictLayer = async () => null,
+}) {
+  const zipToCity = locationData?.zipToCity || {};
+  const zipCoordinates = locationData?.zipCoordinates || {};
+  const cityToCounty = locationData?.cityToCounty || {};
+  const neighborhoodAliases = locationData?.neighborhoodAliases || {};
+  const cdps = new Set(locationData?.cdps || []);
+  const districtServices = locationData?.supervisorDistricts || {};
+
+  // Cities and neighborhood aliases, longest first so "castro valley" wins over "castro"
+  const placeNames = [
+    ...Object.keys(cityToCounty).map((name) => ({ name, city: name })),
+    ...Object.entries(neighborhoodAliases).map(([name, city]) => ({
+      name,
+      city,
+      neighborhood: name,
+    })),
+  ]
+    .sort((a, b) => b.name.length - a.name.length)
+    .map((place) => ({ ...place, pattern: new RegExp(`\\b${escapeRegex(place.name)}\\b`) }));
+
+  function countyForCity(city) {
+    return cityToCounty[city.toLowerCase()] || null;
+  }
+
+  function buildResult(fields) {
+    const cityKey = fields.city ? fields.city.toLowerCase() : null;
+    return {
+      source: fields.source,
+      input: fields.input,
+      zip: fields.zip || null,
+      city: cityKey,
+      county: fields.county,
+      cdp: cdps.has(cityKey) ? cityKey : null,
+      neighborhood: fields.neighborhood || null,
+      lat: fields.lat ?? null,
+      lng: fields.lng ?? null,
+      supervisorialDistrict: null,
+      districts: null,
+    };
+  }
+
+  function fromZip(zip, input) {
+    const city = zipToCity[zip];
+    const coords = zipCoordinates[zip];
+    const county =
+      (city && countyForCity(city)) ||
+      (coords && findCountyAt(coords.lat, coords.lng, countyBoundaries));
+    if (!county) return null;
+    return buildResult({ source: 'zip', input, zip, city, county, ...coords });
+  }
+
+  function fromCoordinates(lat, lng, input) {
+    const county = findCountyAt(lat, lng, countyBoundaries);
+    if (!county) return null;
+
+    // Name the city by the closest ZIP center on the same side of the county line
+    let city = null;
+    let closest = MAX_CITY_DISTANCE_KM;
+    for (const [zip, coords] of Object.entries(zipCoordinates)) {
+      const zipCity = zipToCity[zip];
+      if (!zipCity || countyForCity(zipCity) !== county) continue;
+      const distance = distanceKm(lat, lng, coords.lat, coords.lng);
+      if (distance < closest) {
+        closest = distance;
+        city = zipCity;
+      }
+    }
+    return buildResult({ source: 'coordinates', input, city, county, lat, lng });
+  }
+
+  function fromPlaceName(text, input) {
+    const lower = text.toLowerCase();
+    const place = placeNames.find((p) => p.pattern.test(lower));
+    if (!place) return null;
+    const county = countyForCity(place.city);
+    if (!county) return null;
+    return buildResult({
+      source: place.neighborhood ? 'neighborhood' : 'city',
+      input,
+      city: place.neighborhood ? place.city : place.name,
+      county,
+      neighborhood: place.neighborhood,
+    });
+  }
+
+  /**
+   * Resolve a location without any network requests
+   * @param {string | { lat: number, lng: number }} input - ZIP, city, address,
+   *   "lat, lng" text or coordinates
+   * @returns {object | null} Location (see module docs), or null if not in the Bay Area
+   */
+  function resolveSync(input) {
+    if (input && typeof input === 'object') {
+      if (!Number.isFinite(input.lat) || !Number.isFinite(input.lng)) return null;
+      return fromCoordinates(input.lat, input.lng, `${input.lat}, ${input.lng}`);
+    }
+
+    const text = String(input || '').trim();
+    if (!text) return null;
+
+    const coords = text.match(COORDINATES_PATTERN);
+    if (coords) return fromCoordinates(Number(coords[1]), Number(coords[2]), text);
+
+    // ZIPs come last in an address, after any five-digit house number
+    const zips = Array.from(text.matchAll(ZIP_PATTERN), (match) => match[1]).reverse();
+    for (const zip of zips) {
+      const zipResult = fromZip(zip, text);
+      if (zipResult) return zipResult;
+    }
+
+    // In "123 Fremont St, San Francisco" the city follows the street
+    const comma = text.indexOf(',');
+    return (
+      (comma !== -1 && fromPlaceName(text.slice(comma + 1), text)) || fromPlaceName(text, text)
+    );
+  }
+
+  /**
+   * Supervisorial district for a resolved location, from the district
+   * snapshot, or the county's ArcGIS district layer when the snapshot doesn't
+   * cover the county. Needs coordinates; ZIP results use the ZIP center.
+   * @param {object} location - From resolveSync()
+   * @returns {Promise<number | null>}
+   */
+  async function lookupSupervisorialDistrict(location) {
+    if (!location || location.lat == null || location.lng == null) return null;
+
+    const snapshot = await loadDistrictLayer('supervisorial');
+    const inCounty = (properties) => properties.county === location.county;
+    if (snapshot?.features?.some((f) => inCounty(f.properties))) {
+      return findDistrictAt(location.lat, location.lng, snapshot, inCounty)?.district ?? null;
+    }
+
+    const service = districtServices[location.county];
+    if (!service) return null;
+
+    const params = new URLSearchParams({
+      geometry: JSON.stringify({
+        x: location.lng,
+        y: location.lat,
+        spatialReference: { wkid: 4326 },
+      }),
+      geometryType: 'esriGeometryPoint',
+      spatialRel: 'esriSpatialRelIntersects',
+      returnGeometry: 'false',
+      outFields: service.field,
+      f: 'json',
+    });
+
+    try {
+      const response = await (fetchFn || fetch)(`${service.url}/query?${params}`, {
+        signal: AbortSignal.timeout(DISTRICT_LOOKUP_TIMEOUT_MS),
+      });
+      if (!response.ok) return null;
+      const data = await response.json();
+      let district = data?.features?.[0]?.attributes?.[service.field];
+      if (district == null) return null;
+      if (service.mapping?.[district] != null) district = service.mapping[district];
+      // Some layers store "District 3"
+      const number = parseInt(String(district).match(/\d+/)?.[0], 10);
+      return Number.isFinite(number) ? number : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Every district for a resolved location, from the district snapshots only.
+   * Layers that haven't been published come back null.
+   * @param {object} location - From resolveSync()
+   * @returns {Promise<object | null>}
+   */
+  async function lookupDistricts(location) {
+    if (!location || location.lat == null || location.lng == null) return null;
+
+    const [congressional, state, supervisorial, council] = await Promise.all(
+      ['congressional', 'state-legislative', 'supervisorial', 'council'].map(async (layer) =>
+        findDistrictAt(location.lat, location.lng, await loadDistrictLayer(layer))
+      )
+    );
+    return {
+      congressional: congressional?.district ?? null,
+      assembly: state?.assembly ?? null,
+      senate: state?.senate ?? null,
+      supervisorial: supervisorial?.county === location.county ? supervisorial.district : null,
+      council: council ? { city: council.city, district: council.district } : null,
+    };
+  }
+
+  /**
+   * Resolve a location
+   * @param {string | { lat: number, lng: number }} input
+   * @param {{ supervisorialDistrict?: boolean, districts?: boolean }} [options] -
+   *   Also find the supervisorial district (may query the county's layer), or
+   *   every district from the snapshots
+   * @returns {Promise<object | null>}
+   */
+  async function resolve(input, options = {}) {
+    const location = resolveSync(input);
+    if (location && options.supervisorialDistrict) {
+      location.supervisorialDistrict = await lookupSupervisorialDistrict(location);
+    }
+    if (location && options.districts) {
+      location.districts = await lookupDistricts(location);
+    }
+    return location;
+  }
+
+  return { resolve, resolveSync, lookupSupervisorialDistrict, lookupDistricts };
+}
+
+const jsonPromises = new Map();
+const resolverPromises = new Map();
+
+function loadJson(url) {
+  if (!jsonPromises.has(url)) {
+    jsonPromises.set(
+      url,
+      fetch(url)
+        .then((res) => (res.ok ? res.json() : null))
+        .catch(() => null)
+    );
+  }
+  return jsonPromises.get(url);
+}
+
+/**
+ * Load location data once and create a resolver. County boundaries are a
+ * large file, so they're only fetched for resolvers that need coordinates.
+ * If a file fails to load, the resolver works with what it has.
+ * @param {{ boundaries?: boolean }} [options]
+ * @returns {Promise<ReturnType<typeof createLocationResolver>>}
+ */
+export function loadLocationResolver({ boundaries = true } = {}) {
+  if (!resolverPromises.has(boundaries)) {
+    resolverPromises.set(
+      boundaries,
+      Promise.all([
+        loadJson(LOCATION_DATA_URL),
+        boundaries ? loadJson(COUNTY_BOUNDARIES_URL) : null,
+      ]).then(([locationData, countyBoundaries]) =>
+        createLocationResolver({
+          locationData,
+          countyBoundaries,
+          loadDistrictLayer: (layer) => loadJson(`${DISTRICT_BOUNDARIES_URL}/${layer}.json`),
+        })
+      )
+    );
+  }
+  return resolverPromises.get(boundaries);
+}
+
+/**
+ * Resolve a location with the shared resolver
+ * @param {string | { lat: number, lng: number }} input
+ * @param {{ supervisorialDistrict?: boolean, districts?: boolean }} [options]
+ * @returns {Promise<object | null>}
+ */
+export async function resolveLocation(input, options) {
+  const needsBoundaries =
+    (input && typeof input === 'object') || COORDINATES_PATTERN.test(String(input || ''));
+  const resolver = await loadLocationResolver({ boundaries: needsBoundaries });
+  return resolver.resolve(input, options);
+}
@@ -0,0 +1,194 @@
+/**
+ * Offline Search
+ *
+ * Queries the compact inverted index generated by scripts/generate-api.cjs
+ * (/api/search-inverted-index.json). The service worker keeps the index in
+ * sync with the version published in /api/metadata.json, so search keeps
+ * working without a network connection. Used by SearchBar when offline.
+ *
+ * Index shape:
+ *   {
+ *     format: 1,
+ *     version: '3f2a9c1e0b7d',
+ *     fields: ['name', 'keywords', 'category', 'area', 'description'],
+ *     weights: [4, 3, 2, 1, 1],
+ *     docs: ['calfresh', 'alameda-food-bank', ...],
+ *     terms: { food: [docIndex, fieldMask, docIndex, fieldMask, ...], ... }
+ *   }
+ *
+ * A posting's field mask has bit i set when the term appears in fields[i].
+ */
+
+export const OFFLINE_SEARCH_INDEX_URL = '/api/search-inverted-index.json';
+export const OFFLINE_SEARCH_INDEX_FORMAT = 1;
+
+// Query tokens at least this long also match longer index terms ("meal" -> "meals")
+const MIN_PREFIX_LENGTH = 3;
+// Prefix matches count for less than exact term matches
+const PREFIX_MATCH_FACTOR = 0.5;
+
+const STOP_WORDS = new Set([
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'the',
+  'this',
+  'to',
+  'with',
+  'you',
+  'your',
+]);
+
+/**
+ * Split text into normalized search tokens. scripts/generate-api.cjs indexes
+ * programs with this same function, so queries hit the indexed terms.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length >= 2 && !STOP_WORDS.has(token));
+}
+
+const sortedTermsCache = new WeakMap();
+
+function getSortedTerms(index) {
+  if (!sortedTermsCache.has(index)) {
+    sortedTermsCache.set(index, Object.keys(index.terms).sort());
+  }
+  return sortedTermsCache.get(index);
+}
+
+function maskWeight(index, mask) {
+  let weight = 0;
+  index.weights.forEach((fieldWeight, i) => {
+    if (mask & (1 << i)) weight += fieldWeight;
+  });
+  return weight;
+}
+
+function findPrefixTerms(index, token) {
+  const terms = getSortedTerms(index);
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (terms[mid] < token) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(token); i++) {
+    if (terms[i] !== token) matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Score every document containing a token (best of exact and prefix matches)
+ * @param {object} index
+ * @param {string} token
+ * @returns {Map<number, number>} Document index -> weight
+ */
+function matchToken(index, token) {
+  const weights = new Map();
+  const addPostings = (term, factor) => {
+    const postings = index.terms[term];
+    if (!postings) return;
+    for (let i = 0; i < postings.length; i += 2) {
+      const weight = maskWeight(index, postings[i + 1]) * factor;
+      if (weight > (weights.get(postings[i]) || 0)) {
+        weights.set(postings[i], weight);
+      }
+    }
+  };
+
+  addPostings(token, 1);
+  if (token.length >= MIN_PREFIX_LENGTH) {
+    findPrefixTerms(index, token).forEach((term) => addPostings(term, PREFIX_MATCH_FACTOR));
+  }
+  return weights;
+}
+
+/**
+ * Search the inverted index. Each term (the query plus any synonym expansions)
+ * matches documents containing all of its tokens; a document keeps its best
+ * score across terms.
+ * @param {object} index - Parsed inverted index
+ * @param {string[]} terms - Query terms, e.g. from SearchBar's expandWithSynonyms()
+ * @returns {Map<string, { id: string, score: number }>} Program id -> score (0 best, 1 worst)
+ */
+export function searchInvertedIndex(index, terms) {
+  const resultsById = new Map();
+  const maxWeight = index.weights.reduce((sum, weight) => sum + weight, 0);
+
+  terms.forEach((term) => {
+    const tokens = tokenize(term);
+    if (tokens.length === 0) return;
+
+    let totals = null;
+    for (const token of tokens) {
+      const weights = matchToken(index, token);
+      if (totals === null) {
+        totals = weights;
+      } else {
+        for (const docIndex of totals.keys()) {
+          if (weights.has(docIndex)) {
+            totals.set(docIndex, totals.get(docIndex) + weights.get(docIndex));
+          } else {
+            totals.delete(docIndex);
+          }
+        }
+      }
+      if (totals.size === 0) return;
+    }
+
+    totals.forEach((total, docIndex) => {
+      const id = index.docs[docIndex];
+      const score = 1 - total / (tokens.length * maxWeight);
+      const existing = resultsById.get(id);
+      if (!existing || score < existing.score) {
+        resultsById.set(id, { id, score });
+      }
+    });
+  });
+
+  return resultsById;
+}
+
+let indexPromise = null;
+
+/**
+ * Load the inverted index (served from the service worker cache when offline)
+ * @returns {Promise<object | null>} Parsed index, or null if unavailable
+ */
+export function loadOfflineSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = fetch(OFFLINE_SEARCH_INDEX_URL)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((index) => (index && index.format === OFFLINE_SEARCH_INDEX_FORMAT ? index : null))
+      .catch(() => null)
+      .then((index) => {
+        // Allow a retry on the next search if the index couldn't be loaded
+        if (!index) indexPromise = null;
+        return index;
+      });
+  }
+  return indexPromise;
+}
@@ -0,0 +1,139 @@
+/**
+ * Program Changelog
+ *
+ * Presents entries from the changes.json feed (generated by
+ * scripts/generate-api.cjs) on program cards and in the detail modal: the
+ * "Updated recently" badge and a short list of what changed.
+ *
+ * Change shape (as emitted by the API):
+ *   { date: '2026-10-19', type: 'modified', id, name, category,
+ *     fields: [{ field: 'phone', label: 'Phone', before: '...', after: '...' }] }
+ *
+ * Cards carry only summaries ({ date, type, fieldLabels }), since before and
+ * after values can be whole descriptions; the modal loads the full entries.
+ */
+
+import { getToday } from './program-deadlines.js';
+
+export const RECENT_CHANGE_DAYS = 30;
+export const CHANGES_PER_PROGRAM = 5;
+
+const CHANGES_URL = '/api/changes.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Badge for a program added or changed in the last RECENT_CHANGE_DAYS days
+ * @param {object[]} changes - The program's changes, newest first
+ * @param {Date} [now]
+ * @returns {{ label: string, date: string } | null}
+ */
+export function getUpdateBadge(changes, now = new Date()) {
+  const latest = (changes || []).find(
+    (change) => change.type === 'added' || change.type === 'modified'
+  );
+  if (!latest) return null;
+  const age = daysBetween(latest.date, getToday(now));
+  if (age < 0 || age > RECENT_CHANGE_DAYS) return null;
+  return { label: latest.type === 'added' ? 'New' : 'Updated recently', date: latest.date };
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function isStructured(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Card-sized copy of a change: its date, type and which fields changed
+ * @param {object} change - Entry from the change feed
+ * @returns {{ date: string, type: string, fieldLabels: string[] }}
+ */
+export function summarizeChange(change) {
+  return {
+    date: change.date,
+    type: change.type,
+    fieldLabels: (change.fields || []).map((field) => field.label),
+  };
+}
+
+/**
+ * One line per changed field, e.g. "Phone: 510-555-0100 → 510-555-0199".
+ * Structured fields (hours, deadline) and summaries without values just say
+ * they changed.
+ * @param {object} change
+ * @returns {string[]}
+ */
+export function describeChange(change) {
+  if (change.type === 'added') return ['Added to Bay Navigator'];
+  if (!change.fields) return (change.fieldLabels || []).map((label) => `${label} changed`);
+  return change.fields.map(({ label, before, after }) =>
+    isStructured(before) || isStructured(after)
+      ? `${label} changed`
+      : `${label}: ${formatValue(before)} → ${formatValue(after)}`
+  );
+}
+
+/**
+ * Format a change date for display (e.g. "Oct 19, 2026")
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatChangeDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Read the changes stored on a program card's data attribute
+ * @param {Element} card
+ * @returns {object[]}
+ */
+export function readCardChanges(card) {
+  const raw = card.getAttribute('data-changes');
+  if (!raw) return [];
+  try {
+    const changes = JSON.parse(raw);
+    return Array.isArray(changes) ? changes : [];
+  } catch {
+    return [];
+  }
+}
+
+let feedPromise = null;
+
+/**
+ * A program's recent additions and modifications from the change feed, with
+ * before and after values, newest first. The feed is fetched once per page.
+ * @param {string} id - Program ID
+ * @param {{ fetchFn?: typeof fetch }} [options]
+ * @returns {Promise<object[]>} Empty if the feed can't be loaded
+ */
+export async function loadProgramChanges(id, { fetchFn = fetch } = {}) {
+  if (!feedPromise) {
+    feedPromise = fetchFn(CHANGES_URL)
+      .then((res) => (res.ok ? res.json() : { changes: [] }))
+      .then((feed) => feed.changes || [])
+      .catch(() => {
+        feedPromise = null;
+        return [];
+      });
+  }
+  const changes = await feedPromise;
+  return changes
+    .filter((change) => change.id === id && (change.type === 'added' || change.type === 'modified'))
+    .slice(0, CHANGES_PER_PROGRAM);
+}
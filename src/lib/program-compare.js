@@ -0,0 +1,137 @@
+/**
+ * Program Comparison
+ *
+ * Selection and side-by-side diffing for the compare page. Up to MAX_COMPARE
+ * programs can be picked from the directory or favorites; the selection is
+ * kept in localStorage (like favorites) and shared as /compare?ids=a,b,c.
+ */
+
+export const MAX_COMPARE = 4;
+export const COMPARE_KEY = 'baynavigator_compare';
+
+// Rows shown on the compare page, in order
+export const COMPARE_FIELDS = [
+  { key: 'groups', label: 'Eligibility' },
+  { key: 'areas', label: 'Service area' },
+  { key: 'cost', label: 'Cost' },
+  { key: 'howToGetIt', label: 'How to apply' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'verifiedDate', label: 'Last verified' },
+];
+
+function uniqueIds(ids) {
+  return [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))].slice(0, MAX_COMPARE);
+}
+
+/**
+ * Program IDs from a compare URL's query string (?ids=a,b,c)
+ * @param {string} search - e.g. location.search
+ * @returns {string[]}
+ */
+export function parseCompareIds(search) {
+  const value = new URLSearchParams(search).get('ids');
+  return value ? uniqueIds(value.split(',')) : [];
+}
+
+/**
+ * Shareable compare page URL for a selection
+ * @param {string[]} ids
+ * @returns {string}
+ */
+export function buildCompareUrl(ids) {
+  const selected = uniqueIds(ids);
+  return selected.length > 0
+    ? `/compare?ids=${selected.map(encodeURIComponent).join(',')}`
+    : '/compare';
+}
+
+/**
+ * Add or remove a program from a selection
+ * @param {string[]} ids - Current selection
+ * @param {string} id
+ * @returns {{ ids: string[], selected: boolean, full: boolean }} full is true
+ *   when the program couldn't be added because MAX_COMPARE are already picked
+ */
+export function toggleCompareId(ids, id) {
+  if (ids.includes(id)) {
+    return { ids: ids.filter((other) => other !== id), selected: false, full: false };
+  }
+  if (ids.length >= MAX_COMPARE) {
+    return { ids, selected: false, full: true };
+  }
+  return { ids: [...ids, id], selected: true, full: false };
+}
+
+/**
+ * The stored selection
+ * @returns {string[]}
+ */
+export function getCompareIds() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARE_KEY) || '[]');
+    return Array.isArray(stored) ? uniqueIds(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Store the selection and let compare buttons and the tray know
+ * @param {string[]} ids
+ */
+export function saveCompareIds(ids) {
+  const selected = uniqueIds(ids);
+  try {
+    localStorage.setItem(COMPARE_KEY, JSON.stringify(selected));
+  } catch {
+    // Storage full or unavailable
+  }
+  window.dispatchEvent(new CustomEvent('compare-changed', { detail: { ids: selected } }));
+}
+
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    return value.length > 0 ? [...value].map(String).sort() : null;
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * One row per compared field, flagging rows where the programs differ. Lists
+ * are compared regardless of order; a field missing from some programs differs.
+ * @param {object[]} programs
+ * @param {Array<{ key: string, label: string }>} [fields]
+ * @returns {Array<{ key: string, label: string, values: Array<string|string[]|null>, differs: boolean }>}
+ */
+export function compareRows(programs, fields = COMPARE_FIELDS) {
+  return fields.map(({ key, label }) => {
+    const values = programs.map((program) => normalize(program[key]));
+    const distinct = new Set(values.map((value) => JSON.stringify(value)));
+    return { key, label, values, differs: programs.length > 1 && distinct.size > 1 };
+  });
+}
+
+/**
+ * Display text for a compared value
+ * @param {string} key - Field key
+ * @param {string|string[]|null} value - From compareRows
+ * @param {Record<string, string>} [groupNames] - Eligibility group ID → name
+ * @returns {string|null} null when the program doesn't list the field
+ */
+export function formatCompareValue(key, value, groupNames = {}) {
+  if (value === null) return null;
+  if (Array.isArray(value)) {
+    return value.map((item) => (key === 'groups' ? groupNames[item] || item : item)).join(', ');
+  }
+  if (key === 'verifiedDate' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T12:00:00Z`).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
+  }
+  return value;
+}
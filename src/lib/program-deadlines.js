@@ -0,0 +1,174 @@
+/**
+ * Program Deadlines
+ *
+ * Evaluates the structured `deadline` field on programs (application or
+ * enrollment window) to produce "closes in N days" badges and the directory's
+ * "Deadlines this month" view. Shared by ProgramCard, ProgramDetailModal and
+ * the directory filters.
+ *
+ * Deadline shape (as emitted by the API):
+ *   { opens: '2026-11-01', closes: '2027-01-15', recurring: 'annual', note: 'Open enrollment' }
+ *
+ * Annual windows roll forward to the current or next occurrence, so a window
+ * recorded for last year still produces the right countdown this year.
+ */
+
+import { DEFAULT_TIMEZONE, getLocalTime } from './program-hours.js';
+
+export const DEADLINE_SOON_DAYS = 30;
+export const DEADLINE_URGENT_DAYS = 7;
+
+// Tailwind classes for each badge tone (shared by cards and the detail modal)
+export const DEADLINE_TONE_CLASSES = {
+  urgent: ['text-red-900', 'dark:text-red-100', 'bg-red-50', 'dark:bg-red-900/30'],
+  soon: ['text-amber-900', 'dark:text-amber-100', 'bg-amber-50', 'dark:bg-amber-900/30'],
+  upcoming: ['text-blue-900', 'dark:text-blue-100', 'bg-blue-50', 'dark:bg-blue-900/30'],
+  closed: ['text-neutral-800', 'dark:text-neutral-200', 'bg-neutral-100', 'dark:bg-neutral-800'],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map((n) => parseInt(n, 10));
+  return { year, month, day };
+}
+
+function toDayNumber(date) {
+  const { year, month, day } = parseDate(date);
+  return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function shiftYears(date, years) {
+  const { year, month, day } = parseDate(date);
+  return new Date(Date.UTC(year + years, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get today's date (YYYY-MM-DD) in the Bay Area
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function getToday(now = new Date()) {
+  return getLocalTime(now, DEFAULT_TIMEZONE).date;
+}
+
+/**
+ * Resolve the window that applies on a given day. Annual windows are moved to
+ * the first occurrence that hasn't closed yet.
+ * @param {object} deadline - Program deadline object
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {{ opens: string | null, closes: string | null }}
+ */
+export function resolveWindow(deadline, today) {
+  const opens = deadline.opens || null;
+  const closes = deadline.closes || null;
+  if (deadline.recurring !== 'annual' || !closes) return { opens, closes };
+
+  const todayNumber = toDayNumber(today);
+  let years = parseDate(today).year - parseDate(closes).year - 1;
+  while (toDayNumber(shiftYears(closes, years)) < todayNumber) {
+    years++;
+  }
+
+  return {
+    opens: opens ? shiftYears(opens, years) : null,
+    closes: shiftYears(closes, years),
+  };
+}
+
+/**
+ * Determine where a program's application window stands today
+ * @param {object | null} deadline - Program deadline object
+ * @param {Date} [now]
+ * @returns {{ known: boolean, state: 'upcoming' | 'open' | 'closed' | null, opens: string | null, closes: string | null, daysUntilOpen: number | null, daysUntilClose: number | null }}
+ */
+export function getDeadlineStatus(deadline, now = new Date()) {
+  const unknown = {
+    known: false,
+    state: null,
+    opens: null,
+    closes: null,
+    daysUntilOpen: null,
+    daysUntilClose: null,
+  };
+  if (!deadline || (!deadline.opens && !deadline.closes)) return unknown;
+
+  const today = getToday(now);
+  const todayNumber = toDayNumber(today);
+  const { opens, closes } = resolveWindow(deadline, today);
+  const daysUntilOpen = opens ? toDayNumber(opens) - todayNumber : null;
+  const daysUntilClose = closes ? toDayNumber(closes) - todayNumber : null;
+
+  let state = 'open';
+  if (daysUntilClose !== null && daysUntilClose < 0) {
+    state = 'closed';
+  } else if (daysUntilOpen !== null && daysUntilOpen > 0) {
+    state = 'upcoming';
+  }
+
+  return { known: true, state, opens, closes, daysUntilOpen, daysUntilClose };
+}
+
+/**
+ * Build the countdown badge for a deadline status, or null when nothing is imminent
+ * @param {ReturnType<typeof getDeadlineStatus>} status
+ * @returns {{ label: string, tone: 'urgent' | 'soon' | 'upcoming' | 'closed' } | null}
+ */
+export function getDeadlineBadge(status) {
+  if (!status.known) return null;
+
+  if (status.state === 'closed') {
+    return { label: 'Applications closed', tone: 'closed' };
+  }
+
+  if (status.state === 'upcoming') {
+    if (status.daysUntilOpen > DEADLINE_SOON_DAYS) return null;
+    const label =
+      status.daysUntilOpen === 1 ? 'Opens tomorrow' : `Opens in ${status.daysUntilOpen} days`;
+    return { label, tone: 'upcoming' };
+  }
+
+  if (status.daysUntilClose === null || status.daysUntilClose > DEADLINE_SOON_DAYS) return null;
+
+  let label;
+  if (status.daysUntilClose === 0) {
+    label = 'Closes today';
+  } else if (status.daysUntilClose === 1) {
+    label = 'Closes tomorrow';
+  } else {
+    label = `Closes in ${status.daysUntilClose} days`;
+  }
+  return { label, tone: status.daysUntilClose <= DEADLINE_URGENT_DAYS ? 'urgent' : 'soon' };
+}
+
+/**
+ * Get the date that matters for the "Deadlines this month" view: the closing
+ * date when it falls in the current month, otherwise the opening date.
+ * @param {object | null} deadline
+ * @param {Date} [now]
+ * @returns {string | null} Local date (YYYY-MM-DD), or null if nothing happens this month
+ */
+export function getDeadlineThisMonth(deadline, now = new Date()) {
+  const status = getDeadlineStatus(deadline, now);
+  if (!status.known || status.state === 'closed') return null;
+
+  const month = getToday(now).slice(0, 7);
+  if (status.closes && status.closes.startsWith(month)) return status.closes;
+  if (status.opens && status.opens.startsWith(month)) return status.opens;
+  return null;
+}
+
+/**
+ * Parse the `data-deadline` attribute on a program card
+ * @param {Element} el
+ * @returns {object | null}
+ */
+export function readCardDeadline(el) {
+  const raw = el.getAttribute('data-deadline');
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Program Hours
+ *
+ * Evaluates the structured `hours` field on programs (weekly schedule,
+ * date exceptions and holiday closures) to answer "is it open now?" and
+ * "is it open today?". Shared by the directory filters, SearchBar and
+ * ProgramCard status badges.
+ *
+ * Hours shape (as emitted by the API):
+ *   {
+ *     timezone: 'America/Los_Angeles',
+ *     weekly: { mon: ['09:00-17:00'], sat: ['10:00-12:00', '13:00-15:00'] },
+ *     exceptions: [{ date: '2026-11-26', closed: true, note: 'Thanksgiving' }],
+ *     closedOnHolidays: true
+ *   }
+ */
+
+export const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+export const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export const HOLIDAYS_URL = '/data/public-holidays.json';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Get the local date, weekday and minute-of-day for an instant in a timezone
+ * @param {Date} now
+ * @param {string} timeZone
+ * @returns {{ date: string, day: string, minutes: number }}
+ */
+export function getLocalTime(now, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(now)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.slice(0, 3).toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+  };
+}
+
+/**
+ * Parse an "HH:MM-HH:MM" range into minutes since midnight
+ * @param {string} range
+ * @returns {{ start: number, end: number } | null}
+ */
+export function parseTimeRange(range) {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(String(range).trim());
+  if (!match) return null;
+  if (parseInt(match[2], 10) > 59 || parseInt(match[4], 10) > 59) return null;
+  const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  const end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+  if (start >= end || end > 24 * 60) return null;
+  return { start, end };
+}
+
+/**
+ * Resolve the open ranges for a single local date
+ * @param {object} hours - Program hours object
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} day - Day key (sun..sat)
+ * @param {Set<string>} [holidayDates] - Dates when public offices close
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function getRangesForDate(hours, date, day, holidayDates = new Set()) {
+  const exception = (hours.exceptions || []).find((e) => e.date === date);
+  let ranges;
+  if (exception) {
+    ranges = exception.closed ? [] : exception.hours || [];
+  } else if (hours.closedOnHolidays && holidayDates.has(date)) {
+    ranges = [];
+  } else {
+    ranges = (hours.weekly && hours.weekly[day]) || [];
+  }
+  return ranges.map(parseTimeRange).filter(Boolean);
+}
+
+/**
+ * Determine whether a program is open now and whether it is still open later today
+ * @param {object | null} hours - Program hours object
+ * @param {Date} [now]
+ * @param {Set<string>} [holidayDates]
+ * @returns {{ known: boolean, openNow: boolean, openToday: boolean, current: { start: number, end: number } | null, next: { start: number, end: number } | null, ranges: Array<{ start: number, end: number }> }}
+ */
+export function getOpenStatus(hours, now = new Date(), holidayDates = new Set()) {
+  if (!hours || !hours.weekly) {
+    return {
+      known: false,
+      openNow: false,
+      openToday: false,
+      current: null,
+      next: null,
+      ranges: [],
+    };
+  }
+
+  const local = getLocalTime(now, hours.timezone || DEFAULT_TIMEZONE);
+  const ranges = getRangesForDate(hours, local.date, local.day, holidayDates);
+  const current = ranges.find((r) => local.minutes >= r.start && local.minutes < r.end) || null;
+  const next =
+    ranges.filter((r) => r.start > local.minutes).sort((a, b) => a.start - b.start)[0] || null;
+
+  return {
+    known: true,
+    openNow: current !== null,
+    // "Open today" means there is still time to get there: open now or opening later
+    openToday: current !== null || next !== null,
+    current,
+    next,
+    ranges,
+  };
+}
+
+/**
+ * Check a program's hours against an hours filter value
+ * @param {object | null} hours
+ * @param {'all' | 'open-now' | 'open-today'} filter
+ * @param {Set<string>} [holidayDates]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function matchesHoursFilter(hours, filter, holidayDates, now = new Date()) {
+  if (!filter || filter === 'all') return true;
+  const status = getOpenStatus(hours, now, holidayDates);
+  if (filter === 'open-now') return status.openNow;
+  if (filter === 'open-today') return status.openToday;
+  return true;
+}
+
+/**
+ * Format minutes since midnight as a short 12-hour time (e.g. "9am", "5:30pm")
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatMinutes(minutes) {
+  const h24 = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  const suffix = h24 < 12 ? 'am' : 'pm';
+  const h12 = h24 % 12 === 0 ? 12 : h24 % 12;
+  return m === 0 ? `${h12}${suffix}` : `${h12}:${String(m).padStart(2, '0')}${suffix}`;
+}
+
+/**
+ * Parse the `data-hours` attribute on a program card
+ * @param {Element} el
+ * @returns {object | null}
+ */
+export function readCardHours(el) {
+  const raw = el.getAttribute('data-hours');
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+let holidayPromise = null;
+
+/**
+ * Load dates when government offices close, from the synced holiday file
+ * @returns {Promise<Set<string>>}
+ */
+export function loadHolidayDates() {
+  if (!holidayPromise) {
+    holidayPromise = fetch(HOLIDAYS_URL)
+      .then((res) => (res.ok ? res.json() : { holidays: [] }))
+      .then(
+        (data) =>
+          new Set((data.holidays || []).filter((h) => h.governmentClosed).map((h) => h.date))
+      )
+      .catch(() => new Set());
+  }
+  return holidayPromise;
+}
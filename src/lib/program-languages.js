@@ -0,0 +1,57 @@
+/**
+ * Program Languages
+ *
+ * Matches the `languages` field on programs (locale codes from shared/i18n,
+ * e.g. "es", "zh-Hant", "vi", "fil") against the directory language filter.
+ * Shared by the directory filters and SearchBar.
+ */
+
+export const LOCALE_STORAGE_KEY = 'baynavigator_locale';
+
+/**
+ * Get the user's current UI locale
+ * @returns {string}
+ */
+export function getUiLocale() {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY) || 'en';
+  } catch {
+    return 'en';
+  }
+}
+
+/**
+ * Parse the `data-languages` attribute on a program card
+ * @param {Element} el
+ * @returns {string[]}
+ */
+export function readCardLanguages(el) {
+  return (el.getAttribute('data-languages') || '').split(',').filter(Boolean);
+}
+
+/**
+ * Whether a language filter value should narrow the list. Nearly every listed
+ * program serves English speakers, so an English default (from the UI locale)
+ * only filters once the user picks it explicitly.
+ * @param {string} filter - Locale code, or 'all'
+ * @param {boolean} chosen - Whether the user picked the value
+ * @returns {boolean}
+ */
+export function isLanguageFilterActive(filter, chosen) {
+  return Boolean(filter) && filter !== 'all' && (chosen || filter !== 'en');
+}
+
+/**
+ * Check a program's languages against a language filter value. Most programs
+ * don't list languages yet, and not knowing isn't the same as not offering
+ * one, so those match every filter; the filter defaults to the UI locale and
+ * would otherwise empty the directory for non-English readers.
+ * @param {string[]} languages - Locale codes the program's staff speak
+ * @param {string} filter - Locale code, or 'all'
+ * @returns {boolean}
+ */
+export function matchesLanguageFilter(languages, filter) {
+  if (!filter || filter === 'all') return true;
+  if (!languages || languages.length === 0) return true;
+  return languages.includes(filter);
+}
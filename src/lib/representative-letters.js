@@ -0,0 +1,343 @@
+/**
+ * Representative Letters
+ *
+ * Looks up a user's federal, state, county and city representatives through
+ * the congress-lookup function and writes a pre-filled letter/email and a
+ * phone call script for each of them about an issue (housing, transit,
+ * benefits cuts). Wording comes from the `representatives` section of the UI
+ * translations (/i18n/json/{locale}-ui.json), so letters follow the user's
+ * language. Used by the /representatives page, which also exports every
+ * letter as a printable packet for tenant unions and advocacy groups.
+ *
+ * Official shape (from collectOfficials):
+ *   {
+ *     id: 'councilmember-7',
+ *     level: 'federal' | 'state' | 'county' | 'city',
+ *     office: 'usSenator' | 'usRepresentative' | 'assemblymember' | 'stateSenator'
+ *       | 'supervisor' | 'mayor' | 'councilmember',
+ *     district: 3 | null,
+ *     jurisdiction: 'Oakland' | null, // county or city name
+ *     name: 'Pat Example',
+ *     phone: '(555) 555-0100' | null,
+ *     website: 'https://...' | null,
+ *     address: '1 Main St\nOakland, CA 94612' | null
+ *   }
+ */
+
+import { translate } from './ui-strings.js';
+
+export const CONGRESS_LOOKUP_URL =
+  'https://baynavigator-push.azurewebsites.net/api/congress-lookup';
+
+export const ISSUES = ['housing', 'transit', 'benefits'];
+
+// Lookups that can fail on their own without losing the rest (e.g. unincorporated
+// areas have no city council)
+const LOOKUPS = ['house', 'senate', 'assembly', 'stateSenate', 'county', 'city'];
+
+// The CA Legislature returns names with the title ("Assemblymember Jane Doe")
+const TITLE_PREFIX = /^(assembly\s*member|senator)\s+/i;
+
+function formatFederalAddress(info) {
+  if (!info?.officeAddress) return null;
+  const cityLine = [info.city, [info.district, info.zipCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  return [info.officeAddress, cityLine].filter(Boolean).join('\n');
+}
+
+function toDistrict(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Officials from congress-lookup responses, in order from federal to city.
+ * Responses that failed or are missing are skipped.
+ * @param {{ house?: object, senate?: object, assembly?: object, stateSenate?: object,
+ *   county?: object, city?: object }} lookups - Bodies of the house, senate,
+ *   state-assembly, state-senate, county-supervisor and city-council lookups
+ * @returns {Array<object>} Officials (see module docs)
+ */
+export function collectOfficials(lookups) {
+  const officials = [];
+  const add = (official) =>
+    officials.push({
+      district: null,
+      jurisdiction: null,
+      phone: null,
+      website: null,
+      address: null,
+      ...official,
+      id: `${official.office}-${officials.length + 1}`,
+    });
+
+  for (const member of lookups.senate?.members || []) {
+    add({
+      level: 'federal',
+      office: 'usSenator',
+      name: member.name,
+      phone: member.addressInformation?.phoneNumber || null,
+      website: member.officialWebsite || null,
+      address: formatFederalAddress(member.addressInformation),
+    });
+  }
+  for (const member of lookups.house?.members || []) {
+    add({
+      level: 'federal',
+      office: 'usRepresentative',
+      district: toDistrict(member.district ?? lookups.house.district),
+      name: member.name,
+      phone: member.addressInformation?.phoneNumber || null,
+      website: member.officialWebsite || null,
+      address: formatFederalAddress(member.addressInformation),
+    });
+  }
+  for (const [key, office] of [
+    ['assembly', 'assemblymember'],
+    ['stateSenate', 'stateSenator'],
+  ]) {
+    const legislator = lookups[key];
+    if (!legislator?.name) continue;
+    add({
+      level: 'state',
+      office,
+      district: toDistrict(legislator.district),
+      name: legislator.name.replace(TITLE_PREFIX, ''),
+      website: legislator.officialWebsite || null,
+    });
+  }
+  if (lookups.county?.name) {
+    add({
+      level: 'county',
+      office: 'supervisor',
+      district: toDistrict(lookups.county.district),
+      jurisdiction: lookups.county.county,
+      name: lookups.county.name,
+      phone: lookups.county.phone || null,
+      website: lookups.county.website || null,
+    });
+  }
+  for (const member of lookups.city?.members || []) {
+    if (!member.name || member.name === 'Unknown') continue;
+    add({
+      level: 'city',
+      office: member.seat === 'Mayor' ? 'mayor' : 'councilmember',
+      district: typeof member.seatNumber === 'number' ? member.seatNumber : null,
+      jurisdiction: lookups.city.city,
+      name: member.name,
+      phone: member.phone || null,
+      website: member.website || lookups.city.website || null,
+    });
+  }
+  return officials;
+}
+
+/**
+ * Look up every representative for an address
+ * @param {{ street: string, city: string, zip: string }} address
+ * @param {{ fetchFn?: typeof fetch, baseUrl?: string }} [options]
+ * @returns {Promise<{ location: object, officials: Array<object>, unavailable: string[] }>}
+ *   `unavailable` lists the lookups that failed (see LOOKUPS)
+ * @throws {Error} If the address can't be geocoded
+ */
+export async function lookupRepresentatives(address, options = {}) {
+  const fetchFn = options.fetchFn || fetch;
+  const baseUrl = options.baseUrl || CONGRESS_LOOKUP_URL;
+
+  async function get(params) {
+    const response = await fetchFn(`${baseUrl}?${new URLSearchParams(params)}`);
+    const data = await response.json().catch(() => null);
+    // The function reports lookup failures as { error } with a 200
+    if (!response.ok || !data || data.error) {
+      throw new Error(data?.error || `Lookup failed (${response.status})`);
+    }
+    return data;
+  }
+
+  const location = await get({
+    type: 'geocode',
+    street: address.street,
+    city: address.city,
+    zip: address.zip,
+  });
+  const { x, y } = location.coordinates || {};
+
+  const requests = {
+    house: location.congressDistrict && get({ type: 'house', district: location.congressDistrict }),
+    senate: get({ type: 'senate' }),
+    assembly:
+      location.assemblyDistrict &&
+      get({ type: 'state-assembly', district: location.assemblyDistrict }),
+    stateSenate:
+      location.senateDistrict && get({ type: 'state-senate', district: location.senateDistrict }),
+    county:
+      location.countyFips && get({ type: 'county-supervisor', county: location.countyFips, x, y }),
+    city: location.placeGeoid && get({ type: 'city-council', place: location.placeGeoid, x, y }),
+  };
+
+  const settled = await Promise.allSettled(LOOKUPS.map((key) => requests[key] || null));
+  const lookups = {};
+  const unavailable = [];
+  LOOKUPS.forEach((key, i) => {
+    if (settled[i].status === 'fulfilled') lookups[key] = settled[i].value;
+    else unavailable.push(key);
+  });
+
+  return { location, officials: collectOfficials(lookups), unavailable };
+}
+
+/**
+ * Office title for display, e.g. "Assemblymember, District 18" or
+ * "Councilmember, District 2 (Oakland)"
+ * @param {object} official
+ * @param {object} strings
+ * @returns {string}
+ */
+export function officeTitle(official, strings) {
+  const key =
+    official.district != null
+      ? `representatives.offices.${official.office}District`
+      : `representatives.offices.${official.office}`;
+  let title = translate(strings, key, { district: official.district });
+  if (title === key) title = translate(strings, `representatives.offices.${official.office}`);
+  return official.jurisdiction ? `${title} (${official.jurisdiction})` : title;
+}
+
+function templateParams(official, request, strings) {
+  return {
+    name: official.name,
+    salutation: translate(strings, `representatives.salutations.${official.office}`),
+    sender:
+      request.senderName?.trim() || translate(strings, 'representatives.template.namePlaceholder'),
+    place: request.place || translate(strings, 'representatives.template.placePlaceholder'),
+  };
+}
+
+/**
+ * Letter or email to one official
+ * @param {object} official - From collectOfficials()
+ * @param {{ issue: string, senderName?: string, senderAddress?: string,
+ *   place?: string, message?: string }} request - `place` is the user's city
+ * @param {object} strings - UI strings
+ * @returns {{ subject: string, body: string }}
+ */
+export function buildLetter(official, request, strings) {
+  const params = templateParams(official, request, strings);
+  const issue = `representatives.issues.${request.issue}`;
+  const t = (key) => translate(strings, key, params);
+
+  const paragraphs = [
+    official.address ? `${official.name}\n${official.address}` : null,
+    t('representatives.template.greeting'),
+    [t('representatives.template.intro'), t(`${issue}.reason`)].join(' '),
+    request.message?.trim() || null,
+    t(`${issue}.ask`),
+    t('representatives.template.closing'),
+    [
+      t('representatives.template.signoff'),
+      params.sender,
+      request.senderAddress?.trim() || t('representatives.template.addressPlaceholder'),
+    ].join('\n'),
+  ];
+
+  return {
+    subject: t(`${issue}.subject`),
+    body: paragraphs.filter(Boolean).join('\n\n'),
+  };
+}
+
+/**
+ * What to say when calling one official's office
+ * @param {object} official - From collectOfficials()
+ * @param {object} request - As for buildLetter()
+ * @param {object} strings - UI strings
+ * @returns {string}
+ */
+export function buildCallScript(official, request, strings) {
+  const params = templateParams(official, request, strings);
+  const t = (key) => translate(strings, key, params);
+  return [
+    t('representatives.callTemplate.opening'),
+    t(`representatives.issues.${request.issue}.ask`),
+    t('representatives.callTemplate.question'),
+    t('representatives.callTemplate.closing'),
+  ].join('\n\n');
+}
+
+/**
+ * Link that opens the user's mail app with the letter filled in. Lookups
+ * don't return email addresses, so the recipient is left blank.
+ * @param {{ subject: string, body: string }} letter
+ * @returns {string}
+ */
+export function mailtoLink(letter) {
+  return `mailto:?subject=${encodeURIComponent(letter.subject)}&body=${encodeURIComponent(letter.body)}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone HTML packet with every official's letter and call script, one
+ * official per printed page. Open it in a browser to print or save as PDF.
+ * @param {Array<object>} officials - From collectOfficials()
+ * @param {object} request - As for buildLetter()
+ * @param {object} strings - UI strings
+ * @param {{ locale?: string, generated?: Date }} [options]
+ * @returns {string}
+ */
+export function buildPacketHtml(officials, request, strings, options = {}) {
+  const locale = options.locale || 'en';
+  const generated = (options.generated || new Date()).toISOString().slice(0, 10);
+  const t = (key, params) => escapeHtml(translate(strings, key, params));
+  const issueLabel = translate(strings, `representatives.issues.${request.issue}.label`);
+
+  const sections = officials.map((official) => {
+    const letter = buildLetter(official, request, strings);
+    const contact = [
+      official.phone && `${t('representatives.phone')}: ${escapeHtml(official.phone)}`,
+      official.website &&
+        `${t('representatives.website')}: <a href="${escapeHtml(official.website)}">${escapeHtml(official.website)}</a>`,
+    ].filter(Boolean);
+    return `<section class="official">
+  <h2>${escapeHtml(official.name)}</h2>
+  <p class="office">${escapeHtml(officeTitle(official, strings))}</p>
+  ${contact.length ? `<p class="contact">${contact.join('<br>')}</p>` : ''}
+  <h3>${t('representatives.letter')}</h3>
+  <p><strong>${t('representatives.subject')}:</strong> ${escapeHtml(letter.subject)}</p>
+  <div class="text">${escapeHtml(letter.body)}</div>
+  <h3>${t('representatives.callScript')}</h3>
+  <div class="text">${escapeHtml(buildCallScript(official, request, strings))}</div>
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}" dir="${locale === 'ar' ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<title>${t('representatives.packetTitle', { issue: issueLabel })}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 7in; margin: 0 auto; padding: 1rem; line-height: 1.5; color: #111; }
+  h1 { font-size: 1.5rem; }
+  h2 { margin-bottom: 0; }
+  .office { margin-top: 0; color: #444; }
+  .text { white-space: pre-wrap; border-left: 3px solid #ccc; padding-left: 1rem; }
+  .official { page-break-before: always; break-before: page; }
+  footer { margin-top: 2rem; font-size: 0.8rem; color: #555; }
+</style>
+</head>
+<body>
+<h1>${t('representatives.packetTitle', { issue: issueLabel })}</h1>
+<p>${t('representatives.packetIntro')}</p>
+${sections.join('\n')}
+<footer>${t('representatives.packetFooter', { date: generated })}</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,103 @@
+/**
+ * Next Departures (browser)
+ *
+ * Client for the departures mode of api/transit-live.js, which merges each
+ * operator's timetable with 511 trip updates, plus the helpers the
+ * /transit/departures board uses: searching stations in transit-routes.json
+ * and turning departure times into "3 min" countdowns. Used by riders on
+ * their own devices and by the kiosk display at partner sites (?kiosk=1).
+ *
+ * Departure shape (per route, from the API):
+ *   {
+ *     tripId: 'T1',
+ *     headsign: 'SFO',
+ *     scheduledTime: ISO string | null, // null for trips the agency added
+ *     predictedTime: ISO string | null, // null without a trip update
+ *     delaySeconds: 180 | null,
+ *     status: 'on-time' | 'late' | 'early' | 'canceled' | 'scheduled' | 'added'
+ *   }
+ */
+
+export const DEPARTURES_URL = '/api/transit-live';
+export const TRANSIT_ROUTES_URL = '/api/transit-routes.json';
+
+// The API caches 511 for a minute; polling faster only repeats the same data
+export const REFRESH_MS = 60 * 1000;
+
+/**
+ * Fetch next departures for a station or for the stations nearest a point
+ * @param {{ stop?: string, lat?: number, lng?: number }} where - Station ID
+ *   from transit-routes.json (e.g. "BA-MONT"), or coordinates
+ * @param {{ fetchFn?: typeof fetch, baseUrl?: string }} [options]
+ * @returns {Promise<{ stops: object[], generatedAt: string, realtimeAt: string|null }>}
+ * @throws {Error} When the request fails; the message is the API's error
+ */
+export async function fetchDepartures(where, { fetchFn = fetch, baseUrl = DEPARTURES_URL } = {}) {
+  const params = new URLSearchParams();
+  if (where.stop) {
+    params.set('stop', where.stop);
+  } else {
+    params.set('lat', String(where.lat));
+    params.set('lng', String(where.lng));
+  }
+
+  const response = await fetchFn(`${baseUrl}?${params}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Departures request failed (${response.status})`);
+  }
+  return data;
+}
+
+/**
+ * Stations from transit-routes.json whose name matches a search, by name
+ * @param {object} collection - transit-routes.json
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {{ id: string, name: string, operator: string }[]}
+ */
+export function searchStops(collection, query, limit = 20) {
+  const needle = query.trim().toLowerCase();
+  return (collection?.features || [])
+    .filter((feature) => feature.geometry?.type === 'Point' && feature.properties?.stopId)
+    .map(({ properties }) => ({
+      id: properties.id,
+      name: properties.name,
+      operator: properties.operator,
+    }))
+    .filter((stop) => !needle || stop.name.toLowerCase().includes(needle))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.operator.localeCompare(b.operator))
+    .slice(0, limit);
+}
+
+/**
+ * When a departure is expected: the prediction, or the timetable without one
+ * @param {{ predictedTime: string|null, scheduledTime: string|null }} departure
+ * @returns {Date|null}
+ */
+export function expectedTime(departure) {
+  const time = departure.predictedTime || departure.scheduledTime;
+  return time ? new Date(time) : null;
+}
+
+/**
+ * Whole minutes until a departure, 0 once it is due
+ * @param {object} departure
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+export function minutesUntil(departure, now = new Date()) {
+  const time = expectedTime(departure);
+  if (!time) return null;
+  return Math.max(0, Math.floor((time.getTime() - now.getTime()) / 60000));
+}
+
+/**
+ * Translation key and params for a departure's status badge
+ * @param {{ status: string, delaySeconds: number|null }} departure
+ * @returns {{ key: string, params: { minutes: number } }}
+ */
+export function statusLabel(departure) {
+  const minutes = Math.round(Math.abs(departure.delaySeconds || 0) / 60);
+  return { key: `departures.status.${departure.status}`, params: { minutes } };
+}
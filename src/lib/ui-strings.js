@@ -0,0 +1,70 @@
+/**
+ * UI Strings for Scripted Text
+ *
+ * Text that pages build in script (letters, departure boards) can't use the
+ * data-i18n attributes the i18n loader fills in, so it reads the same
+ * /i18n/json/{locale}-ui.json files here. Keys not translated into a locale
+ * yet fall back to English, so users never see raw keys.
+ */
+
+const stringsCache = new Map();
+
+/**
+ * Translate a key from loaded UI strings, filling {param} placeholders. Missing
+ * keys come back as the key, as with t() in shared/i18n.
+ * @param {object} strings - Parsed {locale}-ui.json
+ * @param {string} key - Dot path, e.g. 'representatives.offices.mayor'
+ * @param {Object<string, string | number>} [params]
+ * @returns {string}
+ */
+export function translate(strings, key, params) {
+  const value = key.split('.').reduce((node, part) => node?.[part], strings);
+  if (typeof value !== 'string') return key;
+  if (!params) return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+}
+
+/**
+ * Locale strings with English filling any keys not translated yet
+ * @param {object} english - en-ui.json
+ * @param {object} [localized] - {locale}-ui.json
+ * @returns {object}
+ */
+export function mergeStrings(english, localized) {
+  if (!localized || typeof localized !== 'object') return english;
+  const merged = { ...english };
+  for (const [key, value] of Object.entries(localized)) {
+    merged[key] =
+      value && typeof value === 'object' && english?.[key] && typeof english[key] === 'object'
+        ? mergeStrings(english[key], value)
+        : value;
+  }
+  return merged;
+}
+
+function fetchStrings(locale, fetchFn) {
+  return fetchFn(`/i18n/json/${locale}-ui.json`)
+    .then((res) => (res.ok ? res.json() : null))
+    .catch(() => null);
+}
+
+/**
+ * UI strings for a locale merged over English, loaded once per locale
+ * @param {string} locale - e.g. 'es'
+ * @param {{ fetchFn?: typeof fetch }} [options]
+ * @returns {Promise<Record<string, any>>}
+ */
+export function loadUiStrings(locale, { fetchFn = fetch } = {}) {
+  if (!stringsCache.has(locale)) {
+    stringsCache.set(
+      locale,
+      Promise.all([
+        fetchStrings('en', fetchFn),
+        locale === 'en' ? null : fetchStrings(locale, fetchFn),
+      ]).then(([english, localized]) => mergeStrings(english || {}, localized))
+    );
+  }
+  return stringsCache.get(locale);
+}
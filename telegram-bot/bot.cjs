@@ -4,12 +4,25 @@
  * Uses Ollama for AI responses about Bay Area resources
  */
 
+const path = require('path');
 const { Telegraf } = require('telegraf');
+const { createConversationStore } = require('./conversation-store.cjs');
+const { createProgramRetriever } = require('./program-retrieval.cjs');
 
 // Configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.2';
+const CONVERSATION_STORE = process.env.CONVERSATION_STORE || 'file';
+const CONVERSATION_STORE_PATH =
+  process.env.CONVERSATION_STORE_PATH ||
+  path.join(
+    __dirname,
+    'data',
+    CONVERSATION_STORE === 'sqlite' ? 'conversations.db' : 'conversations.json'
+  );
+const CONVERSATION_TTL_HOURS = Number(process.env.CONVERSATION_TTL_HOURS) || 24;
+const BAYNAV_API_URL = process.env.BAYNAV_API_URL || 'https://baynavigator.org/api';
 
 if (!TELEGRAM_BOT_TOKEN) {
   console.error('Error: TELEGRAM_BOT_TOKEN environment variable is required');
@@ -22,7 +35,7 @@ const CARL_SYSTEM_PROMPT = `You are Carl, a friendly AI assistant for Bay Naviga
 PERSONALITY:
 - Named after "Karl the Fog" but spelled with a C for Chat
 - Friendly, helpful, and knowledgeable about the Bay Area
-- Privacy-focused - you don't store conversations
+- Privacy-focused - conversations are deleted after ${CONVERSATION_TTL_HOURS} hours of inactivity, or right away with /forget
 - Created by Bay Tides
 
 KEY KNOWLEDGE AREAS:
@@ -35,6 +48,7 @@ KEY KNOWLEDGE AREAS:
 
 RESPONSE GUIDELINES:
 - Keep responses concise for Telegram (under 500 words)
+- When programs from Bay Navigator are listed below, recommend those and include their links
 - Always suggest visiting baynavigator.org for detailed information
 - Be honest if you don't know something
 - Focus on practical, actionable help
@@ -45,9 +59,9 @@ COUNTIES COVERED: Alameda, Contra Costa, Marin, Napa, San Francisco, San Mateo,
 Remember: You're here to help people access resources they may not know about!`;
 
 // Helper function to call Ollama
-async function askOllama(userMessage, conversationHistory = []) {
+async function askOllama(userMessage, conversationHistory = [], programContext = '') {
   const messages = [
-    { role: 'system', content: CARL_SYSTEM_PROMPT },
+    { role: 'system', content: CARL_SYSTEM_PROMPT + programContext },
     ...conversationHistory,
     { role: 'user', content: userMessage },
   ];
@@ -82,29 +96,48 @@ async function askOllama(userMessage, conversationHistory = []) {
   }
 }
 
-// Simple conversation history per user (in-memory, not persistent)
-const conversations = new Map();
+// Conversation history per user (last 10 exchanges, expires after the TTL)
 const MAX_HISTORY = 10;
+const conversations = createConversationStore({
+  type: CONVERSATION_STORE,
+  path: CONVERSATION_STORE_PATH,
+  ttlMs: CONVERSATION_TTL_HOURS * 60 * 60 * 1000,
+  maxMessages: MAX_HISTORY * 2,
+});
 
-function getConversationHistory(userId) {
-  return conversations.get(userId) || [];
+// Delete expired conversations hourly (they're also skipped on read)
+const pruneTimer = setInterval(
+  () =>
+    conversations
+      .prune()
+      .catch((error) => console.error('Conversation prune failed:', error.message)),
+  60 * 60 * 1000
+);
+pruneTimer.unref();
+
+// Program search over the site's published index
+const programs = createProgramRetriever({ apiUrl: BAYNAV_API_URL });
+
+// Short follow-ups ("what about Oakland?") are searched together with the
+// previous question so the topic carries over
+function buildSearchQuery(userMessage, history) {
+  if (userMessage.split(/\s+/).length >= 4) return userMessage;
+  const previousQuestion = [...history].reverse().find((m) => m.role === 'user');
+  return previousQuestion ? `${previousQuestion.content} ${userMessage}` : userMessage;
 }
 
-function addToConversation(userId, role, content) {
-  const history = conversations.get(userId) || [];
-  history.push({ role, content });
-
-  // Keep only last N messages
-  if (history.length > MAX_HISTORY * 2) {
-    history.splice(0, 2);
-  }
-
-  conversations.set(userId, history);
+// Links to the programs a reply mentions, appended below it
+function formatSources(cited) {
+  if (cited.length === 0) return '';
+  return (
+    '\n\n📎 Sources:\n' +
+    cited.map((program) => `• ${program.name}: ${programs.programUrl(program)}`).join('\n')
+  );
 }
 
-// eslint-disable-next-line no-unused-vars -- Reserved for future /clear command
-function clearConversation(userId) {
-  conversations.delete(userId);
+async function forgetConversation(ctx) {
+  await conversations.forget(ctx.from.id);
+  await ctx.reply("🧹 Done! I've deleted our conversation. Ask me anything to start fresh.");
 }
 
 // Initialize bot
@@ -135,6 +168,7 @@ bot.help((ctx) => {
       `/start - Start conversation\n` +
       `/help - Show this help\n` +
       `/about - Learn about Carl\n` +
+      `/forget - Delete our conversation history\n` +
       `/donate - Support Bay Navigator\n\n` +
       `*Ask me about:*\n` +
       `• "How do I apply for CalFresh?"\n` +
@@ -153,13 +187,16 @@ bot.command('about', (ctx) => {
     `🌫️ *About Carl*\n\n` +
       `I'm an AI assistant named after Karl the Fog (but spelled with a C for Chat!).\n\n` +
       `I was created by Bay Tides to help Bay Area residents discover free and low-cost community resources.\n\n` +
-      `*Privacy:* I run on open-source AI (Ollama) and don't store your conversations permanently. Your privacy matters!\n\n` +
+      `*Privacy:* I run on open-source AI (Ollama) and only remember our conversation for ${CONVERSATION_TTL_HOURS} hours after your last message. Use /forget to delete it sooner. Your privacy matters!\n\n` +
       `*Powered by:* Bay Navigator (baynavigator.org)\n` +
       `*AI Model:* ${OLLAMA_MODEL}`,
     { parse_mode: 'Markdown' }
   );
 });
 
+// Forget command - deletes the stored conversation (/clear kept as an alias)
+bot.command(['forget', 'clear'], forgetConversation);
+
 // Donate command - uses Telegram Stars
 bot.command('donate', async (ctx) => {
   // Telegram Stars donation amounts (1 Star ≈ $0.02 USD)
@@ -239,23 +276,30 @@ bot.on('text', async (ctx) => {
   await ctx.sendChatAction('typing');
 
   // Get conversation history
-  const history = getConversationHistory(userId);
+  const history = await conversations.getHistory(userId);
+
+  // Find programs to ground the answer in
+  const matches = await programs.search(buildSearchQuery(userMessage, history));
 
   // Get response from Ollama
-  const response = await askOllama(userMessage, history);
+  const response = await askOllama(userMessage, history, programs.formatContext(matches));
 
   // Save to conversation history
-  addToConversation(userId, 'user', userMessage);
-  addToConversation(userId, 'assistant', response);
+  await conversations.append(
+    userId,
+    { role: 'user', content: userMessage },
+    { role: 'assistant', content: response }
+  );
 
-  // Send response (split if too long for Telegram)
-  if (response.length > 4000) {
-    const chunks = response.match(/.{1,4000}/gs) || [response];
+  // Send response with links to cited programs (split if too long for Telegram)
+  const reply = response + formatSources(programs.findCitedPrograms(response, matches));
+  if (reply.length > 4000) {
+    const chunks = reply.match(/.{1,4000}/gs) || [reply];
     for (const chunk of chunks) {
       await ctx.reply(chunk);
     }
   } else {
-    await ctx.reply(response);
+    await ctx.reply(reply);
   }
 });
 
@@ -266,13 +310,20 @@ bot.catch((err, ctx) => {
 });
 
 // Graceful shutdown
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    bot.stop(signal);
+    conversations
+      .close()
+      .catch((error) => console.error('Conversation store close failed:', error));
+  });
+}
 
 // Start bot
 console.log('🌫️ Carl is starting up...');
 console.log(`📡 Ollama URL: ${OLLAMA_URL}`);
 console.log(`🤖 Model: ${OLLAMA_MODEL}`);
+console.log(`💾 Conversations: ${CONVERSATION_STORE} (${CONVERSATION_TTL_HOURS}h TTL)`);
 
 bot
   .launch()
@@ -0,0 +1,242 @@
+/**
+ * Conversation store for the Ask Carl Telegram bot
+ *
+ * Keeps each user's recent messages so Carl can follow a conversation
+ * across bot restarts. Conversations expire after CONVERSATION_TTL_HOURS
+ * without activity, and /forget deletes one immediately.
+ *
+ * Backends:
+ *   memory - in-process only, lost on restart
+ *   file   - one JSON file, rewritten atomically (tmp file + rename)
+ *   sqlite - SQLite database via the optional better-sqlite3 dependency
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_MESSAGES = 20;
+
+function createMemoryBackend() {
+  const records = new Map();
+  return {
+    async load(userId) {
+      return records.get(userId) || null;
+    },
+    async save(userId, record) {
+      records.set(userId, record);
+    },
+    async remove(userId) {
+      records.delete(userId);
+    },
+    async removeOlderThan(cutoff) {
+      let removed = 0;
+      for (const [userId, record] of records) {
+        if (record.updatedAt < cutoff) {
+          records.delete(userId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    async close() {},
+  };
+}
+
+function createFileBackend(filePath) {
+  let records = null;
+  let writing = Promise.resolve();
+
+  function read() {
+    if (records) return records;
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Conversation store: ignoring unreadable ${filePath}:`, error.message);
+      }
+      records = {};
+    }
+    return records;
+  }
+
+  // Writes are chained so overlapping saves can't interleave; a failed write
+  // is reported to its caller without blocking the ones after it
+  function write() {
+    const snapshot = JSON.stringify(records);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    return writing;
+  }
+
+  return {
+    async load(userId) {
+      return read()[userId] || null;
+    },
+    async save(userId, record) {
+      read()[userId] = record;
+      await write();
+    },
+    async remove(userId) {
+      if (!(userId in read())) return;
+      delete records[userId];
+      await write();
+    },
+    async removeOlderThan(cutoff) {
+      let removed = 0;
+      for (const [userId, record] of Object.entries(read())) {
+        if (record.updatedAt < cutoff) {
+          delete records[userId];
+          removed++;
+        }
+      }
+      if (removed > 0) await write();
+      return removed;
+    },
+    async close() {
+      await writing.catch(() => {});
+    },
+  };
+}
+
+function createSqliteBackend(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error(
+      'The sqlite conversation store needs better-sqlite3 (npm install better-sqlite3)'
+    );
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS conversations (
+    user_id TEXT PRIMARY KEY,
+    messages TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  )`);
+
+  const selectStmt = db.prepare('SELECT messages, updated_at FROM conversations WHERE user_id = ?');
+  const upsertStmt = db.prepare(`INSERT INTO conversations (user_id, messages, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET messages = excluded.messages, updated_at = excluded.updated_at`);
+  const deleteStmt = db.prepare('DELETE FROM conversations WHERE user_id = ?');
+  const expireStmt = db.prepare('DELETE FROM conversations WHERE updated_at < ?');
+
+  return {
+    async load(userId) {
+      const row = selectStmt.get(userId);
+      return row ? { messages: JSON.parse(row.messages), updatedAt: row.updated_at } : null;
+    },
+    async save(userId, record) {
+      upsertStmt.run(userId, JSON.stringify(record.messages), record.updatedAt);
+    },
+    async remove(userId) {
+      deleteStmt.run(userId);
+    },
+    async removeOlderThan(cutoff) {
+      return expireStmt.run(cutoff).changes;
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Create a conversation store
+ * @param {object} [options]
+ * @param {'memory' | 'file' | 'sqlite'} [options.type='memory']
+ * @param {string} [options.path] - JSON file or SQLite database (required for file/sqlite)
+ * @param {number} [options.ttlMs] - Forget conversations idle longer than this
+ * @param {number} [options.maxMessages] - Messages kept per user (oldest dropped first)
+ * @param {() => number} [options.now] - Clock, for tests
+ */
+function createConversationStore(options = {}) {
+  const {
+    type = 'memory',
+    ttlMs = DEFAULT_TTL_MS,
+    maxMessages = DEFAULT_MAX_MESSAGES,
+    now = Date.now,
+  } = options;
+
+  if (type !== 'memory' && !options.path) {
+    throw new Error(`Conversation store: path is required for the ${type} store`);
+  }
+
+  let backend;
+  if (type === 'memory') {
+    backend = createMemoryBackend();
+  } else if (type === 'file') {
+    backend = createFileBackend(options.path);
+  } else if (type === 'sqlite') {
+    backend = createSqliteBackend(options.path);
+  } else {
+    throw new Error(`Conversation store: unknown type "${type}"`);
+  }
+
+  const isExpired = (record) => now() - record.updatedAt > ttlMs;
+
+  async function getHistory(userId) {
+    const key = String(userId);
+    const record = await backend.load(key);
+    if (!record) return [];
+    if (isExpired(record)) {
+      await backend.remove(key);
+      return [];
+    }
+    return record.messages;
+  }
+
+  return {
+    type,
+
+    /**
+     * Messages for a user, oldest first ([] if none or expired)
+     * @param {string | number} userId
+     * @returns {Promise<Array<{ role: string, content: string }>>}
+     */
+    getHistory,
+
+    /**
+     * Append messages to a user's conversation and refresh its TTL
+     * @param {string | number} userId
+     * @param {...{ role: string, content: string }} messages
+     */
+    async append(userId, ...messages) {
+      const key = String(userId);
+      const history = [...(await getHistory(key)), ...messages].slice(-maxMessages);
+      await backend.save(key, { messages: history, updatedAt: now() });
+    },
+
+    /**
+     * Delete a user's conversation
+     * @param {string | number} userId
+     */
+    async forget(userId) {
+      await backend.remove(String(userId));
+    },
+
+    /**
+     * Delete every expired conversation
+     * @returns {Promise<number>} Number of conversations removed
+     */
+    async prune() {
+      return backend.removeOlderThan(now() - ttlMs);
+    },
+
+    async close() {
+      await backend.close();
+    },
+  };
+}
+
+module.exports = { createConversationStore, DEFAULT_TTL_MS, DEFAULT_MAX_MESSAGES };
@@ -0,0 +1,186 @@
+/**
+ * Program retrieval for the Ask Carl Telegram bot
+ *
+ * Searches the same offline inverted index (/api/search-inverted-index.json)
+ * and programs.json the site publishes, so the bot can ground answers in real
+ * programs and link to them. Query logic comes from src/lib/offline-search.js,
+ * which the site's SearchBar uses when offline.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const OFFLINE_SEARCH_MODULE = pathToFileURL(
+  path.join(__dirname, '../src/lib/offline-search.js')
+).href;
+
+const DEFAULT_API_URL = 'https://baynavigator.org/api';
+const DEFAULT_SITE_URL = 'https://baynavigator.org';
+const DEFAULT_REFRESH_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 5;
+
+let offlineSearchPromise = null;
+
+function loadOfflineSearch() {
+  if (!offlineSearchPromise) {
+    offlineSearchPromise = import(OFFLINE_SEARCH_MODULE);
+  }
+  return offlineSearchPromise;
+}
+
+/**
+ * Create a retriever over the published program data
+ * @param {object} [options]
+ * @param {string} [options.apiUrl] - Base URL of the static API
+ * @param {string} [options.siteUrl] - Base URL for program links
+ * @param {number} [options.refreshMs] - Reload the index after this long
+ * @param {typeof fetch} [options.fetchFn]
+ */
+function createProgramRetriever(options = {}) {
+  const {
+    apiUrl = DEFAULT_API_URL,
+    siteUrl = DEFAULT_SITE_URL,
+    refreshMs = DEFAULT_REFRESH_MS,
+    fetchFn = fetch,
+  } = options;
+
+  let data = null;
+  let loadedAt = 0;
+  let loading = null;
+
+  async function fetchJson(file) {
+    const response = await fetchFn(`${apiUrl}/${file}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${file}: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async function load() {
+    const { OFFLINE_SEARCH_INDEX_FORMAT } = await loadOfflineSearch();
+    const [index, programsResponse] = await Promise.all([
+      fetchJson('search-inverted-index.json'),
+      fetchJson('programs.json'),
+    ]);
+    if (index.format !== OFFLINE_SEARCH_INDEX_FORMAT) {
+      throw new Error(`Unsupported search index format: ${index.format}`);
+    }
+    const programsById = new Map((programsResponse.programs || []).map((p) => [p.id, p]));
+    return { index, programsById };
+  }
+
+  // Keep serving the last good copy if a refresh fails
+  async function getData() {
+    if (data && Date.now() - loadedAt < refreshMs) return data;
+    if (!loading) {
+      loading = load()
+        .then((loaded) => {
+          data = loaded;
+          loadedAt = Date.now();
+          return data;
+        })
+        .catch((error) => {
+          console.error('Program retrieval: could not load search data:', error.message);
+          return data;
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    return loading;
+  }
+
+  /**
+   * Link to a program in the site directory, which opens its detail view
+   * @param {{ id: string }} program
+   * @returns {string}
+   */
+  function programUrl(program) {
+    return `${siteUrl}/directory?program=${encodeURIComponent(program.id)}`;
+  }
+
+  /**
+   * Find the programs best matching a free-text message. Each query token is
+   * looked up separately and weighted by how rare it is, so conversational
+   * words ("how", "help") count for less than "calfresh" or "dental".
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {Promise<object[]>} Matching programs, best first
+   */
+  async function search(query, limit = DEFAULT_LIMIT) {
+    const loaded = await getData();
+    if (!loaded) return [];
+
+    const { tokenize, searchInvertedIndex } = await loadOfflineSearch();
+    const { index, programsById } = loaded;
+    const totals = new Map();
+
+    for (const token of new Set(tokenize(query))) {
+      const results = searchInvertedIndex(index, [token]);
+      if (results.size === 0) continue;
+      const rarity = Math.log(1 + index.docs.length / results.size);
+      results.forEach(({ id, score }) => {
+        totals.set(id, (totals.get(id) || 0) + (1 - score) * rarity);
+      });
+    }
+
+    return Array.from(totals.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([id]) => programsById.get(id))
+      .filter(Boolean)
+      .slice(0, limit);
+  }
+
+  /**
+   * Format programs as numbered context for the system prompt
+   * @param {object[]} programs
+   * @returns {string}
+   */
+  function formatContext(programs) {
+    if (programs.length === 0) {
+      return '\n\n[PROGRAMS]: No matching programs found. Suggest calling 211 or searching baynavigator.org.';
+    }
+
+    let context = '\n\n[PROGRAMS FROM BAY NAVIGATOR]:\n';
+    programs.forEach((program, i) => {
+      context += `[${i + 1}] ${program.name}`;
+      if (program.areas?.length > 0) context += ` (${program.areas.slice(0, 2).join(', ')})`;
+      context += '\n';
+      if (program.description) context += `    ${program.description.substring(0, 160)}\n`;
+      if (program.phone) context += `    Phone: ${program.phone}\n`;
+      context += `    Link: ${programUrl(program)}\n`;
+    });
+    context +=
+      '\nRecommend programs from this list when they fit and include their link. Do NOT recommend programs that are not listed. If none fit, say so and suggest calling 211.';
+    return context;
+  }
+
+  /**
+   * Programs from the retrieved list that a reply mentions by name
+   * @param {string} reply
+   * @param {object[]} programs
+   * @returns {object[]}
+   */
+  function findCitedPrograms(reply, programs) {
+    const replyLower = reply.toLowerCase();
+    // Directory links in the reply, whether or not it kept the id encoded
+    const linkedIds = new Set();
+    for (const [, id] of reply.matchAll(/\/directory\?program=([^\s&#)\]>]+)/g)) {
+      linkedIds.add(id);
+      try {
+        linkedIds.add(decodeURIComponent(id));
+      } catch {
+        // Malformed escape; the raw id was added above
+      }
+    }
+    return programs.filter(
+      (program) =>
+        program.name &&
+        (replyLower.includes(program.name.toLowerCase()) || linkedIds.has(program.id))
+    );
+  }
+
+  return { search, formatContext, findCitedPrograms, programUrl };
+}
+
+module.exports = { createProgramRetriever };
@@ -148,6 +148,51 @@ test.describe('Service Worker & Offline Functionality', () => {
     await context.setOffline(false);
   });
 
+  test('search uses the offline index and shows the offline indicator', async ({
+    page,
+    context,
+    browserName,
+  }) => {
+    // Skip on WebKit - has internal errors with offline navigation
+    test.skip(browserName === 'webkit', 'WebKit has internal errors with offline navigation');
+
+    // First visit caches the page, metadata and the offline search index
+    await page.goto('/directory', { waitUntil: 'domcontentloaded' });
+    await waitForServiceWorkerReady(page);
+    await page.waitForTimeout(SW_CACHE_WAIT_TIME);
+    await page.reload({ waitUntil: 'domcontentloaded' });
+
+    const indicator = page.locator('#offline-results-indicator');
+    const input = page.locator('#search-input');
+
+    // Online searches don't use the offline index
+    await input.fill('food');
+    await input.press('Enter');
+    await page.waitForTimeout(800);
+    await expect(indicator).toBeHidden();
+
+    await context.setOffline(true);
+    await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForTimeout(1000);
+
+    // Synonym expansion from search-config.yml applies offline ("food stamps" -> calfresh)
+    await input.fill('food stamps');
+    await input.press('Enter');
+    await page.waitForTimeout(800);
+
+    await expect(indicator).toBeVisible({ timeout: 10000 });
+    const visibleCards = page.locator('[data-program-id]:not([style*="display: none"])');
+    expect(await visibleCards.count()).toBeGreaterThan(0);
+
+    // Clearing the query hides the indicator
+    await input.fill('');
+    await input.press('Enter');
+    await expect(indicator).toBeHidden();
+
+    // Go back online
+    await context.setOffline(false);
+  });
+
   test('favorites page works offline', async ({ page, context, browserName }) => {
     // Skip on WebKit - has internal errors with offline simulation
     test.skip(browserName === 'webkit', 'WebKit has internal errors with offline navigation');
@@ -320,6 +365,47 @@ test.describe('Cached API Data', () => {
     await context.setOffline(false);
   });
 
+  test('offline search index matches the metadata.json version', async ({
+    page,
+    context,
+    browserName,
+  }) => {
+    // Skip on WebKit - has internal errors with offline navigation
+    test.skip(browserName === 'webkit', 'WebKit has internal errors with offline navigation');
+
+    await page.goto('/directory', { waitUntil: 'domcontentloaded' });
+    await waitForServiceWorkerReady(page);
+    await page.waitForTimeout(SW_CACHE_WAIT_TIME);
+
+    // Go offline so both files come from the service worker cache
+    await context.setOffline(true);
+
+    const result = await page.evaluate(async () => {
+      try {
+        const [metadata, index] = await Promise.all([
+          fetch('/api/metadata.json').then((res) => res.json()),
+          fetch('/api/search-inverted-index.json').then((res) => res.json()),
+        ]);
+        return {
+          ok: true,
+          metadataVersion: metadata.offlineSearchIndexVersion,
+          indexVersion: index.version,
+          docCount: index.docs?.length || 0,
+        };
+      } catch (e) {
+        return { ok: false, error: e.message };
+      }
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.indexVersion).toBeDefined();
+    expect(result.indexVersion).toBe(result.metadataVersion);
+    expect(result.docCount).toBeGreaterThan(0);
+
+    // Go back online
+    await context.setOffline(false);
+  });
+
   test('categories.json can be cached', async ({ page, context, browserName }) => {
     // Skip on WebKit - has internal errors with offline navigation
     test.skip(browserName === 'webkit', 'WebKit has internal errors with offline navigation');
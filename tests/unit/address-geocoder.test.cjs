@@ -0,0 +1,264 @@
+/**
+ * Unit tests for azure-functions/shared/address-geocoder.js
+ *
+ * Tests street name normalization, address parsing, fuzzy forward lookups,
+ * reverse lookups and the geocode function's offline source.
+ * Run with: node --test tests/unit/address-geocoder.test.cjs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeStreet,
+  parseAddress,
+  createAddressGeocoder,
+  readAddressIndex,
+} = require('../../azure-functions/shared/address-geocoder.js');
+
+// Keys as scripts/build-address-index.cjs writes them: "NUMBER STREET" -> [lon, lat]
+const INDEX = {
+  MILPITAS: {
+    '455 E CALAVERAS BLVD': [-121.9007, 37.4335],
+    '457 E CALAVERAS BLVD': [-121.9005, 37.4336],
+    '1200 S MAIN ST': [-121.9019, 37.4201],
+  },
+  'SAN FRANCISCO': {
+    '1 DR CARLTON B GOODLETT PL': [-122.4193, 37.7793],
+    '1500 MISSION ST': [-122.4177, 37.7736],
+    '700 1ST AVE': [-122.4594, 37.7754],
+  },
+  OAKLAND: {
+    '1 FRANK H OGAWA PLZ': [-122.2725, 37.8053],
+    '200 MAIN ST': [-122.25, 37.8],
+  },
+};
+
+// The file layout scripts/build-address-index.cjs writes: one city per line
+function writeIndexFile(filePath, index) {
+  const lines = Object.entries(index).map(
+    ([city, addresses]) => `${JSON.stringify(city)}:${JSON.stringify(addresses)}`
+  );
+  fs.writeFileSync(filePath, `{\n${lines.join(',\n')}\n}\n`);
+}
+
+describe('Address Geocoder', () => {
+  let geocoder;
+
+  before(() => {
+    geocoder = createAddressGeocoder(INDEX);
+  });
+
+  describe('normalizeStreet', () => {
+    it('should abbreviate suffixes, leading directions and written-out ordinals', () => {
+      assert.strictEqual(normalizeStreet('East Calaveras Boulevard'), 'E CALAVERAS BLVD');
+      assert.strictEqual(normalizeStreet('First Avenue'), '1ST AVE');
+      assert.strictEqual(normalizeStreet('Mission St.'), 'MISSION ST');
+    });
+
+    it('should only abbreviate a suffix at the end of the name', () => {
+      assert.strictEqual(normalizeStreet('Court Street'), 'COURT ST');
+      assert.strictEqual(normalizeStreet('West Street'), 'WEST ST');
+    });
+  });
+
+  describe('parseAddress', () => {
+    const cities = new Set(Object.keys(INDEX));
+
+    it('should split number, street and city and drop units, state and ZIP', () => {
+      assert.deepStrictEqual(
+        parseAddress('455 E Calaveras Blvd Apt 2, Milpitas, CA 95035', cities),
+        {
+          number: '455',
+          street: 'E CALAVERAS BLVD',
+          city: 'MILPITAS',
+        }
+      );
+    });
+
+    it('should find a city at the end of an address without commas', () => {
+      assert.deepStrictEqual(parseAddress('1500 Mission Street San Francisco CA 94103', cities), {
+        number: '1500',
+        street: 'MISSION ST',
+        city: 'SAN FRANCISCO',
+      });
+    });
+  });
+
+  describe('geocode', () => {
+    it('should match abbreviations and spelled-out street types', () => {
+      const [result] = geocoder.geocode('455 East Calaveras Boulevard, Milpitas');
+      assert.strictEqual(result.type, 'Point Address');
+      assert.deepStrictEqual(result.position, { lat: 37.4335, lon: -121.9007 });
+      assert.strictEqual(result.address.freeformAddress, '455 E Calaveras Blvd, Milpitas, CA');
+    });
+
+    it('should tolerate misspelled street names', () => {
+      const [result] = geocoder.geocode('1500 Misson St, San Francisco');
+      assert.strictEqual(result.address.streetName, 'Mission St');
+      assert.ok(result.score < 1);
+    });
+
+    it('should match streets given without a suffix', () => {
+      const [result] = geocoder.geocode('1 Dr Carlton B Goodlett, San Francisco');
+      assert.strictEqual(result.address.streetNumber, '1');
+      assert.strictEqual(result.address.municipality, 'San Francisco');
+    });
+
+    it('should search every city when none is given', () => {
+      const results = geocoder.geocode('200 Main St');
+      assert.strictEqual(results[0].address.municipality, 'Oakland');
+      assert.strictEqual(results[0].type, 'Point Address');
+    });
+
+    it('should fall back to the street for unknown house numbers', () => {
+      const [result] = geocoder.geocode('460 E Calaveras Blvd, Milpitas');
+      assert.strictEqual(result.type, 'Street');
+      assert.strictEqual(result.address.streetNumber, undefined);
+      assert.deepStrictEqual(result.position, { lat: 37.4336, lon: -121.9005 });
+    });
+
+    it('should return nothing for unknown streets', () => {
+      assert.deepStrictEqual(geocoder.geocode('10 Nowhere Ln, Milpitas'), []);
+    });
+  });
+
+  describe('reverse', () => {
+    it('should return the nearest address', () => {
+      const [result] = geocoder.reverse(37.7737, -122.4178);
+      assert.strictEqual(result.address.freeformAddress, '1500 Mission St, San Francisco, CA');
+    });
+
+    it('should return nothing far from any address', () => {
+      assert.deepStrictEqual(geocoder.reverse(37.9, -122.6), []);
+    });
+  });
+
+  describe('readAddressIndex', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-index-test-'));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read an index written one city per line', async () => {
+      const indexPath = path.join(dir, 'lines.json');
+      writeIndexFile(indexPath, INDEX);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(indexPath, 'utf8')), INDEX);
+      assert.deepStrictEqual(await readAddressIndex(indexPath), INDEX);
+    });
+
+    it('should read an index written on a single line', async () => {
+      const indexPath = path.join(dir, 'single.json');
+      fs.writeFileSync(indexPath, JSON.stringify(INDEX));
+      assert.deepStrictEqual(await readAddressIndex(indexPath), INDEX);
+    });
+  });
+
+  describe('geocode function with GEOCODER_SOURCE=local', () => {
+    const FUNCTION_PATH = require.resolve('../../azure-functions/geocode/index.js');
+    const savedEnv = { ...process.env };
+    let dir;
+    let handler;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geocoder-test-'));
+      const indexPath = path.join(dir, 'address-index.json');
+      writeIndexFile(indexPath, INDEX);
+      process.env.GEOCODER_SOURCE = 'local';
+      process.env.ADDRESS_INDEX_PATH = indexPath;
+      delete process.env.AZURE_MAPS_KEY;
+      delete require.cache[FUNCTION_PATH];
+      handler = require(FUNCTION_PATH);
+    });
+
+    after(() => {
+      process.env = savedEnv;
+      delete require.cache[FUNCTION_PATH];
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function call(query) {
+      const context = { res: null };
+      const originalLog = console.log;
+      console.log = () => {};
+      try {
+        await handler(context, { method: 'GET', query });
+      } finally {
+        console.log = originalLog;
+      }
+      return { status: context.res.status, body: JSON.parse(context.res.body) };
+    }
+
+    it('should serve forward lookups in the client result shape', async () => {
+      const { status, body } = await call({ q: '700 First Avenue, San Francisco' });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.source, 'address-index');
+      assert.deepStrictEqual(body.results[0], {
+        name: '700 1st Ave, San Francisco, CA',
+        displayName: '700 1st Ave, San Francisco, CA',
+        lat: 37.7754,
+        lng: -122.4594,
+        type: 'Point Address',
+        confidence: 1,
+        streetAddress: '700 1st Ave',
+        city: 'San Francisco',
+        county: null,
+        state: 'CA',
+        postalCode: null,
+        neighborhood: null,
+      });
+    });
+
+    it('should serve reverse lookups', async () => {
+      const { body } = await call({ lat: '37.8053', lon: '-122.2725' });
+      assert.strictEqual(body.results[0].streetAddress, '1 Frank H Ogawa Plz');
+    });
+  });
+
+  describe('geocode function without ADDRESS_INDEX_PATH', () => {
+    const FUNCTION_PATH = require.resolve('../../azure-functions/geocode/index.js');
+    const savedEnv = { ...process.env };
+    let handler;
+
+    before(() => {
+      process.env.GEOCODER_SOURCE = 'local';
+      delete process.env.ADDRESS_INDEX_PATH;
+      delete process.env.AZURE_MAPS_KEY;
+      delete require.cache[FUNCTION_PATH];
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        handler = require(FUNCTION_PATH);
+      } finally {
+        console.error = originalError;
+      }
+    });
+
+    after(() => {
+      process.env = savedEnv;
+      delete require.cache[FUNCTION_PATH];
+    });
+
+    it('should not look for an index outside the function app', async () => {
+      const context = { res: null };
+      const originalLog = console.log;
+      const originalError = console.error;
+      console.log = () => {};
+      console.error = () => {};
+      try {
+        await handler(context, { method: 'GET', query: { q: '700 First Avenue, San Francisco' } });
+      } finally {
+        console.log = originalLog;
+        console.error = originalError;
+      }
+      assert.strictEqual(context.res.status, 503);
+    });
+  });
+});
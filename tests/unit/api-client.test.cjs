@@ -0,0 +1,362 @@
+/**
+ * Unit tests for shared/api-client.js
+ *
+ * Tests request coalescing, stale-while-revalidate, retries, the default
+ * cache's size limit, and shard selection and paging in ApiClient.getPrograms.
+ * Run with: node --test tests/unit/api-client.test.cjs
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ApiClient } = require('../../shared/api-client.js');
+const { createAsyncCache } = require('../../shared/cache.js');
+
+const BASE_URL = 'https://example.test/api';
+const PAGE_SIZE = 2;
+
+const PROGRAMS = [
+  { id: 'p1', category: 'food', groups: ['everyone'], areas: ['San Francisco'] },
+  { id: 'p2', category: 'food', groups: ['seniors'], areas: ['Alameda County'] },
+  { id: 'p3', category: 'health', groups: ['seniors'], areas: ['San Francisco'] },
+  { id: 'p4', category: 'food', groups: ['seniors'], areas: ['San Francisco'] },
+  { id: 'p5', category: 'housing', groups: ['everyone'], areas: ['Bay Area'] },
+];
+
+// Build the static file tree the API generator would write
+function buildFiles(programs) {
+  const files = {
+    '/programs.json': { total: programs.length, count: programs.length, offset: 0, programs },
+  };
+  const slug = (v) => v.toLowerCase().replace(/[^a-z0-9_]+/g, '-');
+  const writeShard = (dir, list) => {
+    const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+    for (let page = 1; page <= pages; page++) {
+      const offset = (page - 1) * PAGE_SIZE;
+      const slice = list.slice(offset, offset + PAGE_SIZE);
+      files[`${dir}/page-${page}.json`] = {
+        total: list.length,
+        count: slice.length,
+        offset,
+        programs: slice,
+      };
+    }
+    return { total: list.length, pages };
+  };
+
+  const index = { pageSize: PAGE_SIZE, all: writeShard('/shards/all', programs) };
+  const dimensions = {
+    category: (p) => [p.category],
+    group: (p) => p.groups,
+    area: (p) => p.areas,
+  };
+  for (const [dimension, getValues] of Object.entries(dimensions)) {
+    index[dimension] = {};
+    const keys = new Set(programs.flatMap((p) => getValues(p).map(slug)));
+    for (const key of keys) {
+      const list = programs.filter((p) => getValues(p).map(slug).includes(key));
+      index[dimension][key] = writeShard(`/shards/${dimension}/${key}`, list);
+    }
+  }
+  files['/shards/index.json'] = index;
+  return files;
+}
+
+function createFetch(files) {
+  const requested = [];
+  const fetchFn = async (url) => {
+    const filePath = url.slice(BASE_URL.length);
+    requested.push(filePath);
+    const body = files[filePath];
+    return {
+      ok: body !== undefined,
+      status: body !== undefined ? 200 : 404,
+      headers: { get: () => null },
+      json: async () => body || { error: 'Not found' },
+      text: async () => '',
+    };
+  };
+  return { fetchFn, requested };
+}
+
+// Fetch stub that answers from a queue of { status, body, etag } responses
+function createSequenceFetch(responses) {
+  const calls = [];
+  const fetchFn = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return {
+      ok: next.status >= 200 && next.status < 300,
+      status: next.status,
+      headers: { get: (name) => (name === 'etag' ? next.etag || null : null) },
+      json: async () => next.body,
+      text: async () => '',
+    };
+  };
+  return { fetchFn, calls };
+}
+
+let requested;
+let client;
+
+describe('ApiClient', () => {
+  describe('request', () => {
+    it('should share one network request between identical in-flight GETs', async () => {
+      const { fetchFn, calls } = createSequenceFetch([{ status: 200, body: { ok: 1 } }]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn });
+
+      const [a, b] = await Promise.all([
+        api.request('/programs.json'),
+        api.request('/programs.json'),
+      ]);
+      assert.strictEqual(calls.length, 1);
+      assert.deepStrictEqual(a.data, b.data);
+
+      await api.request('/programs.json');
+      assert.strictEqual(calls.length, 2);
+    });
+
+    it('should return cached data immediately and emit an update when fresh data arrives', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 200, body: { version: 1 } },
+        { status: 200, body: { version: 2 } },
+      ]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, staleWhileRevalidate: true });
+
+      const first = await api.request('/metadata.json');
+      assert.strictEqual(first.fromCache, false);
+
+      const updated = new Promise((resolve) => api.on('update', resolve));
+      const second = await api.request('/metadata.json');
+      assert.deepStrictEqual(second.data, { version: 1 });
+      assert.strictEqual(second.stale, true);
+
+      const event = await updated;
+      assert.strictEqual(event.path, '/metadata.json');
+      assert.deepStrictEqual(event.data, { version: 2 });
+      assert.strictEqual(calls.length, 2);
+    });
+
+    it('should not emit an update when revalidation returns 304', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 200, body: { version: 1 }, etag: '"v1"' },
+        { status: 304 },
+      ]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, staleWhileRevalidate: true });
+      let updates = 0;
+      api.on('update', () => updates++);
+
+      await api.request('/metadata.json');
+      await api.request('/metadata.json');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.strictEqual(calls[1].headers['If-None-Match'], '"v1"');
+      assert.strictEqual(updates, 0);
+    });
+
+    it('should keep the default cache within its size limit', async () => {
+      const body = { text: 'x'.repeat(1024 * 1024) };
+      const { fetchFn } = createSequenceFetch([{ status: 200, body, etag: '"v1"' }]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn });
+
+      for (let page = 1; page <= 20; page++) {
+        await api.request(`/shards/all/page-${page}.json`);
+      }
+
+      const stats = await api.cache.stats();
+      assert.ok(stats.totalBytes <= stats.maxBytes);
+      assert.ok(stats.storedEntries < 40);
+    });
+
+    it('should not cache anything when cache is null', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 200, body: { version: 1 }, etag: '"v1"' },
+      ]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, cache: null });
+
+      await api.request('/metadata.json');
+      const second = await api.request('/metadata.json');
+
+      assert.strictEqual(calls[1].headers['If-None-Match'], undefined);
+      assert.strictEqual(second.fromCache, false);
+    });
+
+    it('should not keep an ETag for a body the cache could not store', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 200, body: { text: 'x'.repeat(2000) }, etag: '"v1"' },
+      ]);
+      const cache = createAsyncCache({ namespace: 'test', maxBytes: 1000 });
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, cache });
+
+      await api.request('/programs.json');
+      const second = await api.request('/programs.json');
+
+      assert.strictEqual(calls[1].headers['If-None-Match'], undefined);
+      assert.strictEqual(second.data.text.length, 2000);
+    });
+
+    it('should not send If-None-Match once the cached response is evicted', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 200, body: { version: 1 }, etag: '"v1"' },
+      ]);
+      const cache = createAsyncCache({ namespace: 'test' });
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, cache });
+
+      await api.request('/metadata.json');
+      await cache.remove(`response:${BASE_URL}/metadata.json`);
+      const result = await api.request('/metadata.json');
+
+      assert.strictEqual(calls[1].headers['If-None-Match'], undefined);
+      assert.deepStrictEqual(result.data, { version: 1 });
+    });
+
+    it('should retry 5xx responses and network errors with backoff', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        new TypeError('network down'),
+        { status: 503, body: { error: 'unavailable' } },
+        { status: 200, body: { ok: true } },
+      ]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, retryDelayMs: 0 });
+
+      const { data } = await api.request('/programs.json');
+      assert.deepStrictEqual(data, { ok: true });
+      assert.strictEqual(calls.length, 3);
+    });
+
+    it('should not retry 4xx responses', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 404, body: { error: 'Not found' } },
+      ]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, retryDelayMs: 0 });
+
+      await assert.rejects(api.request('/programs/missing.json'), { status: 404 });
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      const { fetchFn, calls } = createSequenceFetch([{ status: 500, body: {} }]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, retries: 1, retryDelayMs: 0 });
+
+      await assert.rejects(api.request('/programs.json'), { status: 500 });
+      assert.strictEqual(calls.length, 2);
+    });
+
+    it('should not retry POST requests unless the request opts in', async () => {
+      const failing = () => [
+        { status: 503, body: {} },
+        { status: 200, body: { ok: true } },
+      ];
+
+      const first = createSequenceFetch(failing());
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn: first.fetchFn, retryDelayMs: 0 });
+      await assert.rejects(api.request('/feedback', { method: 'POST', body: { a: 1 } }), {
+        status: 503,
+      });
+      assert.strictEqual(first.calls.length, 1);
+
+      const second = createSequenceFetch(failing());
+      const optedIn = new ApiClient({
+        baseUrl: BASE_URL,
+        fetchFn: second.fetchFn,
+        retryDelayMs: 0,
+      });
+      const { data } = await optedIn.request('/feedback', {
+        method: 'POST',
+        body: { a: 1 },
+        retries: 1,
+      });
+      assert.deepStrictEqual(data, { ok: true });
+      assert.strictEqual(second.calls.length, 2);
+    });
+
+    it('should retry idempotent writes like PUT', async () => {
+      const { fetchFn, calls } = createSequenceFetch([
+        { status: 502, body: {} },
+        { status: 200, body: { ok: true } },
+      ]);
+      const api = new ApiClient({ baseUrl: BASE_URL, fetchFn, retryDelayMs: 0 });
+
+      await api.request('/preferences', { method: 'PUT', body: { a: 1 } });
+      assert.strictEqual(calls.length, 2);
+    });
+  });
+
+  describe('getPrograms', () => {
+    beforeEach(() => {
+      const fake = createFetch(buildFiles(PROGRAMS));
+      requested = fake.requested;
+      client = new ApiClient({ baseUrl: BASE_URL, fetchFn: fake.fetchFn });
+    });
+
+    it('should fetch programs.json when no filters or paging are given', async () => {
+      const { data } = await client.getPrograms();
+      assert.strictEqual(data.programs.length, 5);
+      assert.deepStrictEqual(requested, ['/programs.json']);
+    });
+
+    it('should fetch only the pages covering limit and offset', async () => {
+      const { data } = await client.getPrograms({ limit: 2, offset: 1 });
+      assert.deepStrictEqual(
+        data.programs.map((p) => p.id),
+        ['p2', 'p3']
+      );
+      assert.strictEqual(data.total, 5);
+      assert.strictEqual(data.offset, 1);
+      assert.deepStrictEqual(requested, [
+        '/shards/index.json',
+        '/shards/all/page-1.json',
+        '/shards/all/page-2.json',
+      ]);
+    });
+
+    it('should use the category shard for a category filter', async () => {
+      const { data } = await client.getPrograms({ category: 'food', limit: 1 });
+      assert.deepStrictEqual(
+        data.programs.map((p) => p.id),
+        ['p1']
+      );
+      assert.strictEqual(data.total, 3);
+      assert.ok(!requested.includes('/programs.json'));
+      assert.ok(requested.includes('/shards/category/food/page-1.json'));
+    });
+
+    it('should accept area names and pick the smallest shard for combined filters', async () => {
+      const { data } = await client.getPrograms({ group: 'everyone', area: 'San Francisco' });
+      assert.deepStrictEqual(
+        data.programs.map((p) => p.id),
+        ['p1']
+      );
+      assert.strictEqual(data.total, 1);
+      // everyone (2 programs) is smaller than san-francisco (3)
+      assert.deepStrictEqual(requested, [
+        '/shards/index.json',
+        '/shards/group/everyone/page-1.json',
+      ]);
+    });
+
+    it('should return an empty result for unknown filter values', async () => {
+      const { data } = await client.getPrograms({ category: 'nonexistent' });
+      assert.deepStrictEqual(data, { total: 0, count: 0, offset: 0, programs: [] });
+    });
+
+    it('should return an empty page when offset is past the end', async () => {
+      const { data } = await client.getPrograms({ category: 'health', offset: 5 });
+      assert.strictEqual(data.count, 0);
+      assert.strictEqual(data.total, 1);
+    });
+
+    it('should filter programs.json locally when shards are not deployed', async () => {
+      const files = buildFiles(PROGRAMS);
+      delete files['/shards/index.json'];
+      const fake = createFetch(files);
+      const fallbackClient = new ApiClient({ baseUrl: BASE_URL, fetchFn: fake.fetchFn });
+
+      const { data } = await fallbackClient.getPrograms({ category: 'food', offset: 1, limit: 5 });
+      assert.deepStrictEqual(
+        data.programs.map((p) => p.id),
+        ['p2', 'p4']
+      );
+      assert.strictEqual(data.total, 3);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for shared/cache.js createAsyncCache and shared/file-storage.js
+ *
+ * Tests byte-size accounting, LRU eviction, quota reporting and the
+ * file-backed storage adapter.
+ * Run with: node --test tests/unit/cache.test.cjs
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAsyncCache } = require('../../shared/cache.js');
+const { createFileStorage } = require('../../shared/file-storage.js');
+const { ApiClient } = require('../../shared/api-client.js');
+
+// Serialized entry overhead is ~30 bytes, so a 100-character string is ~130 bytes
+const payload = (char) => char.repeat(100);
+
+describe('createAsyncCache', () => {
+  it('should round-trip values and report their size', async () => {
+    const cache = createAsyncCache();
+    assert.strictEqual(await cache.set('a', { programs: [1, 2, 3] }), true);
+    assert.deepStrictEqual(await cache.get('a'), { programs: [1, 2, 3] });
+    assert.strictEqual(await cache.get('missing'), undefined);
+
+    const stats = await cache.stats();
+    assert.strictEqual(stats.storedEntries, 1);
+    assert.ok(stats.totalBytes > 0);
+  });
+
+  it('should evict the least recently used entries once maxBytes is reached', async () => {
+    const cache = createAsyncCache({ maxBytes: 300 });
+    await cache.set('a', payload('a'));
+    await cache.set('b', payload('b'));
+    // Reading "a" makes "b" the least recently used
+    await cache.get('a');
+    await cache.set('c', payload('c'));
+
+    assert.strictEqual(await cache.get('b'), undefined);
+    assert.strictEqual(await cache.get('a'), payload('a'));
+    assert.strictEqual(await cache.get('c'), payload('c'));
+    assert.ok((await cache.stats()).totalBytes <= 300);
+  });
+
+  it('should not count an entry twice when it is replaced', async () => {
+    const cache = createAsyncCache({ maxBytes: 300 });
+    await cache.set('a', payload('a'));
+    await cache.set('b', payload('b'));
+    await cache.set('a', payload('z'));
+
+    assert.strictEqual(await cache.get('b'), payload('b'));
+    assert.strictEqual((await cache.stats()).storedEntries, 2);
+  });
+
+  it('should report entries larger than maxBytes', async () => {
+    const reports = [];
+    const cache = createAsyncCache({ maxBytes: 50, onQuotaExceeded: (info) => reports.push(info) });
+
+    assert.strictEqual(await cache.set('big', payload('x')), false);
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].reason, 'max-bytes');
+    assert.strictEqual(reports[0].key, 'big');
+  });
+
+  it('should evict and retry when storage runs out of quota', async () => {
+    const items = new Map();
+    const storage = {
+      async getItem(key) {
+        return items.has(key) ? items.get(key) : null;
+      },
+      async setItem(key, value) {
+        // Only room for one entry (plus the index)
+        const entries = Array.from(items.keys()).filter((k) => k.includes(':entry:'));
+        if (key.includes(':entry:') && entries.length >= 1 && !items.has(key)) {
+          const error = new Error('Quota exceeded');
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        items.set(key, value);
+      },
+      async removeItem(key) {
+        items.delete(key);
+      },
+    };
+    const reports = [];
+    const cache = createAsyncCache({ storage, onQuotaExceeded: (info) => reports.push(info) });
+
+    await cache.set('a', payload('a'));
+    assert.strictEqual(await cache.set('b', payload('b')), true);
+    assert.strictEqual(await cache.get('a'), undefined);
+    assert.strictEqual(await cache.get('b'), payload('b'));
+    assert.strictEqual(reports.length, 0);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const cache = createAsyncCache({ ttlMs: 1000 });
+    await cache.set('short', 'value', 1);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.strictEqual(await cache.get('short'), undefined);
+    assert.strictEqual((await cache.stats()).storedEntries, 0);
+  });
+
+  it('should clear every entry', async () => {
+    const cache = createAsyncCache();
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.clear();
+
+    assert.strictEqual(await cache.get('a'), undefined);
+    assert.strictEqual((await cache.stats()).totalBytes, 0);
+  });
+
+  it('should work as the ApiClient cache', async () => {
+    let calls = 0;
+    const fetchFn = async () => {
+      calls++;
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({ version: calls }),
+      };
+    };
+    const api = new ApiClient({
+      baseUrl: 'https://example.test/api',
+      fetchFn,
+      cache: createAsyncCache(),
+      staleWhileRevalidate: true,
+    });
+
+    await api.request('/metadata.json');
+    const cached = await api.request('/metadata.json');
+    assert.deepStrictEqual(cached.data, { version: 1 });
+    assert.strictEqual(cached.stale, true);
+  });
+
+  it('should evict an ApiClient body together with its ETag', async () => {
+    // The server answers 304 whenever the client sends an ETag
+    const fetchFn = async (url, init) => {
+      const revalidating = Boolean(init.headers['If-None-Match']);
+      return {
+        ok: !revalidating,
+        status: revalidating ? 304 : 200,
+        headers: { get: (name) => (name === 'etag' ? `"${url}"` : null) },
+        json: async () => ({ url, text: payload('x') }),
+        text: async () => '',
+      };
+    };
+    // Room for about one response at a time
+    const cache = createAsyncCache({ maxBytes: 300 });
+    const api = new ApiClient({ baseUrl: 'https://example.test/api', fetchFn, cache });
+
+    for (const file of ['/a.json', '/b.json', '/a.json', '/b.json', '/b.json']) {
+      const result = await api.request(file);
+      assert.strictEqual(result.data.url, `https://example.test/api${file}`);
+    }
+    assert.strictEqual((await cache.stats()).storedEntries, 1);
+  });
+});
+
+describe('createFileStorage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should store, read and remove items', async () => {
+    const storage = createFileStorage({ dir });
+    assert.strictEqual(await storage.getItem('key'), null);
+
+    await storage.setItem('key', 'value');
+    assert.strictEqual(await storage.getItem('key'), 'value');
+
+    await storage.removeItem('key');
+    assert.strictEqual(await storage.getItem('key'), null);
+  });
+
+  it('should persist the cache and its size index across instances', async () => {
+    const first = createAsyncCache({ storage: createFileStorage({ dir }), maxBytes: 300 });
+    await first.set('a', payload('a'));
+
+    const second = createAsyncCache({ storage: createFileStorage({ dir }), maxBytes: 300 });
+    assert.strictEqual(await second.get('a'), payload('a'));
+    assert.strictEqual((await second.stats()).storedEntries, 1);
+
+    // The persisted size still counts toward maxBytes
+    await second.set('b', payload('b'));
+    await second.set('c', payload('c'));
+    assert.strictEqual(await second.get('a'), undefined);
+  });
+
+  it('should require a directory', () => {
+    assert.throws(() => createFileStorage({}), /dir is required/);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for public/assets/js/carl-citations.js
+ *
+ * Tests source numbering, citation marker resolution and detection of
+ * programs named in a reply that weren't in Carl's retrieved context.
+ * Run with: node --test tests/unit/carl-citations.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '../../public/assets/js/carl-citations.js');
+
+const CATALOG = [
+  { id: 'calfresh', name: 'CalFresh' },
+  { id: 'medi-cal', name: 'Medi-Cal' },
+  { id: 'medi-cal-dental', name: 'Medi-Cal Dental' },
+  { id: 'outlet', name: 'Outlet' },
+  { id: 'wic', name: 'WIC' },
+];
+
+let citations;
+
+// Build a source list with one program, one code section and one open data row
+function createSources() {
+  const sources = citations.createSourceList();
+  sources.add({ type: 'program', id: 'calfresh', label: 'CalFresh', url: '/directory?q=CalFresh' });
+  sources.add({
+    type: 'code',
+    id: 'CIV-1950.5',
+    label: 'Civil Code § 1950.5',
+    url: 'https://leginfo.legislature.ca.gov/',
+  });
+  sources.add({ type: 'open-data', id: 'park:Dolores Park:', label: 'Dolores Park' });
+  return sources;
+}
+
+before(() => {
+  // The script is a browser IIFE that assigns window.CarlCitations. Its arrays
+  // come from another realm, so results are copied with Array.from before deepStrictEqual.
+  const context = { window: {} };
+  vm.runInNewContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context);
+  citations = context.window.CarlCitations;
+});
+
+describe('Carl Citations', () => {
+  describe('createSourceList', () => {
+    it('should number sources in the order they are added', () => {
+      const sources = createSources();
+      assert.strictEqual(sources.size(), 3);
+      assert.strictEqual(sources.get(2).label, 'Civil Code § 1950.5');
+      assert.strictEqual(sources.get(4), null);
+      assert.strictEqual(citations.sourceTag(2), '[2]');
+    });
+
+    it('should reuse the number of a source added twice', () => {
+      const sources = createSources();
+      assert.strictEqual(sources.add({ type: 'program', id: 'calfresh', label: 'CalFresh' }), 1);
+      assert.strictEqual(sources.size(), 3);
+    });
+  });
+
+  describe('stripMarkers', () => {
+    it('should drop markers that do not match a source', () => {
+      const text = 'Apply for CalFresh [1] or ask about deposits [7].';
+      assert.strictEqual(
+        citations.stripMarkers(text, createSources()),
+        'Apply for CalFresh [1] or ask about deposits.'
+      );
+    });
+
+    it('should drop every marker without a source list', () => {
+      assert.strictEqual(citations.stripMarkers('CalFresh [1] helps [2].'), 'CalFresh helps.');
+    });
+
+    it('should leave markdown links alone', () => {
+      const text = 'See [1](https://example.org) for details.';
+      assert.strictEqual(citations.stripMarkers(text), text);
+    });
+  });
+
+  describe('resolveCitations', () => {
+    it('should resolve markers in order of appearance', () => {
+      const cited = citations.resolveCitations(
+        'Deposits are capped [2]. Dolores Park is nearby [3], and [2] applies.',
+        createSources()
+      );
+      assert.deepStrictEqual(
+        Array.from(cited, (source) => source.number),
+        [2, 3]
+      );
+    });
+
+    it('should cite programs mentioned by name without a marker', () => {
+      const cited = citations.resolveCitations(
+        'Deposits are capped [2]. CalFresh can help too.',
+        createSources()
+      );
+      assert.deepStrictEqual(
+        Array.from(cited, (source) => source.id),
+        ['CIV-1950.5', 'calfresh']
+      );
+    });
+  });
+
+  describe('findUngroundedPrograms', () => {
+    it('should flag catalog programs missing from the retrieved context', () => {
+      const ungrounded = citations.findUngroundedPrograms(
+        'Try CalFresh [1] and WIC.',
+        CATALOG,
+        '[1] CalFresh',
+        createSources()
+      );
+      assert.deepStrictEqual(
+        Array.from(ungrounded, (program) => program.id),
+        ['wic']
+      );
+    });
+
+    it('should treat programs named in the context as grounded', () => {
+      const ungrounded = citations.findUngroundedPrograms(
+        'WIC covers formula.',
+        CATALOG,
+        'Likely eligible for: CalWORKs, WIC, Head Start.'
+      );
+      assert.strictEqual(ungrounded.length, 0);
+    });
+
+    it('should match the longest program name only', () => {
+      const ungrounded = citations.findUngroundedPrograms(
+        'Medi-Cal Dental covers cleanings.',
+        CATALOG,
+        'Medi-Cal covers doctor visits.'
+      );
+      assert.deepStrictEqual(
+        Array.from(ungrounded, (program) => program.id),
+        ['medi-cal-dental']
+      );
+    });
+
+    it('should not match program names used as ordinary words', () => {
+      const ungrounded = citations.findUngroundedPrograms(
+        'Plug it into an outlet. Calfreshness matters.',
+        CATALOG,
+        ''
+      );
+      assert.strictEqual(ungrounded.length, 0);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for azure-functions/shared/district-boundaries.js and
+ * scripts/lib/district-boundaries.cjs
+ *
+ * Tests local district lookups against snapshot layers, and the conversion
+ * and trimming of ArcGIS polygons when the snapshots are built.
+ * Run with: node --test tests/unit/district-boundaries.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  toDistrictNumber,
+  isPointInGeometry,
+  findFeatureAt,
+  findDistricts,
+  loadDistrictBoundaries,
+} = require(path.join(__dirname, '../../azure-functions/shared/district-boundaries.js'));
+const { esriToGeometry, simplifyGeometry, boundingBox } = require(
+  path.join(__dirname, '../../scripts/lib/district-boundaries.cjs')
+);
+
+// Closed [lng, lat] ring, counter-clockwise as GeoJSON prefers
+function square(lng, lat, size) {
+  return [
+    [lng, lat],
+    [lng + size, lat],
+    [lng + size, lat + size],
+    [lng, lat + size],
+    [lng, lat],
+  ];
+}
+
+function layer(...features) {
+  return {
+    type: 'FeatureCollection',
+    features: features.map(([properties, ring]) => ({
+      type: 'Feature',
+      properties,
+      geometry: { type: 'Polygon', coordinates: [ring] },
+    })),
+  };
+}
+
+// Two side-by-side districts of each layer: west of -122.0 and east of it
+const BOUNDARIES = {
+  congressional: layer(
+    [{ district: 12 }, square(-122.5, 37.5, 0.5)],
+    [{ district: 14 }, square(-122.0, 37.5, 0.5)]
+  ),
+  'state-legislative': layer(
+    [{ assembly: 18, senate: 7 }, square(-122.5, 37.5, 0.5)],
+    [{ assembly: 20, senate: 10 }, square(-122.0, 37.5, 0.5)]
+  ),
+  supervisorial: layer(
+    [{ countyFips: '06001', county: 'Alameda County', district: 3 }, square(-122.5, 37.5, 0.5)],
+    [{ countyFips: '06085', county: 'Santa Clara County', district: 3 }, square(-122.0, 37.5, 0.5)]
+  ),
+  council: layer([
+    { placeGeoid: '0653000', city: 'Oakland', district: 2 },
+    square(-122.3, 37.7, 0.1),
+  ]),
+};
+
+describe('District lookup', () => {
+  it('should find every district containing a point', () => {
+    assert.deepStrictEqual(findDistricts(37.75, -122.25, BOUNDARIES), {
+      congressional: 12,
+      assembly: 18,
+      senate: 7,
+      supervisorial: { countyFips: '06001', county: 'Alameda County', district: 3 },
+      council: { placeGeoid: '0653000', city: 'Oakland', district: 2 },
+    });
+    assert.strictEqual(findDistricts(37.75, -121.75, BOUNDARIES).congressional, 14);
+  });
+
+  it('should return nulls outside the snapshots and for missing layers', () => {
+    assert.deepStrictEqual(findDistricts(38.5, -122.25, BOUNDARIES), {
+      congressional: null,
+      assembly: null,
+      senate: null,
+      supervisorial: null,
+      council: null,
+    });
+    assert.strictEqual(findDistricts(37.75, -122.25, { congressional: null }).congressional, null);
+  });
+
+  it('should only match features the filter allows', () => {
+    const inSantaClara = (properties) => properties.countyFips === '06085';
+    assert.strictEqual(findFeatureAt(37.75, -122.25, BOUNDARIES.supervisorial, inSantaClara), null);
+    assert.strictEqual(
+      findFeatureAt(37.75, -121.75, BOUNDARIES.supervisorial, inSantaClara).district,
+      3
+    );
+  });
+
+  it('should read district numbers from layer attributes', () => {
+    assert.strictEqual(toDistrictNumber(646, { 646: 3 }), 3);
+    assert.strictEqual(toDistrictNumber('District 5'), 5);
+    assert.strictEqual(toDistrictNumber('07'), 7);
+    assert.strictEqual(toDistrictNumber(''), null);
+    assert.strictEqual(toDistrictNumber('At-Large'), null);
+  });
+
+  it('should load synced layers and leave the rest null', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'districts-'));
+    try {
+      fs.writeFileSync(
+        path.join(dir, 'congressional.json'),
+        JSON.stringify(BOUNDARIES.congressional)
+      );
+      const boundaries = await loadDistrictBoundaries({ dataDir: dir });
+      assert.strictEqual(boundaries.congressional.features.length, 2);
+      assert.strictEqual(boundaries.council, null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should fetch published layers and keep the last copy when a fetch fails', async () => {
+    const baseUrl = 'https://example.org/api/districts';
+    const requested = [];
+    let failing = false;
+    const fetchFn = async (url) => {
+      requested.push(url);
+      if (failing) return { ok: false, status: 503, statusText: 'Unavailable' };
+      if (url.endsWith('/congressional.json')) {
+        return { ok: true, status: 200, json: async () => BOUNDARIES.congressional };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+
+    const first = await loadDistrictBoundaries({ baseUrl, fetchFn, now: 0 });
+    assert.strictEqual(first.congressional.features.length, 2);
+    assert.strictEqual(first.council, null);
+    assert.ok(requested.includes(`${baseUrl}/supervisorial.json`));
+
+    // Cached within the TTL
+    requested.length = 0;
+    await loadDistrictBoundaries({ baseUrl, fetchFn, now: 60 * 1000 });
+    assert.strictEqual(requested.length, 0);
+
+    failing = true;
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const stale = await loadDistrictBoundaries({ baseUrl, fetchFn, now: 7 * 60 * 60 * 1000 });
+      assert.strictEqual(stale.congressional.features.length, 2);
+      assert.strictEqual(stale.council, null);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('District snapshot building', () => {
+  // Esri winds outer rings clockwise and holes counter-clockwise
+  const outer = [...square(-122.5, 37.5, 0.5)].reverse();
+  const hole = square(-122.4, 37.6, 0.1);
+  const island = [...square(-121.0, 37.5, 0.1)].reverse();
+
+  it('should convert Esri rings to a Polygon with its hole', () => {
+    const geometry = esriToGeometry({ rings: [outer, hole] });
+    assert.strictEqual(geometry.type, 'Polygon');
+    assert.deepStrictEqual(geometry.coordinates, [outer, hole]);
+    assert.strictEqual(isPointInGeometry(37.65, -122.35, geometry), false);
+    assert.strictEqual(isPointInGeometry(37.55, -122.45, geometry), true);
+  });
+
+  it('should convert several outer rings to a MultiPolygon', () => {
+    const geometry = esriToGeometry({ rings: [outer, island, hole] });
+    assert.strictEqual(geometry.type, 'MultiPolygon');
+    assert.deepStrictEqual(geometry.coordinates, [[outer, hole], [island]]);
+    assert.strictEqual(esriToGeometry({ rings: [] }), null);
+    assert.strictEqual(esriToGeometry(null), null);
+  });
+
+  it('should round coordinates and drop points closer than the tolerance', () => {
+    const ring = [
+      [-122.123456, 37.123456],
+      [-122.123457, 37.123457],
+      [-122.0, 37.123456],
+      [-122.0, 37.2],
+      [-122.123456, 37.123456],
+    ];
+    assert.deepStrictEqual(simplifyGeometry({ type: 'Polygon', coordinates: [ring] }), {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [-122.12346, 37.12346],
+          [-122.0, 37.12346],
+          [-122.0, 37.2],
+          [-122.12346, 37.12346],
+        ],
+      ],
+    });
+  });
+
+  it('should measure the bounding box of a layer', () => {
+    assert.deepStrictEqual(boundingBox(BOUNDARIES.congressional), {
+      xmin: -122.5,
+      ymin: 37.5,
+      xmax: -121.5,
+      ymax: 38,
+    });
+  });
+});
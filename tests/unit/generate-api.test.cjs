@@ -286,7 +286,7 @@ function transformProgram(program, categoryId) {
     areas: areas,
     city: program.city || null,
     website: program.link || program.website || '',
-    cost: program.cost || null,
+    cost: program.cost || program.fee_info || null,
     phone: program.phone || null,
     email: program.email || null,
     address: program.address || null,
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for scripts/lib/link-failures.cjs
+ *
+ * Tests failure streak tracking, suppression and restoration proposals, and
+ * edits to suppressed.yml that keep its comments.
+ * Run with: node --test tests/unit/link-failures.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const {
+  classifyCheck,
+  fromVerificationResults,
+  recordChecks,
+  pruneHistory,
+  proposeChanges,
+  applyChanges,
+  formatProposal,
+} = require(path.join(__dirname, '../../scripts/lib/link-failures.cjs'));
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const START = new Date('2026-09-29T07:00:00Z');
+
+function weekly(runs, checksFor) {
+  let history = { programs: {} };
+  for (let week = 0; week < runs; week++) {
+    history = recordChecks(history, checksFor(week), new Date(START.getTime() + week * WEEK_MS));
+  }
+  return history;
+}
+
+const SUPPRESSED_YAML = `# Suppressed Programs
+#
+# Format:
+#   - id: program-id-to-suppress
+
+- id: manual-program
+  reason: Program has ended
+  date_suppressed: 2025-01-02
+  source: Manual review
+
+# Auto
+- id: auto-program
+  reason: 'Link has failed since 2026-09-01: HTTP 404'
+  date_suppressed: 2026-09-15
+  source: Link checker - 3 failed checks of https://a.gov/auto
+
+- id: other-program
+  reason: Duplicate
+  date_suppressed: 2026-01-06
+  source: Manual review
+`;
+
+describe('Link Failures', () => {
+  it('should treat bot blocking and timeouts as inconclusive', () => {
+    assert.strictEqual(classifyCheck({ ok: true, status: 200 }), 'pass');
+    assert.strictEqual(classifyCheck({ ok: false, status: 404 }), 'fail');
+    assert.strictEqual(
+      classifyCheck({ ok: false, status: 0, error: 'getaddrinfo ENOTFOUND' }),
+      'fail'
+    );
+    assert.strictEqual(classifyCheck({ ok: false, status: 403 }), 'inconclusive');
+    assert.strictEqual(classifyCheck({ ok: false, status: 0, error: 'Timeout' }), 'inconclusive');
+  });
+
+  it('should read verify-programs results', () => {
+    const checks = fromVerificationResults({
+      verified: [{ id: 'a', url: 'https://a.gov' }],
+      redirected: [{ id: 'b', url: 'https://b.gov' }],
+      failed: [
+        { id: 'c', url: 'https://c.gov', status: 404, statusDescription: 'Not Found' },
+        { id: 'd', url: 'https://d.gov', status: 429 },
+      ],
+      timeout: [{ id: 'e', url: 'https://e.gov' }],
+    });
+    assert.deepStrictEqual(
+      checks.map((check) => [check.id, check.outcome]),
+      [
+        ['a', 'pass'],
+        ['b', 'pass'],
+        ['c', 'fail'],
+        ['d', 'inconclusive'],
+        ['e', 'inconclusive'],
+      ]
+    );
+    assert.strictEqual(checks[2].detail, 'HTTP 404 Not Found');
+  });
+
+  it('should count consecutive failures and reset on a pass', () => {
+    const history = weekly(4, (week) => [
+      {
+        id: 'flaky',
+        url: 'https://a.gov',
+        outcome: week === 2 ? 'pass' : 'fail',
+        detail: 'HTTP 500',
+      },
+      { id: 'dead', url: 'https://b.gov', outcome: 'fail', detail: 'HTTP 404' },
+      { id: 'blocked', url: 'https://c.gov', outcome: week === 0 ? 'fail' : 'inconclusive' },
+    ]);
+    assert.strictEqual(history.programs.flaky.failures.length, 1);
+    assert.strictEqual(history.programs.dead.failures.length, 4);
+    assert.strictEqual(history.programs.dead.lastError, 'HTTP 404');
+    // Inconclusive checks neither extend nor break a streak
+    assert.strictEqual(history.programs.blocked.failures.length, 1);
+  });
+
+  it('should start over when the URL in the data changes', () => {
+    let history = weekly(3, () => [{ id: 'p', url: 'https://old.gov', outcome: 'fail' }]);
+    history = recordChecks(history, [{ id: 'p', url: 'https://new.gov', outcome: 'fail' }]);
+    assert.strictEqual(history.programs.p.failures.length, 1);
+    assert.strictEqual(history.programs.p.url, 'https://new.gov');
+  });
+
+  it('should propose suppression after enough failures over enough weeks', () => {
+    const history = weekly(3, () => [
+      { id: 'dead', url: 'https://b.gov', outcome: 'fail', detail: 'HTTP 404' },
+      { id: 'manual-program', url: 'https://m.gov', outcome: 'fail', detail: 'HTTP 404' },
+    ]);
+    const suppressed = yaml.load(SUPPRESSED_YAML);
+
+    // Third failure, two weeks after the first
+    const now = new Date(START.getTime() + 2 * WEEK_MS);
+    const { suppress } = proposeChanges(history, suppressed, { now });
+    assert.deepStrictEqual(
+      suppress.map((entry) => entry.id),
+      ['dead']
+    );
+    assert.strictEqual(suppress[0].reason, 'Link has failed since 2026-09-29: HTTP 404');
+    assert.strictEqual(suppress[0].date_suppressed, '2026-10-13');
+    assert.match(suppress[0].source, /^Link checker - 3 failed checks/);
+
+    // Three failures within one week aren't enough
+    let burst = { programs: {} };
+    for (const day of [0, 2, 4]) {
+      burst = recordChecks(
+        burst,
+        [{ id: 'new', url: 'https://n.gov', outcome: 'fail' }],
+        new Date(START.getTime() + day * 86400000)
+      );
+    }
+    const lastFailure = new Date(START.getTime() + 4 * 86400000);
+    assert.strictEqual(proposeChanges(burst, suppressed, { now: lastFailure }).suppress.length, 0);
+  });
+
+  it('should count whole weeks by calendar date when the cron runs early', () => {
+    // The first failing run started late; two weeks on, the run starts early
+    let history = { programs: {} };
+    for (const [week, minutes] of [
+      [0, 25],
+      [1, 3],
+      [2, 1],
+    ]) {
+      history = recordChecks(
+        history,
+        [{ id: 'dead', url: 'https://b.gov', outcome: 'fail', detail: 'HTTP 404' }],
+        new Date(START.getTime() + week * WEEK_MS + minutes * 60000)
+      );
+    }
+    const now = new Date(START.getTime() + 2 * WEEK_MS + 5 * 60000);
+    const { suppress } = proposeChanges(history, [], { now });
+    assert.deepStrictEqual(
+      suppress.map((entry) => entry.id),
+      ['dead']
+    );
+
+    // A day short of two weeks is still too soon
+    const early = new Date(START.getTime() + 2 * WEEK_MS - 86400000);
+    assert.strictEqual(proposeChanges(history, [], { now: early }).suppress.length, 0);
+  });
+
+  it('should restore only automatic suppressions whose links work again', () => {
+    const history = weekly(2, () => [
+      { id: 'auto-program', url: 'https://a.gov/auto', outcome: 'pass' },
+      { id: 'manual-program', url: 'https://m.gov', outcome: 'pass' },
+    ]);
+    const { restore } = proposeChanges(history, yaml.load(SUPPRESSED_YAML));
+    assert.deepStrictEqual(
+      restore.map((entry) => entry.id),
+      ['auto-program']
+    );
+
+    const once = weekly(1, () => [
+      { id: 'auto-program', url: 'https://a.gov/auto', outcome: 'pass' },
+    ]);
+    assert.strictEqual(proposeChanges(once, yaml.load(SUPPRESSED_YAML)).restore.length, 0);
+  });
+
+  it('should edit suppressed.yml without losing comments', () => {
+    const updated = applyChanges(SUPPRESSED_YAML, {
+      restore: [{ id: 'auto-program' }],
+      suppress: [
+        {
+          id: 'dead',
+          reason: 'Link has failed since 2026-09-29: HTTP 404',
+          date_suppressed: '2026-10-13',
+          source: 'Link checker - 3 failed checks of https://b.gov',
+        },
+      ],
+    });
+    const entries = yaml.load(updated);
+    assert.deepStrictEqual(
+      entries.map((entry) => entry.id),
+      ['manual-program', 'other-program', 'dead']
+    );
+    assert.strictEqual(entries[2].reason, 'Link has failed since 2026-09-29: HTTP 404');
+    assert.match(updated, /^# Suppressed Programs/);
+    assert.match(updated, /# Format:\n# {3}- id: program-id-to-suppress/);
+    assert.doesNotMatch(updated, /auto-program/);
+  });
+
+  it('should drop history for removed programs and summarize proposals', () => {
+    const history = pruneHistory(
+      weekly(1, () => [
+        { id: 'kept', url: 'https://a.gov', outcome: 'fail' },
+        { id: 'removed', url: 'https://b.gov', outcome: 'fail' },
+      ]),
+      new Set(['kept'])
+    );
+    assert.deepStrictEqual(Object.keys(history.programs), ['kept']);
+
+    const summary = formatProposal(
+      {
+        suppress: [{ id: 'kept', reason: 'Link has failed since 2026-09-29: HTTP 404' }],
+        restore: [],
+      },
+      new Map([['kept', { name: 'Kept Program', file: 'food.yml' }]])
+    );
+    assert.match(summary, /### Suppress \(1\)/);
+    assert.match(summary, /\*\*Kept Program\*\* \(`kept`, food\.yml\)/);
+  });
+});
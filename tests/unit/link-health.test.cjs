@@ -0,0 +1,269 @@
+/**
+ * Unit tests for azure-functions/shared/link-health.js and content-fingerprint.js
+ *
+ * Tests redirect-chain following, soft-404 detection, content-change
+ * fingerprints and grouping problems by data file, using a fake HTTP client.
+ * Run with: node --test tests/unit/link-health.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const SHARED = path.join(__dirname, '../../azure-functions/shared');
+const {
+  siteDomain,
+  classifyRedirect,
+  extractPageText,
+  checkUrl,
+  probeNotFoundPage,
+  assessLink,
+  groupBySourceFile,
+  formatIssue,
+  createFingerprintStore,
+} = require(path.join(SHARED, 'link-health.js'));
+const { fingerprint, similarity } = require(path.join(SHARED, 'content-fingerprint.js'));
+
+const PROGRAM_TEXT =
+  'The Home Energy Assistance Program helps low-income households pay heating and cooling bills. ' +
+  'Eligible households can receive a one-time payment toward their utility bill each year. ' +
+  'Apply online or call the county office to make an appointment with a caseworker.';
+const NOT_FOUND_TEXT =
+  'Oops. We looked everywhere but could not locate what you asked for. ' +
+  'Try the search box or browse our departments and services from the menu.';
+
+function html(title, text) {
+  return `<html><head><title>${title}</title><script>var x = 1;</script></head>
+<body><nav>Home | About | Contact</nav><main><p>${text}</p></main></body></html>`;
+}
+
+/**
+ * Fake request function: routes maps URLs to { status, location?, body? }
+ */
+function fakeRequest(routes) {
+  const requested = [];
+  const get = async (url) => {
+    requested.push(url);
+    const route = routes[url];
+    if (!route) throw new Error('ECONNREFUSED');
+    return {
+      status: route.status,
+      headers: route.location ? { location: route.location } : {},
+      body: route.body || '',
+    };
+  };
+  get.requested = requested;
+  return get;
+}
+
+describe('Content fingerprints', () => {
+  it('should rate the same text as identical and unrelated text as different', () => {
+    assert.strictEqual(similarity(fingerprint(PROGRAM_TEXT), fingerprint(PROGRAM_TEXT)), 1);
+    assert.ok(similarity(fingerprint(PROGRAM_TEXT), fingerprint(NOT_FOUND_TEXT)) < 0.1);
+    assert.strictEqual(fingerprint('   '), null);
+  });
+
+  it('should rate a lightly edited page as similar', () => {
+    const edited = PROGRAM_TEXT.replace('each year', 'once per program year');
+    assert.ok(similarity(fingerprint(PROGRAM_TEXT), fingerprint(edited)) > 0.5);
+  });
+});
+
+describe('Link Health', () => {
+  it('should compare registrable domains', () => {
+    assert.strictEqual(siteDomain('www.sfgov.org'), 'sfgov.org');
+    assert.strictEqual(siteDomain('ci.oakland.ca.us'), 'oakland.ca.us');
+    assert.strictEqual(siteDomain('www.co.marin.ca.us'), 'marin.ca.us');
+    assert.strictEqual(siteDomain('www.cdss.ca.gov'), 'cdss.ca.gov');
+    assert.strictEqual(siteDomain('www.va.gov'), 'va.gov');
+  });
+
+  it('should treat different state agencies as different sites', () => {
+    assert.strictEqual(
+      classifyRedirect('https://www.cdss.ca.gov/calfresh', 'https://www.dmv.ca.gov/calfresh'),
+      'cross-domain'
+    );
+  });
+
+  it('should flag redirects to a homepage or another site', () => {
+    assert.strictEqual(
+      classifyRedirect('https://www.example.gov/programs/heap', 'https://example.gov/'),
+      'root'
+    );
+    assert.strictEqual(
+      classifyRedirect('https://example.gov/heap', 'https://example.gov/index.html'),
+      'root'
+    );
+    assert.strictEqual(
+      classifyRedirect('https://example.gov/heap', 'https://other.org/heap'),
+      'cross-domain'
+    );
+    assert.strictEqual(
+      classifyRedirect('http://example.gov/heap', 'https://www.example.gov/energy/heap'),
+      null
+    );
+  });
+
+  it('should extract title and visible text', () => {
+    const page = extractPageText(html('Energy &amp; Bills', 'Pay your bill&nbsp;here'));
+    assert.strictEqual(page.title, 'Energy & Bills');
+    assert.strictEqual(page.text, 'Pay your bill here');
+  });
+
+  it('should follow redirect chains and record each hop', async () => {
+    const request = fakeRequest({
+      'http://example.gov/heap': { status: 301, location: 'https://example.gov/heap' },
+      'https://example.gov/heap': { status: 302, location: '/' },
+      'https://example.gov/': { status: 200, body: html('Welcome', 'County home page') },
+    });
+    const result = await checkUrl('http://example.gov/heap', { request });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.finalUrl, 'https://example.gov/');
+    assert.deepStrictEqual(
+      result.chain.map((step) => step.status),
+      [301, 302, 200]
+    );
+    assert.strictEqual(result.redirectIssue, 'root');
+    assert.strictEqual(assessLink(result).type, 'redirected');
+  });
+
+  it('should report errors, loops and unreachable hosts as broken', async () => {
+    const request = fakeRequest({
+      'https://a.gov/gone': { status: 404 },
+      'https://a.gov/loop': { status: 302, location: '/loop2' },
+      'https://a.gov/loop2': { status: 302, location: '/loop' },
+    });
+    const gone = await checkUrl('https://a.gov/gone', { request });
+    assert.deepStrictEqual(assessLink(gone), { type: 'broken', detail: 'HTTP 404' });
+    assert.strictEqual((await checkUrl('https://a.gov/loop', { request })).error, 'Redirect loop');
+    assert.strictEqual((await checkUrl('https://down.gov/', { request })).ok, false);
+    assert.match((await checkUrl('not a url', { request })).error, /Invalid URL/);
+  });
+
+  it('should detect soft-404s by title and wording', async () => {
+    const request = fakeRequest({
+      'https://a.gov/title': { status: 200, body: html('Page Not Found | County', 'Sorry.') },
+      'https://a.gov/body': {
+        status: 200,
+        body: html('County of Alameda', 'This program is no longer available. Search our site.'),
+      },
+      'https://a.gov/ok': { status: 200, body: html('Energy Assistance', PROGRAM_TEXT) },
+      'https://a.gov/errors': {
+        status: 200,
+        body: html('Report a Billing Error | Utilities', PROGRAM_TEXT),
+      },
+      'https://a.gov/error-404': { status: 200, body: html('Error 404', 'Sorry.') },
+    });
+    assert.strictEqual(
+      assessLink(await checkUrl('https://a.gov/title', { request })).type,
+      'soft-404'
+    );
+    assert.match(
+      assessLink(await checkUrl('https://a.gov/body', { request })).detail,
+      /no longer available/
+    );
+    assert.strictEqual(assessLink(await checkUrl('https://a.gov/ok', { request })), null);
+    assert.strictEqual(assessLink(await checkUrl('https://a.gov/errors', { request })), null);
+    assert.strictEqual(
+      assessLink(await checkUrl('https://a.gov/error-404', { request })).type,
+      'soft-404'
+    );
+  });
+
+  it("should detect soft-404s that match the site's own not-found page", async () => {
+    const notFound = { status: 200, body: html('County of Marin', NOT_FOUND_TEXT) };
+    const request = async (url) =>
+      url === 'https://a.gov/heap'
+        ? { status: 200, headers: {}, body: html('County of Marin', NOT_FOUND_TEXT) }
+        : { ...notFound, headers: {} };
+
+    const result = await checkUrl('https://a.gov/heap', { request });
+    const notFoundFingerprint = await probeNotFoundPage(result.finalUrl, { request });
+    assert.ok(notFoundFingerprint);
+    assert.match(
+      assessLink(result, { notFoundFingerprint }).detail,
+      /matches the site's not-found page/
+    );
+
+    // Sites that return a real 404 for the probe have nothing to compare against
+    const honest = fakeRequest({});
+    assert.strictEqual(await probeNotFoundPage('https://a.gov/heap', { request: honest }), null);
+  });
+
+  it('should report content that changed since the last run', async () => {
+    const request = fakeRequest({
+      'https://a.gov/heap': { status: 200, body: html('Energy Assistance', NOT_FOUND_TEXT) },
+    });
+    const result = await checkUrl('https://a.gov/heap', { request });
+    const previous = {
+      url: 'https://a.gov/heap',
+      fingerprint: fingerprint(PROGRAM_TEXT),
+      checkedAt: '2026-10-12T09:00:00.000Z',
+    };
+    const problem = assessLink(result, { previous });
+    assert.strictEqual(problem.type, 'content-changed');
+    assert.match(problem.detail, /2026-10-12/);
+
+    // A different URL in the data isn't a content change
+    assert.strictEqual(
+      assessLink(result, { previous: { ...previous, url: 'https://b.gov' } }),
+      null
+    );
+  });
+
+  it('should group problems into one issue per data file', () => {
+    const problems = [
+      {
+        program: { id: 'heap', name: 'HEAP', category: 'utilities' },
+        url: 'https://a.gov/heap',
+        type: 'broken',
+        detail: 'HTTP 404',
+      },
+      {
+        program: { id: 'calfresh', name: 'CalFresh', category: 'food' },
+        url: 'https://b.gov/calfresh',
+        type: 'redirected',
+        detail: 'Redirects to the homepage: https://b.gov/',
+      },
+      {
+        program: { id: 'lifeline', name: 'Lifeline', category: 'utilities' },
+        url: 'https://c.gov/lifeline',
+        type: 'soft-404',
+        detail: 'Page title is "Not Found"',
+      },
+    ];
+    const groups = groupBySourceFile(problems);
+    assert.deepStrictEqual([...groups.keys()], ['src/data/food.yml', 'src/data/utilities.yml']);
+
+    const issue = formatIssue('src/data/utilities.yml', groups.get('src/data/utilities.yml'), {
+      repo: 'baytides/baynavigator',
+      now: new Date('2026-10-19T09:00:00Z'),
+    });
+    assert.strictEqual(issue.title, '🔗 Link problems in src/data/utilities.yml');
+    assert.match(issue.body, /### Broken links \(1\)/);
+    assert.match(issue.body, /### Pages that say they no longer exist \(1\)/);
+    assert.doesNotMatch(issue.body, /Moved pages/);
+    assert.match(issue.body, /blob\/main\/src\/data\/utilities\.yml/);
+  });
+
+  it('should store fingerprints per program', async () => {
+    const rows = new Map();
+    const tableClient = {
+      createTable: async () => {},
+      upsertEntity: async (entity) => rows.set(entity.rowKey, entity),
+      listEntities: async function* () {
+        yield* rows.values();
+      },
+    };
+    const store = createFingerprintStore(tableClient);
+    await store.save('pge/care', {
+      url: 'https://pge.com/care',
+      fingerprint: 'abc',
+      title: 'CARE',
+      checkedAt: '2026-10-19T09:00:00.000Z',
+    });
+    assert.ok(!/[/\\#?]/.test([...rows.keys()][0]));
+    const loaded = await store.loadAll();
+    assert.strictEqual(loaded.get('pge/care').url, 'https://pge.com/care');
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Unit tests for src/lib/location-resolver.js
+ *
+ * Tests county detection by point-in-polygon against the published county
+ * boundaries (including points just either side of a county line), ZIP,
+ * city, neighborhood and address parsing, and district lookups from the
+ * snapshots and county layers.
+ * Run with: node --test tests/unit/location-resolver.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = path.join(__dirname, '../../src/lib/location-resolver.js');
+const API_DIR = path.join(__dirname, '../../public/api');
+
+let resolverModule;
+let resolver;
+let locationData;
+let countyBoundaries;
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(API_DIR, file), 'utf8'));
+}
+
+before(async () => {
+  resolverModule = await import(pathToFileURL(MODULE_PATH).href);
+  locationData = readJson('location-data.json');
+  countyBoundaries = readJson('county-boundaries.json');
+  resolver = resolverModule.createLocationResolver({ locationData, countyBoundaries });
+});
+
+function countyAt(lat, lng) {
+  return resolver.resolveSync({ lat, lng })?.county ?? null;
+}
+
+describe('Location Resolver', () => {
+  describe('isPointInGeometry', () => {
+    const square = [
+      [
+        [0, 0],
+        [10, 0],
+        [10, 10],
+        [0, 10],
+        [0, 0],
+      ],
+      [
+        [4, 4],
+        [6, 4],
+        [6, 6],
+        [4, 6],
+        [4, 4],
+      ],
+    ];
+
+    it('should exclude points inside a hole', () => {
+      const polygon = { type: 'Polygon', coordinates: square };
+      assert.strictEqual(resolverModule.isPointInGeometry(2, 2, polygon), true);
+      assert.strictEqual(resolverModule.isPointInGeometry(5, 5, polygon), false);
+      assert.strictEqual(resolverModule.isPointInGeometry(11, 5, polygon), false);
+    });
+
+    it('should check every part of a MultiPolygon', () => {
+      const shifted = square.map((ring) => ring.map(([x, y]) => [x + 20, y]));
+      const multi = { type: 'MultiPolygon', coordinates: [square, shifted] };
+      assert.strictEqual(resolverModule.isPointInGeometry(2, 22, multi), true);
+    });
+  });
+
+  describe('county detection at county lines', () => {
+    it('should put Milpitas in Santa Clara County and Fremont in Alameda County', () => {
+      assert.strictEqual(countyAt(37.4159, -121.8976), 'Santa Clara County'); // Great Mall
+      assert.strictEqual(countyAt(37.4945, -121.9441), 'Alameda County'); // Fremont factory
+    });
+
+    it('should split Palo Alto and East Palo Alto across San Francisquito Creek', () => {
+      assert.strictEqual(countyAt(37.4419, -122.143), 'Santa Clara County');
+      assert.strictEqual(countyAt(37.4688, -122.1411), 'San Mateo County');
+    });
+
+    it('should put the Cow Palace in San Mateo County, not San Francisco', () => {
+      assert.strictEqual(countyAt(37.7066, -122.4187), 'San Mateo County');
+      assert.strictEqual(countyAt(37.7793, -122.4193), 'San Francisco');
+    });
+
+    it('should split Vallejo and Crockett across the Carquinez Strait', () => {
+      assert.strictEqual(countyAt(38.1041, -122.2566), 'Solano County');
+      assert.strictEqual(countyAt(38.0525, -122.213), 'Contra Costa County');
+    });
+
+    it('should return null for points outside the Bay Area', () => {
+      assert.strictEqual(resolver.resolveSync({ lat: 37.7, lng: -122.7 }), null); // Pacific
+      assert.strictEqual(resolver.resolveSync({ lat: 34.05, lng: -118.24 }), null); // Los Angeles
+    });
+
+    it('should accept "lat, lng" text', () => {
+      const location = resolver.resolveSync('37.4945, -121.9441');
+      assert.strictEqual(location.source, 'coordinates');
+      assert.strictEqual(location.county, 'Alameda County');
+      assert.strictEqual(location.city, 'fremont');
+    });
+  });
+
+  describe('resolveSync', () => {
+    it('should resolve a ZIP code with its coordinates', () => {
+      const location = resolver.resolveSync('95035');
+      assert.strictEqual(location.source, 'zip');
+      assert.strictEqual(location.city, 'milpitas');
+      assert.strictEqual(location.county, 'Santa Clara County');
+      assert.strictEqual(typeof location.lat, 'number');
+    });
+
+    it('should prefer the last ZIP-like number in an address', () => {
+      const location = resolver.resolveSync('94102 Main St, Vallejo, CA 94590');
+      assert.strictEqual(location.zip, '94590');
+      assert.strictEqual(location.county, 'Solano County');
+    });
+
+    it('should flag census-designated places', () => {
+      const location = resolver.resolveSync('I live in Castro Valley');
+      assert.strictEqual(location.city, 'castro valley');
+      assert.strictEqual(location.cdp, 'castro valley');
+      assert.strictEqual(location.county, 'Alameda County');
+      assert.strictEqual(resolver.resolveSync('Oakland').cdp, null);
+    });
+
+    it('should resolve neighborhoods to their city', () => {
+      const location = resolver.resolveSync('near the Castro');
+      assert.strictEqual(location.source, 'neighborhood');
+      assert.strictEqual(location.neighborhood, 'castro');
+      assert.strictEqual(location.county, 'San Francisco');
+    });
+
+    it('should read the city after the street in an address', () => {
+      const location = resolver.resolveSync('1200 Fremont St, San Francisco, CA');
+      assert.strictEqual(location.city, 'san francisco');
+    });
+
+    it('should return null for unknown places', () => {
+      assert.strictEqual(resolver.resolveSync('New York'), null);
+      assert.strictEqual(resolver.resolveSync('10001'), null);
+      assert.strictEqual(resolver.resolveSync(''), null);
+    });
+  });
+
+  describe('supervisorial district', () => {
+    function createResolver(attributes, districtLayers = {}) {
+      const requested = [];
+      const fetchFn = async (url) => {
+        requested.push(url);
+        return { ok: true, json: async () => ({ features: [{ attributes }] }) };
+      };
+      return {
+        requested,
+        resolver: resolverModule.createLocationResolver({
+          locationData,
+          countyBoundaries,
+          fetchFn,
+          loadDistrictLayer: async (layer) => districtLayers[layer] || null,
+        }),
+      };
+    }
+
+    // Snapshot-style layer of squares 0.1° wide, one per [properties, lng, lat]
+    function districtLayer(...districts) {
+      return {
+        type: 'FeatureCollection',
+        features: districts.map(([properties, lng, lat]) => ({
+          type: 'Feature',
+          properties,
+          geometry: {
+            type: 'Polygon',
+            coordinates: [
+              [
+                [lng, lat],
+                [lng + 0.1, lat],
+                [lng + 0.1, lat + 0.1],
+                [lng, lat + 0.1],
+                [lng, lat],
+              ],
+            ],
+          },
+        })),
+      };
+    }
+
+    // Around the 94577 (San Leandro) ZIP center
+    const SAN_LEANDRO = [-122.2, 37.7];
+
+    it('should map district ids to district numbers', async () => {
+      const { resolver: withDistricts, requested } = createResolver({ DISTRICT_ID: 646 });
+      const location = await withDistricts.resolve('94577', { supervisorialDistrict: true });
+      assert.strictEqual(location.supervisorialDistrict, 3);
+      assert.match(requested[0], /Board_of_Supervisors_District_Boundaries/);
+    });
+
+    it('should parse "District 5" style values', async () => {
+      const { resolver: withDistricts } = createResolver({ District: 'District 5' });
+      const location = await withDistricts.resolve('94401', { supervisorialDistrict: true });
+      assert.strictEqual(location.supervisorialDistrict, 5);
+    });
+
+    it('should not query district layers unless asked', async () => {
+      const { resolver: withDistricts, requested } = createResolver({});
+      const location = await withDistricts.resolve('94577');
+      assert.strictEqual(location.supervisorialDistrict, null);
+      assert.strictEqual(requested.length, 0);
+    });
+
+    it('should use the district snapshot before the county layer', async () => {
+      const { resolver: withDistricts, requested } = createResolver(
+        { DISTRICT_ID: 646 },
+        {
+          supervisorial: districtLayer([
+            { countyFips: '06001', county: 'Alameda County', district: 4 },
+            ...SAN_LEANDRO,
+          ]),
+        }
+      );
+      const location = await withDistricts.resolve('94577', { supervisorialDistrict: true });
+      assert.strictEqual(location.supervisorialDistrict, 4);
+      assert.strictEqual(requested.length, 0);
+    });
+
+    it('should query the county layer when the snapshot does not cover the county', async () => {
+      const { resolver: withDistricts, requested } = createResolver(
+        { DISTRICT_ID: 646 },
+        {
+          supervisorial: districtLayer([
+            { countyFips: '06085', county: 'Santa Clara County', district: 4 },
+            ...SAN_LEANDRO,
+          ]),
+        }
+      );
+      const location = await withDistricts.resolve('94577', { supervisorialDistrict: true });
+      assert.strictEqual(location.supervisorialDistrict, 3);
+      assert.strictEqual(requested.length, 1);
+    });
+
+    it('should find every district from the snapshots', async () => {
+      const { resolver: withDistricts, requested } = createResolver(
+        {},
+        {
+          congressional: districtLayer([{ district: 14 }, ...SAN_LEANDRO]),
+          'state-legislative': districtLayer([{ assembly: 20, senate: 10 }, ...SAN_LEANDRO]),
+          supervisorial: districtLayer([
+            { countyFips: '06001', county: 'Alameda County', district: 3 },
+            ...SAN_LEANDRO,
+          ]),
+        }
+      );
+      const location = await withDistricts.resolve('94577', { districts: true });
+      assert.deepStrictEqual(location.districts, {
+        congressional: 14,
+        assembly: 20,
+        senate: 10,
+        supervisorial: 3,
+        council: null,
+      });
+      assert.strictEqual(location.supervisorialDistrict, null);
+      assert.strictEqual(requested.length, 0);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for public/assets/js/notification-inbox.js
+ *
+ * Tests saving received pushes, read/unread state, type filters, retention
+ * limits and deep links, against a minimal in-memory IndexedDB.
+ * Run with: node --test tests/unit/notification-inbox.test.cjs
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '../../public/assets/js/notification-inbox.js');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Just enough of IndexedDB for the inbox: one keyPath store, requests that
+ * succeed asynchronously and transactions that complete after their requests
+ */
+function createIndexedDB() {
+  const stores = new Map();
+
+  function request(run) {
+    const req = { result: undefined, onsuccess: null };
+    setImmediate(() => {
+      req.result = run();
+      if (req.onsuccess) req.onsuccess();
+    });
+    return req;
+  }
+
+  const database = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, records: new Map() });
+      return { createIndex() {} };
+    },
+    transaction(name) {
+      const store = stores.get(name);
+      const tx = { oncomplete: null, onerror: null };
+      setImmediate(() => setImmediate(() => tx.oncomplete && tx.oncomplete()));
+      tx.objectStore = () => ({
+        getAll: () => request(() => [...store.records.values()].map((r) => ({ ...r }))),
+        get: (key) => request(() => store.records.get(key)),
+        put: (value) => request(() => store.records.set(value[store.keyPath], value) && value.id),
+        delete: (key) => request(() => store.records.delete(key)),
+        clear: () => request(() => store.records.clear()),
+      });
+      return tx;
+    },
+  };
+
+  return {
+    open() {
+      const req = { onsuccess: null, onupgradeneeded: null, onerror: null };
+      setImmediate(() => {
+        req.onupgradeneeded({ target: { result: database } });
+        req.onsuccess({ target: { result: database } });
+      });
+      return req;
+    },
+  };
+}
+
+function loadInbox(globals = {}) {
+  const sandbox = { console, setImmediate, Date, Math, ...globals };
+  sandbox.self = sandbox;
+  vm.runInNewContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), sandbox);
+  return sandbox.NotificationInbox;
+}
+
+describe('Notification Inbox', () => {
+  let inbox;
+
+  beforeEach(() => {
+    inbox = loadInbox({ indexedDB: createIndexedDB() });
+  });
+
+  it('should save pushes as unread with a deep link', async () => {
+    const entry = await inbox.add({
+      title: 'Missing Person Alert: Jane Doe',
+      body: 'Tap for details.',
+      data: { type: 'missing-persons', url: '/alerts/mp-123' },
+    });
+    assert.strictEqual(entry.read, false);
+    assert.strictEqual(entry.url, '/alerts/mp-123');
+
+    const [stored] = await inbox.list();
+    assert.strictEqual(stored.title, 'Missing Person Alert: Jane Doe');
+    assert.strictEqual(await inbox.getUnreadCount(), 1);
+  });
+
+  it('should track read state', async () => {
+    const first = await inbox.add({ title: 'A', data: { type: 'weather' } });
+    await inbox.add({ title: 'B', data: { type: 'program', programId: 'liheap' } });
+
+    await inbox.markRead(first.id);
+    assert.strictEqual(await inbox.getUnreadCount(), 1);
+    assert.deepStrictEqual(
+      Array.from(await inbox.list({ unreadOnly: true }), (entry) => entry.title),
+      ['B']
+    );
+
+    await inbox.markRead(first.id, false);
+    assert.strictEqual(await inbox.getUnreadCount(), 2);
+    await inbox.markAllRead();
+    assert.strictEqual(await inbox.getUnreadCount(), 0);
+  });
+
+  it('should filter by type and file unknown types under other', async () => {
+    await inbox.add({ title: 'Flood warning', data: { type: 'weather' } });
+    await inbox.add({ title: 'Something new', data: { type: 'mystery' } });
+
+    const weather = await inbox.list({ type: 'weather' });
+    assert.deepStrictEqual(
+      Array.from(weather, (entry) => entry.title),
+      ['Flood warning']
+    );
+    const other = await inbox.list({ type: 'other' });
+    assert.deepStrictEqual(
+      Array.from(other, (entry) => entry.title),
+      ['Something new']
+    );
+  });
+
+  it('should drop notifications past the age and count limits', async () => {
+    const old = await inbox.add({ title: 'Old', data: {} });
+    await inbox.add({ title: 'Recent', data: {} });
+
+    const removed = await inbox.prune(old.receivedAt + (inbox.MAX_AGE_DAYS + 1) * DAY_MS);
+    // Both were added in the same instant, so both are past the cutoff
+    assert.strictEqual(removed, 2);
+    assert.strictEqual((await inbox.list()).length, 0);
+
+    for (let i = 0; i < inbox.MAX_ENTRIES + 5; i++) {
+      await inbox.add({ title: `N${i}`, data: {} });
+    }
+    assert.strictEqual((await inbox.list()).length, inbox.MAX_ENTRIES);
+  });
+
+  it('should delete one or all notifications', async () => {
+    const entry = await inbox.add({ title: 'A', data: {} });
+    await inbox.add({ title: 'B', data: {} });
+    await inbox.remove(entry.id);
+    assert.strictEqual((await inbox.list()).length, 1);
+    await inbox.clear();
+    assert.strictEqual((await inbox.list()).length, 0);
+  });
+
+  it('should link to the alert or program a notification is about', () => {
+    assert.strictEqual(
+      inbox.getTargetUrl({ type: 'missing-persons', alertId: 'mp-1' }),
+      '/alerts/mp-1'
+    );
+    assert.strictEqual(inbox.getTargetUrl({ type: 'earthquake', alertId: 'nc7301' }), '/alerts');
+    assert.strictEqual(
+      inbox.getTargetUrl({ type: 'program', programId: 'liheap' }),
+      '/directory?program=liheap'
+    );
+    assert.strictEqual(inbox.getTargetUrl({ type: 'weather' }), '/map');
+    assert.strictEqual(inbox.getTargetUrl({ type: 'digest' }), '/');
+  });
+
+  it('should do nothing without IndexedDB', async () => {
+    const unavailable = loadInbox();
+    assert.strictEqual(await unavailable.add({ title: 'A', data: {} }), null);
+    assert.strictEqual((await unavailable.list()).length, 0);
+    assert.strictEqual(await unavailable.getUnreadCount(), 0);
+  });
+});
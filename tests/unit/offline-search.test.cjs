@@ -0,0 +1,98 @@
+/**
+ * Unit tests for src/lib/offline-search.js
+ *
+ * Tests tokenization and querying of the offline inverted search index.
+ * Run with: node --test tests/unit/offline-search.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/offline-search.js')).href;
+
+// Field bits: name=1, keywords=2, category=4, area=8, description=16
+const INDEX = {
+  format: 1,
+  version: 'test',
+  fields: ['name', 'keywords', 'category', 'area', 'description'],
+  weights: [4, 3, 2, 1, 1],
+  docs: ['calfresh', 'alameda-food-bank', 'section-8'],
+  terms: {
+    alameda: [1, 1 | 8],
+    assistance: [0, 16, 2, 16],
+    bank: [1, 1],
+    calfresh: [0, 1],
+    food: [0, 2, 1, 1 | 4],
+    groceries: [0, 16, 1, 16],
+    housing: [2, 4],
+    rental: [2, 2 | 16],
+    section: [2, 1],
+  },
+};
+
+const ids = (results) =>
+  Array.from(results.values())
+    .sort((a, b) => a.score - b.score || a.id.localeCompare(b.id))
+    .map((result) => result.id);
+
+let offlineSearch;
+
+before(async () => {
+  offlineSearch = await import(MODULE_PATH);
+});
+
+describe('Offline Search', () => {
+  describe('tokenize', () => {
+    it('should lowercase and split on punctuation', () => {
+      assert.deepStrictEqual(offlineSearch.tokenize('Medi-Cal Dental'), ['medi', 'cal', 'dental']);
+    });
+
+    it('should drop stop words and single characters', () => {
+      assert.deepStrictEqual(offlineSearch.tokenize('Help for a family of 4'), ['help', 'family']);
+    });
+
+    it('should strip accents', () => {
+      assert.deepStrictEqual(offlineSearch.tokenize('Clínica de Salud'), [
+        'clinica',
+        'de',
+        'salud',
+      ]);
+    });
+  });
+
+  describe('searchInvertedIndex', () => {
+    it('should rank name matches above keyword matches', () => {
+      const results = offlineSearch.searchInvertedIndex(INDEX, ['food']);
+      assert.deepStrictEqual(ids(results), ['alameda-food-bank', 'calfresh']);
+      assert.ok(results.get('alameda-food-bank').score < results.get('calfresh').score);
+    });
+
+    it('should require every token of a multi-word term', () => {
+      const results = offlineSearch.searchInvertedIndex(INDEX, ['food bank']);
+      assert.deepStrictEqual(ids(results), ['alameda-food-bank']);
+    });
+
+    it('should match synonym expansions and keep the best score', () => {
+      const results = offlineSearch.searchInvertedIndex(INDEX, ['rent help', 'housing', 'section']);
+      assert.deepStrictEqual(ids(results), ['section-8']);
+      assert.strictEqual(results.get('section-8').score, 1 - 4 / 11);
+    });
+
+    it('should match longer terms by prefix at a lower weight', () => {
+      const exact = offlineSearch.searchInvertedIndex(INDEX, ['rental']);
+      const prefix = offlineSearch.searchInvertedIndex(INDEX, ['rent']);
+      assert.deepStrictEqual(ids(prefix), ['section-8']);
+      assert.ok(prefix.get('section-8').score > exact.get('section-8').score);
+    });
+
+    it('should not prefix-match very short tokens', () => {
+      assert.strictEqual(offlineSearch.searchInvertedIndex(INDEX, ['fo']).size, 0);
+    });
+
+    it('should return nothing for unknown terms', () => {
+      assert.strictEqual(offlineSearch.searchInvertedIndex(INDEX, ['zzz']).size, 0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for src/lib/program-changelog.js
+ *
+ * Tests the "Updated recently" badge, card summaries, and change descriptions
+ * and loading for the detail modal.
+ * Run with: node --test tests/unit/program-changelog.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/program-changelog.js')).href;
+
+// Noon Pacific on a given date
+const pacific = (date) => new Date(`${date}T12:00:00-07:00`);
+
+let changelog;
+
+before(async () => {
+  changelog = await import(MODULE_PATH);
+});
+
+describe('Program Changelog', () => {
+  it('should badge programs changed in the last 30 days', () => {
+    const changes = [
+      { date: '2026-10-01', type: 'modified', fields: [] },
+      { date: '2026-06-01', type: 'added' },
+    ];
+    assert.deepStrictEqual(changelog.getUpdateBadge(changes, pacific('2026-10-19')), {
+      label: 'Updated recently',
+      date: '2026-10-01',
+    });
+    assert.strictEqual(changelog.getUpdateBadge(changes, pacific('2026-11-15')), null);
+    assert.strictEqual(changelog.getUpdateBadge([], pacific('2026-10-19')), null);
+  });
+
+  it('should label new programs', () => {
+    const badge = changelog.getUpdateBadge(
+      [{ date: '2026-10-19', type: 'added' }],
+      pacific('2026-10-19')
+    );
+    assert.strictEqual(badge.label, 'New');
+  });
+
+  it('should describe what changed', () => {
+    const lines = changelog.describeChange({
+      date: '2026-10-19',
+      type: 'modified',
+      fields: [
+        { field: 'phone', label: 'Phone', before: '510-555-0100', after: '510-555-0199' },
+        { field: 'cost', label: 'Cost', before: null, after: 'Free' },
+        { field: 'groups', label: 'Eligibility', before: ['everyone'], after: ['seniors'] },
+        { field: 'hours', label: 'Hours', before: { weekly: {} }, after: null },
+      ],
+    });
+    assert.deepStrictEqual(lines, [
+      'Phone: 510-555-0100 → 510-555-0199',
+      'Cost: none → Free',
+      'Eligibility: everyone → seniors',
+      'Hours changed',
+    ]);
+    assert.deepStrictEqual(changelog.describeChange({ date: '2026-10-19', type: 'added' }), [
+      'Added to Bay Navigator',
+    ]);
+    assert.strictEqual(changelog.formatChangeDate('2026-10-19'), 'Oct 19, 2026');
+  });
+
+  it('should keep only the date, type and field labels on cards', () => {
+    const summary = changelog.summarizeChange({
+      date: '2026-10-19',
+      type: 'modified',
+      id: 'liheap',
+      fields: [
+        { field: 'description', label: 'Description', before: 'Old text', after: 'New text' },
+      ],
+    });
+    assert.deepStrictEqual(summary, {
+      date: '2026-10-19',
+      type: 'modified',
+      fieldLabels: ['Description'],
+    });
+    assert.deepStrictEqual(changelog.describeChange(summary), ['Description changed']);
+  });
+
+  it("should load a program's full changes from the feed once", async () => {
+    let requests = 0;
+    const fetchFn = async () => {
+      requests++;
+      return {
+        ok: true,
+        json: async () => ({
+          changes: [
+            { date: '2026-10-19', type: 'modified', id: 'liheap', fields: [] },
+            { date: '2026-10-18', type: 'removed', id: 'liheap' },
+            { date: '2026-10-17', type: 'added', id: 'calfresh' },
+          ],
+        }),
+      };
+    };
+    const liheap = await changelog.loadProgramChanges('liheap', { fetchFn });
+    assert.deepStrictEqual(
+      liheap.map((change) => change.type),
+      ['modified']
+    );
+    const calfresh = await changelog.loadProgramChanges('calfresh', { fetchFn });
+    assert.strictEqual(calfresh.length, 1);
+    assert.strictEqual(requests, 1);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for scripts/lib/program-changes.cjs
+ *
+ * Tests field-level program diffs, the rolling change history and the Atom feed.
+ * Run with: node --test tests/unit/program-changes.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  diffProgram,
+  diffPrograms,
+  mergeHistory,
+  buildChangesResponse,
+  describeFields,
+  buildAtomFeed,
+} = require(path.join(__dirname, '../../scripts/lib/program-changes.cjs'));
+
+const NOW = new Date('2026-10-19T15:00:00Z');
+
+const FOOD_BANK = {
+  id: 'food-bank',
+  name: 'Food Bank',
+  category: 'food',
+  description: 'Free groceries',
+  groups: ['everyone'],
+  phone: '510-555-0100',
+  cost: null,
+  keywords: ['groceries'],
+  lastUpdated: '2026-10-12',
+};
+
+describe('Program Changes', () => {
+  it('should diff tracked fields only', () => {
+    const fields = diffProgram(FOOD_BANK, {
+      ...FOOD_BANK,
+      phone: '510-555-0199',
+      groups: ['seniors'],
+      cost: '',
+      keywords: ['food'],
+      lastUpdated: '2026-10-19',
+    });
+    assert.deepStrictEqual(fields, [
+      { field: 'groups', label: 'Eligibility', before: ['everyone'], after: ['seniors'] },
+      { field: 'phone', label: 'Phone', before: '510-555-0100', after: '510-555-0199' },
+    ]);
+  });
+
+  it('should find added, modified, suppressed and removed programs', () => {
+    const previous = [
+      FOOD_BANK,
+      { id: 'closed', name: 'Closed Clinic', category: 'health' },
+      { id: 'hidden', name: 'Hidden Program', category: 'health' },
+      { id: 'same', name: 'Same Program', category: 'legal' },
+    ];
+    const current = [
+      { ...FOOD_BANK, cost: 'Free' },
+      { id: 'same', name: 'Same Program', category: 'legal' },
+      { id: 'new', name: 'New Program', category: 'education' },
+    ];
+    const changes = diffPrograms(previous, current, {
+      suppressedIds: new Set(['hidden']),
+      now: NOW,
+    });
+    assert.deepStrictEqual(
+      changes.map((change) => [change.type, change.id]),
+      [
+        ['added', 'new'],
+        ['modified', 'food-bank'],
+        ['suppressed', 'hidden'],
+        ['removed', 'closed'],
+      ]
+    );
+    assert.strictEqual(changes[0].date, '2026-10-19');
+    assert.deepStrictEqual(changes[1].fields, [
+      { field: 'cost', label: 'Cost', before: null, after: 'Free' },
+    ]);
+  });
+
+  it('should not report a cost newly filled in from fee_info', () => {
+    const park = { ...FOOD_BANK, id: 'park', name: 'State Park', category: 'recreation' };
+    const costFromFeeInfo = new Set(['park']);
+    const first = diffPrograms([park], [{ ...park, cost: '$10 per vehicle' }], {
+      costFromFeeInfo,
+      now: NOW,
+    });
+    assert.deepStrictEqual(first, []);
+
+    // Once published, a fee_info edit is a real cost change
+    const second = diffPrograms(
+      [{ ...park, cost: '$10 per vehicle' }],
+      [{ ...park, cost: '$12 per vehicle' }],
+      { costFromFeeInfo, now: NOW }
+    );
+    assert.deepStrictEqual(second[0].fields, [
+      { field: 'cost', label: 'Cost', before: '$10 per vehicle', after: '$12 per vehicle' },
+    ]);
+  });
+
+  it('should keep history newest first and drop old entries', () => {
+    const history = [
+      { date: '2026-10-01', type: 'added', id: 'a', name: 'A', category: 'food' },
+      { date: '2026-01-01', type: 'removed', id: 'b', name: 'B', category: 'food' },
+    ];
+    const merged = mergeHistory(
+      history,
+      [{ date: '2026-10-19', type: 'added', id: 'c', name: 'C', category: 'food' }],
+      { now: NOW }
+    );
+    assert.deepStrictEqual(
+      merged.map((change) => change.id),
+      ['c', 'a']
+    );
+  });
+
+  it('should fold repeat builds on the same day into one entry', () => {
+    const first = diffPrograms([FOOD_BANK], [{ ...FOOD_BANK, phone: '510-555-0199' }], {
+      now: NOW,
+    });
+    let history = mergeHistory([], first, { now: NOW });
+
+    // A second deploy the same day changes the phone again and adds a cost
+    const second = diffPrograms(
+      [{ ...FOOD_BANK, phone: '510-555-0199' }],
+      [{ ...FOOD_BANK, phone: '510-555-0123', cost: 'Free' }],
+      { now: NOW }
+    );
+    history = mergeHistory(history, second, { now: NOW });
+    assert.strictEqual(history.length, 1);
+    assert.deepStrictEqual(
+      history[0].fields.map(({ field, before, after }) => [field, before, after]),
+      [
+        ['phone', '510-555-0100', '510-555-0123'],
+        ['cost', null, 'Free'],
+      ]
+    );
+
+    // Reverting the phone leaves only the cost change
+    const third = diffPrograms(
+      [{ ...FOOD_BANK, phone: '510-555-0123', cost: 'Free' }],
+      [{ ...FOOD_BANK, cost: 'Free' }],
+      { now: NOW }
+    );
+    history = mergeHistory(history, third, { now: NOW });
+    assert.deepStrictEqual(
+      history[0].fields.map(({ field }) => field),
+      ['cost']
+    );
+
+    // Re-running a build with no changes leaves the history alone
+    assert.deepStrictEqual(mergeHistory(history, [], { now: NOW }), history);
+  });
+
+  it('should count changes by type', () => {
+    const response = buildChangesResponse(
+      [
+        { date: '2026-10-19', type: 'added', id: 'a', name: 'A', category: 'food' },
+        { date: '2026-10-12', type: 'removed', id: 'b', name: 'B', category: 'food' },
+      ],
+      NOW
+    );
+    assert.strictEqual(response.total, 2);
+    assert.strictEqual(response.since, '2026-10-12');
+    assert.deepStrictEqual(response.counts, { added: 1, modified: 0, suppressed: 0, removed: 1 });
+  });
+
+  it('should describe field changes and build an Atom feed', () => {
+    const fields = [
+      { field: 'phone', label: 'Phone', before: '510-555-0100', after: '510-555-0199' },
+      {
+        field: 'groups',
+        label: 'Eligibility',
+        before: ['everyone'],
+        after: ['seniors', 'veterans'],
+      },
+      { field: 'hours', label: 'Hours', before: null, after: { weekly: {} } },
+    ];
+    assert.deepStrictEqual(describeFields(fields), [
+      'Phone: 510-555-0100 → 510-555-0199',
+      'Eligibility: everyone → seniors, veterans',
+      'Hours changed',
+    ]);
+
+    const xml = buildAtomFeed(
+      [
+        {
+          date: '2026-10-19',
+          type: 'modified',
+          id: 'food-bank',
+          name: 'Food & Friends',
+          category: 'food',
+          fields,
+        },
+      ],
+      { siteUrl: 'https://baynavigator.org', now: NOW }
+    );
+    assert.match(xml, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    assert.match(xml, /<title>Updated: Food &amp; Friends<\/title>/);
+    assert.match(xml, /<id>tag:baynavigator.org,2026-10-19:program\/food-bank\/modified<\/id>/);
+    assert.match(xml, /href="https:\/\/baynavigator.org\/directory#program-food-bank"/);
+    assert.match(xml, /Phone: 510-555-0100 → 510-555-0199/);
+  });
+});
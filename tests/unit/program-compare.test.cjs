@@ -0,0 +1,144 @@
+/**
+ * Unit tests for src/lib/program-compare.js
+ *
+ * Tests the compare selection, shareable URLs and side-by-side field diffs.
+ * Run with: node --test tests/unit/program-compare.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const yaml = require('js-yaml');
+
+const DATA_DIR = path.join(__dirname, '../../src/data');
+const MODULE_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/program-compare.js')).href;
+
+let compare;
+
+// The compared fields of a YAML program, named as scripts/generate-api.cjs
+// emits them
+function toApiFields(program) {
+  return {
+    groups: program.groups || program.eligibility || [],
+    areas: program.area ? [].concat(program.area) : [],
+    cost: program.cost || program.fee_info || null,
+    howToGetIt: program.how_to_get_it || null,
+    phone: program.phone || null,
+    verifiedDate: program.verified_date || null,
+  };
+}
+
+function loadPrograms(file) {
+  return yaml.load(fs.readFileSync(path.join(DATA_DIR, file), 'utf8')).map(toApiFields);
+}
+
+before(async () => {
+  compare = await import(MODULE_PATH);
+});
+
+describe('Program Compare', () => {
+  it('should round-trip selections through the URL', () => {
+    const url = compare.buildCompareUrl(['rent-relief', 'housing-help']);
+    assert.strictEqual(url, '/compare?ids=rent-relief,housing-help');
+    assert.deepStrictEqual(compare.parseCompareIds(url.split('?')[1]), [
+      'rent-relief',
+      'housing-help',
+    ]);
+    assert.strictEqual(compare.buildCompareUrl([]), '/compare');
+  });
+
+  it('should drop blanks and duplicates and keep at most four programs', () => {
+    assert.deepStrictEqual(compare.parseCompareIds('?ids=a,,b,a,c,d,e'), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(compare.parseCompareIds('?q=rent'), []);
+  });
+
+  it('should toggle programs up to the limit', () => {
+    let result = compare.toggleCompareId(['a', 'b'], 'c');
+    assert.deepStrictEqual(result, { ids: ['a', 'b', 'c'], selected: true, full: false });
+
+    result = compare.toggleCompareId(['a', 'b', 'c', 'd'], 'e');
+    assert.deepStrictEqual(result, { ids: ['a', 'b', 'c', 'd'], selected: false, full: true });
+
+    result = compare.toggleCompareId(['a', 'b', 'c', 'd'], 'b');
+    assert.deepStrictEqual(result, { ids: ['a', 'c', 'd'], selected: false, full: false });
+  });
+
+  it('should flag the fields that differ', () => {
+    const rows = compare.compareRows([
+      {
+        groups: ['seniors', 'income-eligible'],
+        areas: ['Alameda County'],
+        cost: 'Free',
+        phone: '510-555-0100',
+        howToGetIt: null,
+      },
+      {
+        groups: ['income-eligible', 'seniors'],
+        areas: ['Alameda County'],
+        cost: ' Free ',
+        phone: '510-555-0199',
+        howToGetIt: '',
+      },
+      {
+        groups: ['income-eligible', 'seniors'],
+        areas: ['Alameda County'],
+        cost: 'Free',
+        phone: null,
+        howToGetIt: [],
+      },
+    ]);
+    const differs = Object.fromEntries(rows.map((row) => [row.key, row.differs]));
+    assert.deepStrictEqual(differs, {
+      groups: false,
+      areas: false,
+      cost: false,
+      howToGetIt: false,
+      phone: true,
+      verifiedDate: false,
+    });
+    assert.deepStrictEqual(rows.find((row) => row.key === 'phone').values, [
+      '510-555-0100',
+      '510-555-0199',
+      null,
+    ]);
+  });
+
+  it('should fill the rows from real program records', () => {
+    const [alcatraz] = yaml
+      .load(fs.readFileSync(path.join(DATA_DIR, 'recreation.yml'), 'utf8'))
+      .filter((program) => program.id === 'nps-alca')
+      .map(toApiFields);
+    const values = Object.fromEntries(
+      compare.compareRows([alcatraz]).map((row) => [row.key, row.values[0]])
+    );
+    assert.strictEqual(values.cost, 'Ferry ticket required ($47.95+ adults)');
+    assert.strictEqual(values.verifiedDate, '2026-01-03');
+
+    // Every row is filled for some program, so none is blank across the board
+    const programs = ['food.yml', 'recreation.yml', 'health.yml'].flatMap(loadPrograms);
+    for (const row of compare.compareRows(programs)) {
+      assert.ok(
+        row.values.some((value) => value !== null),
+        `${row.label} is blank for every program`
+      );
+    }
+  });
+
+  it('should not highlight a single program', () => {
+    const rows = compare.compareRows([{ cost: 'Free' }]);
+    assert.ok(rows.every((row) => !row.differs));
+  });
+
+  it('should format values for display', () => {
+    assert.strictEqual(
+      compare.formatCompareValue('groups', ['income-eligible', 'seniors'], {
+        seniors: 'Seniors (65+)',
+      }),
+      'income-eligible, Seniors (65+)'
+    );
+    assert.strictEqual(compare.formatCompareValue('verifiedDate', '2025-12-16'), 'Dec 16, 2025');
+    assert.strictEqual(compare.formatCompareValue('cost', null), null);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for src/lib/program-deadlines.js
+ *
+ * Tests application window status, annual roll-forward and countdown badges.
+ * Run with: node --test tests/unit/program-deadlines.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/program-deadlines.js')).href;
+
+// Noon Pacific on a given date
+const pacific = (date) => new Date(`${date}T12:00:00-07:00`);
+
+const OPEN_ENROLLMENT = {
+  opens: '2025-11-01',
+  closes: '2026-01-31',
+  recurring: 'annual',
+  note: 'Open enrollment',
+};
+
+let deadlines;
+
+before(async () => {
+  deadlines = await import(MODULE_PATH);
+});
+
+describe('Program Deadlines', () => {
+  describe('resolveWindow', () => {
+    it('should leave one-off windows unchanged', () => {
+      const window = deadlines.resolveWindow({ closes: '2025-03-01' }, '2026-10-19');
+      assert.deepStrictEqual(window, { opens: null, closes: '2025-03-01' });
+    });
+
+    it('should roll annual windows forward to the next occurrence', () => {
+      const window = deadlines.resolveWindow(OPEN_ENROLLMENT, '2026-10-19');
+      assert.deepStrictEqual(window, { opens: '2026-11-01', closes: '2027-01-31' });
+    });
+
+    it('should keep the current occurrence while a window spanning new year is open', () => {
+      const window = deadlines.resolveWindow(OPEN_ENROLLMENT, '2027-01-10');
+      assert.deepStrictEqual(window, { opens: '2026-11-01', closes: '2027-01-31' });
+    });
+
+    it('should roll annual windows recorded in the future back to the current one', () => {
+      const window = deadlines.resolveWindow(
+        { opens: '2030-11-01', closes: '2031-01-31', recurring: 'annual' },
+        '2026-12-01'
+      );
+      assert.deepStrictEqual(window, { opens: '2026-11-01', closes: '2027-01-31' });
+    });
+  });
+
+  describe('getDeadlineStatus', () => {
+    it('should report upcoming windows with days until opening', () => {
+      const status = deadlines.getDeadlineStatus(OPEN_ENROLLMENT, pacific('2026-10-19'));
+      assert.strictEqual(status.state, 'upcoming');
+      assert.strictEqual(status.daysUntilOpen, 13);
+    });
+
+    it('should report open windows with days until closing', () => {
+      const status = deadlines.getDeadlineStatus({ closes: '2026-10-25' }, pacific('2026-10-19'));
+      assert.strictEqual(status.state, 'open');
+      assert.strictEqual(status.daysUntilClose, 6);
+    });
+
+    it('should report expired one-off windows as closed', () => {
+      const status = deadlines.getDeadlineStatus({ closes: '2026-10-01' }, pacific('2026-10-19'));
+      assert.strictEqual(status.state, 'closed');
+    });
+
+    it('should still be open on the closing day', () => {
+      const status = deadlines.getDeadlineStatus({ closes: '2026-10-19' }, pacific('2026-10-19'));
+      assert.strictEqual(status.state, 'open');
+      assert.strictEqual(status.daysUntilClose, 0);
+    });
+  });
+
+  describe('getDeadlineBadge', () => {
+    const badgeFor = (deadline, date) =>
+      deadlines.getDeadlineBadge(deadlines.getDeadlineStatus(deadline, pacific(date)));
+
+    it('should count down the last days as urgent', () => {
+      assert.deepStrictEqual(badgeFor({ closes: '2026-10-25' }, '2026-10-19'), {
+        label: 'Closes in 6 days',
+        tone: 'urgent',
+      });
+      assert.strictEqual(badgeFor({ closes: '2026-10-19' }, '2026-10-19').label, 'Closes today');
+    });
+
+    it('should not show a badge when the deadline is far away', () => {
+      assert.strictEqual(badgeFor({ closes: '2027-06-01' }, '2026-10-19'), null);
+    });
+
+    it('should announce windows opening soon', () => {
+      assert.strictEqual(badgeFor(OPEN_ENROLLMENT, '2026-10-19').label, 'Opens in 13 days');
+    });
+  });
+
+  describe('getDeadlineThisMonth', () => {
+    it('should return the closing date when it falls this month', () => {
+      const date = deadlines.getDeadlineThisMonth({ closes: '2026-10-25' }, pacific('2026-10-19'));
+      assert.strictEqual(date, '2026-10-25');
+    });
+
+    it('should return the opening date for windows opening this month', () => {
+      const date = deadlines.getDeadlineThisMonth(OPEN_ENROLLMENT, pacific('2026-11-10'));
+      assert.strictEqual(date, '2026-11-01');
+      const upcoming = deadlines.getDeadlineThisMonth(
+        { opens: '2026-10-28', closes: '2026-12-15' },
+        pacific('2026-10-19')
+      );
+      assert.strictEqual(upcoming, '2026-10-28');
+    });
+
+    it('should skip closed windows', () => {
+      const date = deadlines.getDeadlineThisMonth({ closes: '2026-10-02' }, pacific('2026-10-19'));
+      assert.strictEqual(date, null);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for scripts/lib/program-duplicates.cjs
+ *
+ * Tests name/phone/URL/address normalization, name similarity, pair scoring,
+ * and merge suggestions for near-duplicate programs.
+ * Run with: node --test tests/unit/program-duplicates.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  normalizeName,
+  normalizePhone,
+  normalizeUrl,
+  normalizeAddress,
+  nameSimilarity,
+  scorePair,
+  features,
+  chooseCanonical,
+  diffFields,
+  findNearDuplicates,
+} = require(path.join(__dirname, '../../scripts/lib/program-duplicates.cjs'));
+
+function similarity(a, b) {
+  return nameSimilarity(normalizeName(a), normalizeName(b));
+}
+
+describe('Program Duplicates', () => {
+  it('should normalize names, phones, URLs and addresses', () => {
+    assert.strictEqual(
+      normalizeName('The Food Bank of Contra Costa & Solano'),
+      'food bank contra costa and solano'
+    );
+    assert.strictEqual(normalizePhone('(510) 555-0123'), '5105550123');
+    assert.strictEqual(normalizePhone('+1 510.555.0123'), '5105550123');
+    assert.strictEqual(normalizePhone('211'), null);
+    assert.deepStrictEqual(normalizeUrl('https://www.Example.org/Food/?ref=x'), {
+      host: 'example.org',
+      page: 'example.org/food',
+    });
+    assert.strictEqual(normalizeUrl('mailto:help@example.org'), null);
+    assert.strictEqual(
+      normalizeAddress('123 North Main Street, Suite 4, Oakland, CA'),
+      normalizeAddress('123 N Main St., Oakland CA')
+    );
+    assert.strictEqual(normalizeAddress('Various locations'), null);
+  });
+
+  it('should score reworded names and acronyms as similar', () => {
+    assert.ok(similarity('Food Bank of Contra Costa', 'Contra Costa Food Bank') >= 0.9);
+    assert.ok(similarity('Ecumenical Hunger Program', 'Ecumenical Hunger Programs') >= 0.9);
+    assert.strictEqual(similarity('ACCFB', 'Alameda County Community Food Bank'), 0.9);
+    assert.strictEqual(similarity('Tutoring Center', 'Tutoring Center'), 1);
+  });
+
+  it('should not match separate services or eligibility variants', () => {
+    assert.strictEqual(similarity('Joybound - Free Pet Food', 'Joybound - Spay/Neuter Clinic'), 0);
+    assert.strictEqual(
+      similarity(
+        'Marin Islands National Wildlife Refuge',
+        'San Pablo Bay National Wildlife Refuge'
+      ),
+      0
+    );
+    assert.strictEqual(similarity('Survivors Benefits', 'Survivors Benefits for Children'), 0);
+    assert.strictEqual(similarity('Golden Bear Pass', 'Senior Golden Bear Pass'), 0);
+  });
+
+  it('should score a pair on matching contact details and location', () => {
+    const a = features({
+      id: 'a',
+      name: 'Ecumenical Hunger Program',
+      phone: '650-323-7781',
+      link: 'https://www.ehpcares.org/',
+      address: '2411 Pulgas Avenue, East Palo Alto, CA',
+      latitude: 37.4614,
+      longitude: -122.1307,
+    });
+    const b = features({
+      id: 'b',
+      name: 'Ecumenical Hunger Programs',
+      phone: '(650) 323-7781',
+      website: 'https://ehpcares.org',
+      address: '2411 Pulgas Ave, East Palo Alto, CA',
+      latitude: 37.4615,
+      longitude: -122.1306,
+    });
+    const { score, reasons } = scorePair(a, b);
+    assert.strictEqual(score, 1);
+    assert.ok(reasons.includes('same phone'));
+    assert.ok(reasons.includes('same website'));
+    assert.ok(reasons.includes('same address'));
+
+    // Same phone number but a different name is another service
+    const sibling = features({ id: 'c', name: 'Senior Lunch Club', phone: '650-323-7781' });
+    assert.strictEqual(scorePair(a, sibling).score, 0);
+  });
+
+  it('should keep the more complete, then more recently verified record', () => {
+    const sparse = { id: 'b', name: 'X', phone: '1' };
+    const full = { id: 'a', name: 'X', phone: '1', address: '1 Main St' };
+    assert.strictEqual(chooseCanonical(sparse, full).keep, full);
+
+    const older = { id: 'a', name: 'X', verified_date: '2025-01-01' };
+    const newer = { id: 'b', name: 'X', verified_date: '2026-03-01' };
+    const choice = chooseCanonical(older, newer);
+    assert.strictEqual(choice.keep, newer);
+    assert.match(choice.why, /2026-03-01/);
+
+    assert.deepStrictEqual(
+      diffFields(
+        { id: 'a', name: 'X', groups: ['everyone'], sourceFile: 'food.yml' },
+        { id: 'b', name: 'X', groups: ['seniors'], hours: 'M-F', sourceFile: 'community.yml' }
+      ),
+      [
+        { field: 'groups', keep: ['everyone'], merge: ['seniors'] },
+        { field: 'hours', keep: undefined, merge: 'M-F' },
+      ]
+    );
+  });
+
+  it('should rank near-duplicates across files', () => {
+    const programs = [
+      {
+        id: 'ehp-food',
+        name: 'Ecumenical Hunger Program',
+        phone: '650-323-7781',
+        link: 'https://ehpcares.org',
+        sourceFile: 'food.yml',
+      },
+      {
+        id: 'ehp-community',
+        name: 'Ecumenical Hunger Program (EHP)',
+        phone: '650-323-7781',
+        link: 'https://ehpcares.org',
+        hours: 'M-F 9-5',
+        sourceFile: 'community.yml',
+      },
+      {
+        id: 'library',
+        name: 'East Palo Alto Library',
+        phone: '650-321-7712',
+        sourceFile: 'library.yml',
+      },
+    ];
+    const results = findNearDuplicates(programs);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].keep.id, 'ehp-community');
+    assert.strictEqual(results[0].merge.id, 'ehp-food');
+    assert.ok(results[0].diff.some((entry) => entry.field === 'hours'));
+
+    assert.strictEqual(findNearDuplicates(programs, { threshold: 1.01 }).length, 0);
+  });
+});
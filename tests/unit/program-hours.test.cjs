@@ -0,0 +1,126 @@
+/**
+ * Unit tests for src/lib/program-hours.js
+ *
+ * Tests open-now / open-today evaluation of structured program hours.
+ * Run with: node --test tests/unit/program-hours.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/program-hours.js')).href;
+
+const HOURS = {
+  timezone: 'America/Los_Angeles',
+  weekly: {
+    mon: ['09:00-17:00'],
+    tue: ['09:00-17:00'],
+    sat: ['10:00-12:00', '13:00-15:00'],
+  },
+  exceptions: [{ date: '2026-10-20', closed: true, note: 'Staff training' }],
+  closedOnHolidays: true,
+};
+
+// Monday 2026-10-19 in Pacific Daylight Time (UTC-7)
+const pacific = (date, time) => new Date(`${date}T${time}:00-07:00`);
+
+let hoursLib;
+
+before(async () => {
+  hoursLib = await import(MODULE_PATH);
+});
+
+describe('Program Hours', () => {
+  describe('parseTimeRange', () => {
+    it('should parse a valid range into minutes', () => {
+      assert.deepStrictEqual(hoursLib.parseTimeRange('09:30-17:00'), { start: 570, end: 1020 });
+    });
+
+    it('should allow ranges ending at midnight', () => {
+      assert.deepStrictEqual(hoursLib.parseTimeRange('18:00-24:00'), { start: 1080, end: 1440 });
+    });
+
+    it('should reject malformed or reversed ranges', () => {
+      assert.strictEqual(hoursLib.parseTimeRange('9-5'), null);
+      assert.strictEqual(hoursLib.parseTimeRange('17:00-09:00'), null);
+      assert.strictEqual(hoursLib.parseTimeRange('09:75-17:00'), null);
+    });
+  });
+
+  describe('getOpenStatus', () => {
+    it('should report open during weekly hours', () => {
+      const status = hoursLib.getOpenStatus(HOURS, pacific('2026-10-19', '10:15'));
+      assert.strictEqual(status.openNow, true);
+      assert.strictEqual(status.openToday, true);
+      assert.deepStrictEqual(status.current, { start: 540, end: 1020 });
+    });
+
+    it('should report open today but not now before opening', () => {
+      const status = hoursLib.getOpenStatus(HOURS, pacific('2026-10-19', '07:00'));
+      assert.strictEqual(status.openNow, false);
+      assert.strictEqual(status.openToday, true);
+      assert.deepStrictEqual(status.next, { start: 540, end: 1020 });
+    });
+
+    it('should report closed after the last range ends', () => {
+      const status = hoursLib.getOpenStatus(HOURS, pacific('2026-10-19', '17:00'));
+      assert.strictEqual(status.openNow, false);
+      assert.strictEqual(status.openToday, false);
+    });
+
+    it('should find the next range across a midday break', () => {
+      const status = hoursLib.getOpenStatus(HOURS, pacific('2026-10-24', '12:30'));
+      assert.strictEqual(status.openNow, false);
+      assert.deepStrictEqual(status.next, { start: 780, end: 900 });
+    });
+
+    it('should honor closed exceptions', () => {
+      const status = hoursLib.getOpenStatus(HOURS, pacific('2026-10-20', '10:00'));
+      assert.strictEqual(status.openNow, false);
+      assert.strictEqual(status.openToday, false);
+    });
+
+    it('should close on government holidays when flagged', () => {
+      const holidays = new Set(['2026-10-19']);
+      const status = hoursLib.getOpenStatus(HOURS, pacific('2026-10-19', '10:00'), holidays);
+      assert.strictEqual(status.openNow, false);
+    });
+
+    it('should evaluate in the program timezone, not UTC', () => {
+      // 16:30 UTC is 09:30 Pacific on a Monday
+      const status = hoursLib.getOpenStatus(HOURS, new Date('2026-10-19T16:30:00Z'));
+      assert.strictEqual(status.openNow, true);
+    });
+
+    it('should treat missing hours as unknown', () => {
+      const status = hoursLib.getOpenStatus(null);
+      assert.strictEqual(status.known, false);
+    });
+  });
+
+  describe('matchesHoursFilter', () => {
+    it('should pass everything when no filter is set', () => {
+      assert.strictEqual(hoursLib.matchesHoursFilter(null, 'all'), true);
+    });
+
+    it('should exclude programs without hours from open filters', () => {
+      assert.strictEqual(hoursLib.matchesHoursFilter(null, 'open-now'), false);
+    });
+
+    it('should distinguish open now from open today', () => {
+      const now = pacific('2026-10-19', '08:00');
+      assert.strictEqual(hoursLib.matchesHoursFilter(HOURS, 'open-now', new Set(), now), false);
+      assert.strictEqual(hoursLib.matchesHoursFilter(HOURS, 'open-today', new Set(), now), true);
+    });
+  });
+
+  describe('formatMinutes', () => {
+    it('should format whole and partial hours', () => {
+      assert.strictEqual(hoursLib.formatMinutes(540), '9am');
+      assert.strictEqual(hoursLib.formatMinutes(1050), '5:30pm');
+      assert.strictEqual(hoursLib.formatMinutes(720), '12pm');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for src/lib/program-languages.js
+ *
+ * Tests the directory language filter against program `languages` lists,
+ * including programs that don't list any, and when the filter applies.
+ * Run with: node --test tests/unit/program-languages.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/program-languages.js')).href;
+
+let languagesLib;
+
+before(async () => {
+  languagesLib = await import(MODULE_PATH);
+});
+
+describe('Program Languages', () => {
+  describe('matchesLanguageFilter', () => {
+    it('should match everything when no language is selected', () => {
+      assert.strictEqual(languagesLib.matchesLanguageFilter(['es'], 'all'), true);
+      assert.strictEqual(languagesLib.matchesLanguageFilter(['es'], ''), true);
+      assert.strictEqual(languagesLib.matchesLanguageFilter([], undefined), true);
+    });
+
+    it('should match programs that list the selected language', () => {
+      assert.strictEqual(languagesLib.matchesLanguageFilter(['en', 'vi'], 'vi'), true);
+      assert.strictEqual(languagesLib.matchesLanguageFilter(['en', 'zh-Hant'], 'zh-Hant'), true);
+    });
+
+    it('should hide programs that list other languages only', () => {
+      assert.strictEqual(languagesLib.matchesLanguageFilter(['en', 'es'], 'vi'), false);
+      assert.strictEqual(languagesLib.matchesLanguageFilter(['es'], 'en'), false);
+    });
+
+    it('should keep programs with no languages under every filter', () => {
+      // The filter defaults to the UI locale; unlisted programs must not vanish
+      for (const locale of ['en', 'es', 'zh-Hant', 'vi', 'fil']) {
+        assert.strictEqual(languagesLib.matchesLanguageFilter([], locale), true, locale);
+        assert.strictEqual(languagesLib.matchesLanguageFilter(undefined, locale), true, locale);
+      }
+    });
+  });
+
+  describe('isLanguageFilterActive', () => {
+    it('should not filter by a default English locale', () => {
+      // Programs tagged only with other languages would vanish with no chip shown
+      assert.strictEqual(languagesLib.isLanguageFilterActive('en', false), false);
+      assert.strictEqual(languagesLib.isLanguageFilterActive('en', true), true);
+    });
+
+    it('should filter by any other language, chosen or not', () => {
+      assert.strictEqual(languagesLib.isLanguageFilterActive('vi', false), true);
+      assert.strictEqual(languagesLib.isLanguageFilterActive('es', true), true);
+    });
+
+    it('should not filter when no language is selected', () => {
+      assert.strictEqual(languagesLib.isLanguageFilterActive('all', true), false);
+      assert.strictEqual(languagesLib.isLanguageFilterActive('', false), false);
+    });
+  });
+
+  describe('readCardLanguages', () => {
+    const card = (value) => ({
+      getAttribute: (name) => (name === 'data-languages' ? value : null),
+    });
+
+    it('should split the data-languages attribute', () => {
+      assert.deepStrictEqual(languagesLib.readCardLanguages(card('en,zh-Hant,vi')), [
+        'en',
+        'zh-Hant',
+        'vi',
+      ]);
+    });
+
+    it('should return no languages for a missing or empty attribute', () => {
+      assert.deepStrictEqual(languagesLib.readCardLanguages(card(null)), []);
+      assert.deepStrictEqual(languagesLib.readCardLanguages(card('')), []);
+    });
+  });
+
+  describe('getUiLocale', () => {
+    it('should fall back to English without localStorage', () => {
+      assert.strictEqual(languagesLib.getUiLocale(), 'en');
+    });
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Unit tests for azure-functions/shared/push-schedule.js and push-delivery.js
+ *
+ * Tests quiet-hour planning (every device gets a normal notification exactly
+ * once, after its quiet hours), critical alerts bypassing quiet hours, digest
+ * batching, scheduled sends, and the table-backed queue.
+ * Run with: node --test tests/unit/push-schedule.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  quietHourTags,
+  matchesTagExpression,
+} = require('../../azure-functions/shared/push-tags.js');
+const {
+  pacificHour,
+  planDelivery,
+  nextDigestTime,
+  buildDigestNotification,
+  createPushQueue,
+} = require('../../azure-functions/shared/push-schedule.js');
+const {
+  deliverNotification,
+  drainQueue,
+} = require('../../azure-functions/shared/push-delivery.js');
+
+// 2:30am Pacific (PDT) on a Wednesday
+const NIGHT = new Date('2026-07-15T09:30:00Z');
+const context = { log: Object.assign(() => {}, { error: () => {} }) };
+
+function createMemoryQueue() {
+  const items = [];
+  let nextId = 0;
+  return {
+    items,
+    async enqueue(item) {
+      items.push({ ...item, id: String(nextId++) });
+    },
+    async listDue(now) {
+      return items.filter((item) => item.sendAt <= now).sort((a, b) => a.sendAt - b.sendAt);
+    },
+    async remove(id) {
+      items.splice(
+        items.findIndex((item) => item.id === id),
+        1
+      );
+    },
+  };
+}
+
+function createSender() {
+  const sent = [];
+  const send = async (ctx, { notification, tagExpression, priority }) => {
+    sent.push({ notification, tagExpression, priority });
+    return { sent: [{ platform: 'web' }], failed: [] };
+  };
+  return { sent, send };
+}
+
+describe('Push Schedule', () => {
+  describe('quietHourTags', () => {
+    it('should tag each hour of a window that wraps past midnight', () => {
+      assert.deepStrictEqual(quietHourTags({ start: 22, end: 2 }), [
+        'quiet:22',
+        'quiet:23',
+        'quiet:0',
+        'quiet:1',
+      ]);
+    });
+
+    it('should cap long windows and ignore invalid ones', () => {
+      assert.strictEqual(quietHourTags({ start: 8, end: 7 }).length, 12);
+      assert.deepStrictEqual(quietHourTags({ start: 22, end: 24 }), []);
+      assert.deepStrictEqual(quietHourTags(null), []);
+    });
+  });
+
+  describe('planDelivery', () => {
+    it('should use Bay Area time', () => {
+      assert.strictEqual(pacificHour(NIGHT), 2);
+      assert.strictEqual(pacificHour(new Date('2026-01-15T10:30:00Z')), 2); // PST
+    });
+
+    it('should send critical alerts to everyone now', () => {
+      const sends = planDelivery({
+        tagExpression: 'alert:earthquake',
+        priority: 'critical',
+        now: NIGHT,
+      });
+      assert.deepStrictEqual(sends, [{ sendAt: NIGHT, tagExpression: 'alert:earthquake' }]);
+    });
+
+    it('should deliver to every device exactly once, at the end of its quiet hours', () => {
+      const sends = planDelivery({
+        tagExpression: 'alert:weather',
+        priority: 'normal',
+        now: NIGHT,
+      });
+      const windows = [null];
+      for (let start = 0; start < 24; start++) {
+        for (let end = 0; end < 24; end++) windows.push({ start, end });
+      }
+
+      for (const quietHours of windows) {
+        const tags = ['alert:weather', ...quietHourTags(quietHours)];
+        const received = sends.filter((send) => matchesTagExpression(send.tagExpression, tags));
+        assert.strictEqual(received.length, 1, JSON.stringify(quietHours));
+        const hour = pacificHour(received[0].sendAt);
+        assert.ok(!tags.includes(`quiet:${hour}`), JSON.stringify(quietHours));
+      }
+
+      const untargeted = ['alert:earthquake', 'quiet:2'];
+      assert.ok(!sends.some((send) => matchesTagExpression(send.tagExpression, untargeted)));
+    });
+
+    it('should send deferred copies on the hour', () => {
+      const [now, first] = planDelivery({ tagExpression: null, priority: 'normal', now: NIGHT });
+      assert.strictEqual(now.tagExpression, '!quiet:2');
+      assert.strictEqual(first.sendAt.toISOString(), '2026-07-15T10:00:00.000Z');
+      assert.strictEqual(first.tagExpression, 'quiet:2 && !quiet:3');
+    });
+
+    it('should reject targets too large to combine with quiet hours', () => {
+      assert.throws(
+        () =>
+          planDelivery({
+            tagExpression: 'alert:weather && county:marin && category:food && program:liheap',
+            priority: 'normal',
+            now: NIGHT,
+          }),
+        /limit is 6/
+      );
+    });
+  });
+
+  describe('digests', () => {
+    it('should go out at the next digest hour', () => {
+      assert.strictEqual(nextDigestTime(NIGHT, 9).toISOString(), '2026-07-15T16:00:00.000Z');
+      const afterDigest = new Date('2026-07-15T16:00:00Z');
+      assert.strictEqual(nextDigestTime(afterDigest, 9).toISOString(), '2026-07-16T16:00:00.000Z');
+    });
+
+    it('should summarize several notifications', () => {
+      const notifications = ['A', 'B', 'C', 'D', 'E'].map((title) => ({ title, body: '' }));
+      const digest = buildDigestNotification(notifications);
+      assert.strictEqual(digest.title, '5 updates from Bay Navigator');
+      assert.strictEqual(digest.body, 'A; B; C; and 2 more');
+      assert.strictEqual(buildDigestNotification(notifications.slice(0, 1)), notifications[0]);
+    });
+  });
+
+  describe('deliverNotification', () => {
+    const notification = { title: 'Flood warning', body: 'Marin County' };
+
+    it('should send critical alerts now without queueing', async () => {
+      const queue = createMemoryQueue();
+      const { sent, send } = createSender();
+      const delivery = await deliverNotification(
+        context,
+        { notification, tagExpression: 'alert:earthquake', priority: 'critical' },
+        { queue, send, now: NIGHT }
+      );
+      assert.strictEqual(delivery.deferred, 0);
+      assert.deepStrictEqual(
+        sent.map((s) => s.tagExpression),
+        ['alert:earthquake']
+      );
+      assert.strictEqual(queue.items.length, 0);
+    });
+
+    it('should hold normal notifications for quiet devices until the queue drains', async () => {
+      const queue = createMemoryQueue();
+      const { sent, send } = createSender();
+      await deliverNotification(
+        context,
+        { notification, tagExpression: 'alert:weather && county:marin' },
+        { queue, send, now: NIGHT }
+      );
+      assert.deepStrictEqual(
+        sent.map((s) => s.tagExpression),
+        ['alert:weather && county:marin && !quiet:2']
+      );
+      assert.strictEqual(queue.items.length, 12);
+
+      const sevenAm = new Date('2026-07-15T14:00:00Z');
+      const summary = await drainQueue(context, { queue, send, now: sevenAm });
+      assert.deepStrictEqual(summary, { sent: 5, failed: 0 });
+      assert.strictEqual(
+        sent[5].tagExpression,
+        'alert:weather && county:marin && quiet:2 && quiet:6 && !quiet:7'
+      );
+      assert.strictEqual(queue.items.length, 7);
+    });
+
+    it('should queue scheduled sends and plan them when due', async () => {
+      const queue = createMemoryQueue();
+      const { sent, send } = createSender();
+      const sendAt = new Date('2026-07-15T18:00:00Z');
+      const delivery = await deliverNotification(
+        context,
+        { notification, tagExpression: 'program:liheap', priority: 'critical', sendAt },
+        { queue, send, now: NIGHT }
+      );
+      assert.strictEqual(delivery.queuedFor, sendAt);
+      assert.strictEqual(sent.length, 0);
+
+      await drainQueue(context, { queue, send, now: sendAt });
+      assert.deepStrictEqual(
+        sent.map((s) => s.tagExpression),
+        ['program:liheap']
+      );
+      assert.strictEqual(queue.items.length, 0);
+    });
+
+    it('should batch digests for the same audience', async () => {
+      const queue = createMemoryQueue();
+      const { sent, send } = createSender();
+      for (const title of ['CalFresh deadline', 'New library hours']) {
+        await deliverNotification(
+          context,
+          {
+            notification: { title, body: '' },
+            tagExpression: 'alert:program-updates',
+            priority: 'digest',
+          },
+          { queue, send, now: NIGHT }
+        );
+      }
+      await deliverNotification(
+        context,
+        {
+          notification: { title: 'Other', body: '' },
+          tagExpression: 'county:napa',
+          priority: 'digest',
+        },
+        { queue, send, now: NIGHT }
+      );
+      assert.strictEqual(sent.length, 0);
+
+      await drainQueue(context, { queue, send, now: nextDigestTime(NIGHT) });
+      assert.strictEqual(sent.length, 2);
+      assert.strictEqual(sent[0].notification.title, '2 updates from Bay Navigator');
+      assert.strictEqual(sent[0].tagExpression, 'alert:program-updates && !quiet:9');
+      assert.strictEqual(sent[1].notification.title, 'Other');
+    });
+
+    it('should keep items queued when sending fails', async () => {
+      const queue = createMemoryQueue();
+      await queue.enqueue({
+        sendAt: NIGHT,
+        type: 'deferred',
+        priority: 'normal',
+        tagExpression: 'quiet:1 && !quiet:2',
+        notification,
+      });
+      const send = async () => {
+        throw new Error('hub unavailable');
+      };
+      const summary = await drainQueue(context, { queue, send, now: NIGHT });
+      assert.deepStrictEqual(summary, { sent: 0, failed: 1 });
+      assert.strictEqual(queue.items.length, 1);
+    });
+
+    it('should keep items queued when every platform rejects the send', async () => {
+      const queue = createMemoryQueue();
+      await queue.enqueue({
+        sendAt: NIGHT,
+        type: 'deferred',
+        priority: 'normal',
+        tagExpression: 'quiet:1 && !quiet:2',
+        notification,
+      });
+      await queue.enqueue({
+        sendAt: NIGHT,
+        type: 'scheduled',
+        priority: 'critical',
+        tagExpression: 'county:alameda',
+        notification,
+      });
+      // sendToPlatforms reports per-platform failures instead of throwing
+      const send = async () => ({ sent: [], failed: [{ platform: 'web', error: '410 Gone' }] });
+      const summary = await drainQueue(context, { queue, send, now: NIGHT });
+      assert.deepStrictEqual(summary, { sent: 0, failed: 2 });
+      assert.strictEqual(queue.items.length, 2);
+    });
+    it('should queue quiet-hours sends once when a scheduled send is retried', async () => {
+      const queue = createMemoryQueue();
+      await queue.enqueue({
+        sendAt: NIGHT,
+        type: 'scheduled',
+        priority: 'normal',
+        tagExpression: 'county:alameda',
+        notification,
+      });
+      let hubDown = true;
+      const { sent, send: deliver } = createSender();
+      const send = async (ctx, request) =>
+        hubDown
+          ? { sent: [], failed: [{ platform: 'web', error: '503 Service Unavailable' }] }
+          : deliver(ctx, request);
+
+      const first = await drainQueue(context, { queue, send, now: NIGHT });
+      assert.deepStrictEqual(first, { sent: 0, failed: 1 });
+      assert.deepStrictEqual(
+        queue.items.map((item) => item.type),
+        ['scheduled']
+      );
+
+      hubDown = false;
+      const retry = new Date(NIGHT.getTime() + 5 * 60 * 1000);
+      const second = await drainQueue(context, { queue, send, now: retry });
+      assert.deepStrictEqual(second, { sent: 1, failed: 0 });
+      assert.strictEqual(sent.length, 1);
+      assert.strictEqual(queue.items.length, 12);
+      assert.ok(queue.items.every((item) => item.type === 'deferred'));
+    });
+  });
+
+  describe('createPushQueue', () => {
+    it('should store sends in time order and list only due ones', async () => {
+      const entities = new Map();
+      const filters = [];
+      const tableClient = {
+        async createTable() {},
+        async createEntity(entity) {
+          entities.set(entity.rowKey, entity);
+        },
+        async *listEntities({ queryOptions }) {
+          filters.push(queryOptions.filter);
+          const bound = queryOptions.filter.match(/RowKey lt '([^']+)'/)[1];
+          for (const entity of entities.values()) {
+            if (entity.rowKey < bound) yield entity;
+          }
+        },
+        async deleteEntity(partitionKey, rowKey) {
+          entities.delete(rowKey);
+        },
+      };
+      const queue = createPushQueue(tableClient);
+
+      await queue.enqueue({
+        sendAt: new Date('2026-07-15T10:00:00Z'),
+        type: 'deferred',
+        priority: 'normal',
+        tagExpression: 'quiet:2 && !quiet:3',
+        notification: { title: 'T', body: 'B' },
+        platforms: ['web'],
+      });
+      await queue.enqueue({
+        sendAt: new Date('2026-07-15T11:00:00Z'),
+        type: 'digest',
+        priority: 'digest',
+        tagExpression: null,
+        notification: { title: 'Later', body: '' },
+      });
+
+      const due = await queue.listDue(new Date('2026-07-15T10:00:00Z'));
+      assert.strictEqual(due.length, 1);
+      assert.deepStrictEqual(due[0].platforms, ['web']);
+      assert.deepStrictEqual(due[0].notification, { title: 'T', body: 'B' });
+      assert.match(filters[0], /^PartitionKey eq 'pending'/);
+
+      await queue.remove(due[0].id);
+      const later = await queue.listDue(new Date('2026-07-16T00:00:00Z'));
+      assert.strictEqual(later.length, 1);
+      assert.strictEqual(later[0].tagExpression, null);
+    });
+  });
+});
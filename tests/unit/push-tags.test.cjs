@@ -0,0 +1,200 @@
+/**
+ * Unit tests for azure-functions/shared/push-tags.js
+ *
+ * Tests the push tag taxonomy (county, category, program and alert tags built
+ * from preferences and favorites) and tag expression parsing, including AND/NOT,
+ * Notification Hubs' tag limits, and how push-send requests resolve to an expression.
+ * Run with: node --test tests/unit/push-tags.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  countyTag,
+  isValidTag,
+  buildInstallationTags,
+  parseTagExpression,
+  buildTagExpression,
+  resolveTagExpression,
+  matchesTagExpression,
+  MAX_INSTALLATION_TAGS,
+} = require('../../azure-functions/shared/push-tags.js');
+
+describe('Push Tags', () => {
+  describe('tag builders', () => {
+    it('should slug county names with or without "County"', () => {
+      assert.strictEqual(countyTag('Marin County'), 'county:marin');
+      assert.strictEqual(countyTag('San Francisco'), 'county:san-francisco');
+      assert.strictEqual(countyTag(''), null);
+    });
+
+    it('should only accept known prefixes and hub-safe characters', () => {
+      assert.strictEqual(isValidTag('program:liheap'), true);
+      assert.strictEqual(isValidTag('county:san francisco'), false);
+      assert.strictEqual(isValidTag('color:blue'), false);
+      assert.strictEqual(isValidTag('alert:'), false);
+    });
+  });
+
+  describe('buildInstallationTags', () => {
+    it('should tag alert types, counties, categories and saved programs', () => {
+      const tags = buildInstallationTags({
+        platform: 'web',
+        preferences: {
+          weatherAlerts: true,
+          announcements: false,
+          missingPersons: true,
+          counties: ['Marin County'],
+          weatherCounties: ['Marin County', 'Sonoma County'],
+          categories: ['utilities'],
+        },
+        favorites: ['liheap', 'calfresh'],
+      });
+      assert.deepStrictEqual(tags, [
+        'platform:web',
+        'alert:weather',
+        'alert:missing-persons',
+        'county:marin',
+        'county:sonoma',
+        'category:utilities',
+        'program:liheap',
+        'program:calfresh',
+      ]);
+    });
+
+    it('should skip saved programs when saved program updates are off', () => {
+      const tags = buildInstallationTags({
+        platform: 'ios',
+        preferences: { savedProgramUpdates: false },
+        favorites: ['liheap'],
+      });
+      assert.deepStrictEqual(tags, ['platform:ios']);
+    });
+
+    it('should drop invalid client tags', () => {
+      const tags = buildInstallationTags({
+        platform: 'web',
+        tags: ['county:napa', 'not a tag', 'admin:true'],
+      });
+      assert.deepStrictEqual(tags, ['platform:web', 'county:napa']);
+    });
+
+    it('should keep the most recent favorites within the tag limit', () => {
+      const favorites = Array.from({ length: 100 }, (_, i) => `program-${i}`);
+      const tags = buildInstallationTags({ platform: 'web', favorites });
+      assert.strictEqual(tags.length, MAX_INSTALLATION_TAGS);
+      assert.ok(tags.includes('program:program-0'));
+      assert.ok(!tags.includes('program:program-99'));
+    });
+  });
+
+  describe('parseTagExpression', () => {
+    it('should normalize word operators and keep grouping', () => {
+      const { expression, tags } = parseTagExpression(
+        'alert:weather AND (county:marin OR county:sonoma) AND NOT platform:ios'
+      );
+      assert.strictEqual(
+        expression,
+        'alert:weather && (county:marin || county:sonoma) && !platform:ios'
+      );
+      assert.deepStrictEqual(tags, [
+        'alert:weather',
+        'county:marin',
+        'county:sonoma',
+        'platform:ios',
+      ]);
+    });
+
+    it('should reject malformed expressions and unknown tags', () => {
+      assert.throws(() => parseTagExpression(''), /empty/);
+      assert.throws(() => parseTagExpression('alert:weather &&'), /expected a tag/);
+      assert.throws(() => parseTagExpression('(county:marin'), /missing "\)"/);
+      assert.throws(() => parseTagExpression('county:marin county:napa'), /near "county:napa"/);
+      assert.throws(() => parseTagExpression('county:marin; drop'), /near/);
+      assert.throws(() => parseTagExpression('weather'), /Unknown tag "weather"/);
+    });
+
+    it('should accept tags from before the taxonomy', () => {
+      const { expression } = parseTagExpression('alert:missing-persons || missing-persons:enabled');
+      assert.strictEqual(expression, 'alert:missing-persons || missing-persons:enabled');
+    });
+
+    it('should enforce Notification Hubs tag limits', () => {
+      const counties = Array.from({ length: 20 }, (_, i) => `county:c${i}`);
+      assert.doesNotThrow(() => parseTagExpression(counties.join(' || ')));
+      assert.throws(
+        () => parseTagExpression([...counties, 'county:x'].join(' || ')),
+        /limit is 20/
+      );
+
+      const sixTags = `alert:weather && (${counties.slice(0, 5).join(' || ')})`;
+      assert.doesNotThrow(() => parseTagExpression(sixTags));
+      assert.throws(
+        () => parseTagExpression(`${sixTags} && !platform:ios`),
+        /limit is 6 when using AND or NOT/
+      );
+    });
+  });
+
+  describe('matchesTagExpression', () => {
+    const marinDevice = ['platform:web', 'alert:weather', 'county:marin', 'program:liheap'];
+    const napaDevice = ['platform:web', 'alert:weather', 'county:napa', 'program:liheap'];
+
+    it('should target flood warnings to one county', () => {
+      const expression = 'alert:weather && county:marin';
+      assert.strictEqual(matchesTagExpression(expression, marinDevice), true);
+      assert.strictEqual(matchesTagExpression(expression, napaDevice), false);
+    });
+
+    it('should exclude devices with NOT', () => {
+      const expression = 'program:liheap && !county:napa';
+      assert.strictEqual(matchesTagExpression(expression, marinDevice), true);
+      assert.strictEqual(matchesTagExpression(expression, napaDevice), false);
+    });
+
+    it('should match expressions built from an audience', () => {
+      const expression = buildTagExpression({
+        all: ['alert:weather'],
+        any: ['county:marin', 'county:sonoma'],
+        none: ['platform:ios'],
+      });
+      assert.strictEqual(
+        expression,
+        'alert:weather && (county:marin || county:sonoma) && !platform:ios'
+      );
+      assert.strictEqual(matchesTagExpression(expression, marinDevice), true);
+      assert.strictEqual(matchesTagExpression(expression, napaDevice), false);
+    });
+  });
+
+  describe('resolveTagExpression', () => {
+    it('should prefer tagExpression, then audience, then tags', () => {
+      assert.strictEqual(
+        resolveTagExpression({
+          tagExpression: 'alert:weather AND county:marin',
+          tags: ['county:napa'],
+        }),
+        'alert:weather && county:marin'
+      );
+      assert.strictEqual(
+        resolveTagExpression({ audience: { all: ['program:liheap'], none: ['county:napa'] } }),
+        'program:liheap && !county:napa'
+      );
+      assert.strictEqual(
+        resolveTagExpression({ tags: ['county:marin', 'county:sonoma'] }),
+        'county:marin || county:sonoma'
+      );
+    });
+
+    it('should send to everyone without targeting', () => {
+      assert.strictEqual(resolveTagExpression({}), null);
+      assert.strictEqual(resolveTagExpression({ tagExpression: '  ', tags: [] }), null);
+    });
+
+    it('should throw for invalid targeting', () => {
+      assert.throws(() => resolveTagExpression({ tagExpression: 'alert:weather &&' }));
+      assert.throws(() => resolveTagExpression({ tags: ['bad tag'] }));
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Unit tests for src/lib/representative-letters.js
+ *
+ * Tests turning congress-lookup responses into officials, the letters and
+ * call scripts written from the UI strings, and the printable packet.
+ * Run with: node --test tests/unit/representative-letters.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_PATH = pathToFileURL(
+  path.join(__dirname, '../../src/lib/representative-letters.js')
+).href;
+const UI_STRINGS_PATH = pathToFileURL(path.join(__dirname, '../../src/lib/ui-strings.js')).href;
+const STRINGS = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/i18n/en.json'), 'utf8'));
+
+let letters;
+let uiStrings;
+
+before(async () => {
+  letters = await import(MODULE_PATH);
+  uiStrings = await import(UI_STRINGS_PATH);
+});
+
+const LOOKUPS = {
+  senate: {
+    members: [
+      {
+        name: 'Pat Senator',
+        officialWebsite: 'https://senator.example.gov',
+        addressInformation: {
+          officeAddress: '1 Senate Office Building',
+          city: 'Washington',
+          district: 'DC',
+          zipCode: 20510,
+          phoneNumber: '(555) 555-0101',
+        },
+      },
+    ],
+  },
+  house: { district: '12', members: [{ name: 'Sam House', district: 12 }] },
+  assembly: {
+    district: '18',
+    name: 'Assemblymember Alex Example',
+    officialWebsite: 'https://a18.example.gov',
+  },
+  stateSenate: { district: '7', name: 'Senator Jo Example' },
+  county: {
+    county: 'Alameda County',
+    district: 3,
+    name: 'Lee Supervisor',
+    phone: '(555) 555-0103',
+    website: 'https://bos.example.gov/d3',
+  },
+  city: {
+    city: 'Oakland',
+    website: 'https://oakland.example.gov/council',
+    members: [
+      { seat: 'Mayor', seatNumber: null, name: 'Morgan Mayor' },
+      { seat: 'District 2', seatNumber: 2, name: 'Casey Council', phone: '(555) 555-0102' },
+      { seat: 'At-Large', seatNumber: 'at-large', name: 'Robin Atlarge' },
+    ],
+  },
+};
+
+const REQUEST = {
+  issue: 'housing',
+  senderName: 'Taylor Tenant',
+  place: 'Oakland',
+  message: 'My rent went up 12% this year.',
+};
+
+describe('Representative Letters', () => {
+  it('should collect officials from federal to city', () => {
+    const officials = letters.collectOfficials(LOOKUPS);
+    assert.deepStrictEqual(
+      officials.map((o) => [o.office, o.name, o.district]),
+      [
+        ['usSenator', 'Pat Senator', null],
+        ['usRepresentative', 'Sam House', 12],
+        ['assemblymember', 'Alex Example', 18],
+        ['stateSenator', 'Jo Example', 7],
+        ['supervisor', 'Lee Supervisor', 3],
+        ['mayor', 'Morgan Mayor', null],
+        ['councilmember', 'Casey Council', 2],
+        ['councilmember', 'Robin Atlarge', null],
+      ]
+    );
+    assert.strictEqual(officials[0].address, '1 Senate Office Building\nWashington, DC 20510');
+    assert.strictEqual(officials[0].phone, '(555) 555-0101');
+    // Council members without their own page get the council's
+    assert.strictEqual(officials[5].website, 'https://oakland.example.gov/council');
+    assert.strictEqual(new Set(officials.map((o) => o.id)).size, officials.length);
+  });
+
+  it('should skip lookups that are missing', () => {
+    const officials = letters.collectOfficials({ county: LOOKUPS.county });
+    assert.deepStrictEqual(
+      officials.map((o) => o.office),
+      ['supervisor']
+    );
+  });
+
+  it('should title offices with their district and jurisdiction', () => {
+    const [senator, , , , supervisor, mayor, council] = letters.collectOfficials(LOOKUPS);
+    assert.strictEqual(letters.officeTitle(senator, STRINGS), 'U.S. Senator');
+    assert.strictEqual(
+      letters.officeTitle(supervisor, STRINGS),
+      'County Supervisor, District 3 (Alameda County)'
+    );
+    assert.strictEqual(letters.officeTitle(mayor, STRINGS), 'Mayor (Oakland)');
+    assert.strictEqual(
+      letters.officeTitle(council, STRINGS),
+      'Councilmember, District 2 (Oakland)'
+    );
+  });
+
+  it('should write a letter with the issue, the user message and the office address', () => {
+    const [senator] = letters.collectOfficials(LOOKUPS);
+    const letter = letters.buildLetter(senator, REQUEST, STRINGS);
+    assert.strictEqual(letter.subject, 'Please protect tenants and affordable housing in Oakland');
+    const paragraphs = letter.body.split('\n\n');
+    assert.strictEqual(
+      paragraphs[0],
+      'Pat Senator\n1 Senate Office Building\nWashington, DC 20510'
+    );
+    assert.strictEqual(paragraphs[1], 'Dear Senator Pat Senator,');
+    assert.match(paragraphs[2], /^My name is Taylor Tenant, and I live in Oakland/);
+    assert.strictEqual(paragraphs[3], 'My rent went up 12% this year.');
+    assert.match(
+      paragraphs[paragraphs.length - 1],
+      /^Sincerely,\nTaylor Tenant\n\[Your address\]$/
+    );
+  });
+
+  it('should leave placeholders for a blank packet', () => {
+    const [, , assemblymember] = letters.collectOfficials(LOOKUPS);
+    const letter = letters.buildLetter(assemblymember, { issue: 'transit' }, STRINGS);
+    assert.match(letter.body, /^Dear Assemblymember Alex Example,/);
+    assert.match(letter.body, /My name is \[Your name\], and I live in \[your city\]/);
+    assert.ok(!letter.body.includes('{'));
+
+    const script = letters.buildCallScript(assemblymember, { issue: 'benefits' }, STRINGS);
+    assert.match(script, /^Hello, my name is \[Your name\]/);
+    assert.match(script, /oppose cuts to these programs/);
+    assert.match(script, /where Assemblymember Alex Example stands/);
+  });
+
+  it('should use the locale strings it is given', () => {
+    const strings = {
+      representatives: {
+        salutations: { mayor: 'Alcalde' },
+        issues: { housing: { subject: 'Vivienda en {place}', reason: 'R', ask: 'A' } },
+        template: { greeting: 'Estimado/a {salutation} {name}:' },
+      },
+    };
+    const mayor = letters.collectOfficials(LOOKUPS)[5];
+    const letter = letters.buildLetter(mayor, REQUEST, strings);
+    assert.strictEqual(letter.subject, 'Vivienda en Oakland');
+    assert.match(letter.body, /^Estimado\/a Alcalde Morgan Mayor:/);
+    assert.strictEqual(
+      uiStrings.translate(strings, 'representatives.missing'),
+      'representatives.missing'
+    );
+  });
+
+  it('should fall back to English for keys not translated yet', () => {
+    const merged = uiStrings.mergeStrings(STRINGS, {
+      representatives: { salutations: { mayor: 'Alcalde' } },
+    });
+    assert.strictEqual(merged.representatives.salutations.mayor, 'Alcalde');
+    assert.strictEqual(merged.representatives.salutations.supervisor, 'Supervisor');
+    assert.strictEqual(merged.representatives.template.signoff, 'Sincerely,');
+    assert.strictEqual(uiStrings.mergeStrings(STRINGS, null), STRINGS);
+  });
+
+  it('should build a mailto link and an escaped packet', () => {
+    const officials = letters.collectOfficials(LOOKUPS);
+    const letter = letters.buildLetter(officials[0], REQUEST, STRINGS);
+    assert.match(letters.mailtoLink(letter), /^mailto:\?subject=Please%20protect/);
+
+    const html = letters.buildPacketHtml(
+      officials,
+      { ...REQUEST, senderName: '<b>Taylor</b>' },
+      STRINGS,
+      { locale: 'ar', generated: new Date('2026-10-19T12:00:00Z') }
+    );
+    assert.match(html, /<html lang="ar" dir="rtl">/);
+    assert.match(html, /<title>Letters and call scripts: Housing and tenant protections<\/title>/);
+    assert.strictEqual((html.match(/<section class="official">/g) || []).length, 8);
+    assert.ok(html.includes('&lt;b&gt;Taylor&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>Taylor</b>'));
+    assert.match(html, /on 2026-10-19/);
+  });
+
+  it('should look up every representative and keep going when one lookup fails', async () => {
+    const requested = [];
+    const responses = {
+      geocode: {
+        congressDistrict: '12',
+        assemblyDistrict: '18',
+        senateDistrict: '7',
+        countyFips: '06001',
+        placeGeoid: '0653000',
+        placeName: 'Oakland',
+        coordinates: { x: -122.27, y: 37.8 },
+      },
+      house: LOOKUPS.house,
+      senate: { error: 'Congress API key not configured' },
+      'state-assembly': LOOKUPS.assembly,
+      'state-senate': LOOKUPS.stateSenate,
+      'county-supervisor': LOOKUPS.county,
+      'city-council': LOOKUPS.city,
+    };
+    const fetchFn = async (url) => {
+      requested.push(url);
+      const type = new URL(url).searchParams.get('type');
+      const body = responses[type];
+      return { ok: !body.error, status: body.error ? 500 : 200, json: async () => body };
+    };
+
+    const result = await letters.lookupRepresentatives(
+      { street: '1 Frank H Ogawa Plaza', city: 'Oakland', zip: '94612' },
+      { fetchFn, baseUrl: 'https://example.org/api/congress-lookup' }
+    );
+    assert.deepStrictEqual(result.unavailable, ['senate']);
+    assert.strictEqual(result.officials.length, 7);
+    assert.strictEqual(result.location.placeName, 'Oakland');
+    assert.ok(
+      requested.some((url) => url.includes('type=county-supervisor&county=06001&x=-122.27'))
+    );
+
+    await assert.rejects(
+      letters.lookupRepresentatives(
+        { street: 'x', city: 'y', zip: '00000' },
+        {
+          fetchFn: async () => ({ ok: true, json: async () => ({ error: 'Address not found.' }) }),
+        }
+      ),
+      /Address not found/
+    );
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Unit tests for scripts/lib/representatives.cjs and
+ * azure-functions/shared/representatives.js
+ *
+ * Tests term and verification checks, council diffs against Cicero/scraper
+ * output, and the congress-lookup loader's view of the data files.
+ * Run with: node --test tests/unit/representatives.test.cjs
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const {
+  findTermIssues,
+  normalizeName,
+  diffCouncils,
+  formatCouncilDiff,
+  functionDataIsCurrent,
+  loadRepresentatives: loadRepresentativeYaml,
+} = require(path.join(__dirname, '../../scripts/lib/representatives.cjs'));
+const { toCityCouncils, toCountySupervisors, loadRepresentatives, getAttribute } = require(
+  path.join(__dirname, '../../azure-functions/shared/representatives.js')
+);
+
+const ROOT = path.join(__dirname, '../..');
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function councils(members, overrides = {}) {
+  return {
+    source: 'City websites',
+    last_verified: '2026-09-01',
+    cities: {
+      '0600000': {
+        name: 'Exampleville',
+        county: 'Alameda',
+        type: 'district',
+        website: 'https://example.org/council',
+        members,
+        ...overrides,
+      },
+    },
+  };
+}
+
+const SUPERVISORS = {
+  source: 'County websites',
+  last_verified: '2026-09-01',
+  counties: {
+    example: {
+      name: 'Example County',
+      fips: '06999',
+      districts: 1,
+      website: 'https://example.org/bos',
+      arcgis_url: 'https://example.org/arcgis/FeatureServer/0',
+      district_field: 'DISTRICT',
+      district_mapping: { 701: 1 },
+      supervisors: { 1: { name: 'Pat Example', term_end: '2029-01-05' } },
+    },
+  },
+};
+
+describe('Representative terms', () => {
+  it('should fail when a seated member has an ended term', () => {
+    const { errors } = findTermIssues(
+      {
+        cityCouncils: councils({
+          mayor: { name: 'Alex Former', term_start: '2022-12-06', term_end: '2026-10-01' },
+          1: { name: 'Sam Current', term_end: '2028-12-05' },
+        }),
+        countySupervisors: SUPERVISORS,
+      },
+      NOW
+    );
+    assert.deepStrictEqual(errors, [
+      'city-councils.yml Exampleville Mayor (Alex Former): term ended 2026-10-01; update or remove this member',
+    ]);
+  });
+
+  it('should warn about terms ending soon, stale entries and missing terms', () => {
+    const { errors, warnings } = findTermIssues(
+      {
+        cityCouncils: councils(
+          { 2: { name: 'Jo Soon', term_end: '2026-12-01' }, 3: { name: 'Lee Unknown' } },
+          { last_verified: '2026-01-02' }
+        ),
+        countySupervisors: SUPERVISORS,
+      },
+      NOW
+    );
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(warnings, [
+      'city-councils.yml Exampleville District 2 (Jo Soon): term ends 2026-12-01',
+      'city-councils.yml: 1 entries not verified in the last 180 days (Exampleville)',
+      'city-councils.yml: 1 member(s) have no term_end',
+    ]);
+  });
+
+  it('should reject a term that ends before it starts', () => {
+    const { errors } = findTermIssues(
+      {
+        cityCouncils: councils({
+          1: { name: 'Kim Typo', term_start: '2028-12-05', term_end: '2027-12-05' },
+        }),
+        countySupervisors: SUPERVISORS,
+      },
+      NOW
+    );
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /term_start 2028-12-05 is after term_end 2027-12-05/);
+  });
+});
+
+describe('Council diffs', () => {
+  const ours = councils({
+    mayor: { name: 'Caroline Bañuelos' },
+    1: { name: 'Sam Current' },
+    2: { name: 'Jo Leaving' },
+  });
+
+  it('should list members only one side has, ignoring accents and titles', () => {
+    const diff = diffCouncils(ours, {
+      cities: {
+        'City of Exampleville': {
+          members: [
+            { name: 'Caroline Banuelos', title: 'Mayor' },
+            { name: 'Hon. Sam Current', title: 'Council Member' },
+            { name: 'Ray Newcomer', title: 'Council Member' },
+          ],
+        },
+        Otherton: { members: [{ name: 'Someone Else' }] },
+      },
+    });
+    assert.deepStrictEqual(diff, {
+      changed: [
+        {
+          geoid: '0600000',
+          city: 'Exampleville',
+          added: ['Ray Newcomer'],
+          removed: ['Jo Leaving'],
+        },
+      ],
+      unchanged: 0,
+      notInSource: [],
+      notInData: ['Otherton'],
+    });
+    assert.deepStrictEqual(formatCouncilDiff(diff).slice(2), [
+      '\nExampleville (0600000)',
+      '  + Ray Newcomer',
+      '  - Jo Leaving',
+      '\nIn source but not city-councils.yml: Otherton',
+    ]);
+  });
+
+  it('should read scraper output and skip cities the source found no one for', () => {
+    const scraped = diffCouncils(ours, {
+      cities: {
+        Exampleville: {
+          officials: [
+            { name: 'Caroline Bañuelos' },
+            { name: 'Sam Current' },
+            { name: 'Jo Leaving' },
+          ],
+          source: 'CivicPlus',
+        },
+      },
+    });
+    assert.strictEqual(scraped.unchanged, 1);
+    assert.deepStrictEqual(scraped.changed, []);
+
+    const empty = diffCouncils(ours, { cities: { Exampleville: { members: [] } } });
+    assert.deepStrictEqual(empty.notInSource, ['Exampleville']);
+    assert.deepStrictEqual(empty.changed, []);
+  });
+
+  it('should normalize names for matching', () => {
+    assert.strictEqual(normalizeName('  Dr. José  García-López '), 'jose garcia lopez');
+    assert.strictEqual(normalizeName('Town of Los Gatos'), 'los gatos');
+  });
+});
+
+describe('congress-lookup loader', () => {
+  it('should convert the YAML into the lookup shape', () => {
+    const cities = toCityCouncils(
+      councils(
+        { mayor: { name: 'Sam Current', photo_url: 'https://example.org/sam.jpg' } },
+        {
+          arcgis: {
+            url: 'https://example.org/arcgis/0',
+            district_field: 'DIST',
+            name_field: 'NAME',
+          },
+        }
+      )
+    );
+    assert.deepStrictEqual(cities['0600000'].arcgis, {
+      url: 'https://example.org/arcgis/0',
+      districtField: 'DIST',
+      districtMapping: null,
+      nameField: 'NAME',
+      phoneField: null,
+      websiteField: null,
+    });
+    assert.strictEqual(cities['0600000'].members.mayor.photoUrl, 'https://example.org/sam.jpg');
+    assert.strictEqual(cities['0600000'].lastVerified, '2026-09-01');
+
+    const counties = toCountySupervisors(SUPERVISORS);
+    assert.strictEqual(counties['06999'].districtField, 'DISTRICT');
+    assert.strictEqual(counties['06999'].districtMapping[701], 1);
+    assert.strictEqual(counties['06999'].supervisors[1].termEnd, '2029-01-05');
+  });
+
+  it('should read ArcGIS attributes regardless of case', () => {
+    const attrs = { District: 3, SUPERVISOR: 'Pat Example' };
+    assert.strictEqual(getAttribute(attrs, 'District'), 3);
+    assert.strictEqual(getAttribute(attrs, 'DISTRICT'), 3);
+    assert.strictEqual(getAttribute(attrs, 'supervisor'), 'Pat Example');
+    assert.strictEqual(getAttribute(attrs, 'missing'), undefined);
+    assert.strictEqual(getAttribute(attrs, null), undefined);
+  });
+
+  it('should load the committed data files, which match their schemas', () => {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    for (const name of ['city-councils', 'county-supervisors']) {
+      const schema = JSON.parse(
+        fs.readFileSync(path.join(ROOT, 'schemas', `${name}-yaml.schema.json`), 'utf8')
+      );
+      const data = yaml.load(fs.readFileSync(path.join(ROOT, 'src/data', `${name}.yml`), 'utf8'));
+      const validate = ajv.compile(schema);
+      assert.ok(validate(data), `${name}.yml: ${ajv.errorsText(validate.errors)}`);
+    }
+
+    // The function reads the bundled copy, which must match the YAML
+    assert.ok(
+      functionDataIsCurrent(loadRepresentativeYaml()),
+      'azure-functions/shared/data/representatives.json is out of date; run node scripts/bundle-representatives.cjs'
+    );
+    const { cityCouncils, countySupervisors } = loadRepresentatives();
+    assert.strictEqual(cityCouncils['0653000'].name, 'Oakland');
+    assert.strictEqual(cityCouncils['0653000'].arcgis.districtMapping[111], 1);
+    assert.strictEqual(countySupervisors['06075'].name, 'San Francisco');
+  });
+});
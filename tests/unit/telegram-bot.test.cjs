@@ -0,0 +1,205 @@
+/**
+ * Unit tests for the Telegram bot's conversation store and program retrieval
+ *
+ * Tests TTL expiry, /forget, file persistence across restarts, and ranking
+ * of programs from the offline search index.
+ * Run with: node --test tests/unit/telegram-bot.test.cjs
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConversationStore } = require('../../telegram-bot/conversation-store.cjs');
+const { createProgramRetriever } = require('../../telegram-bot/program-retrieval.cjs');
+
+const HOUR = 60 * 60 * 1000;
+
+// Field bits: name=1, keywords=2, category=4, area=8, description=16
+const INDEX = {
+  format: 1,
+  version: 'test',
+  fields: ['name', 'keywords', 'category', 'area', 'description'],
+  weights: [4, 3, 2, 1, 1],
+  docs: ['calfresh', 'alameda-food-bank', 'section-8'],
+  terms: {
+    alameda: [1, 1 | 8],
+    apply: [0, 16, 2, 16],
+    bank: [1, 1],
+    calfresh: [0, 1],
+    food: [0, 2, 1, 1 | 4],
+    housing: [2, 4],
+  },
+};
+
+const PROGRAMS = [
+  { id: 'calfresh', name: 'CalFresh', description: 'Monthly money for groceries' },
+  { id: 'alameda-food-bank', name: 'Alameda County Food Bank', areas: ['Alameda County'] },
+  { id: 'section-8', name: 'Section 8 Housing Choice Voucher' },
+];
+
+function createFetch(files) {
+  const requested = [];
+  const fetchFn = async (url) => {
+    requested.push(url);
+    const body = files[url.slice('https://example.test/api/'.length)];
+    return { ok: body !== undefined, status: body ? 200 : 404, json: async () => body };
+  };
+  return { fetchFn, requested };
+}
+
+describe('Telegram bot', () => {
+  describe('createConversationStore', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+      clock = Date.UTC(2026, 9, 19);
+    });
+
+    it('should keep the most recent messages per user', async () => {
+      const store = createConversationStore({ maxMessages: 3, now });
+      await store.append(1, { role: 'user', content: 'a' }, { role: 'assistant', content: 'b' });
+      await store.append(1, { role: 'user', content: 'c' }, { role: 'assistant', content: 'd' });
+
+      const history = await store.getHistory(1);
+      assert.deepStrictEqual(
+        history.map((m) => m.content),
+        ['b', 'c', 'd']
+      );
+      assert.deepStrictEqual(await store.getHistory(2), []);
+    });
+
+    it('should expire conversations idle longer than the TTL', async () => {
+      const store = createConversationStore({ ttlMs: HOUR, now });
+      await store.append(1, { role: 'user', content: 'hello' });
+      await store.append(2, { role: 'user', content: 'hi' });
+
+      clock += HOUR / 2;
+      await store.append(2, { role: 'user', content: 'still here' });
+      clock += HOUR / 2 + 1;
+
+      assert.deepStrictEqual(await store.getHistory(1), []);
+      assert.strictEqual((await store.getHistory(2)).length, 2);
+      assert.strictEqual(await store.prune(), 0);
+    });
+
+    it('should forget a conversation on request', async () => {
+      const store = createConversationStore({ now });
+      await store.append(1, { role: 'user', content: 'hello' });
+      await store.forget(1);
+      assert.deepStrictEqual(await store.getHistory(1), []);
+    });
+
+    it('should reject unknown store types and missing paths', () => {
+      assert.throws(() => createConversationStore({ type: 'redis', path: 'x' }), /unknown type/);
+      assert.throws(() => createConversationStore({ type: 'file' }), /path is required/);
+    });
+
+    describe('file store', () => {
+      let dir;
+
+      beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-store-test-'));
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('should persist conversations across restarts', async () => {
+        const file = path.join(dir, 'nested', 'conversations.json');
+        const first = createConversationStore({ type: 'file', path: file, now });
+        await first.append(42, { role: 'user', content: 'food help' });
+        await first.close();
+
+        const second = createConversationStore({ type: 'file', path: file, now });
+        assert.deepStrictEqual(await second.getHistory(42), [
+          { role: 'user', content: 'food help' },
+        ]);
+
+        await second.forget(42);
+        const third = createConversationStore({ type: 'file', path: file, now });
+        assert.deepStrictEqual(await third.getHistory(42), []);
+      });
+
+      it('should prune expired conversations from disk', async () => {
+        const file = path.join(dir, 'conversations.json');
+        const store = createConversationStore({ type: 'file', path: file, ttlMs: HOUR, now });
+        await store.append(1, { role: 'user', content: 'old' });
+        clock += 2 * HOUR;
+        await store.append(2, { role: 'user', content: 'new' });
+
+        assert.strictEqual(await store.prune(), 1);
+        assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['2']);
+      });
+    });
+  });
+
+  describe('createProgramRetriever', () => {
+    const files = { 'search-inverted-index.json': INDEX, 'programs.json': { programs: PROGRAMS } };
+
+    it('should rank programs matching rarer query words first', async () => {
+      const { fetchFn } = createFetch(files);
+      const retriever = createProgramRetriever({ apiUrl: 'https://example.test/api', fetchFn });
+
+      const results = await retriever.search('How do I apply for CalFresh food help?');
+      assert.deepStrictEqual(
+        results.map((p) => p.id),
+        ['calfresh', 'alameda-food-bank', 'section-8']
+      );
+    });
+
+    it('should load the index once and link programs into the directory', async () => {
+      const { fetchFn, requested } = createFetch(files);
+      const retriever = createProgramRetriever({
+        apiUrl: 'https://example.test/api',
+        siteUrl: 'https://example.test',
+        fetchFn,
+      });
+
+      const [results] = await Promise.all([retriever.search('housing'), retriever.search('bank')]);
+      assert.strictEqual(requested.length, 2);
+
+      const context = retriever.formatContext(results);
+      assert.match(context, /\[1\] Section 8 Housing Choice Voucher/);
+      assert.match(context, /https:\/\/example\.test\/directory\?program=section-8\n/);
+    });
+
+    it('should find the retrieved programs a reply mentions', async () => {
+      const retriever = createProgramRetriever({ fetchFn: createFetch(files).fetchFn });
+      const cited = retriever.findCitedPrograms('Try calfresh first.', PROGRAMS);
+      assert.deepStrictEqual(
+        cited.map((p) => p.id),
+        ['calfresh']
+      );
+    });
+
+    it('should find the retrieved programs a reply links to', async () => {
+      const retriever = createProgramRetriever({
+        siteUrl: 'https://example.test',
+        fetchFn: createFetch(files).fetchFn,
+      });
+      const link = retriever.programUrl({ id: 'alameda-food-bank' });
+      assert.strictEqual(link, 'https://example.test/directory?program=alameda-food-bank');
+      const cited = retriever.findCitedPrograms(`See (${link}) for hours.`, PROGRAMS);
+      assert.deepStrictEqual(
+        cited.map((p) => p.id),
+        ['alameda-food-bank']
+      );
+    });
+
+    it('should return no programs when the index cannot be loaded', async () => {
+      const { fetchFn } = createFetch({});
+      const retriever = createProgramRetriever({ apiUrl: 'https://example.test/api', fetchFn });
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        assert.deepStrictEqual(await retriever.search('food'), []);
+      } finally {
+        console.error = originalError;
+      }
+    });
+  });
+});
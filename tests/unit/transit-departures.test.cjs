@@ -0,0 +1,365 @@
+/**
+ * Unit tests for api/lib/departures.js, scripts/lib/transit-schedules.cjs
+ * and src/lib/transit-departures.js
+ *
+ * Tests building station features and timetables from GTFS tables, merging
+ * them with 511 trip updates into next departures, and the board's helpers.
+ * Run with: node --test tests/unit/transit-departures.test.cjs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const {
+  serviceDays,
+  serviceRunsOn,
+  filterByAgency,
+  delayStatus,
+  buildDepartures,
+  findNearestStops,
+  findStop,
+} = require(path.join(__dirname, '../../api/lib/departures.js'));
+const { parseGtfsTime, buildStopFeatures, buildSchedule } = require(
+  path.join(__dirname, '../../scripts/lib/transit-schedules.cjs')
+);
+
+const BOARD_MODULE = pathToFileURL(
+  path.join(__dirname, '../../src/lib/transit-departures.js')
+).href;
+
+const OPERATOR = { id: 'BA', name: 'BART', type: 'rail', color: '#009bda' };
+
+function stopTime(trip_id, stop_id, stop_sequence, time) {
+  return { trip_id, stop_id, stop_sequence: String(stop_sequence), departure_time: time };
+}
+
+// Three stations on one line; Montgomery's trains stop at a platform
+const GTFS = {
+  routes: [
+    { route_id: 'Yellow', route_short_name: 'Yellow', route_long_name: 'Antioch to SFO' },
+    { route_id: 'Red', route_short_name: 'Red', route_color: 'ED1C24' },
+  ],
+  trips: [
+    { trip_id: 'T1', route_id: 'Yellow', service_id: 'WKDY', trip_headsign: 'SFO' },
+    { trip_id: 'T2', route_id: 'Yellow', service_id: 'WKDY', trip_headsign: 'SFO' },
+    { trip_id: 'T3', route_id: 'Red', service_id: 'WKDY', trip_headsign: 'Millbrae' },
+    { trip_id: 'T4', route_id: 'Yellow', service_id: 'SAT', trip_headsign: 'SFO' },
+  ],
+  stops: [
+    { stop_id: 'EMBR', stop_name: 'Embarcadero', stop_lat: '37.79291', stop_lon: '-122.39702' },
+    { stop_id: 'MONT', stop_name: 'Montgomery St', stop_lat: '37.78944', stop_lon: '-122.40114' },
+    { stop_id: 'MONT-1', parent_station: 'MONT', stop_lat: '37.7894', stop_lon: '-122.4011' },
+    { stop_id: 'POWL', stop_name: 'Powell St', stop_lat: '37.78458', stop_lon: '-122.40784' },
+  ],
+  stopTimes: [
+    ...['T1', 'T2', 'T3', 'T4'].flatMap((trip, i) => {
+      const minute = [0, 10, 20, 5][i];
+      const time = (offset) => `08:${String(minute + offset).padStart(2, '0')}:00`;
+      return [
+        stopTime(trip, 'EMBR', 1, time(0)),
+        stopTime(trip, 'MONT-1', 2, time(2)),
+        stopTime(trip, 'POWL', 3, time(4)),
+      ];
+    }),
+  ],
+  calendar: [
+    {
+      service_id: 'WKDY',
+      monday: '1',
+      tuesday: '1',
+      wednesday: '1',
+      thursday: '1',
+      friday: '1',
+      saturday: '0',
+      sunday: '0',
+      start_date: '20260101',
+      end_date: '20261231',
+    },
+    { service_id: 'SAT', saturday: '1', start_date: '20260101', end_date: '20261231' },
+  ],
+  calendarDates: [{ service_id: 'WKDY', date: '20261126', exception_type: '2' }],
+};
+
+const SCHEDULE = buildSchedule(OPERATOR, GTFS, { generated: new Date('2026-10-01T00:00:00Z') });
+const STOPS = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { id: 'BA-Yellow', routeId: 'Yellow' },
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [-122.4, 37.79],
+          [-122.41, 37.78],
+        ],
+      },
+    },
+    ...buildStopFeatures(OPERATOR, GTFS),
+  ],
+};
+
+// Monday 2026-10-19, 8:00 PDT (UTC-7)
+const NOW = new Date('2026-10-19T15:00:00Z');
+const at = (hhmmss) => new Date(`2026-10-19T${hhmmss}-07:00`);
+
+describe('Transit schedule building', () => {
+  it('should read GTFS times past midnight', () => {
+    assert.strictEqual(parseGtfsTime('08:02:00'), 8 * 3600 + 120);
+    assert.strictEqual(parseGtfsTime('25:10:30'), 25 * 3600 + 630);
+    assert.strictEqual(parseGtfsTime(''), null);
+  });
+
+  it('should fold platforms into stations with the routes serving them', () => {
+    const stations = STOPS.features.filter((feature) => feature.geometry.type === 'Point');
+    assert.deepStrictEqual(
+      stations.map((feature) => [feature.properties.id, feature.properties.routes]),
+      [
+        ['BA-EMBR', ['Red', 'Yellow']],
+        ['BA-MONT', ['Red', 'Yellow']],
+        ['BA-POWL', ['Red', 'Yellow']],
+      ]
+    );
+    assert.deepStrictEqual(stations[1].geometry.coordinates, [-122.40114, 37.78944]);
+  });
+
+  it('should index departures by station and leave out last stops', () => {
+    assert.deepStrictEqual(SCHEDULE.platforms, { 'MONT-1': 'MONT' });
+    assert.deepStrictEqual(
+      SCHEDULE.stops.MONT.map(([trip, seconds]) => [SCHEDULE.trips[trip][0], seconds / 60]),
+      [
+        ['T1', 482],
+        ['T4', 487],
+        ['T2', 492],
+        ['T3', 502],
+      ]
+    );
+    assert.strictEqual(SCHEDULE.stops.POWL, undefined);
+    assert.deepStrictEqual(SCHEDULE.services.WKDY, {
+      days: '1111100',
+      start: '20260101',
+      end: '20261231',
+      removed: ['20261126'],
+    });
+    assert.strictEqual(SCHEDULE.routes.Red.color, '#ED1C24');
+  });
+});
+
+describe('Next departures', () => {
+  it('should start service days at noon minus 12 hours in Bay Area time', () => {
+    const [yesterday, today] = serviceDays(NOW);
+    assert.strictEqual(yesterday.date, '20261018');
+    assert.strictEqual(today.weekday, 0);
+    assert.strictEqual(new Date(today.start).toISOString(), '2026-10-19T07:00:00.000Z');
+
+    // Daylight saving ends at 2am on 2026-11-01: noon PST minus 12 hours is 1am PDT
+    const [, fallBack] = serviceDays(new Date('2026-11-01T19:00:00Z'));
+    assert.strictEqual(new Date(fallBack.start).toISOString(), '2026-11-01T08:00:00.000Z');
+  });
+
+  it('should apply service calendars and exceptions', () => {
+    const monday = { date: '20261019', weekday: 0 };
+    assert.strictEqual(serviceRunsOn(SCHEDULE.services.WKDY, monday), true);
+    assert.strictEqual(serviceRunsOn(SCHEDULE.services.SAT, monday), false);
+    assert.strictEqual(
+      serviceRunsOn(SCHEDULE.services.WKDY, { date: '20261126', weekday: 3 }),
+      false
+    );
+    assert.strictEqual(
+      serviceRunsOn(SCHEDULE.services.WKDY, { date: '20270104', weekday: 0 }),
+      false
+    );
+  });
+
+  it('should show the timetable as scheduled without trip updates', () => {
+    const stop = findStop(STOPS, 'BA-MONT');
+    const result = buildDepartures({ stop, schedule: SCHEDULE, now: NOW });
+    assert.strictEqual(result.realtime, false);
+    assert.deepStrictEqual(
+      result.routes.map((route) => [route.shortName, route.departures.map((d) => d.tripId)]),
+      [
+        ['Yellow', ['T1', 'T2']],
+        ['Red', ['T3']],
+      ]
+    );
+    const [first] = result.routes[0].departures;
+    assert.strictEqual(first.scheduledTime, at('08:02:00').toISOString());
+    assert.strictEqual(first.predictedTime, null);
+    assert.strictEqual(first.status, 'scheduled');
+  });
+
+  it('should merge 511 trip updates into delays, cancellations and added trips', () => {
+    const seconds = (date) => date.getTime() / 1000;
+    const tripUpdates = {
+      Entities: [
+        {
+          Id: '1',
+          // Delay at Embarcadero carries forward to Montgomery
+          TripUpdate: {
+            Trip: { TripId: 'BA:T1', RouteId: 'BA:Yellow' },
+            StopTimeUpdates: [{ StopSequence: 1, Departure: { Delay: 180 } }],
+          },
+        },
+        {
+          Id: '2',
+          TripUpdate: {
+            Trip: { TripId: 'BA:T2', RouteId: 'BA:Yellow' },
+            StopTimeUpdates: [{ StopId: 'BA:MONT-1', Arrival: { Time: seconds(at('08:12:30')) } }],
+          },
+        },
+        {
+          Id: '3',
+          TripUpdate: {
+            Trip: { TripId: 'BA:T3', RouteId: 'BA:Red', ScheduleRelationship: 'CANCELED' },
+          },
+        },
+        {
+          Id: '4',
+          TripUpdate: {
+            Trip: { TripId: 'BA:X9', RouteId: 'BA:Yellow', ScheduleRelationship: 'ADDED' },
+            StopTimeUpdates: [
+              { StopId: 'BA:MONT-1', Departure: { Time: seconds(at('08:15:00')) } },
+            ],
+          },
+        },
+        {
+          Id: '5',
+          // Another agency's trip with the same local ID
+          TripUpdate: {
+            Trip: { TripId: 'SF:T1', RouteId: 'SF:N' },
+            StopTimeUpdates: [{ StopSequence: 1, Departure: { Delay: 900 } }],
+          },
+        },
+      ],
+    };
+
+    const result = buildDepartures({
+      stop: findStop(STOPS, 'BA-MONT'),
+      schedule: SCHEDULE,
+      tripUpdates: filterByAgency(tripUpdates, 'BA'),
+      now: NOW,
+    });
+    assert.strictEqual(result.realtime, true);
+    const [yellow, red] = result.routes;
+    assert.deepStrictEqual(
+      yellow.departures.map((d) => [d.tripId, d.predictedTime, d.delaySeconds, d.status]),
+      [
+        ['T1', at('08:05:00').toISOString(), 180, 'late'],
+        ['T2', at('08:12:30').toISOString(), 30, 'on-time'],
+        ['X9', at('08:15:00').toISOString(), null, 'added'],
+      ]
+    );
+    assert.deepStrictEqual(
+      red.departures.map((d) => [d.tripId, d.status]),
+      [['T3', 'canceled']]
+    );
+  });
+
+  it('should label delays', () => {
+    assert.strictEqual(delayStatus({ delaySeconds: 59 }), 'on-time');
+    assert.strictEqual(delayStatus({ delaySeconds: -90 }), 'early');
+    assert.strictEqual(delayStatus({ delaySeconds: 60 }), 'late');
+    assert.strictEqual(delayStatus({ delaySeconds: null }), 'scheduled');
+    assert.strictEqual(delayStatus({ canceled: true, delaySeconds: 0 }), 'canceled');
+  });
+
+  it('should find the nearest stations within the radius', () => {
+    const nearest = findNearestStops(STOPS, 37.7893, -122.4013);
+    assert.deepStrictEqual(
+      nearest.map((stop) => stop.id),
+      ['BA-MONT', 'BA-EMBR', 'BA-POWL']
+    );
+    assert.ok(nearest[0].distanceMeters < 30);
+    assert.deepStrictEqual(
+      findNearestStops(STOPS, 37.7893, -122.4013, { radiusMeters: 100 }).map((stop) => stop.id),
+      ['BA-MONT']
+    );
+    assert.deepStrictEqual(findNearestStops(STOPS, 37.5, -122.0), []);
+    assert.strictEqual(findStop(STOPS, 'BA-Yellow'), null);
+  });
+
+  it('should filter feeds by agency ID, not by any matching prefix', () => {
+    const alerts = {
+      Entities: [
+        { Id: 'a', Alert: { InformedEntities: [{ AgencyId: 'SF' }] } },
+        { Id: 'b', Alert: { InformedEntities: [{ AgencyId: 'SFO' }] } },
+        { Id: 'c', Alert: { InformedEntities: [{ AgencyId: 'BA' }, { AgencyId: 'SF' }] } },
+      ],
+    };
+    assert.deepStrictEqual(
+      filterByAgency(alerts, 'SF').Entities.map((entity) => entity.Id),
+      ['a', 'c']
+    );
+
+    const vehicles = {
+      entity: [
+        { id: '1', vehicle: { vehicle: { id: 'SF:1001' } } },
+        { id: '2', vehicle: { vehicle: { id: 'SFX1001' } } },
+        { id: '3', vehicle: { trip: { trip_id: 'T2' }, vehicle: { id: '7' } } },
+      ],
+    };
+    assert.deepStrictEqual(
+      filterByAgency(vehicles, 'SF').entity.map((entity) => entity.id),
+      ['1']
+    );
+    // IDs without an agency match the agency's timetable
+    assert.deepStrictEqual(
+      filterByAgency(vehicles, 'BA', { tripIds: new Set(['T2']) }).entity.map((e) => e.id),
+      ['3']
+    );
+  });
+});
+
+describe('Departure board', () => {
+  let board;
+
+  before(async () => {
+    board = await import(BOARD_MODULE);
+  });
+
+  it('should search stations by name and skip route lines', () => {
+    assert.deepStrictEqual(
+      board.searchStops(STOPS, 'st').map((stop) => stop.id),
+      ['BA-MONT', 'BA-POWL']
+    );
+    assert.strictEqual(board.searchStops(STOPS, '').length, 3);
+    assert.deepStrictEqual(board.searchStops(STOPS, 'yellow'), []);
+  });
+
+  it('should count down to the predicted time, or the scheduled time without one', () => {
+    const now = at('08:00:00');
+    const late = {
+      scheduledTime: at('08:02:00').toISOString(),
+      predictedTime: at('08:05:30').toISOString(),
+      delaySeconds: 210,
+      status: 'late',
+    };
+    assert.strictEqual(board.minutesUntil(late, now), 5);
+    assert.strictEqual(board.minutesUntil({ ...late, predictedTime: null }, now), 2);
+    assert.strictEqual(board.minutesUntil(late, at('08:06:00')), 0);
+    assert.deepStrictEqual(board.statusLabel(late), {
+      key: 'departures.status.late',
+      params: { minutes: 4 },
+    });
+  });
+
+  it('should request a station or a point and surface API errors', async () => {
+    const requested = [];
+    const fetchFn = async (url) => {
+      requested.push(url);
+      return url.includes('stop=BA-NOPE')
+        ? { ok: false, status: 404, json: async () => ({ error: 'Unknown stop' }) }
+        : { ok: true, status: 200, json: async () => ({ stops: [] }) };
+    };
+
+    await board.fetchDepartures({ stop: 'BA-MONT' }, { fetchFn });
+    await board.fetchDepartures({ lat: 37.7893, lng: -122.4013 }, { fetchFn });
+    assert.deepStrictEqual(requested, [
+      '/api/transit-live?stop=BA-MONT',
+      '/api/transit-live?lat=37.7893&lng=-122.4013',
+    ]);
+    await assert.rejects(board.fetchDepartures({ stop: 'BA-NOPE' }, { fetchFn }), /Unknown stop/);
+  });
+});